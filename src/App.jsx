@@ -5,6 +5,7 @@
  *   1. Editor de código (izquierda)
  *   2. Placa ESP8266 (centro-derecha)
  *   3. Terminal / Serial Monitor (inferior)
+ *   4. Panel del depurador bajo la placa (sólo con el sketch detenido)
  *
  * Responsabilidades:
  *   - Inicializar conexión EventBus ↔ Zustand store
@@ -17,6 +18,7 @@ import { useEffect, useRef, useCallback, useState } from "react";
 import CodeEditor from "./components/Editor/CodeEditor.jsx";
 import ESP8266Board from "./components/Board/ESP8266Board.jsx";
 import Terminal from "./components/Console/Terminal.jsx";
+import DebugPanel from "./components/Debugger/DebugPanel.jsx";
 import useSimulatorStore from "./store/useSimulatorStore.js";
 import eventBus from "./engine/eventBus.js";
 import serialService from "./services/serialService.js";
@@ -32,9 +34,10 @@ function getInitialTheme() {
 
 export default function App() {
   const setEngineState = useSimulatorStore((s) => s.setEngineState);
+  const setDebugSnapshot = useSimulatorStore((s) => s.setDebugSnapshot);
   const setConnectionMode = useSimulatorStore((s) => s.setConnectionMode);
   const setConnected = useSimulatorStore((s) => s.setConnected);
-  const setCode = useSimulatorStore((s) => s.setCode);
+  const setFiles = useSimulatorStore((s) => s.setFiles);
   const setProjectName = useSimulatorStore((s) => s.setProjectName);
   const setProjectSaved = useSimulatorStore((s) => s.setProjectSaved);
   const connectionMode = useSimulatorStore((s) => s.connectionMode);
@@ -99,6 +102,9 @@ export default function App() {
       setEngineState(data.state);
     });
 
+    const unsubDebugPaused = eventBus.on("debug-paused", setDebugSnapshot);
+    const unsubDebugResumed = eventBus.on("debug-resumed", () => setDebugSnapshot(null));
+
     const unsubConnection = eventBus.on("connection-change", (data) => {
       setConnected(data.connected);
       setConnectionMode(data.mode);
@@ -112,7 +118,7 @@ export default function App() {
     // 3. Cargar proyecto guardado
     projectService.loadCurrentProject().then((project) => {
       if (project) {
-        setCode(project.code);
+        setFiles(projectService.getFiles(project));
         setProjectName(project.name || "Mi Proyecto ESP8266");
         setProjectSaved(true);
       }
@@ -122,7 +128,7 @@ export default function App() {
     projectService.startAutosave(
       () => ({
         name: useSimulatorStore.getState().projectName,
-        code: useSimulatorStore.getState().code,
+        files: useSimulatorStore.getState().files,
       }),
       () => {
         useSimulatorStore.getState().setProjectSaved(true);
@@ -131,6 +137,8 @@ export default function App() {
 
     return () => {
       unsubEngine();
+      unsubDebugPaused();
+      unsubDebugResumed();
       unsubConnection();
       projectService.stopAutosave();
     };
@@ -216,6 +224,7 @@ export default function App() {
               <ESP8266Board />
             </div>
           </div>
+          <DebugPanel />
         </div>
       </main>
     </div>
@@ -9,7 +9,7 @@
  */
 
 import { useState, useCallback, useEffect } from "react";
-import gpioManager from "../../engine/gpioManager.js";
+import simulatorBridge from "../../engine/simulatorBridge.js";
 import eventBus from "../../engine/eventBus.js";
 import "./Button.css";
 
@@ -18,12 +18,12 @@ export default function BoardButton({ pin, label = "BTN", activeLow = true }) {
 
   const handlePress = useCallback(() => {
     setPressed(true);
-    gpioManager.setExternalValue(pin, activeLow ? 0 : 1);
+    simulatorBridge.setExternalValue(pin, activeLow ? 0 : 1);
   }, [pin, activeLow]);
 
   const handleRelease = useCallback(() => {
     setPressed(false);
-    gpioManager.setExternalValue(pin, activeLow ? 1 : 0);
+    simulatorBridge.setExternalValue(pin, activeLow ? 1 : 0);
   }, [pin, activeLow]);
 
   // Reset
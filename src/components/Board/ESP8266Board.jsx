@@ -6,15 +6,21 @@
  *   - ESP8266 chip with WiFi symbol
  *   - Gold header pins along both edges (matching real NodeMCU)
  *   - Micro-USB connector at bottom
- *   - RST and FLASH tactile buttons
+ *   - RST and FLASH tactile buttons (RST resets the board; FLASH pulls
+ *     GPIO0 low while held)
  *   - Builtin LED
  *   - Status indicators
  *
+ * External components are also registered with the engine, so that
+ * one pulling a boot-strap pin the wrong way keeps the sketch from
+ * booting (e.g. an LED wired from 3V3 to GPIO15 with pull: "up").
+ *
  * Listens to EventBus pin-change events for real-time visual updates.
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import eventBus from "../../engine/eventBus.js";
+import simulatorBridge from "../../engine/simulatorBridge.js";
 import useSimulatorStore from "../../store/useSimulatorStore.js";
 import Pin from "./Pin.jsx";
 import LED from "./LED.jsx";
@@ -26,8 +32,8 @@ const LEFT_PINS = [
   { alias: "A0",   gpio: 17, label: "A0"  },
   { alias: "RSV",  gpio: null, label: "RSV" },
   { alias: "RSV",  gpio: null, label: "RSV" },
-  { alias: "D10",  gpio: 1,  label: "SD3" },
-  { alias: "D9",   gpio: 3,  label: "SD2" },
+  { alias: "SD3",  gpio: 10, label: "SD3" },
+  { alias: "SD2",  gpio: 9,  label: "SD2" },
   { alias: "D7",   gpio: 13, label: "D7"  },
   { alias: "D6",   gpio: 12, label: "D6"  },
   { alias: "D5",   gpio: 14, label: "D5"  },
@@ -51,6 +57,55 @@ const RIGHT_PINS = [
   { alias: "VIN",  gpio: null, label: "VIN" },
 ];
 
+/** FLASH (GPIO0) idles HIGH through the board's pull-up */
+const FLASH_GPIO = 0;
+
+/**
+ * Tactile push button on the PCB: onPress on mousedown/touchstart,
+ * onRelease once when let go (or when the pointer leaves it).
+ */
+function TactileButton({ label, title, onPress, onRelease }) {
+  const [pressed, setPressed] = useState(false);
+  // Pointer events cover mouse, touch and pen once; the ref guards
+  // against a second release (pointerup followed by pointerleave)
+  const pressedRef = useRef(false);
+
+  const handlePress = useCallback((event) => {
+    if (pressedRef.current) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pressedRef.current = true;
+    setPressed(true);
+    onPress();
+  }, [onPress]);
+
+  const handleRelease = useCallback(() => {
+    if (!pressedRef.current) return;
+    pressedRef.current = false;
+    setPressed(false);
+    onRelease();
+  }, [onRelease]);
+
+  return (
+    <div className={`tactile-btn ${pressed ? "pressed" : ""}`} title={title}>
+      <div
+        className="tactile-cap"
+        role="button"
+        aria-pressed={pressed}
+        onPointerDown={handlePress}
+        onPointerUp={handleRelease}
+        onPointerLeave={handleRelease}
+        onPointerCancel={handleRelease}
+      />
+      <span className="tactile-label">{label}</span>
+    </div>
+  );
+}
+
+const pressReset = () => simulatorBridge.setResetButton(true);
+const releaseReset = () => simulatorBridge.setResetButton(false);
+const pressFlash = () => simulatorBridge.setExternalValue(FLASH_GPIO, 0);
+const releaseFlash = () => simulatorBridge.setExternalValue(FLASH_GPIO, 1);
+
 export default function ESP8266Board() {
   const [pinStates, setPinStates] = useState({});
   const [wifiActive, setWifiActive] = useState(false);
@@ -78,13 +133,25 @@ export default function ESP8266Board() {
   }, []);
 
   useEffect(() => {
-    if (engineState === "running") {
+    if (engineState === "running" || engineState === "paused") {
       const timer = setTimeout(() => setWifiActive(true), 500);
       return () => clearTimeout(timer);
     }
     setWifiActive(false);
   }, [engineState]);
 
+  // Wire the components into the engine: the emulated ROM checks how
+  // they pull the boot-strap pins (GPIO0, GPIO2, GPIO15)
+  useEffect(() => {
+    components.forEach((comp) => simulatorBridge.registerComponent({
+      id: comp.id,
+      type: comp.type,
+      pin: comp.pin,
+      config: { label: comp.label, pull: comp.pull },
+    }));
+    return () => components.forEach((comp) => simulatorBridge.unregisterComponent(comp.id));
+  }, [components]);
+
   const getPinState = (gpio) =>
     gpio != null
       ? (pinStates[gpio] || { mode: null, value: 0, pwmValue: 0, brightness: 0 })
@@ -194,14 +261,10 @@ export default function ESP8266Board() {
 
           {/* Tactile push buttons */}
           <div className="board-buttons">
-            <div className="tactile-btn">
-              <div className="tactile-cap" />
-              <span className="tactile-label">RST</span>
-            </div>
-            <div className="tactile-btn">
-              <div className="tactile-cap" />
-              <span className="tactile-label">FLASH</span>
-            </div>
+            <TactileButton label="RST" title="RST — resets the board (reboots on release)"
+              onPress={pressReset} onRelease={releaseReset} />
+            <TactileButton label="FLASH" title="FLASH — pulls GPIO0 (D3) low while held"
+              onPress={pressFlash} onRelease={releaseFlash} />
           </div>
 
           {/* Built-in SMD LED — PWM brightness driven */}
@@ -236,6 +299,7 @@ export default function ESP8266Board() {
           {/* Engine status */}
           <div className={`board-status ${engineState}`}>
             {engineState === "running" && "▸ RUN"}
+            {engineState === "paused" && "❚❚ PAUSE"}
             {engineState === "stopped" && "■ STOP"}
             {engineState === "idle" && "○ IDLE"}
             {engineState === "error" && "✖ ERR"}
@@ -5,14 +5,42 @@
  * with a rotated label next to it. Supports:
  *   - Visual state: HIGH (green glow) / LOW (default gold)
  *   - Mode indicator: INPUT pins are clickable to toggle
- *   - Tooltip on hover with full pin details
+ *   - Tooltip on hover with full pin details and the pin's capabilities
+ *     (PIN_CAPABILITIES): PWM, interrupts, pulls, ADC, and the boot,
+ *     UART and flash roles that restrict its use
  *   - Power/GND pins shown in distinct colors
  */
 
 import { useState, useCallback } from "react";
-import gpioManager from "../../engine/gpioManager.js";
+import simulatorBridge from "../../engine/simulatorBridge.js";
+import { PIN_CAPABILITIES } from "../../engine/gpioManager.js";
 import "./Pin.css";
 
+/**
+ * What a GPIO can do, and what it must not be used for.
+ * @param {number} gpio
+ * @returns {{features: string[], notes: string[]}}
+ */
+function describeCapabilities(gpio) {
+  const caps = PIN_CAPABILITIES[gpio];
+  if (!caps) return { features: [], notes: [] };
+  if (caps.flash) {
+    return { features: [], notes: [`Flash SPI ${caps.flash} — do not use`] };
+  }
+  const features = [
+    caps.adc ? "ADC (0-1023)" : "Digital I/O",
+    caps.pwm && "PWM",
+    caps.interrupt && "Interrupt",
+    caps.pullup && "Pull-up",
+    caps.pulldown && "Pull-down (INPUT_PULLDOWN_16)",
+  ].filter(Boolean);
+  const notes = [
+    caps.boot && `Boot: must be ${caps.boot}`,
+    caps.uart && `UART ${caps.uart} (Serial)`,
+  ].filter(Boolean);
+  return { features, notes };
+}
+
 export default function Pin({ gpio, alias, label, mode, value, side, isPower, pwmValue = 0, brightness = 0 }) {
   const [showTooltip, setShowTooltip] = useState(false);
 
@@ -20,10 +48,11 @@ export default function Pin({ gpio, alias, label, mode, value, side, isPower, pw
   const isHigh = value === 1;
   const isConfigured = mode !== null && mode !== undefined;
   const isGpio = gpio != null && !isPower;
+  const capabilities = isGpio ? describeCapabilities(gpio) : null;
 
   const handleClick = useCallback(() => {
     if (isGpio && !isOutput && isConfigured) {
-      gpioManager.setExternalValue(gpio, isHigh ? 0 : 1);
+      simulatorBridge.setExternalValue(gpio, isHigh ? 0 : 1);
     }
   }, [gpio, isGpio, isOutput, isConfigured, isHigh]);
 
@@ -87,6 +116,12 @@ export default function Pin({ gpio, alias, label, mode, value, side, isPower, pw
               </span>
             </div>
           )}
+          {capabilities.features.length > 0 && (
+            <div className="tt-caps">{capabilities.features.join(" · ")}</div>
+          )}
+          {capabilities.notes.map((note) => (
+            <div key={note} className="tt-note">{note}</div>
+          ))}
           {!isOutput && isConfigured && (
             <div className="tt-hint">Click to toggle</div>
           )}
@@ -0,0 +1,70 @@
+/**
+ * DebugPanel — Pila de llamadas y variables locales del depurador
+ *
+ * Rol: Mientras el sketch está detenido en un breakpoint o un paso
+ * (store.debugSnapshot, ver engine/debugger.js) muestra:
+ *   - Call Stack: funciones activas, la actual primero, con su línea
+ *   - Locals: variables visibles en la sentencia actual con su tipo C
+ *
+ * No se renderiza si el sketch no está detenido.
+ */
+
+import useSimulatorStore from "../../store/useSimulatorStore.js";
+import "./DebugPanel.css";
+
+const REASONS = {
+  breakpoint: "Breakpoint",
+  step: "Paso",
+  cursor: "Run to cursor",
+  pause: "Pausa",
+};
+
+/** "línea 12" en el .ino principal o "util.cpp:4" */
+function describeLocation(location) {
+  if (!location) return "";
+  return location.file ? `${location.file}:${location.line}` : `línea ${location.line}`;
+}
+
+export default function DebugPanel() {
+  const snapshot = useSimulatorStore((s) => s.debugSnapshot);
+  if (!snapshot) return null;
+
+  return (
+    <div className="debug-panel">
+      <div className="debug-header">
+        <span className="debug-title">🐞 Debugger</span>
+        <span className="debug-reason">
+          {REASONS[snapshot.reason] || snapshot.reason} · {describeLocation(snapshot.location)}
+        </span>
+      </div>
+
+      <div className="debug-sections">
+        <section className="debug-section">
+          <div className="debug-section-title">Call Stack</div>
+          <ul className="debug-list">
+            {snapshot.callStack.map((frame, i) => (
+              <li key={i} className={`debug-frame ${i === 0 ? "current" : ""}`}>
+                <span className="debug-name">{frame.name}()</span>
+                <span className="debug-detail">{describeLocation(frame.location)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="debug-section">
+          <div className="debug-section-title">Locals</div>
+          {snapshot.locals.length === 0 && <div className="debug-empty">Sin variables locales</div>}
+          <ul className="debug-list">
+            {snapshot.locals.map((local) => (
+              <li key={local.name} className="debug-variable">
+                <span className="debug-name">{local.name}</span>
+                <span className="debug-type">{local.type}</span>
+                <span className="debug-value">{local.value}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
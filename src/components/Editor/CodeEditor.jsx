@@ -4,8 +4,15 @@
  * Rol: Interfaz de edición principal del simulador.
  * Características:
  *   - Syntax highlighting para Arduino/C++
- *   - Autocompletado básico de funciones Arduino
- *   - Validación en tiempo real (errores/warnings del parser)
+ *   - Autocompletado de funciones Arduino y del core (map, random,
+ *     bitRead, isDigit…)
+ *   - Pestañas por archivo del proyecto (.ino, .h, .cpp): crear,
+ *     renombrar (doble clic) y eliminar
+ *   - Validación en tiempo real (errores/warnings del parser y del
+ *     análisis semántico) en todas las pestañas, vía setValidation
+ *     del store
+ *   - Markers de ejecución: errores y warnings del motor en la línea
+ *     original del sketch (vía source map)
  *   - Toolbar con botones Run, Stop, Reset, Connect Device
  *   - Indicador de modo (Simulación / Hardware)
  *
@@ -13,19 +20,63 @@
  * Solo modifica el store y delega al engine vía servicios.
  */
 
-import { useEffect, useRef, useCallback, useState } from "react";
+import { useEffect, useRef, useCallback, useState, useMemo } from "react";
 import Editor from "@monaco-editor/react";
 import useSimulatorStore from "../../store/useSimulatorStore.js";
-import simulatorEngine from "../../engine/simulatorEngine.js";
+import simulatorBridge, { SIMULATION_SPEEDS } from "../../engine/simulatorBridge.js";
+import eventBus from "../../engine/eventBus.js";
 import serialService from "../../services/serialService.js";
 import projectService from "../../services/projectService.js";
 import { validateCode } from "../../engine/parser.js";
+import { isValidFileName, fileExtension } from "../../engine/sketchFiles.js";
 import "./CodeEditor.css";
 
 // ── Definición del lenguaje Arduino para Monaco ────────────────────
 
 const ARDUINO_LANGUAGE_ID = "arduino";
 
+/**
+ * Funciones del core Arduino (arduinoCore.js y macros de Arduino.h)
+ * para el autocompletado: [nombre, snippet, descripción].
+ */
+const CORE_COMPLETIONS = [
+  ["map", "map(${1:valor}, ${2:0}, ${3:1023}, ${4:0}, ${5:255})", "Reescala un valor de un rango a otro"],
+  ["constrain", "constrain(${1:valor}, ${2:min}, ${3:max})", "Limita un valor a un rango"],
+  ["min", "min(${1:a}, ${2:b})", "Menor de dos valores"],
+  ["max", "max(${1:a}, ${2:b})", "Mayor de dos valores"],
+  ["abs", "abs(${1:x})", "Valor absoluto"],
+  ["sq", "sq(${1:x})", "Cuadrado de un número"],
+  ["pow", "pow(${1:base}, ${2:exponente})", "Potencia (double)"],
+  ["sqrt", "sqrt(${1:x})", "Raíz cuadrada (double)"],
+  ["round", "round(${1:x})", "Redondeo al entero más cercano"],
+  ["random", "random(${1:min}, ${2:max})", "Número pseudoaleatorio en [min, max)"],
+  ["randomSeed", "randomSeed(${1:semilla});", "Inicializa el generador de random()"],
+  ["bitRead", "bitRead(${1:valor}, ${2:bit})", "Lee un bit (0 o 1)"],
+  ["bitWrite", "bitWrite(${1:variable}, ${2:bit}, ${3:1});", "Escribe un bit de una variable"],
+  ["bitSet", "bitSet(${1:variable}, ${2:bit});", "Pone un bit a 1"],
+  ["bitClear", "bitClear(${1:variable}, ${2:bit});", "Pone un bit a 0"],
+  ["bit", "bit(${1:n})", "Valor del bit n (1 << n)"],
+  ["lowByte", "lowByte(${1:valor})", "Byte bajo de un valor"],
+  ["highByte", "highByte(${1:valor})", "Segundo byte de un valor"],
+  ["isDigit", "isDigit(${1:c})", "¿Es un dígito 0-9?"],
+  ["isAlpha", "isAlpha(${1:c})", "¿Es una letra?"],
+  ["isAlphaNumeric", "isAlphaNumeric(${1:c})", "¿Es una letra o un dígito?"],
+  ["isSpace", "isSpace(${1:c})", "¿Es un espacio en blanco?"],
+  ["detachInterrupt", "detachInterrupt(digitalPinToInterrupt(${1:D3}));", "Quita la ISR de un pin"],
+  ["noInterrupts", "noInterrupts();", "Desactiva las interrupciones (quedan pendientes)"],
+  ["interrupts", "interrupts();", "Reactiva las interrupciones"],
+  ["timer1_attachInterrupt", "timer1_attachInterrupt(${1:onTimer});", "ISR (IRAM_ATTR) del temporizador hardware"],
+  ["timer1_enable", "timer1_enable(${1|TIM_DIV16,TIM_DIV1,TIM_DIV256|}, TIM_EDGE, ${2|TIM_LOOP,TIM_SINGLE|});", "Activa timer1 (80 MHz / divisor)"],
+  ["timer1_write", "timer1_write(${1:5000});", "Arranca la cuenta de timer1 (ticks)"],
+  ["timer1_disable", "timer1_disable();", "Detiene timer1"],
+  ["ESP.restart", "ESP.restart();", "Reinicia la placa (vuelve a ejecutar setup())"],
+  ["ESP.deepSleep", "ESP.deepSleep(${1:30e6});", "Duerme N µs y despierta por GPIO16 → RST"],
+  ["ESP.getResetReason", "ESP.getResetReason()", "Motivo del último reinicio (String)"],
+  ["ESP.getFreeHeap", "ESP.getFreeHeap()", "Bytes libres en el heap"],
+  ["ESP.getChipId", "ESP.getChipId()", "Identificador del chip"],
+  ["ESP.getCycleCount", "ESP.getCycleCount()", "Ciclos de CPU desde el arranque (32 bits)"],
+];
+
 /**
  * Registra el lenguaje Arduino en Monaco (syntax + autocompletado).
  */
@@ -43,17 +94,26 @@ function registerArduinoLanguage(monaco) {
       "if", "else", "for", "while", "do", "switch", "case",
       "break", "continue", "return", "true", "false",
       "String", "HIGH", "LOW", "INPUT", "OUTPUT", "INPUT_PULLUP",
-      "LED_BUILTIN", "struct", "class", "enum", "typedef",
+      "INPUT_PULLDOWN_16", "LED_BUILTIN", "struct", "class", "enum", "typedef",
       "static", "volatile", "extern",
+      "RISING", "FALLING", "CHANGE", "IRAM_ATTR",
+      "TIM_DIV1", "TIM_DIV16", "TIM_DIV256", "TIM_EDGE", "TIM_LEVEL", "TIM_SINGLE", "TIM_LOOP",
     ],
     functions: [
       "pinMode", "digitalWrite", "digitalRead", "analogRead", "analogWrite",
-      "delay", "delayMicroseconds", "millis", "micros",
-      "map", "constrain", "min", "max", "abs", "pow", "sqrt",
+      "delay", "delayMicroseconds", "millis", "micros", "micros64", "yield",
+      "map", "constrain", "min", "max", "abs", "sq", "pow", "sqrt", "round",
+      "sin", "cos", "tan", "radians", "degrees",
+      "random", "randomSeed", "bit", "bitRead", "bitWrite", "bitSet", "bitClear",
+      "lowByte", "highByte", "isDigit", "isAlpha", "isAlphaNumeric", "isSpace",
+      "sprintf", "snprintf",
+      "attachInterrupt", "detachInterrupt", "digitalPinToInterrupt", "noInterrupts", "interrupts",
+      "timer1_attachInterrupt", "timer1_detachInterrupt", "timer1_enable", "timer1_disable",
+      "timer1_write", "timer1_read",
       "setup", "loop",
     ],
     serialFunctions: [
-      "begin", "print", "println", "available", "read",
+      "begin", "print", "println", "printf", "available", "read",
       "write", "flush", "end",
     ],
     typeKeywords: ["void", "int", "float", "double", "char", "bool", "boolean", "byte", "long", "short", "String"],
@@ -66,7 +126,7 @@ function registerArduinoLanguage(monaco) {
         [/\/\*/, "comment", "@comment"],
         [/"[^"]*"/, "string"],
         [/'[^']*'/, "string"],
-        [/\bSerial\b/, "type.identifier"],
+        [/\b(Serial|ESP|Ticker)\b/, "type.identifier"],
         [/\b(D[0-8]|A0)\b/, "constant.numeric"],
         [
           /[a-zA-Z_]\w*/,
@@ -107,10 +167,10 @@ function registerArduinoLanguage(monaco) {
         {
           label: "pinMode",
           kind: monaco.languages.CompletionItemKind.Function,
-          insertText: "pinMode(${1:pin}, ${2|OUTPUT,INPUT,INPUT_PULLUP|});",
+          insertText: "pinMode(${1:pin}, ${2|OUTPUT,INPUT,INPUT_PULLUP,INPUT_PULLDOWN_16|});",
           insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
           detail: "Configura modo de un pin GPIO",
-          documentation: "pinMode(pin, mode)\nModos: OUTPUT, INPUT, INPUT_PULLUP",
+          documentation: "pinMode(pin, mode)\nModos: OUTPUT, INPUT, INPUT_PULLUP, INPUT_PULLDOWN_16 (sólo GPIO16)",
           range,
         },
         {
@@ -146,6 +206,38 @@ function registerArduinoLanguage(monaco) {
           detail: "Pausa la ejecución (milisegundos)",
           range,
         },
+        {
+          label: "delayMicroseconds",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: "delayMicroseconds(${1:100});",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Pausa la ejecución (microsegundos)",
+          range,
+        },
+        {
+          label: "yield",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: "yield();",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Cede el control al sistema (alimenta el watchdog)",
+          range,
+        },
+        {
+          label: "ESP.wdtFeed",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: "ESP.wdtFeed();",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Alimenta el watchdog sin ceder el control",
+          range,
+        },
+        {
+          label: "ESP.wdtDisable",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: "ESP.wdtDisable();",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Desactiva el soft WDT (el WDT hardware sigue activo)",
+          range,
+        },
         {
           label: "Serial.begin",
           kind: monaco.languages.CompletionItemKind.Function,
@@ -170,6 +262,47 @@ function registerArduinoLanguage(monaco) {
           detail: "Imprime en Serial Monitor (sin salto de línea)",
           range,
         },
+        {
+          label: "Serial.printf",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: 'Serial.printf("${1:%d}\\n", ${2:valor});',
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Imprime con formato (%d %u %x %f %s %c…)",
+          range,
+        },
+        {
+          label: "snprintf",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: 'snprintf(${1:buffer}, sizeof(${1:buffer}), "${2:%d}", ${3:valor});',
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Formatea en un array de char sin desbordarlo",
+          range,
+        },
+        // Funciones del core
+        ...CORE_COMPLETIONS.map(([label, insertText, detail]) => ({
+          label,
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText,
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail,
+          range,
+        })),
+        {
+          label: "attachInterrupt",
+          kind: monaco.languages.CompletionItemKind.Function,
+          insertText: "attachInterrupt(digitalPinToInterrupt(${1:D3}), ${2:isr}, ${3|FALLING,RISING,CHANGE|});",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Ejecuta una ISR (IRAM_ATTR) en cada flanco del pin",
+          range,
+        },
+        {
+          label: "Ticker.attach_ms",
+          kind: monaco.languages.CompletionItemKind.Snippet,
+          insertText: "${1:ticker}.attach_ms(${2:500}, ${3:callback});",
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          detail: "Llama a una función cada N ms (#include <Ticker.h>)",
+          range,
+        },
         // Templates
         {
           label: "setup-loop",
@@ -213,7 +346,9 @@ function registerArduinoLanguage(monaco) {
         { label: "OUTPUT", kind: monaco.languages.CompletionItemKind.Constant, insertText: "OUTPUT", detail: "Modo salida", range },
         { label: "INPUT", kind: monaco.languages.CompletionItemKind.Constant, insertText: "INPUT", detail: "Modo entrada", range },
         { label: "INPUT_PULLUP", kind: monaco.languages.CompletionItemKind.Constant, insertText: "INPUT_PULLUP", detail: "Modo entrada con pull-up interno", range },
+        { label: "INPUT_PULLDOWN_16", kind: monaco.languages.CompletionItemKind.Constant, insertText: "INPUT_PULLDOWN_16", detail: "Modo entrada con pull-down interno (sólo GPIO16)", range },
         { label: "LED_BUILTIN", kind: monaco.languages.CompletionItemKind.Constant, insertText: "LED_BUILTIN", detail: "GPIO2 (D4) - LED integrado", range },
+        { label: "PI", kind: monaco.languages.CompletionItemKind.Constant, insertText: "PI", detail: "3.14159…", range },
       ];
 
       return { suggestions };
@@ -221,19 +356,73 @@ function registerArduinoLanguage(monaco) {
   });
 }
 
+// ── Pestañas ───────────────────────────────────────────────────────
+
+/**
+ * Modelo de Monaco de una pestaña (@monaco-editor/react crea uno por
+ * "path" con Uri.parse).
+ */
+function modelFor(monaco, name) {
+  return monaco.editor.getModel(monaco.Uri.parse(name));
+}
+
+/**
+ * Motivo por el que un nombre de pestaña no es válido, o null.
+ * @param {string} name
+ * @param {Array<{name: string}>} files
+ * @param {string|null} renaming  Nombre actual si se está renombrando
+ */
+function fileNameProblem(name, files, renaming) {
+  if (!isValidFileName(name)) return "Use un nombre sin espacios terminado en .ino, .h o .cpp";
+  if (name !== renaming && files.some((f) => f.name === name)) return `Ya existe ${name}`;
+  if (renaming === files[0].name && fileExtension(name) !== ".ino") return "El archivo principal debe ser .ino";
+  return null;
+}
+
+/** Etiqueta de una velocidad de simulación: "0.1×", "10×", "Máx" */
+function speedLabel(speed) {
+  return Number.isFinite(speed) ? `${speed}×` : "Máx";
+}
+
+/** Contenido inicial de una pestaña nueva */
+function newFileContent(name) {
+  return fileExtension(name) === ".h" ? "#pragma once\n\n" : "";
+}
+
 // ── Componente React ───────────────────────────────────────────────
 
 export default function CodeEditor() {
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
-
-  const code = useSimulatorStore((s) => s.code);
-  const setCode = useSimulatorStore((s) => s.setCode);
+  /** Decoraciones del depurador (breakpoints y línea detenida) */
+  const debugDecorations = useRef(null);
+
+  const files = useSimulatorStore((s) => s.files);
+  const activeFile = useSimulatorStore((s) => s.activeFile);
+  const setFiles = useSimulatorStore((s) => s.setFiles);
+  const setActiveFile = useSimulatorStore((s) => s.setActiveFile);
+  const setFileContent = useSimulatorStore((s) => s.setFileContent);
+  const addFile = useSimulatorStore((s) => s.addFile);
+  const renameFile = useSimulatorStore((s) => s.renameFile);
+  const removeFile = useSimulatorStore((s) => s.removeFile);
   const engineState = useSimulatorStore((s) => s.engineState);
   const connectionMode = useSimulatorStore((s) => s.connectionMode);
   const isConnected = useSimulatorStore((s) => s.isConnected);
   const projectName = useSimulatorStore((s) => s.projectName);
   const setProjectSaved = useSimulatorStore((s) => s.setProjectSaved);
+  const validationErrors = useSimulatorStore((s) => s.validationErrors);
+  const validationWarnings = useSimulatorStore((s) => s.validationWarnings);
+  const setValidation = useSimulatorStore((s) => s.setValidation);
+  const breakpoints = useSimulatorStore((s) => s.breakpoints);
+  const toggleBreakpoint = useSimulatorStore((s) => s.toggleBreakpoint);
+  const debugSnapshot = useSimulatorStore((s) => s.debugSnapshot);
+  const simulationSpeed = useSimulatorStore((s) => s.simulationSpeed);
+  const setSimulationSpeed = useSimulatorStore((s) => s.setSimulationSpeed);
+
+  const activeContent = files.find((f) => f.name === activeFile)?.content ?? "";
+
+  /** Pestaña cuyo nombre se edita: { from: nombre|null (nueva), value } */
+  const [editingTab, setEditingTab] = useState(null);
 
   // Track page theme for Monaco
   const [editorTheme, setEditorTheme] = useState(
@@ -251,17 +440,46 @@ export default function CodeEditor() {
 
   // Handlers
   const handleRun = useCallback(() => {
-    simulatorEngine.run(code);
-  }, [code]);
+    simulatorBridge.run(files);
+  }, [files]);
 
   const handleStop = useCallback(() => {
-    simulatorEngine.stop();
+    simulatorBridge.stop();
+  }, []);
+
+  const handlePause = useCallback(() => {
+    if (simulatorBridge.getState() === "paused") {
+      simulatorBridge.resume();
+    } else {
+      simulatorBridge.pause();
+    }
   }, []);
 
+  // Depurador: los comandos actúan sobre la pestaña y línea del cursor
+  const handleStep = useCallback((kind) => {
+    simulatorBridge.step(kind);
+  }, []);
+
+  const handleRunToCursor = useCallback(() => {
+    const position = editorRef.current?.getPosition();
+    if (!position) return;
+    simulatorBridge.runToCursor(useSimulatorStore.getState().activeFile, position.lineNumber);
+  }, []);
+
+  const handleToggleBreakpoint = useCallback((line) => {
+    toggleBreakpoint(useSimulatorStore.getState().activeFile, line);
+  }, [toggleBreakpoint]);
+
   const handleReset = useCallback(() => {
-    simulatorEngine.reset();
+    simulatorBridge.reset();
   }, []);
 
+  const handleSpeedChange = useCallback((e) => {
+    const speed = Number(e.target.value);
+    simulatorBridge.setSpeed(speed);
+    setSimulationSpeed(speed);
+  }, [setSimulationSpeed]);
+
   const handleConnect = useCallback(async () => {
     if (isConnected) {
       await serialService.disconnect();
@@ -273,31 +491,61 @@ export default function CodeEditor() {
   const handleSave = useCallback(async () => {
     await projectService.saveProject({
       name: projectName,
-      code,
+      files,
     });
     setProjectSaved(true);
-  }, [code, projectName, setProjectSaved]);
+  }, [files, projectName, setProjectSaved]);
 
   const handleExport = useCallback(() => {
-    projectService.exportAsIno(projectName.replace(/\s+/g, "_"), code);
-  }, [code, projectName]);
+    projectService.exportProject(projectName.replace(/\s+/g, "_"), files);
+  }, [files, projectName]);
 
+  // Un .ino importado reemplaza el proyecto; .h/.cpp sueltos se añaden
   const handleImport = useCallback(async () => {
-    const result = await projectService.importIno();
-    if (result) {
-      setCode(result.code);
+    const imported = await projectService.importFiles();
+    if (!imported) return;
+    if (fileExtension(imported[0].name) === ".ino") {
+      setFiles(imported);
+    } else {
+      const existing = new Set(useSimulatorStore.getState().files.map((f) => f.name));
+      imported.forEach((file) => {
+        if (existing.has(file.name)) setFileContent(file.name, file.content);
+        else addFile(file.name, file.content);
+      });
     }
-  }, [setCode]);
+    setProjectSaved(false);
+  }, [setFiles, setFileContent, addFile, setProjectSaved]);
+
+  // ── Pestañas ─────────────────────────────────────────────────────
+
+  const commitTabName = useCallback(() => {
+    if (!editingTab) return;
+    const name = editingTab.value.trim();
+    const unchanged = name === editingTab.from;
+    if (!unchanged && !fileNameProblem(name, files, editingTab.from)) {
+      if (editingTab.from) renameFile(editingTab.from, name);
+      else addFile(name, newFileContent(name));
+      setProjectSaved(false);
+    }
+    setEditingTab(null);
+  }, [editingTab, files, renameFile, addFile, setProjectSaved]);
+
+  const handleRemoveFile = useCallback((name) => {
+    const file = files.find((f) => f.name === name);
+    if (file.content.trim() && !window.confirm(`¿Eliminar ${name}? Se perderá su contenido.`)) return;
+    removeFile(name);
+    setProjectSaved(false);
+  }, [files, removeFile, setProjectSaved]);
+
+  // Monaco: lenguaje registrado antes de crear el primer modelo
+  const handleEditorWillMount = useCallback((monaco) => {
+    registerArduinoLanguage(monaco);
+  }, []);
 
   // Configurar Monaco al montar
   const handleEditorMount = useCallback((editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
-    registerArduinoLanguage(monaco);
-
-    // Re-setear el modelo con el lenguaje Arduino
-    const model = editor.getModel();
-    monaco.editor.setModelLanguage(model, ARDUINO_LANGUAGE_ID);
 
     // Atajos de teclado
     editor.addAction({
@@ -313,53 +561,198 @@ export default function CodeEditor() {
       keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
       run: () => handleSave(),
     });
-  }, [handleRun, handleSave]);
+
+    // Depurador: atajos de VS Code
+    const debugActions = [
+      ["toggle-breakpoint", "Toggle Breakpoint", monaco.KeyCode.F9, () => handleToggleBreakpoint(editor.getPosition().lineNumber)],
+      ["step-over", "Step Over", monaco.KeyCode.F10, () => handleStep("over")],
+      ["step-into", "Step Into", monaco.KeyCode.F11, () => handleStep("into")],
+      ["step-out", "Step Out", monaco.KeyMod.Shift | monaco.KeyCode.F11, () => handleStep("out")],
+      ["run-to-cursor", "Run to Cursor", monaco.KeyMod.CtrlCmd | monaco.KeyCode.F10, handleRunToCursor],
+    ];
+    debugActions.forEach(([id, label, keybinding, run]) => {
+      editor.addAction({ id, label, keybindings: [keybinding], run });
+    });
+
+    // Click en el margen de glifos: poner/quitar breakpoint
+    editor.onMouseDown((e) => {
+      if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+        handleToggleBreakpoint(e.target.position.lineNumber);
+      }
+    });
+
+    debugDecorations.current = editor.createDecorationsCollection();
+  }, [handleRun, handleSave, handleStep, handleRunToCursor, handleToggleBreakpoint]);
+
+  // Breakpoints → motor (también durante la ejecución)
+  useEffect(() => {
+    simulatorBridge.setBreakpoints(breakpoints);
+  }, [breakpoints]);
+
+  // Al detenerse el sketch: abrir la pestaña de la sentencia y mostrarla
+  useEffect(() => {
+    if (!debugSnapshot) return;
+    const { files: current, activeFile: active, setActiveFile: open } = useSimulatorStore.getState();
+    const file = debugSnapshot.location.file || current[0].name;
+    if (file !== active && current.some((f) => f.name === file)) open(file);
+    setTimeout(() => editorRef.current?.revealLineInCenterIfOutsideViewport(debugSnapshot.location.line), 0);
+  }, [debugSnapshot]);
+
+  // Decoraciones: breakpoints de la pestaña y sentencia detenida
+  useEffect(() => {
+    if (!debugDecorations.current) return;
+    const decorations = (breakpoints[activeFile] || []).map((line) => ({
+      range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+      options: { glyphMarginClassName: "breakpoint-glyph", glyphMarginHoverMessage: { value: "Breakpoint" } },
+    }));
+    const location = debugSnapshot?.location;
+    if (location && (location.file || files[0].name) === activeFile) {
+      decorations.push({
+        range: { startLineNumber: location.line, startColumn: 1, endLineNumber: location.line, endColumn: 1 },
+        options: { isWholeLine: true, className: "debug-current-line", glyphMarginClassName: "debug-current-glyph" },
+      });
+    }
+    debugDecorations.current.set(decorations);
+  }, [breakpoints, debugSnapshot, activeFile, files]);
 
   // Marcar como no guardado cuando cambia el código
   const handleCodeChange = useCallback(
     (value) => {
-      setCode(value || "");
+      setFileContent(activeFile, value || "");
       setProjectSaved(false);
     },
-    [setCode, setProjectSaved]
+    [activeFile, setFileContent, setProjectSaved]
   );
 
-  // Validación en tiempo real con markers de Monaco
+  // Validación en tiempo real (todas las pestañas) → store
   useEffect(() => {
-    if (!monacoRef.current || !editorRef.current) return;
-    const monaco = monacoRef.current;
-    const model = editorRef.current.getModel();
-    if (!model) return;
-
     const timer = setTimeout(() => {
-      const { errors, warnings } = validateCode(code);
-
-      const markers = [
-        ...errors.map((e) => ({
-          severity: monaco.MarkerSeverity.Error,
-          message: e.message,
-          startLineNumber: e.line,
-          startColumn: 1,
-          endLineNumber: e.line,
-          endColumn: 1000,
-        })),
-        ...warnings.map((w) => ({
-          severity: monaco.MarkerSeverity.Warning,
-          message: w.message,
-          startLineNumber: w.line,
-          startColumn: 1,
-          endLineNumber: w.line,
-          endColumn: 1000,
-        })),
-      ];
-
-      monaco.editor.setModelMarkers(model, "arduino-validator", markers);
+      const { errors, warnings } = validateCode(files);
+      setValidation(errors, warnings);
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [code]);
+  }, [files, setValidation]);
+
+  // Markers de Monaco a partir de la validación del store
+  useEffect(() => {
+    if (!monacoRef.current) return;
+    const monaco = monacoRef.current;
+    // Sin file → .ino principal
+    const fileOf = (d) => d.file || files[0].name;
+    const toMarker = (severity) => (d) => ({
+      severity,
+      message: d.message,
+      startLineNumber: d.line,
+      startColumn: d.column || 1,
+      endLineNumber: d.line,
+      endColumn: 1000,
+    });
+
+    const markers = new Map(files.map((f) => [f.name, []]));
+    validationErrors.forEach((e) => markers.get(fileOf(e))?.push(toMarker(monaco.MarkerSeverity.Error)(e)));
+    validationWarnings.forEach((w) => markers.get(fileOf(w))?.push(toMarker(monaco.MarkerSeverity.Warning)(w)));
+
+    markers.forEach((list, name) => {
+      const model = modelFor(monaco, name);
+      if (model) monaco.editor.setModelMarkers(model, "arduino-validator", list);
+    });
+  }, [validationErrors, validationWarnings, files, activeFile]);
+
+  /** Pestañas con errores de validación */
+  const filesWithErrors = useMemo(
+    () => new Set(validationErrors.map((e) => e.file || files[0].name)),
+    [validationErrors, files]
+  );
+
+  // Markers de ejecución: errores/warnings con posición del sketch
+  const runtimeDiagnostics = useRef(new Map());
+
+  const publishRuntimeMarkers = useCallback(() => {
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+    const { files: current } = useSimulatorStore.getState();
+
+    current.forEach((file, i) => {
+      const model = modelFor(monaco, file.name);
+      if (!model) return;
+      const markers = [...runtimeDiagnostics.current.values()]
+        .filter((d) => (d.location.file || (i === 0 ? file.name : null)) === file.name)
+        .filter((d) => d.location.line <= model.getLineCount())
+        .map((d) => ({
+          severity: d.type === "error" ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+          message: d.message,
+          startLineNumber: d.location.line,
+          startColumn: d.location.column || 1,
+          endLineNumber: d.location.line,
+          endColumn: model.getLineMaxColumn(d.location.line),
+        }));
+      monaco.editor.setModelMarkers(model, "arduino-runtime", markers);
+    });
+  }, []);
+
+  // Al abrir una pestaña se crea su modelo: publicar sus markers
+  useEffect(() => {
+    publishRuntimeMarkers();
+  }, [activeFile, publishRuntimeMarkers]);
+
+  useEffect(() => {
+    const diagnostics = runtimeDiagnostics.current;
+
+    const unsubLog = eventBus.on("serial-log", (data) => {
+      if (!data.location || (data.type !== "error" && data.type !== "warn")) return;
+      const key = `${data.location.file || ""}:${data.location.line}:${data.message}`;
+      if (diagnostics.has(key)) return;
+      diagnostics.set(key, data);
+      publishRuntimeMarkers();
+
+      if (data.type === "error") {
+        // El error puede estar en otra pestaña: abrirla antes de mostrar la línea
+        const { files: current, activeFile: active, setActiveFile: open } = useSimulatorStore.getState();
+        const file = data.location.file || current[0].name;
+        if (file !== active && current.some((f) => f.name === file)) open(file);
+        setTimeout(() => editorRef.current?.revealLineInCenterIfOutsideViewport(data.location.line), 0);
+      }
+    });
+
+    // Cada ejecución (o reset) empieza sin markers previos; al
+    // reanudar una pausa se conservan
+    let previousState = null;
+    const unsubState = eventBus.on("engine-state", ({ state }) => {
+      if ((state === "running" && previousState !== "paused") || state === "idle") {
+        diagnostics.clear();
+        publishRuntimeMarkers();
+      }
+      previousState = state;
+    });
+
+    return () => {
+      unsubLog();
+      unsubState();
+    };
+  }, [publishRuntimeMarkers]);
 
   const isRunning = engineState === "running";
+  const isPaused = engineState === "paused";
+  const tabProblem = editingTab ? fileNameProblem(editingTab.value.trim(), files, editingTab.from) : null;
+
+  const tabNameInput = editingTab && (
+    <input
+      className={`tab-name-input ${tabProblem && editingTab.value.trim() !== editingTab.from ? "invalid" : ""}`}
+      value={editingTab.value}
+      autoFocus
+      spellCheck={false}
+      title={tabProblem || ""}
+      placeholder="archivo.h"
+      onChange={(e) => setEditingTab({ ...editingTab, value: e.target.value })}
+      onClick={(e) => e.stopPropagation()}
+      onBlur={commitTabName}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commitTabName();
+        if (e.key === "Escape") setEditingTab(null);
+      }}
+    />
+  );
 
   return (
     <div className="code-editor">
@@ -369,7 +762,7 @@ export default function CodeEditor() {
           <button
             className={`toolbar-btn btn-run ${isRunning ? "active" : ""}`}
             onClick={handleRun}
-            disabled={isRunning}
+            disabled={isRunning || isPaused}
             title="Ejecutar (Ctrl+Enter)"
           >
             <span className="btn-icon">▶</span>
@@ -378,12 +771,40 @@ export default function CodeEditor() {
           <button
             className="toolbar-btn btn-stop"
             onClick={handleStop}
-            disabled={!isRunning}
+            disabled={!isRunning && !isPaused}
             title="Detener"
           >
             <span className="btn-icon">■</span>
             Stop
           </button>
+          <button
+            className="toolbar-btn btn-pause"
+            onClick={handlePause}
+            disabled={!isRunning && !isPaused}
+            title={isPaused ? "Reanudar" : "Pausar"}
+          >
+            <span className="btn-icon">{isPaused ? "▶" : "❚❚"}</span>
+            {isPaused ? "Resume" : "Pause"}
+          </button>
+          <div className="debug-controls">
+            <button className="toolbar-btn btn-debug" onClick={() => handleStep("over")} disabled={!isPaused} title="Step Over (F10)">
+              ⤼
+            </button>
+            <button className="toolbar-btn btn-debug" onClick={() => handleStep("into")} disabled={!isPaused} title="Step Into (F11)">
+              ⤓
+            </button>
+            <button className="toolbar-btn btn-debug" onClick={() => handleStep("out")} disabled={!isPaused} title="Step Out (Shift+F11)">
+              ⤒
+            </button>
+            <button
+              className="toolbar-btn btn-debug"
+              onClick={handleRunToCursor}
+              disabled={!isRunning && !isPaused}
+              title="Run to Cursor (Ctrl+F10)"
+            >
+              ⇥
+            </button>
+          </div>
           <button
             className="toolbar-btn btn-reset"
             onClick={handleReset}
@@ -392,6 +813,18 @@ export default function CodeEditor() {
             <span className="btn-icon">⟳</span>
             Reset
           </button>
+          <select
+            className="toolbar-select speed-select"
+            value={String(simulationSpeed)}
+            onChange={handleSpeedChange}
+            title="Velocidad de simulación (tiempo virtual por segundo real)"
+          >
+            {SIMULATION_SPEEDS.map((speed) => (
+              <option key={speed} value={String(speed)}>
+                ⏱ {speedLabel(speed)}
+              </option>
+            ))}
+          </select>
 
           <div className="toolbar-separator" />
 
@@ -409,10 +842,10 @@ export default function CodeEditor() {
           <button className="toolbar-btn btn-secondary" onClick={handleSave} title="Guardar (Ctrl+S)">
             💾 Save
           </button>
-          <button className="toolbar-btn btn-secondary" onClick={handleExport} title="Exportar .ino">
+          <button className="toolbar-btn btn-secondary" onClick={handleExport} title="Exportar .ino (o .zip con todas las pestañas)">
             📤 Export
           </button>
-          <button className="toolbar-btn btn-secondary" onClick={handleImport} title="Importar archivo">
+          <button className="toolbar-btn btn-secondary" onClick={handleImport} title="Importar archivos .ino, .h, .cpp">
             📥 Import
           </button>
         </div>
@@ -423,14 +856,57 @@ export default function CodeEditor() {
         {connectionMode === "simulation" ? "🔬 SIMULATION MODE" : "🔌 HARDWARE MODE"}
       </div>
 
+      {/* File Tabs */}
+      <div className="editor-tabs" role="tablist">
+        {files.map((file, i) => (
+          <div
+            key={file.name}
+            className={`editor-tab ${file.name === activeFile ? "active" : ""}`}
+            role="tab"
+            aria-selected={file.name === activeFile}
+            onClick={() => setActiveFile(file.name)}
+            onDoubleClick={() => setEditingTab({ from: file.name, value: file.name })}
+            title={i === 0 ? "Archivo principal (doble clic para renombrar)" : "Doble clic para renombrar"}
+          >
+            {editingTab?.from === file.name ? tabNameInput : <span>{file.name}</span>}
+            {filesWithErrors.has(file.name) && <span className="tab-error-dot">●</span>}
+            {i > 0 && (
+              <button
+                className="tab-close"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRemoveFile(file.name);
+                }}
+                title={`Eliminar ${file.name}`}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+        {editingTab && editingTab.from === null ? (
+          <div className="editor-tab">{tabNameInput}</div>
+        ) : (
+          <button
+            className="tab-add"
+            onClick={() => setEditingTab({ from: null, value: "" })}
+            title="Nueva pestaña (.ino, .h, .cpp)"
+          >
+            +
+          </button>
+        )}
+      </div>
+
       {/* Monaco Editor */}
       <div className="editor-container">
         <Editor
           height="100%"
-          defaultLanguage="cpp"
+          path={activeFile}
+          defaultLanguage={ARDUINO_LANGUAGE_ID}
           theme={editorTheme}
-          value={code}
+          value={activeContent}
           onChange={handleCodeChange}
+          beforeMount={handleEditorWillMount}
           onMount={handleEditorMount}
           options={{
             fontSize: 14,
@@ -442,6 +918,7 @@ export default function CodeEditor() {
             tabSize: 2,
             wordWrap: "on",
             lineNumbers: "on",
+            glyphMargin: true,
             renderLineHighlight: "all",
             bracketPairColorization: { enabled: true },
             padding: { top: 12 },
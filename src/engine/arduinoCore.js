@@ -0,0 +1,190 @@
+/**
+ * ArduinoCore — Funciones auxiliares del core Arduino/ESP8266
+ *
+ * Rol: Implementa las funciones de WMath.cpp, WCharacter.h y math.h
+ * que usan los sketches: map(), min/max/abs, random()/randomSeed(),
+ * pow, sqrt, trigonometría, isDigit()/isAlpha()…
+ *
+ * Las macros de Arduino.h que modifican su argumento o dependen del
+ * tipo (bitSet, bitRead, constrain, sq, lowByte, PI…) no están aquí:
+ * las define el preprocesador (ARDUINO_MACROS en preprocessor.js).
+ *
+ * random() es el rand() de newlib, que el core usa tras randomSeed():
+ * la semilla vuelve a 1 en cada reset(), así que dos simulaciones del
+ * mismo sketch producen la misma secuencia (en la placa, sin
+ * randomSeed() se usa el generador hardware).
+ *
+ * compileFunctions() inyecta el objeto en el ámbito del sketch como
+ * "__core"; los argumentos ya llegan convertidos al tipo C de cada
+ * parámetro (ver builtins.js).
+ */
+
+import cRuntime from "./cRuntime.js";
+
+/** Semilla inicial de rand() en newlib */
+const DEFAULT_SEED = 1n;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+class ArduinoCoreLibrary {
+  constructor() {
+    /** Estado de 64 bits del generador de rand() */
+    this._next = DEFAULT_SEED;
+  }
+
+  /** Vuelve a la semilla inicial (al iniciar una simulación) */
+  reset() {
+    this._next = DEFAULT_SEED;
+  }
+
+  // ── WMath ────────────────────────────────────────────────────────
+
+  /**
+   * Reescala un valor de un rango a otro con aritmética long (la
+   * división trunca y un rango de entrada vacío divide por cero).
+   */
+  map(x, inMin, inMax, outMin, outMax) {
+    const scaled = Math.imul((x - inMin) | 0, (outMax - outMin) | 0);
+    return (cRuntime.idiv(scaled, (inMax - inMin) | 0) + outMin) | 0;
+  }
+
+  /** rand() de newlib: LCG de 64 bits, 31 bits de resultado */
+  rand() {
+    this._next = (this._next * 6364136223846793005n + 1n) & MASK_64;
+    return Number((this._next >> 32n) & 0x7fffffffn);
+  }
+
+  srand(seed) {
+    this._next = BigInt(seed >>> 0);
+  }
+
+  /** randomSeed(0) no cambia la secuencia, como en el core */
+  randomSeed(seed) {
+    if (seed !== 0) this.srand(seed);
+  }
+
+  /**
+   * random(max) → [0, max); random(min, max) → [min, max).
+   * @returns {number}
+   */
+  random(a, b) {
+    if (b === undefined) {
+      if (a === 0) return 0;
+      // uint32_t % long: el divisor se convierte a unsigned
+      return (this.rand() % (a >>> 0)) | 0;
+    }
+    if (a >= b) return a;
+    return (this.random((b - a) | 0) + a) | 0;
+  }
+
+  /** makeWord(h, l) / word(h, l): los dos bytes de un uint16_t */
+  makeWord(high, low) {
+    return (high << 8) | low;
+  }
+
+  // ── Genéricas (el codegen ya convirtió al tipo común) ────────────
+
+  min(a, b) {
+    return b < a ? b : a;
+  }
+
+  max(a, b) {
+    return a < b ? b : a;
+  }
+
+  abs(x) {
+    return x < 0 ? -x : x;
+  }
+
+  // ── math.h ───────────────────────────────────────────────────────
+
+  /** round() de C: los empates se alejan del cero (-2.5 → -3) */
+  round(x) {
+    return x < 0 ? -Math.round(-x) : Math.round(x);
+  }
+
+  /** fmod() de C: el resto lleva el signo del dividendo */
+  fmod(x, y) {
+    return x % y;
+  }
+
+  isnan(x) {
+    return Number.isNaN(x);
+  }
+
+  /** isinf(): ±infinito (NaN no lo es) */
+  isinf(x) {
+    return x === Infinity || x === -Infinity;
+  }
+
+  // ── WCharacter.h / ctype.h ───────────────────────────────────────
+
+  isDigit(c) {
+    return c >= 48 && c <= 57;
+  }
+
+  isAlpha(c) {
+    return (c >= 65 && c <= 90) || (c >= 97 && c <= 122);
+  }
+
+  isAlphaNumeric(c) {
+    return this.isAlpha(c) || this.isDigit(c);
+  }
+
+  isUpperCase(c) {
+    return c >= 65 && c <= 90;
+  }
+
+  isLowerCase(c) {
+    return c >= 97 && c <= 122;
+  }
+
+  isHexadecimalDigit(c) {
+    return this.isDigit(c) || (c >= 65 && c <= 70) || (c >= 97 && c <= 102);
+  }
+
+  /** isspace(): espacio, \t, \n, \v, \f, \r */
+  isSpace(c) {
+    return c === 32 || (c >= 9 && c <= 13);
+  }
+
+  /** isblank(): sólo espacio y tabulador */
+  isWhitespace(c) {
+    return c === 32 || c === 9;
+  }
+
+  isControl(c) {
+    return (c >= 0 && c < 32) || c === 127;
+  }
+
+  isPrintable(c) {
+    return c >= 32 && c < 127;
+  }
+
+  isGraph(c) {
+    return c > 32 && c < 127;
+  }
+
+  isPunct(c) {
+    return this.isGraph(c) && !this.isAlphaNumeric(c);
+  }
+
+  isAscii(c) {
+    return c >= 0 && c < 128;
+  }
+
+  toUpperCase(c) {
+    return this.isLowerCase(c) ? c - 32 : c;
+  }
+
+  toLowerCase(c) {
+    return this.isUpperCase(c) ? c + 32 : c;
+  }
+
+  toAscii(c) {
+    return c & 0x7f;
+  }
+}
+
+const arduinoCore = new ArduinoCoreLibrary();
+export default arduinoCore;
@@ -0,0 +1,245 @@
+/**
+ * ArduinoString — Clase String del core Arduino/ESP8266
+ *
+ * Rol: Reproduce la API y el comportamiento de WString.cpp para que
+ * los sketches que usan String funcionen igual que en la placa:
+ * objetos mutables (+=, trim(), toUpperCase()… modifican el propio
+ * String), índices fuera de rango que devuelven 0 en lugar de fallar
+ * y conversiones numéricas con el formato del core
+ * (String(3.14159) → "3.14", String(255, HEX) → "ff").
+ *
+ * El codegen elige el constructor según el tipo C del valor
+ * (fromInt, fromUnsigned, fromFloat, fromChar) porque en JavaScript
+ * no se distingue 5 de 5.0. compileFunctions() inyecta la clase en
+ * el ámbito del sketch como "__String".
+ *
+ * Los argumentos de tipo carácter llegan como número (código char) y
+ * las cadenas como string de JS, array de char o ArduinoString.
+ */
+
+import { formatInteger, formatFloat } from "./cString.js";
+
+/**
+ * Texto de un argumento: char (número), cadena C o String.
+ * @param {*} value
+ * @returns {string}
+ */
+function textOf(value) {
+  if (value instanceof ArduinoString) return value._buffer;
+  if (typeof value === "number") return String.fromCharCode(value & 0xff);
+  if (ArrayBuffer.isView(value)) {
+    let text = "";
+    for (let i = 0; i < value.length && value[i] !== 0; i++) {
+      text += String.fromCharCode(value[i]);
+    }
+    return text;
+  }
+  return value == null ? "" : String(value);
+}
+
+const isSpace = (code) => code === 32 || (code >= 9 && code <= 13);
+
+export class ArduinoString {
+  /**
+   * @param {ArduinoString|string|Uint8Array} [value]  Texto inicial
+   */
+  constructor(value = "") {
+    this._buffer = textOf(value);
+  }
+
+  // ── Constructores numéricos ──────────────────────────────────────
+
+  /** String(int/long, base): negativos con signo en cualquier base */
+  static fromInt(value, base = 10) {
+    return new ArduinoString(formatInteger(value, base));
+  }
+
+  /** String(unsigned int/long, base) */
+  static fromUnsigned(value, base = 10) {
+    return new ArduinoString(formatInteger(value >>> 0, base));
+  }
+
+  /** String(float/double, decimales) → dtostrf() */
+  static fromFloat(value, digits = 2) {
+    return new ArduinoString(formatFloat(value, digits));
+  }
+
+  /** String(char) */
+  static fromChar(code) {
+    return new ArduinoString(String.fromCharCode(code & 0xff));
+  }
+
+  /** Valor de tipo desconocido en compilación: se decide en ejecución */
+  static fromValue(value) {
+    if (typeof value === "number") {
+      return Number.isInteger(value) ? ArduinoString.fromInt(value) : ArduinoString.fromFloat(value);
+    }
+    if (typeof value === "boolean") return ArduinoString.fromInt(+value);
+    return new ArduinoString(value);
+  }
+
+  // ── Consulta ─────────────────────────────────────────────────────
+
+  length() {
+    return this._buffer.length;
+  }
+
+  isEmpty() {
+    return this._buffer.length === 0;
+  }
+
+  /** Carácter en la posición, o 0 si está fuera de rango */
+  charAt(index) {
+    if (index < 0 || index >= this._buffer.length) return 0;
+    return this._buffer.charCodeAt(index) & 0xff;
+  }
+
+  c_str() {
+    return this._buffer;
+  }
+
+  toString() {
+    return this._buffer;
+  }
+
+  // ── Comparación ──────────────────────────────────────────────────
+
+  compareTo(other) {
+    const a = this._buffer;
+    const b = textOf(other);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const diff = (i < a.length ? a.charCodeAt(i) : 0) - (i < b.length ? b.charCodeAt(i) : 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  equals(other) {
+    return this._buffer === textOf(other);
+  }
+
+  equalsIgnoreCase(other) {
+    return this._buffer.toLowerCase() === textOf(other).toLowerCase();
+  }
+
+  startsWith(prefix, offset = 0) {
+    const text = textOf(prefix);
+    if (offset > this._buffer.length - text.length) return false;
+    return this._buffer.startsWith(text, offset);
+  }
+
+  endsWith(suffix) {
+    return this._buffer.endsWith(textOf(suffix));
+  }
+
+  // ── Búsqueda y extracción ────────────────────────────────────────
+
+  indexOf(value, from = 0) {
+    if (from >= this._buffer.length) return -1;
+    return this._buffer.indexOf(textOf(value), from);
+  }
+
+  lastIndexOf(value, from = this._buffer.length - 1) {
+    if (from < 0) return -1;
+    return this._buffer.lastIndexOf(textOf(value), from);
+  }
+
+  substring(left, right = this._buffer.length) {
+    if (left > right) [left, right] = [right, left];
+    if (left >= this._buffer.length) return new ArduinoString();
+    return new ArduinoString(this._buffer.slice(left, Math.min(right, this._buffer.length)));
+  }
+
+  // ── Conversión ───────────────────────────────────────────────────
+
+  /** atol(): prefijo entero, 0 si no hay dígitos */
+  toInt() {
+    const match = /^\s*([+-]?\d+)/.exec(this._buffer);
+    return match ? parseInt(match[1], 10) | 0 : 0;
+  }
+
+  toFloat() {
+    return Math.fround(this.toDouble());
+  }
+
+  toDouble() {
+    const match = /^\s*([+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(this._buffer);
+    return match ? parseFloat(match[1]) : 0;
+  }
+
+  /**
+   * Copia el texto a un array de char (como máximo size - 1 caracteres
+   * más el nulo), empezando en index.
+   */
+  toCharArray(buffer, size, index = 0) {
+    this.getBytes(buffer, size, index);
+  }
+
+  getBytes(buffer, size, index = 0) {
+    if (!size || !buffer) return;
+    const text = index < this._buffer.length ? this._buffer.slice(index) : "";
+    const count = Math.min(text.length, size - 1, buffer.length - 1);
+    for (let i = 0; i < count; i++) buffer[i] = text.charCodeAt(i) & 0xff;
+    buffer[Math.max(count, 0)] = 0;
+  }
+
+  // ── Modificación (in situ) ───────────────────────────────────────
+
+  /** concat()/+=: el valor ya llega formateado (ver codegen) */
+  concat(value) {
+    this._buffer += textOf(value);
+    return true;
+  }
+
+  setCharAt(index, code) {
+    if (index < 0 || index >= this._buffer.length) return;
+    this._buffer = this._buffer.slice(0, index) + String.fromCharCode(code & 0xff) + this._buffer.slice(index + 1);
+  }
+
+  replace(find, replacement) {
+    const text = textOf(find);
+    if (text.length === 0) return;
+    this._buffer = this._buffer.split(text).join(textOf(replacement));
+  }
+
+  remove(index, count = this._buffer.length - index) {
+    if (index < 0 || index >= this._buffer.length || count <= 0) return;
+    this._buffer = this._buffer.slice(0, index) + this._buffer.slice(index + count);
+  }
+
+  toLowerCase() {
+    this._buffer = this._buffer.replace(/[A-Z]/g, (c) => c.toLowerCase());
+  }
+
+  toUpperCase() {
+    this._buffer = this._buffer.replace(/[a-z]/g, (c) => c.toUpperCase());
+  }
+
+  trim() {
+    let start = 0;
+    let end = this._buffer.length;
+    while (start < end && isSpace(this._buffer.charCodeAt(start))) start++;
+    while (end > start && isSpace(this._buffer.charCodeAt(end - 1))) end--;
+    this._buffer = this._buffer.slice(start, end);
+  }
+
+  reserve() {
+    return true;
+  }
+
+  clear() {
+    this._buffer = "";
+  }
+
+  // ── Operadores ───────────────────────────────────────────────────
+
+  /**
+   * a + b: nuevo String con ambos textos (los operandos no String ya
+   * llegan convertidos por el codegen).
+   */
+  static concat(a, b) {
+    return new ArduinoString(textOf(a) + textOf(b));
+  }
+}
+
+export default ArduinoString;
@@ -0,0 +1,250 @@
+/**
+ * Builtins — Tabla de la API Arduino disponible para los sketches
+ *
+ * Rol: Describe cómo se traduce cada identificador de la API Arduino
+ * (funciones, objetos, clases y constantes) a la expresión JavaScript que el
+ * código generado usa. El codegen la consulta SOLO cuando un
+ * identificador no fue declarado por el usuario en el ámbito actual,
+ * de modo que una variable local llamada "delay" o "HIGH" tiene
+ * prioridad sobre la API.
+ *
+ * Campos de cada entrada:
+ *   js       → expresión JavaScript generada
+ *   kind     → "const" | "function" | "object" | "class"
+ *   async    → true si la llamada debe esperarse con await
+ *   returns  → tipo C del valor retornado (ver cTypes.js)
+ *   params   → tipos C de los parámetros (los argumentos se convierten)
+ *   arity    → nº de argumentos: n o [mín, máx]; si falta, el de params
+ *   generic  → el tipo de retorno es el tipo común de los argumentos
+ *   type     → tipo C de una constante
+ *   methods  → tipos de retorno de los métodos de un objeto o clase
+ *   header   → cabecera que hay que incluir para usar una clase
+ */
+
+// ── Constantes Arduino → JavaScript ────────────────────────────────
+
+export const ARDUINO_CONSTANTS = {
+  HIGH: 1,
+  LOW: 0,
+  OUTPUT: '"OUTPUT"',
+  INPUT: '"INPUT"',
+  INPUT_PULLUP: '"INPUT_PULLUP"',
+  INPUT_PULLDOWN_16: '"INPUT_PULLDOWN_16"',
+  LED_BUILTIN: 2,
+  NULL: "null",
+  // Bases de String(valor, base) y print(valor, base)
+  DEC: 10, HEX: 16, OCT: 8, BIN: 2,
+  // Pines D#
+  D0: 16, D1: 5, D2: 4, D3: 0, D4: 2,
+  D5: 14, D6: 12, D7: 13, D8: 15,
+  A0: 17,
+  // Modos de attachInterrupt (valores del core ESP8266)
+  RISING: 1, FALLING: 2, CHANGE: 3, ONLOW: 4, ONHIGH: 5,
+  // timer1_enable(divisor, tipo, recarga)
+  TIM_DIV1: 0, TIM_DIV16: 1, TIM_DIV256: 3,
+  TIM_EDGE: 0, TIM_LEVEL: 1, TIM_SINGLE: 0, TIM_LOOP: 1,
+  // Modo de radio al despertar de ESP.deepSleep(us, modo)
+  WAKE_RF_DEFAULT: 0, WAKE_RFCAL: 1, WAKE_NO_RFCAL: 2, WAKE_RF_DISABLED: 4,
+};
+
+// ── Funciones y objetos ────────────────────────────────────────────
+
+/** Funciones de math.h con su equivalente directo en Math (double) */
+function mathFunctions(names) {
+  return Object.fromEntries(names.map((name) => {
+    const params = ["pow", "hypot", "atan2"].includes(name) ? ["double", "double"] : ["double"];
+    return [name, { js: `Math.${name}`, params, returns: "double" }];
+  }));
+}
+
+/** Clasificación de caracteres: nombre Arduino y su alias de ctype.h */
+function characterFunctions(aliases) {
+  return Object.fromEntries(Object.entries(aliases).flatMap(([name, alias]) => {
+    const entry = { js: `__core.${name}`, params: ["int"], returns: "bool" };
+    return [[name, entry], [alias, entry]];
+  }));
+}
+
+export const ARDUINO_FUNCTIONS = {
+  pinMode: { js: "__gpio.pinMode", arity: 2, returns: "void" },
+  digitalWrite: { js: "__gpio.digitalWrite", arity: 2, returns: "void" },
+  digitalRead: { js: "__gpio.digitalRead", arity: 1, returns: "int" },
+  analogRead: { js: "__gpio.analogRead", arity: 1, returns: "int" },
+  analogWrite: { js: "__gpio.analogWrite", arity: 2, returns: "void" },
+  // Interrupciones GPIO (interrupts.js)
+  attachInterrupt: { js: "__interrupts.attach", arity: 3, returns: "void" },
+  detachInterrupt: { js: "__interrupts.detach", arity: 1, returns: "void" },
+  noInterrupts: { js: "__interrupts.disable", arity: 0, returns: "void" },
+  interrupts: { js: "__interrupts.enable", arity: 0, returns: "void" },
+  // Temporizador hardware (timers.js)
+  timer1_attachInterrupt: { js: "__timer1.attachInterrupt", arity: 1, returns: "void" },
+  timer1_detachInterrupt: { js: "__timer1.detachInterrupt", arity: 0, returns: "void" },
+  timer1_enable: { js: "__timer1.enable", params: ["uint8_t", "uint8_t", "uint8_t"], returns: "void" },
+  timer1_disable: { js: "__timer1.disable", arity: 0, returns: "void" },
+  timer1_write: { js: "__timer1.write", params: ["uint32_t"], returns: "void" },
+  timer1_read: { js: "__timer1.read", arity: 0, returns: "uint32_t" },
+  timer1_enabled: { js: "__timer1.enabled", arity: 0, returns: "bool" },
+  // Tiempo virtual (virtualClock.js)
+  delay: { js: "__delay", params: ["unsigned long"], async: true, returns: "void" },
+  delayMicroseconds: { js: "__delayMicroseconds", params: ["unsigned int"], returns: "void" },
+  millis: { js: "__millis", arity: 0, returns: "unsigned long" },
+  micros: { js: "__micros", arity: 0, returns: "unsigned long" },
+  micros64: { js: "__micros64", arity: 0, returns: "unsigned long long" },
+  yield: { js: "__yield", arity: 0, async: true, returns: "void" },
+  // Cadenas C (cString.js)
+  strlen: { js: "__cstr.strlen", arity: 1, returns: "size_t" },
+  strcmp: { js: "__cstr.strcmp", arity: 2, returns: "int" },
+  strncmp: { js: "__cstr.strncmp", arity: 3, returns: "int" },
+  strcpy: { js: "__cstr.strcpy", arity: 2, returns: "char*" },
+  strncpy: { js: "__cstr.strncpy", arity: 3, returns: "char*" },
+  strcat: { js: "__cstr.strcat", arity: 2, returns: "char*" },
+  memset: { js: "__cstr.memset", arity: 3, returns: "void*" },
+  memcpy: { js: "__cstr.memcpy", arity: 3, returns: "void*" },
+  memcmp: { js: "__cstr.memcmp", arity: 3, returns: "int" },
+  atoi: { js: "__cstr.atoi", arity: 1, returns: "int" },
+  atol: { js: "__cstr.atol", arity: 1, returns: "long" },
+  atof: { js: "__cstr.atof", arity: 1, returns: "double" },
+  itoa: { js: "__cstr.itoa", arity: 3, returns: "char*" },
+  ltoa: { js: "__cstr.ltoa", arity: 3, returns: "char*" },
+  utoa: { js: "__cstr.utoa", arity: 3, returns: "char*" },
+  dtostrf: { js: "__cstr.dtostrf", arity: 4, returns: "char*" },
+  sprintf: { js: "__cstr.sprintf", arity: [2, Infinity], returns: "int" },
+  snprintf: { js: "__cstr.snprintf", arity: [3, Infinity], returns: "int" },
+  // WMath (arduinoCore.js)
+  map: { js: "__core.map", params: ["long", "long", "long", "long", "long"], returns: "long" },
+  min: { js: "__core.min", arity: 2, generic: true },
+  max: { js: "__core.max", arity: 2, generic: true },
+  abs: { js: "__core.abs", arity: 1, generic: true },
+  random: { js: "__core.random", arity: [1, 2], params: ["long", "long"], returns: "long" },
+  randomSeed: { js: "__core.randomSeed", params: ["unsigned long"], returns: "void" },
+  rand: { js: "__core.rand", returns: "int" },
+  // word(h, l) llega aquí desde el parser
+  makeWord: { js: "__core.makeWord", params: ["uint8_t", "uint8_t"], returns: "uint16_t" },
+  srand: { js: "__core.srand", params: ["unsigned int"], returns: "void" },
+  // math.h
+  ...mathFunctions(["pow", "sqrt", "cbrt", "hypot", "exp", "log", "log10", "log2",
+    "sin", "cos", "tan", "asin", "acos", "atan", "atan2", "sinh", "cosh", "tanh",
+    "floor", "ceil", "trunc"]),
+  fabs: { js: "Math.abs", params: ["double"], returns: "double" },
+  fmin: { js: "Math.min", params: ["double", "double"], returns: "double" },
+  fmax: { js: "Math.max", params: ["double", "double"], returns: "double" },
+  round: { js: "__core.round", params: ["double"], returns: "double" },
+  fmod: { js: "__core.fmod", params: ["double", "double"], returns: "double" },
+  isnan: { js: "__core.isnan", params: ["double"], returns: "bool" },
+  isinf: { js: "__core.isinf", params: ["double"], returns: "bool" },
+  // WCharacter.h
+  ...characterFunctions({
+    isDigit: "isdigit", isAlpha: "isalpha", isAlphaNumeric: "isalnum", isUpperCase: "isupper",
+    isLowerCase: "islower", isHexadecimalDigit: "isxdigit", isSpace: "isspace", isWhitespace: "isblank",
+    isControl: "iscntrl", isPrintable: "isprint", isGraph: "isgraph", isPunct: "ispunct", isAscii: "isascii",
+  }),
+  toUpperCase: { js: "__core.toUpperCase", params: ["int"], returns: "int" },
+  toLowerCase: { js: "__core.toLowerCase", params: ["int"], returns: "int" },
+  toupper: { js: "__core.toUpperCase", params: ["int"], returns: "int" },
+  tolower: { js: "__core.toLowerCase", params: ["int"], returns: "int" },
+  toAscii: { js: "__core.toAscii", params: ["int"], returns: "int" },
+};
+
+export const ARDUINO_OBJECTS = {
+  ESP: {
+    js: "__esp",
+    methods: {
+      wdtFeed: "void", wdtDisable: "void", wdtEnable: "void",
+      restart: "void", deepSleep: "void", deepSleepMax: "uint64_t",
+      getResetReason: "String", getChipId: "uint32_t", getFlashChipId: "uint32_t",
+      getFlashChipSize: "uint32_t", getCpuFreqMHz: "uint8_t", getFreeHeap: "uint32_t",
+      getCycleCount: "uint32_t",
+    },
+  },
+  Serial: {
+    js: "__serial",
+    methods: {
+      available: "int", read: "int", begin: "void", flush: "void",
+      print: "size_t", println: "size_t", printf: "size_t", write: "size_t",
+    },
+  },
+};
+
+/** Clases de librerías: se declaran como variables (Ticker t;) */
+export const ARDUINO_CLASSES = {
+  Ticker: {
+    js: "__Ticker",
+    header: "Ticker.h",
+    methods: {
+      attach: "void", attach_ms: "void", once: "void", once_ms: "void",
+      detach: "void", active: "bool",
+    },
+  },
+};
+
+/** Métodos de String (arduinoString.js) → tipo de retorno */
+export const STRING_METHODS = {
+  length: "unsigned int",
+  isEmpty: "bool",
+  charAt: "char",
+  c_str: "const char*",
+  compareTo: "int",
+  equals: "bool",
+  equalsIgnoreCase: "bool",
+  startsWith: "bool",
+  endsWith: "bool",
+  indexOf: "int",
+  lastIndexOf: "int",
+  substring: "String",
+  toInt: "long",
+  toFloat: "float",
+  toDouble: "double",
+  toCharArray: "void",
+  getBytes: "void",
+  concat: "bool",
+  setCharAt: "void",
+  replace: "void",
+  remove: "void",
+  toLowerCase: "void",
+  toUpperCase: "void",
+  trim: "void",
+  reserve: "bool",
+  clear: "void",
+};
+
+/**
+ * Número de argumentos que acepta una función de la API.
+ * @param {object} builtin  Entrada de ARDUINO_FUNCTIONS
+ * @returns {[number, number]|null} [mín, máx], o null si no se comprueba
+ */
+export function builtinArity(builtin) {
+  const { arity, params } = builtin;
+  if (Array.isArray(arity)) return arity;
+  if (arity !== undefined) return [arity, arity];
+  return params ? [params.length, params.length] : null;
+}
+
+/** Constantes cuyo valor no es numérico en el código generado */
+const NON_NUMERIC_CONSTANTS = new Set(["OUTPUT", "INPUT", "INPUT_PULLUP", "INPUT_PULLDOWN_16", "NULL"]);
+
+/**
+ * Busca un identificador en la API Arduino.
+ * @param {string} name
+ * @returns {{js: string, kind: string, async?: boolean}|null}
+ */
+export function lookupBuiltin(name) {
+  if (Object.prototype.hasOwnProperty.call(ARDUINO_CONSTANTS, name)) {
+    const type = NON_NUMERIC_CONSTANTS.has(name) ? "unknown" : "int";
+    return { js: String(ARDUINO_CONSTANTS[name]), kind: "const", type };
+  }
+  if (Object.prototype.hasOwnProperty.call(ARDUINO_FUNCTIONS, name)) {
+    return { ...ARDUINO_FUNCTIONS[name], kind: "function" };
+  }
+  if (Object.prototype.hasOwnProperty.call(ARDUINO_OBJECTS, name)) {
+    return { ...ARDUINO_OBJECTS[name], kind: "object" };
+  }
+  if (Object.prototype.hasOwnProperty.call(ARDUINO_CLASSES, name)) {
+    return { ...ARDUINO_CLASSES[name], kind: "class" };
+  }
+  return null;
+}
+
+export default {
+  ARDUINO_CONSTANTS, ARDUINO_FUNCTIONS, ARDUINO_OBJECTS, ARDUINO_CLASSES, STRING_METHODS,
+  lookupBuiltin, builtinArity,
+};
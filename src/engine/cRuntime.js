@@ -0,0 +1,239 @@
+/**
+ * CRuntime — Helpers de semántica C usados por el código generado
+ *
+ * Rol: Operaciones que no tienen un equivalente directo en un único
+ * operador JavaScript: división y módulo enteros (con detección de
+ * división por cero), multiplicación de 32 bits, redondeo a float de
+ * 32 bits, aritmética de 64 bits con wraparound, construcción de
+ * arrays (typed arrays para elementos numéricos) y referencias a
+ * variables de tipo primitivo (int&, float&…).
+ *
+ * El codegen emite llamadas a estos helpers como "__c.nombre(...)";
+ * compileFunctions() inyecta este objeto en el ámbito del sketch.
+ *
+ * Nota: los enteros de 64 bits se almacenan como Number, así que los
+ * valores por encima de 2^53 pierden precisión al salir de BigInt.
+ */
+
+import { formatInteger, formatFloat } from "./cString.js";
+
+/**
+ * Error lanzado por una división entera por cero.
+ * @returns {Error}
+ */
+function divideByZero() {
+  const error = new Error("División entera por cero");
+  error.cause = "IntegerDivideByZero";
+  return error;
+}
+
+const toBigInt = (x) => BigInt(Math.trunc(Number(x)) || 0);
+
+const cRuntime = {
+  /** Redondeo a float IEEE-754 de 32 bits */
+  f32: Math.fround,
+
+  /** Multiplicación entera de 32 bits con wraparound */
+  imul: Math.imul,
+
+  /**
+   * División entera truncada hacia cero (el llamador aplica el ancho).
+   * @param {number} a
+   * @param {number} b
+   */
+  idiv(a, b) {
+    if (b == 0) throw divideByZero();
+    return Math.trunc(a / b);
+  },
+
+  /**
+   * Resto entero con el signo del dividendo, como en C.
+   * @param {number} a
+   * @param {number} b
+   */
+  imod(a, b) {
+    if (b == 0) throw divideByZero();
+    return a % b;
+  },
+
+  /** Trunca a entero de 64 bits con signo */
+  wrap64(x) {
+    return Number(BigInt.asIntN(64, toBigInt(x)));
+  },
+
+  /** Trunca a entero de 64 bits sin signo */
+  wrapU64(x) {
+    return Number(BigInt.asUintN(64, toBigInt(x)));
+  },
+
+  /**
+   * Operación binaria de 64 bits con wraparound.
+   * @param {string} op  "+", "-", "*", "/", "%", "&", "|", "^", "<<", ">>"
+   * @param {number} a
+   * @param {number} b
+   * @param {boolean} unsigned
+   */
+  op64(op, a, b, unsigned) {
+    const x = toBigInt(a);
+    const y = toBigInt(b);
+    let r;
+    switch (op) {
+      case "+": r = x + y; break;
+      case "-": r = x - y; break;
+      case "*": r = x * y; break;
+      case "/":
+        if (y === 0n) throw divideByZero();
+        r = x / y;
+        break;
+      case "%":
+        if (y === 0n) throw divideByZero();
+        r = x % y;
+        break;
+      case "&": r = x & y; break;
+      case "|": r = x | y; break;
+      case "^": r = x ^ y; break;
+      case "<<": r = x << (y & 63n); break;
+      case ">>":
+        r = (unsigned ? BigInt.asUintN(64, x) : x) >> (y & 63n);
+        break;
+      default:
+        throw new Error(`Operación de 64 bits no soportada: ${op}`);
+    }
+    return Number(unsigned ? BigInt.asUintN(64, r) : BigInt.asIntN(64, r));
+  },
+
+  /**
+   * Crea un array C inicializado a cero.
+   * @param {Function} Ctor  Typed array del elemento, o Array
+   * @param {number[]} dims  Dimensiones ([8, 8] → 8 filas de 8)
+   * @param {Array} [init]   Valores iniciales (anidados por dimensión)
+   * @param {*} [fill]       Valor por defecto si Ctor es Array; si es
+   *                          una función se llama por cada elemento
+   * @returns {Array|TypedArray}
+   */
+  array(Ctor, dims, init = [], fill = 0) {
+    const [length, ...rest] = dims;
+    if (rest.length > 0) {
+      return Array.from({ length }, (_, i) => cRuntime.array(Ctor, rest, init[i] || [], fill));
+    }
+    const array = Ctor === Array
+      ? Array.from({ length }, () => (typeof fill === "function" ? fill() : fill))
+      : new Ctor(length);
+    init.slice(0, length).forEach((value, i) => {
+      array[i] = value;
+    });
+    return array;
+  },
+
+  /**
+   * Copia profunda de un valor con semántica de valor de C++ (structs,
+   * objetos y arrays contenidos en ellos).
+   * @param {*} value
+   * @returns {*}
+   */
+  clone(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (ArrayBuffer.isView(value)) return value.slice();
+    if (Array.isArray(value)) return value.map(cRuntime.clone);
+    const copy = Object.create(Object.getPrototypeOf(value));
+    Object.keys(value).forEach((key) => {
+      copy[key] = cRuntime.clone(value[key]);
+    });
+    return copy;
+  },
+
+  /**
+   * Referencia a una variable (int &r = x): value lee y escribe la
+   * variable original a través de get/set.
+   * @param {Function} get  () => valor
+   * @param {Function} set  (valor) => void
+   * @returns {{value: *}}
+   */
+  ref(get, set) {
+    return {
+      get value() {
+        return get();
+      },
+      set value(v) {
+        set(v);
+      },
+    };
+  },
+
+  /**
+   * Referencia a un elemento de array o a un campo (object[key]); el
+   * índice se evalúa una sola vez, al enlazarla.
+   * @param {object} object
+   * @param {number|string} key
+   * @returns {{value: *}}
+   */
+  refAt(object, key) {
+    return {
+      get value() {
+        return object[key];
+      },
+      set value(v) {
+        object[key] = v;
+      },
+    };
+  },
+
+  /**
+   * Bytes de un literal de cadena, con el terminador nulo.
+   * @param {string} text
+   * @returns {number[]}
+   */
+  bytes(text) {
+    return [...text].map((ch) => ch.charCodeAt(0) & 0xff).concat(0);
+  },
+
+  /**
+   * Texto de un array de char terminado en nulo.
+   * @param {Uint8Array} array
+   * @returns {string}
+   */
+  cstr(array) {
+    let text = "";
+    for (let i = 0; i < array.length && array[i] !== 0; i++) {
+      text += String.fromCharCode(array[i]);
+    }
+    return text;
+  },
+
+  /**
+   * Carácter de un valor char (para Serial.print y concatenación).
+   * @param {number} code
+   * @returns {string}
+   */
+  chr(code) {
+    return String.fromCharCode(Number(code) & 0xff);
+  },
+
+  /**
+   * Texto de Serial.print(entero, base) como Print::printNumber(): en
+   * base 10 con signo; en otra base, el valor como unsigned long y con
+   * dígitos en mayúscula (-1 → "FFFFFFFF"; String(x, HEX) e itoa()
+   * usan minúscula). La base 0 escribe el byte tal cual.
+   * @param {number} value
+   * @param {number} [base]
+   * @returns {string}
+   */
+  printInt(value, base = 10) {
+    if (base === 0) return cRuntime.chr(value);
+    return formatInteger(base === 10 ? value : Number(value) >>> 0, base).toUpperCase();
+  },
+
+  /**
+   * Texto de Serial.print(float, decimales) como Print::printFloat():
+   * 2 decimales por defecto y "ovf" fuera del rango de unsigned long.
+   * @param {number} value
+   * @param {number} [digits]
+   * @returns {string}
+   */
+  printFloat(value, digits = 2) {
+    if (Number.isFinite(value) && Math.abs(value) > 4294967040) return "ovf";
+    return formatFloat(value, digits);
+  },
+};
+
+export default cRuntime;
@@ -0,0 +1,524 @@
+/**
+ * CString — Funciones de cadenas C (string.h / stdlib.h / stdio.h) del core ESP8266
+ *
+ * Rol: Implementa strlen, strcmp, strcpy, strcat, atoi, itoa, dtostrf,
+ * sprintf…
+ * sobre los arrays de char del sketch (Uint8Array terminados en nulo)
+ * y sobre los literales de cadena (const char*, que en el código
+ * generado son strings de JavaScript). memset, memcpy y memcmp
+ * trabajan byte a byte sobre la memoria de cualquier array numérico
+ * (int, float…, también de varias dimensiones).
+ *
+ * Un desbordamiento del buffer destino es comportamiento indefinido
+ * en C: aquí la copia se trunca y se avisa por el Serial Monitor con
+ * la línea del sketch (una vez por línea y función hasta reset()).
+ *
+ * También exporta el formateo de números que comparten String,
+ * itoa() y dtostrf() y el de printf (formatPrintf), que usan sprintf,
+ * snprintf y Serial.printf, para reproducir el texto exacto del core.
+ */
+
+import eventBus from "./eventBus.js";
+
+const DIGITS = "0123456789abcdef";
+
+// ── Formateo de números ────────────────────────────────────────────
+
+/**
+ * Texto de un entero en una base, como itoa()/ltoa()/utoa() del core
+ * ESP8266: los negativos se escriben como signo + valor absoluto en
+ * cualquier base.
+ * @param {number} value
+ * @param {number} [base]  2..16
+ * @returns {string}
+ */
+export function formatInteger(value, base = 10) {
+  if (base < 2 || base > 16) return "";
+  let quotient = Math.abs(Math.trunc(value));
+  let text = "";
+  do {
+    text = DIGITS[quotient % base] + text;
+    quotient = Math.floor(quotient / base);
+  } while (quotient > 0);
+  return value < 0 ? `-${text}` : text;
+}
+
+/**
+ * Texto de un número con decimales fijos, como dtostrf().
+ * @param {number} value
+ * @param {number} [digits]  Decimales
+ * @param {number} [width]   Ancho mínimo (relleno con espacios a la izquierda)
+ * @returns {string}
+ */
+export function formatFloat(value, digits = 2, width = 0) {
+  let text;
+  if (Number.isNaN(value)) text = "nan";
+  else if (!Number.isFinite(value)) text = value < 0 ? "-inf" : "inf";
+  else text = value.toFixed(Math.max(0, Math.min(digits, 20)));
+  return text.padStart(width, " ");
+}
+
+// ── Acceso a cadenas C ─────────────────────────────────────────────
+
+/**
+ * Texto de una cadena C: un array de char hasta el nulo o un string JS.
+ * @param {Uint8Array|string|null} value
+ * @returns {string}
+ */
+export function textOf(value) {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  if (ArrayBuffer.isView(value)) {
+    let text = "";
+    for (let i = 0; i < value.length && value[i] !== 0; i++) {
+      text += String.fromCharCode(value[i]);
+    }
+    return text;
+  }
+  return String(value);
+}
+
+/**
+ * Memoria de un array del sketch como vistas de bytes: un typed array
+ * o, en los de varias dimensiones, un Array de filas.
+ * @param {string} fn  Nombre de la función C (para el error)
+ * @param {*} value
+ * @returns {Uint8Array[]}
+ */
+function byteViews(fn, value) {
+  if (ArrayBuffer.isView(value)) return [new Uint8Array(value.buffer, value.byteOffset, value.byteLength)];
+  if (Array.isArray(value) && value.every((row) => ArrayBuffer.isView(row) || Array.isArray(row))) {
+    return value.flatMap((row) => byteViews(fn, row));
+  }
+  throw new Error(`${fn}(): el argumento debe ser un array de tipo numérico`);
+}
+
+/**
+ * Prefijo numérico de una cadena como lo interpreta strtol/strtod:
+ * espacios iniciales, signo y dígitos; lo demás se ignora.
+ */
+const INTEGER_PREFIX = /^\s*([+-]?\d+)/;
+const FLOAT_PREFIX = /^\s*([+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/;
+
+// ── printf ─────────────────────────────────────────────────────────
+
+/** %[flags][ancho][.precisión][longitud]conversión */
+const PRINTF_SPEC = /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|L|z|j|t)?([diouxXeEfFgGcs%])/g;
+
+/**
+ * Entero de un argumento de printf con el ancho del modificador de
+ * longitud (int y long son de 32 bits en el ESP8266).
+ * @param {*} value
+ * @param {string} length   "hh" | "h" | "ll" | …
+ * @param {boolean} signed
+ * @returns {bigint}
+ */
+function printfInteger(value, length, signed) {
+  const number = Math.trunc(Number(value)) || 0;
+  const bits = { hh: 8, h: 16, ll: 64 }[length] || 32;
+  const big = BigInt(number);
+  return signed ? BigInt.asIntN(bits, big) : BigInt.asUintN(bits, big);
+}
+
+/**
+ * Redondeo de printf en los empates exactos: value · 10^decimals
+ * termina exactamente en ,5 y C redondea al par, mientras que
+ * toFixed()/toExponential() redondean hacia arriba (2.5 → "2").
+ * @param {number} value     Valor absoluto y finito
+ * @param {number} decimals  Potencia de 10 (puede ser negativa)
+ * @returns {bigint|null} El entero redondeado al par, o null si no hay empate
+ */
+function roundHalfEven(value, decimals) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  const high = view.getUint32(0);
+  const biased = (high >>> 20) & 0x7ff;
+  let mantissa = (BigInt(high & 0xfffff) << 32n) | BigInt(view.getUint32(4));
+  if (biased) mantissa |= 1n << 52n;
+  // value · 10^decimals · 2 = mantissa · 2^(exponent + 1) · 10^decimals
+  const exponent = (biased || 1) - 1075 + 1;
+  const numerator = mantissa * (exponent > 0 ? 1n << BigInt(exponent) : 1n) * 10n ** BigInt(Math.max(decimals, 0));
+  const denominator = (exponent < 0 ? 1n << BigInt(-exponent) : 1n) * 10n ** BigInt(Math.max(-decimals, 0));
+  if (numerator % denominator !== 0n || (numerator / denominator) % 2n === 0n) return null;
+  const floor = numerator / denominator / 2n;
+  return floor % 2n === 0n ? floor : floor + 1n;
+}
+
+/**
+ * Dígitos de un número en notación exponencial de C ("1.500000e+01").
+ * @param {number} value      Valor absoluto y finito
+ * @param {number} precision  Decimales de la mantisa
+ * @returns {string}
+ */
+function exponential(value, precision) {
+  const text = value.toExponential(Math.min(precision, 100));
+  let mantissa = text.slice(0, text.indexOf("e"));
+  let exponent = Number(text.slice(text.indexOf("e") + 1));
+  const tie = value === 0 ? null : roundHalfEven(value, precision - exponent);
+  if (tie !== null) {
+    let digits = tie.toString();
+    if (digits.length > precision + 1) {
+      digits = digits.slice(0, -1);
+      exponent++;
+    }
+    mantissa = precision > 0 ? `${digits[0]}.${digits.slice(1)}` : digits;
+  }
+  return `${mantissa}e${exponent < 0 ? "-" : "+"}${String(Math.abs(exponent)).padStart(2, "0")}`;
+}
+
+/**
+ * Dígitos de un número con decimales fijos (toFixed pasa a notación
+ * exponencial a partir de 1e21).
+ */
+function fixed(value, precision) {
+  if (value >= 1e21) return BigInt(value).toString() + (precision > 0 ? `.${"0".repeat(precision)}` : "");
+  const tie = roundHalfEven(value, precision);
+  if (tie === null) return value.toFixed(Math.min(precision, 100));
+  const digits = tie.toString().padStart(precision + 1, "0");
+  return precision > 0 ? `${digits.slice(0, -precision)}.${digits.slice(-precision)}` : digits;
+}
+
+/** Quita los ceros finales de la parte decimal (%g sin "#") */
+function stripZeros(text) {
+  return text.replace(/(\.\d*?)0+(?=$|e)/, "$1").replace(/\.(?=$|e)/, "");
+}
+
+/**
+ * Texto de una conversión de coma flotante (%f %e %g).
+ * @returns {{prefix: string, body: string, finite: boolean}}
+ */
+function printfFloat(value, conversion, flags, precision) {
+  const number = Number(value) || 0;
+  const negative = number < 0 || Object.is(number, -0);
+  const sign = negative ? "-" : flags.includes("+") ? "+" : flags.includes(" ") ? " " : "";
+  const upper = conversion === conversion.toUpperCase();
+  const abs = Math.abs(number);
+  if (!Number.isFinite(abs)) {
+    const text = Number.isNaN(abs) ? "nan" : "inf";
+    return { prefix: sign, body: upper ? text.toUpperCase() : text, finite: false };
+  }
+
+  const p = precision ?? 6;
+  const alternate = flags.includes("#");
+  let body;
+  switch (conversion.toLowerCase()) {
+    case "f":
+      body = fixed(abs, p);
+      break;
+    case "e":
+      body = exponential(abs, p);
+      break;
+    default: {
+      // %g: %e si el exponente es < -4 o >= precisión; si no, %f
+      const significant = p === 0 ? 1 : p;
+      const exponent = abs === 0 ? 0 : Number(exponential(abs, significant - 1).split("e")[1]);
+      body = exponent >= -4 && exponent < significant
+        ? fixed(abs, significant - 1 - exponent)
+        : exponential(abs, significant - 1);
+      if (!alternate) body = stripZeros(body);
+    }
+  }
+  if (alternate && !body.includes(".")) body = body.replace(/(?=e|$)/, ".");
+  return { prefix: sign, body: upper ? body.toUpperCase() : body, finite: true };
+}
+
+/**
+ * Texto de una conversión entera (%d %i %u %o %x %X).
+ * @returns {{prefix: string, body: string}}
+ */
+function printfNumber(value, conversion, flags, precision, length) {
+  const signed = conversion === "d" || conversion === "i";
+  const number = printfInteger(value, length, signed);
+  const base = { o: 8, x: 16, X: 16 }[conversion] || 10;
+  const negative = number < 0n;
+  let body = (negative ? -number : number).toString(base);
+  if (precision !== undefined) body = precision === 0 && number === 0n ? "" : body.padStart(precision, "0");
+
+  let prefix = "";
+  if (signed) prefix = negative ? "-" : flags.includes("+") ? "+" : flags.includes(" ") ? " " : "";
+  if (flags.includes("#")) {
+    if (conversion === "o" && !body.startsWith("0")) body = `0${body}`;
+    if (base === 16 && number !== 0n) prefix = "0x";
+  }
+  if (conversion === "X") return { prefix: prefix.toUpperCase(), body: body.toUpperCase() };
+  return { prefix, body };
+}
+
+/**
+ * Rellena una conversión hasta el ancho mínimo: espacios a la
+ * izquierda, a la derecha con "-" o ceros tras el signo con "0".
+ */
+function pad({ prefix, body }, width, flags, zeros) {
+  const text = prefix + body;
+  if (text.length >= width) return text;
+  if (flags.includes("-")) return text.padEnd(width, " ");
+  if (zeros && flags.includes("0")) return prefix + body.padStart(width - prefix.length, "0");
+  return text.padStart(width, " ");
+}
+
+/**
+ * Formatea como printf() de newlib: flags (- + espacio # 0), ancho y
+ * precisión (también con *), modificadores de longitud (hh h l ll) y
+ * las conversiones d i u o x X e E f F g G c s %. Las especificaciones
+ * no reconocidas se copian tal cual.
+ * @param {Uint8Array|string} format
+ * @param {Array} args  Argumentos ya evaluados (char como número)
+ * @returns {string}
+ */
+export function formatPrintf(format, args) {
+  let next = 0;
+  const argument = () => args[next++];
+
+  return textOf(format).replace(PRINTF_SPEC, (spec, flags, width, precision, length, conversion) => {
+    if (conversion === "%") return "%";
+
+    let minWidth = 0;
+    if (width === "*") {
+      minWidth = Number(argument()) | 0;
+      if (minWidth < 0) {
+        flags += "-";
+        minWidth = -minWidth;
+      }
+    } else if (width) {
+      minWidth = Number(width);
+    }
+
+    let digits;
+    if (precision === "*") {
+      digits = Number(argument()) | 0;
+      if (digits < 0) digits = undefined;
+    } else if (precision !== undefined) {
+      digits = Number(precision);
+    }
+
+    const value = argument();
+    switch (conversion) {
+      case "c": {
+        const char = typeof value === "string" ? value.charAt(0) : String.fromCharCode(Number(value) & 0xff);
+        return pad({ prefix: "", body: char }, minWidth, flags, false);
+      }
+      case "s": {
+        const text = value == null ? "(null)" : textOf(value);
+        return pad({ prefix: "", body: digits === undefined ? text : text.slice(0, digits) }, minWidth, flags, false);
+      }
+      case "d": case "i": case "u": case "o": case "x": case "X":
+        // Con precisión se ignora el flag "0"
+        return pad(printfNumber(value, conversion, flags, digits, length), minWidth, flags, digits === undefined);
+      default: {
+        const result = printfFloat(value, conversion, flags, digits);
+        return pad(result, minWidth, flags, result.finite);
+      }
+    }
+  });
+}
+
+class CStringLibrary {
+  constructor() {
+    /** Función que devuelve la posición actual del sketch */
+    this._locator = null;
+    /** Avisos ya emitidos ("función:línea") */
+    this._warned = new Set();
+  }
+
+  /**
+   * @param {Function|null} locator  () => {line, column}|null
+   */
+  setLocator(locator) {
+    this._locator = locator;
+  }
+
+  /** Olvida los avisos emitidos (al iniciar una simulación) */
+  reset() {
+    this._warned.clear();
+  }
+
+  _warn(fn, message) {
+    const location = this._locator ? this._locator() : null;
+    const key = `${fn}:${location?.line}`;
+    if (this._warned.has(key)) return;
+    this._warned.add(key);
+    eventBus.emit("serial-log", {
+      message: location ? `⚠ ${message} (línea ${location.line})` : `⚠ ${message}`,
+      type: "warn",
+      location,
+    });
+  }
+
+  /**
+   * Escribe un texto terminado en nulo en un array de char.
+   * @param {string} fn  Nombre de la función C (para el aviso)
+   * @param {Uint8Array} dest
+   * @param {string} text
+   * @param {number} [offset]
+   * @returns {Uint8Array} dest
+   */
+  _write(fn, dest, text, offset = 0) {
+    if (!ArrayBuffer.isView(dest)) {
+      throw new Error(`${fn}(): el destino debe ser un array de char`);
+    }
+    const needed = offset + text.length + 1;
+    if (needed > dest.length) {
+      this._warn(fn, `${fn}() desborda el buffer: necesita ${needed} bytes y tiene ${dest.length}`);
+    }
+    for (let i = 0; i < text.length && offset + i < dest.length - 1; i++) {
+      dest[offset + i] = text.charCodeAt(i) & 0xff;
+    }
+    dest[Math.min(offset + text.length, dest.length - 1)] = 0;
+    return dest;
+  }
+
+  /**
+   * Los n primeros bytes de un array como pares [vista, índice]; avisa
+   * si n supera su tamaño.
+   * @returns {Array<[Uint8Array, number]>}
+   */
+  _bytes(fn, array, n) {
+    const slots = byteViews(fn, array).flatMap((view) => Array.from(view, (_, i) => [view, i]));
+    if (n > slots.length) {
+      this._warn(fn, `${fn}() desborda el buffer: necesita ${n} bytes y tiene ${slots.length}`);
+    }
+    return slots.slice(0, Math.max(0, n));
+  }
+
+  /** Valores de los n primeros bytes de un array o de un literal (con su nulo) */
+  _readBytes(fn, source, n) {
+    if (typeof source !== "string") return this._bytes(fn, source, n).map(([view, i]) => view[i]);
+    const bytes = Array.from(`${source}\0`, (c) => c.charCodeAt(0) & 0xff);
+    if (n > bytes.length) {
+      this._warn(fn, `${fn}() lee fuera de la cadena: necesita ${n} bytes y tiene ${bytes.length}`);
+    }
+    return bytes.slice(0, Math.max(0, n));
+  }
+
+  // ── string.h ─────────────────────────────────────────────────────
+
+  strlen(s) {
+    return textOf(s).length;
+  }
+
+  strcmp(a, b) {
+    return this.strncmp(a, b, Infinity);
+  }
+
+  strncmp(a, b, n) {
+    const x = textOf(a);
+    const y = textOf(b);
+    for (let i = 0; i < n; i++) {
+      const cx = i < x.length ? x.charCodeAt(i) & 0xff : 0;
+      const cy = i < y.length ? y.charCodeAt(i) & 0xff : 0;
+      if (cx !== cy || cx === 0) return cx - cy;
+    }
+    return 0;
+  }
+
+  strcpy(dest, src) {
+    return this._write("strcpy", dest, textOf(src));
+  }
+
+  strncpy(dest, src, n) {
+    // strncpy no añade el nulo si src ocupa los n bytes
+    const text = textOf(src).slice(0, n);
+    for (let i = 0; i < n && i < dest.length; i++) {
+      dest[i] = i < text.length ? text.charCodeAt(i) & 0xff : 0;
+    }
+    if (n > dest.length) this._warn("strncpy", `strncpy() desborda el buffer: n=${n} y tiene ${dest.length}`);
+    return dest;
+  }
+
+  strcat(dest, src) {
+    return this._write("strcat", dest, textOf(src), this.strlen(dest));
+  }
+
+  memset(dest, value, n) {
+    this._bytes("memset", dest, n).forEach(([view, i]) => {
+      view[i] = value & 0xff;
+    });
+    return dest;
+  }
+
+  /** Lee el origen antes de escribir: los solapes se copian como memmove() */
+  memcpy(dest, src, n) {
+    const bytes = this._readBytes("memcpy", src, n);
+    this._bytes("memcpy", dest, bytes.length).forEach(([view, i], k) => {
+      view[i] = bytes[k];
+    });
+    return dest;
+  }
+
+  memcmp(a, b, n) {
+    const x = this._readBytes("memcmp", a, n);
+    const y = this._readBytes("memcmp", b, n);
+    for (let i = 0; i < n; i++) {
+      const bx = x[i] ?? 0;
+      const by = y[i] ?? 0;
+      if (bx !== by) return bx - by;
+    }
+    return 0;
+  }
+
+  // ── stdio.h ──────────────────────────────────────────────────────
+
+  /**
+   * sprintf(): escribe el texto formateado en el array.
+   * @returns {number} Caracteres escritos (sin el nulo)
+   */
+  sprintf(dest, format, ...args) {
+    const text = formatPrintf(format, args);
+    this._write("sprintf", dest, text);
+    return text.length;
+  }
+
+  /**
+   * snprintf(): escribe como máximo size - 1 caracteres más el nulo.
+   * @returns {number} Longitud del texto completo, aunque se haya truncado
+   */
+  snprintf(dest, size, format, ...args) {
+    const text = formatPrintf(format, args);
+    if (size > 0) this._write("snprintf", dest, text.slice(0, size - 1));
+    return text.length;
+  }
+
+  // ── stdlib.h ─────────────────────────────────────────────────────
+
+  atoi(s) {
+    return this.atol(s) | 0;
+  }
+
+  atol(s) {
+    const match = INTEGER_PREFIX.exec(textOf(s));
+    return match ? parseInt(match[1], 10) | 0 : 0;
+  }
+
+  atof(s) {
+    const match = FLOAT_PREFIX.exec(textOf(s));
+    return match ? parseFloat(match[1]) : 0;
+  }
+
+  itoa(value, dest, base = 10) {
+    return this._write("itoa", dest, formatInteger(value | 0, base));
+  }
+
+  ltoa(value, dest, base = 10) {
+    return this._write("ltoa", dest, formatInteger(value | 0, base));
+  }
+
+  utoa(value, dest, base = 10) {
+    return this._write("utoa", dest, formatInteger(value >>> 0, base));
+  }
+
+  dtostrf(value, width, precision, dest) {
+    return this._write("dtostrf", dest, formatFloat(value, precision, width));
+  }
+
+  /**
+   * Texto de una cadena C (para imprimirla o pasarla a String).
+   * @param {Uint8Array|string} s
+   * @returns {string}
+   */
+  text(s) {
+    return textOf(s);
+  }
+}
+
+const cString = new CStringLibrary();
+export default cString;
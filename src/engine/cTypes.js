@@ -0,0 +1,286 @@
+/**
+ * CTypes — Modelo de tipos C/C++ del ESP8266 (ABI xtensa-lx106)
+ *
+ * Rol: Describe los tipos declarados en el sketch para que el codegen
+ * pueda reproducir la semántica de C: ancho y signo de los enteros,
+ * promoción entera, conversiones aritméticas usuales, división
+ * entera y desbordamiento con wraparound.
+ *
+ * Anchos en el ESP8266:
+ *   char (sin signo), bool, byte, int8_t, uint8_t   → 8 bits
+ *   short, int16_t, uint16_t                        → 16 bits
+ *   int, long, word, size_t, int32_t, uint32_t      → 32 bits
+ *   long long, int64_t, uint64_t                    → 64 bits
+ *   float → 32 bits IEEE-754, double → 64 bits
+ *
+ * Descriptor de tipo:
+ *   { kind: "int", bits, signed, name, isChar? }
+ *   { kind: "float", bits: 32|64, name }
+ *   { kind: "bool" } | { kind: "void" } | { kind: "string" }
+ *   { kind: "pointer", to, name }
+ *   { kind: "array", of, length, name }   (length null si se desconoce)
+ *   { kind: "struct", name, fields: [{name, type}], info }
+ *   { kind: "library", name, info }        (clase de librería: Ticker)
+ *   Los enum son enteros con isEnum y values (nombre → valor).
+ *   { kind: "unknown" }
+ */
+
+// ── Tipos básicos ──────────────────────────────────────────────────
+
+const int = (name, bits, signed, extra = {}) => ({ kind: "int", bits, signed, name, ...extra });
+
+export const CTYPES = {
+  bool: { kind: "bool", name: "bool" },
+  char: int("char", 8, false, { isChar: true }),
+  "signed char": int("signed char", 8, true),
+  "unsigned char": int("unsigned char", 8, false),
+  short: int("short", 16, true),
+  "unsigned short": int("unsigned short", 16, false),
+  int: int("int", 32, true),
+  "unsigned int": int("unsigned int", 32, false),
+  long: int("long", 32, true),
+  "unsigned long": int("unsigned long", 32, false),
+  "long long": int("long long", 64, true),
+  "unsigned long long": int("unsigned long long", 64, false),
+  float: { kind: "float", bits: 32, name: "float" },
+  double: { kind: "float", bits: 64, name: "double" },
+  void: { kind: "void", name: "void" },
+  String: { kind: "string", name: "String" },
+  unknown: { kind: "unknown", name: "?" },
+};
+
+/** typedefs del core Arduino/ESP8266 */
+const ALIASES = {
+  boolean: "bool",
+  byte: "unsigned char",
+  word: "unsigned int",
+  size_t: "unsigned int",
+  int8_t: "signed char",
+  uint8_t: "unsigned char",
+  int16_t: "short",
+  uint16_t: "unsigned short",
+  int32_t: "int",
+  uint32_t: "unsigned int",
+  int64_t: "long long",
+  uint64_t: "unsigned long long",
+};
+
+export const BOOL = CTYPES.bool;
+export const CHAR = CTYPES.char;
+export const INT = CTYPES.int;
+export const UINT = CTYPES["unsigned int"];
+export const LONG_LONG = CTYPES["long long"];
+export const FLOAT = CTYPES.float;
+export const DOUBLE = CTYPES.double;
+export const VOID = CTYPES.void;
+export const STRING = CTYPES.String;
+export const UNKNOWN = CTYPES.unknown;
+export const CONST_CHAR_PTR = { kind: "pointer", to: CHAR, name: "const char*" };
+
+// ── Construcción ───────────────────────────────────────────────────
+
+/**
+ * Tipo base a partir de su nombre canónico (ver cppParser).
+ * @param {string} name
+ * @returns {object}
+ */
+export function typeFromName(name) {
+  // Retornos de la API como "char*" o "const char*"
+  if (name.endsWith("*")) {
+    if (name === "const char*") return CONST_CHAR_PTR;
+    return pointerTo(typeFromName(name.slice(0, -1).trim()));
+  }
+  const canonical = ALIASES[name] || name;
+  const base = CTYPES[canonical];
+  if (!base) return UNKNOWN;
+  // Conservar el nombre del typedef para mensajes (byte, uint8_t…)
+  return canonical === name ? base : { ...base, name };
+}
+
+/**
+ * Tipo de una especificación del parser ({ base, pointer, … }).
+ * Las dimensiones de array las resuelve el codegen (son expresiones).
+ * @param {{base: string, pointer: number}} spec
+ * @returns {object}
+ */
+export function typeFromSpec(spec) {
+  let type = typeFromName(spec.base);
+  for (let i = 0; i < (spec.pointer || 0); i++) {
+    type = pointerTo(type);
+  }
+  return type;
+}
+
+/**
+ * Tipo puntero a otro tipo.
+ * @param {object} to
+ */
+export function pointerTo(to) {
+  return { kind: "pointer", to, name: `${to.name}*` };
+}
+
+/**
+ * Tipo array de elementos de otro tipo.
+ * @param {object} of      Tipo del elemento (puede ser otro array)
+ * @param {number|null} length
+ */
+export function arrayOf(of, length) {
+  return { kind: "array", of, length, name: `${of.name}[${length ?? ""}]` };
+}
+
+/**
+ * Constructor de typed array que almacena un tipo escalar, o null si
+ * el elemento no es numérico (String, punteros…) y requiere un Array.
+ * Los enteros de 64 bits usan Float64Array (se convierten al escribir).
+ * @param {object} t
+ * @returns {string|null}
+ */
+export function typedArrayName(t) {
+  if (t.kind === "bool") return "Uint8Array";
+  if (t.kind === "float") return t.bits === 32 ? "Float32Array" : "Float64Array";
+  if (t.kind !== "int") return null;
+  if (t.bits === 64) return "Float64Array";
+  return `${t.signed ? "Int" : "Uint"}${t.bits}Array`;
+}
+
+// ── Clasificación ──────────────────────────────────────────────────
+
+export const isInteger = (t) => t.kind === "int";
+export const isFloating = (t) => t.kind === "float";
+/** Aritmético en sentido amplio: enteros, flotantes y bool */
+export const isArithmetic = (t) => t.kind === "int" || t.kind === "float" || t.kind === "bool";
+
+/**
+ * ¿Todo valor de "from" es representable en "to" sin conversión?
+ * @param {object} from  Tipo entero
+ * @param {object} to    Tipo entero
+ */
+export function fitsIn(from, to) {
+  if (!isInteger(from) || !isInteger(to)) return false;
+  if (from.bits === to.bits) return from.signed === to.signed;
+  return to.bits > from.bits && (to.signed || !from.signed);
+}
+
+// ── Reglas de conversión de C ──────────────────────────────────────
+
+/**
+ * Promoción entera: tipos menores que int (y bool) pasan a int.
+ * @param {object} t
+ * @returns {object}
+ */
+export function promote(t) {
+  if (t.kind === "bool") return INT;
+  if (isInteger(t) && t.bits < 32) return INT;
+  return t;
+}
+
+/**
+ * Conversiones aritméticas usuales entre dos operandos.
+ * @param {object} a
+ * @param {object} b
+ * @returns {object|null} null si algún operando no es aritmético
+ */
+export function usualArithmeticConversion(a, b) {
+  if (!isArithmetic(a) || !isArithmetic(b)) return null;
+  if (isFloating(a) || isFloating(b)) {
+    const isDouble = (t) => isFloating(t) && t.bits === 64;
+    return isDouble(a) || isDouble(b) ? DOUBLE : FLOAT;
+  }
+
+  const pa = promote(a);
+  const pb = promote(b);
+  if (pa.bits === pb.bits) {
+    if (!pa.signed || !pb.signed) return unsignedOf(pa);
+    return canonicalInt(pa);
+  }
+  // El operando más ancho manda: si es con signo puede representar
+  // todos los valores del más estrecho.
+  return pa.bits > pb.bits ? canonicalInt(pa) : canonicalInt(pb);
+}
+
+function unsignedOf(t) {
+  return t.bits === 64 ? CTYPES["unsigned long long"] : UINT;
+}
+
+function canonicalInt(t) {
+  if (t.bits === 64) return t.signed ? LONG_LONG : CTYPES["unsigned long long"];
+  return t.signed ? INT : UINT;
+}
+
+// ── Tamaños ────────────────────────────────────────────────────────
+
+/**
+ * sizeof() de un tipo en el ESP8266.
+ * @param {object} t
+ * @returns {number}
+ */
+export function sizeOf(t) {
+  switch (t.kind) {
+    case "bool": return 1;
+    case "int": return t.bits / 8;
+    case "float": return t.bits / 8;
+    case "pointer": return 4;
+    case "array": return t.length === null ? 4 : t.length * sizeOf(t.of);
+    case "struct": {
+      // Cada campo se alinea a su tamaño natural (máx. 4 bytes en xtensa)
+      let size = 0;
+      t.fields.forEach((field) => {
+        const align = alignOf(field.type);
+        size = Math.ceil(size / align) * align + sizeOf(field.type);
+      });
+      const align = alignOf(t);
+      return Math.ceil(size / align) * align || 1;
+    }
+    case "string": return 12;
+    default: return 4;
+  }
+}
+
+/**
+ * Alineación de un tipo en memoria.
+ * @param {object} t
+ * @returns {number}
+ */
+function alignOf(t) {
+  if (t.kind === "array") return alignOf(t.of);
+  if (t.kind === "struct") return Math.max(1, ...t.fields.map((f) => alignOf(f.type)));
+  return Math.min(sizeOf(t), 4);
+}
+
+// ── Literales ──────────────────────────────────────────────────────
+
+/**
+ * Tipo de un literal numérico según su valor, base y sufijos (C11 6.4.4.1).
+ * @param {{value: number, isFloat: boolean, float: boolean, unsigned: boolean, long: number, radix: number}} literal
+ * @returns {object}
+ */
+export function literalType(literal) {
+  if (literal.isFloat) return literal.float ? FLOAT : DOUBLE;
+
+  const value = literal.value;
+  const decimal = literal.radix === 10;
+
+  if (literal.long >= 2 || value > 0xffffffff) {
+    return literal.unsigned ? CTYPES["unsigned long long"] : LONG_LONG;
+  }
+  if (literal.unsigned) {
+    return literal.long ? CTYPES["unsigned long"] : UINT;
+  }
+  if (value <= 0x7fffffff) return literal.long ? CTYPES.long : INT;
+  // Decimales sin sufijo que no caben en int pasan a long long;
+  // hex/octal/binario pasan a unsigned int.
+  return decimal ? LONG_LONG : (literal.long ? CTYPES["unsigned long"] : UINT);
+}
+
+export default {
+  CTYPES,
+  typeFromName,
+  typeFromSpec,
+  pointerTo,
+  arrayOf,
+  typedArrayName,
+  promote,
+  usualArithmeticConversion,
+  sizeOf,
+  literalType,
+};
@@ -0,0 +1,1931 @@
+/**
+ * Codegen — Generador de JavaScript a partir del AST de Arduino
+ *
+ * Rol: Recorre el AST producido por cppParser y emite código
+ * JavaScript equivalente, listo para compileFunctions(). Todas las
+ * transformaciones son conscientes del ámbito:
+ *
+ *   - Los identificadores se resuelven primero contra las
+ *     declaraciones del usuario (locales → parámetros → globales) y
+ *     sólo después contra la API Arduino (builtins.js).
+ *   - Los literales de cadena se emiten tal cual; nunca se reescribe
+ *     su contenido. Los de carácter son valores char numéricos.
+ *   - Cada expresión lleva su tipo C (cTypes.js): la aritmética entera
+ *     trunca al ancho del tipo, la división es entera, float redondea
+ *     a 32 bits y las asignaciones convierten al tipo declarado.
+ *   - Las funciones que pueden bloquear (delay directo o a través de
+ *     otras funciones) se emiten como async y sus llamadas con await.
+ *   - struct/class se emiten como clases JS con semántica de valor
+ *     (asignar o pasar por valor copia con __c.clone); los enum son
+ *     constantes enteras.
+ *   - Las referencias a objetos (struct, String, arrays) comparten el
+ *     objeto y asignarles copia en él; las referencias no const a valores primitivos (int&,
+ *     float&…) son celdas (__c.ref, __c.refAt) y se leen y escriben
+ *     a través de .value.
+ *   - Las funciones de la API se llaman con los argumentos convertidos
+ *     a sus tipos (map, random…) o, en min/max/abs, al tipo común.
+ *   - String es un objeto ArduinoString ("__String"); +, ==, < y +=
+ *     se traducen a sus métodos. Los literales (const char*) son
+ *     strings de JS y los arrays de char, Uint8Array.
+ *   - Las variables locales static se elevan a variables de módulo
+ *     con nombre único para conservar su valor entre llamadas.
+ *   - Cada iteración de un bucle llama a __wdt(): cuenta tiempo de CPU
+ *     y permite al watchdog abortar un bucle que nunca cede.
+ *
+ * Cada sentencia se emite en su propia línea y se registra su
+ * posición original en un SourceMap (ver sourceMap.js).
+ *
+ * En modo depuración ({ debug: true }) cada sentencia va precedida de
+ * un checkpoint que el depurador puede esperar (ver debugger.js) y
+ * cada función registra su marco con __dbg.enter()/exit(). Para poder
+ * esperar, las funciones pasan a ser async salvo las que deben seguir
+ * siendo síncronas (ver _markDebuggableFunctions).
+ */
+
+import { lookupBuiltin, STRING_METHODS, ARDUINO_CLASSES } from "./builtins.js";
+import { syntaxError } from "./lexer.js";
+import { walkAst } from "./cppParser.js";
+import { SourceMap } from "./sourceMap.js";
+import {
+  typeFromName, pointerTo, arrayOf, typedArrayName, literalType, sizeOf, promote, usualArithmeticConversion,
+  isInteger, isFloating, isArithmetic, fitsIn,
+  BOOL, CHAR, INT, UINT, FLOAT, STRING, VOID, UNKNOWN, CONST_CHAR_PTR,
+} from "./cTypes.js";
+
+// ── Identificadores que no pueden usarse tal cual en JS ────────────
+
+const JS_RESERVED = new Set([
+  "await", "arguments", "async", "class", "debugger", "delete", "eval",
+  "export", "extends", "function", "import", "in", "instanceof", "let",
+  "new", "super", "this", "typeof", "var", "with", "yield", "undefined",
+  "NaN", "Infinity", "of", "static", "implements", "interface", "package",
+  "private", "protected", "public", "enum", "const", "null", "true", "false",
+]);
+
+/**
+ * Nombre JS seguro para un identificador de usuario.
+ * @param {string} name
+ * @returns {string}
+ */
+function mangle(name) {
+  if (JS_RESERVED.has(name) || name.startsWith("__")) return `$${name}`;
+  return name;
+}
+
+/** Tipos que JS ya comparte por referencia: una referencia C++ es el propio objeto */
+const OBJECT_KINDS = new Set(["struct", "string", "array", "library"]);
+
+// ── Ámbitos ────────────────────────────────────────────────────────
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    /** @type {Map<string, object>} */
+    this.symbols = new Map();
+  }
+
+  declare(name, symbol) {
+    this.symbols.set(name, symbol);
+    return symbol;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.symbols.has(name)) return scope.symbols.get(name);
+    }
+    return null;
+  }
+}
+
+// ── Generador ──────────────────────────────────────────────────────
+
+/**
+ * Llamadas a funciones dentro de un nodo: { name } para f() y
+ * { member } para x.f().
+ * @param {object} node
+ * @returns {Array<{name?: string, member?: string}>}
+ */
+function callsIn(node) {
+  const calls = [];
+  walkAst(node, (child) => {
+    if (child.kind !== "Call") return;
+    if (child.callee.kind === "Identifier") calls.push({ name: child.callee.name });
+    if (child.callee.kind === "Member") calls.push({ member: child.callee.property });
+  });
+  return calls;
+}
+
+class CodeGenerator {
+  /**
+   * @param {{debug?: boolean}} [options]
+   */
+  constructor({ debug = false } = {}) {
+    /** Modo depuración: checkpoints por sentencia */
+    this._debug = debug;
+    /** Checkpoints emitidos (el índice es su id): { loc, locals } */
+    this._checkpoints = [];
+    /** Ámbito de los parámetros de la función en curso */
+    this._functionScope = null;
+    /** Líneas emitidas: { text, loc, fn } */
+    this._lines = [];
+    this._indent = 0;
+    this._scope = new Scope();
+    /** Función que se está generando (para await y static) */
+    this._function = null;
+    /** Su firma, "foo(int, char*)", para el decodificador de excepciones */
+    this._signature = null;
+    /** Declaraciones elevadas (static locales) */
+    this._hoisted = [];
+    /** Tipos del usuario: struct/class, enum y typedef (nombre → tipo C) */
+    this._types = new Map();
+    // Las clases de librería (Ticker) se declaran igual que las del usuario
+    Object.entries(ARDUINO_CLASSES).forEach(([name, info]) => {
+      this._types.set(name, { kind: "library", name, info });
+    });
+    /** Clases declaradas (nombre → info, ver _registerClass) */
+    this._classes = new Map();
+    /** Clase cuyos métodos se están generando */
+    this._class = null;
+  }
+
+  generate(ast) {
+    // 1. Registrar los tipos del usuario para poder resolver firmas
+    ast.body.forEach((node) => {
+      if (node.kind === "ClassDecl") this._registerClass(node);
+      if (node.kind === "EnumDecl") this._registerEnum(node);
+      if (node.kind === "Typedef" && node.name !== node.type.base) {
+        this._types.set(node.name, { ...this._typeOf(node.type), name: node.name });
+      }
+    });
+
+    // 2. Declarar todas las funciones primero: Arduino genera
+    //    prototipos automáticamente, así que pueden usarse antes
+    //    de su definición. Un prototipo explícito sólo aporta sus
+    //    argumentos por defecto.
+    ast.body.forEach((node) => {
+      if (node.kind !== "FunctionDecl") return;
+      if (node.className) {
+        this._registerMethodDefinition(node);
+        return;
+      }
+      const existing = this._scope.symbols.get(node.name);
+      if (existing && existing.node.body && node.body) {
+        throw syntaxError(`La función ${node.name}() ya está definida`, node.loc);
+      }
+      if (!existing) {
+        this._scope.declare(node.name, {
+          kind: "function",
+          jsName: mangle(node.name),
+          returnType: this._typeOf(node.returnType),
+          async: false,
+          node,
+          prototypes: [],
+        });
+      } else if (node.body) {
+        existing.prototypes.push(existing.node);
+        existing.node = node;
+        existing.returnType = this._typeOf(node.returnType);
+      } else {
+        existing.prototypes.push(node);
+      }
+    });
+
+    this._markBlockingFunctions();
+    if (this._debug) this._markDebuggableFunctions(ast);
+
+    // 3. Emitir declaraciones en orden
+    ast.body.forEach((node) => this._topLevel(node));
+
+    const lines = [...this._hoisted, ...this._lines];
+    return {
+      js: lines.map((l) => l.text).join("\n"),
+      sourceMap: new SourceMap(lines.map((l) => l.loc || null), lines.map((l) => l.fn || null)),
+      checkpoints: this._checkpoints,
+    };
+  }
+
+  // ── Tipos del usuario ────────────────────────────────────────────
+
+  /**
+   * Registra un struct/class. Los campos se resuelven al emitir la
+   * clase (sus dimensiones pueden usar constantes declaradas antes);
+   * los métodos y constructores se registran ya para que las llamadas
+   * puedan resolverse y analizarse antes de su definición.
+   * @param {object} node  ClassDecl
+   */
+  _registerClass(node) {
+    const ctype = { kind: "struct", name: node.name, fields: [] };
+    const info = {
+      name: node.name,
+      jsName: mangle(node.name),
+      node,
+      ctype,
+      /** nombre → { name, jsName, ctype, access, isConst } (ver _classDecl) */
+      fields: new Map(),
+      /** nombre → símbolo de función */
+      methods: new Map(),
+      ctors: [],
+    };
+    ctype.info = info;
+    this._types.set(node.name, ctype);
+    this._classes.set(node.name, info);
+
+    node.methods.forEach((method) => {
+      if (method.isConstructor) {
+        info.ctors.push(this._methodSymbol(info, method));
+        return;
+      }
+      if (info.methods.has(method.name)) {
+        throw syntaxError(`Sobrecarga de métodos no soportada: ${node.name}::${method.name}()`, method.loc);
+      }
+      info.methods.set(method.name, this._methodSymbol(info, method));
+    });
+
+    // Con varios constructores, cada uno recibe su propio nombre
+    info.ctors.forEach((ctor, i) => {
+      ctor.initName = info.ctors.length === 1 ? "__init" : `__init${i}`;
+    });
+  }
+
+  _methodSymbol(info, node) {
+    const name = node.isConstructor ? "__init" : mangle(node.name);
+    return {
+      kind: "function",
+      jsName: `this.${name}`,
+      methodName: name,
+      staticName: `${info.jsName.replace(/\$/g, "")}_${node.isConstructor ? "ctor" : node.name}`,
+      returnType: node.isConstructor ? VOID : this._typeOf(node.returnType),
+      async: false,
+      node,
+      prototypes: [],
+      access: node.access || "public",
+      isConstructor: Boolean(node.isConstructor),
+      info,
+    };
+  }
+
+  /**
+   * Asocia una definición Clase::método(…) { … } a su declaración.
+   * @param {object} node  FunctionDecl con className
+   */
+  _registerMethodDefinition(node) {
+    const info = this._classes.get(node.className);
+    if (!info) throw syntaxError(`La clase ${node.className} no está declarada`, node.loc);
+
+    const symbol = node.isConstructor
+      ? info.ctors.find((c) => !c.node.body && c.node.params.length === node.params.length)
+      : info.methods.get(node.name);
+    if (!symbol) {
+      const what = node.isConstructor ? "Constructor" : `Método ${node.name}()`;
+      throw syntaxError(`${what} no declarado en la clase ${node.className}`, node.loc);
+    }
+    if (symbol.node.body) {
+      throw syntaxError(`${node.className}::${node.name}() ya está definido`, node.loc);
+    }
+    symbol.prototypes.push(symbol.node);
+    symbol.node = { ...node, access: symbol.access };
+    node.symbol = symbol;
+  }
+
+  /**
+   * Registra un enum como tipo entero. Los valores se calculan al
+   * emitirlo (pueden depender de constantes anteriores).
+   * @param {object} node  EnumDecl
+   */
+  _registerEnum(node) {
+    const base = node.baseType ? this._typeOf(node.baseType) : INT;
+    const ctype = { ...base, name: node.name, isEnum: true, values: new Map() };
+    this._types.set(node.name, ctype);
+  }
+
+  /**
+   * Marca como async toda función que puede bloquear: la que llama a
+   * un builtin async (delay…) o, transitivamente, a otra función del
+   * usuario que bloquea. Sus llamadas se esperan con await.
+   */
+  _markBlockingFunctions() {
+    const units = this._functionUnits();
+
+    // x.metodo(): el tipo de x aún no se conoce, así que basta con que
+    // algún método con ese nombre bloquee (un await de más es inocuo).
+    const blocks = (call, unit) => {
+      if (call.member) {
+        return [...this._classes.values()].some((info) => info.methods.get(call.member)?.async);
+      }
+      if (unit.info && unit.info.methods.has(call.name)) return unit.info.methods.get(call.name).async;
+      const symbol = this._scope.symbols.get(call.name);
+      if (symbol) return symbol.kind === "function" && symbol.async;
+      return Boolean(lookupBuiltin(call.name)?.async);
+    };
+
+    // Punto fijo: propagar "bloquea" por el grafo de llamadas
+    let changed = true;
+    while (changed) {
+      changed = false;
+      units.forEach((unit) => {
+        if (unit.symbol.async || !unit.symbol.node.body) return;
+        if (unit.calls.some((call) => blocks(call, unit))) {
+          unit.symbol.async = true;
+          changed = true;
+        }
+      });
+    }
+
+    // Un constructor de JS no puede esperar
+    this._classes.forEach((info) => {
+      const blocking = info.ctors.find((ctor) => ctor.async);
+      if (blocking) {
+        throw syntaxError(`El constructor de ${info.name} no puede llamar a funciones que bloquean (delay…)`, blocking.node.loc);
+      }
+    });
+  }
+
+  /**
+   * Funciones y métodos del usuario con las llamadas de su cuerpo.
+   * @returns {Array<{symbol: object, info: object|null, calls: Array}>}
+   */
+  _functionUnits() {
+    const units = [...this._scope.symbols.values()]
+      .filter((symbol) => symbol.kind === "function")
+      .map((symbol) => ({ symbol, info: null }));
+    this._classes.forEach((info) => {
+      [...info.ctors, ...info.methods.values()].forEach((symbol) => units.push({ symbol, info }));
+    });
+    units.forEach((unit) => {
+      unit.calls = callsIn(unit.symbol.node.body);
+    });
+    return units;
+  }
+
+  /**
+   * Modo depuración: marca como async toda función con cuerpo para que
+   * sus checkpoints puedan esperar. Siguen síncronas las que se llaman
+   * donde no cabe un await (constructores, inicializadores globales,
+   * de campos o static, argumentos por defecto), las funciones usadas
+   * como valor (callbacks) y, transitivamente, todo lo que llaman.
+   * @param {object} ast  Nodo Program
+   */
+  _markDebuggableFunctions(ast) {
+    const units = this._functionUnits();
+    const resolve = (call, info) => {
+      if (call.member) return units.filter((u) => u.info?.methods.get(call.member) === u.symbol);
+      const symbol = info?.methods.get(call.name) || this._scope.symbols.get(call.name);
+      return units.filter((u) => u.symbol === symbol);
+    };
+
+    // Contextos síncronos: { node, info }
+    const contexts = [];
+    ast.body.forEach((node) => {
+      if (node.kind === "VarDecl") contexts.push({ node, info: null });
+      if (node.kind === "ClassDecl") contexts.push({ node: node.fields, info: this._classes.get(node.name) });
+    });
+    units.forEach(({ symbol, info }) => {
+      [symbol.node, ...symbol.prototypes].forEach((decl) => contexts.push({ node: decl.params, info }));
+      walkAst(symbol.node.body, (node) => {
+        if (node.kind === "VarDecl" && node.declType.isStatic) contexts.push({ node, info });
+      });
+    });
+
+    const sync = new Set();
+    const pending = [];
+    const keepSync = (unit) => {
+      if (sync.has(unit)) return;
+      sync.add(unit);
+      pending.push(unit);
+    };
+    units.filter((u) => u.symbol.isConstructor).forEach(keepSync);
+    contexts.forEach(({ node, info }) => {
+      callsIn(node).forEach((call) => resolve(call, info).forEach(keepSync));
+    });
+    walkAst(ast, (node, parent) => {
+      if (node.kind === "Identifier" && !(parent?.kind === "Call" && parent.callee === node)) {
+        resolve({ name: node.name }, null).forEach(keepSync);
+      }
+    });
+    while (pending.length > 0) {
+      const unit = pending.pop();
+      unit.calls.forEach((call) => resolve(call, unit.info).forEach(keepSync));
+    }
+
+    units.forEach((unit) => {
+      if (unit.symbol.node.body && !sync.has(unit)) unit.symbol.async = true;
+    });
+  }
+
+  // ── Emisión ──────────────────────────────────────────────────────
+
+  _emit(text, loc) {
+    this._lines.push({ text: "  ".repeat(this._indent) + text, loc, fn: this._signature });
+  }
+
+  _withScope(fn) {
+    const previous = this._scope;
+    this._scope = new Scope(previous);
+    try {
+      fn();
+    } finally {
+      this._scope = previous;
+    }
+  }
+
+  // ── Nivel superior ───────────────────────────────────────────────
+
+  _topLevel(node) {
+    switch (node.kind) {
+      case "Include":
+        return;
+      case "VarDecl":
+        this._varDecl(node);
+        return;
+      case "FunctionDecl":
+        if (node.body && node.className) this._methodDefinition(node);
+        else if (node.body) this._functionDecl(node);
+        return;
+      case "ClassDecl":
+        this._classDecl(node);
+        return;
+      case "EnumDecl":
+        this._enumDecl(node);
+        return;
+      case "Typedef":
+        return;
+      default:
+        throw syntaxError(`Declaración no soportada: ${node.kind}`, node.loc);
+    }
+  }
+
+  _functionDecl(node) {
+    const symbol = this._scope.lookup(node.name);
+    const prefix = symbol.async ? "async function" : "function";
+    this._emitFunction(symbol, `${prefix} ${symbol.jsName}`, "}");
+  }
+
+  /**
+   * Emite la cabecera, los parámetros y el cuerpo de una función o
+   * método. Los constructores inicializan sus miembros y retornan this.
+   * @param {object} symbol  Símbolo de la función (symbol.node es la definición)
+   * @param {string} header  Texto antes de "(params)"
+   * @param {string} closing Texto de cierre ("}" o "};")
+   */
+  _emitFunction(symbol, header, closing) {
+    const node = symbol.node;
+    const previousFunction = this._function;
+    const previousFunctionScope = this._functionScope;
+    const previousSignature = this._signature;
+    const name = symbol.info ? `${symbol.info.name}::${node.name}` : node.name;
+    this._function = symbol;
+    this._signature = `${name}(${node.params.map((param) => this._typeOf(param.type).name).join(", ")})`;
+
+    this._withScope(() => {
+      this._functionScope = this._scope;
+      const params = node.params.map((param, index) => {
+        const name = param.name || `__arg${index}`;
+        const jsName = param.name ? mangle(param.name) : name;
+        if (param.name) {
+          const ctype = this._typeOf(param.type);
+          const symbol = { kind: "var", jsName, type: param.type, ctype };
+          if (this._boxedReference(param.type, ctype)) {
+            symbol.cell = jsName;
+            symbol.jsName = `${jsName}.value`;
+          }
+          this._scope.declare(param.name, symbol);
+        }
+        // El valor por defecto suele estar en el prototipo, no en la definición
+        const defaultNode = param.defaultValue
+          || symbol.prototypes.map((p) => p.params[index]?.defaultValue).find(Boolean);
+        const defaultValue = defaultNode
+          ? ` = ${this._convert(this._gen(defaultNode), this._typeOf(param.type)).code}`
+          : "";
+        return `${jsName}${defaultValue}`;
+      });
+
+      this._emit(`${header}(${params.join(", ")}) {`, node.loc);
+      this._indent++;
+      const traced = this._traced();
+      if (traced) {
+        this._emit(`const __frame = __dbg.enter(${JSON.stringify(name)});`, node.loc);
+        this._emit("try {", node.loc);
+        this._indent++;
+      }
+      if (symbol.isConstructor) this._memberInitializers(symbol.info, node);
+      node.body.body.forEach((statement) => this._statement(statement));
+      if (symbol.isConstructor) this._emit("return this;", node.body.loc);
+      if (traced) {
+        this._indent--;
+        this._emit("} finally {", node.body.loc);
+        this._emit("  __dbg.exit(__frame);", node.body.loc);
+        this._emit("}", node.body.loc);
+      }
+      this._indent--;
+      this._emit(closing, node.body.loc);
+    });
+
+    this._function = previousFunction;
+    this._functionScope = previousFunctionScope;
+    this._signature = previousSignature;
+  }
+
+  // ── Depuración ───────────────────────────────────────────────────
+
+  /** ¿Lleva checkpoints la función en curso? (sólo si puede esperar) */
+  _traced() {
+    return this._debug && Boolean(this._function?.async) && !this._function.isConstructor;
+  }
+
+  /**
+   * Checkpoint antes de una sentencia. __dbg.hit() decide si hay que
+   * parar; sólo entonces se crea el cierre que lee las variables
+   * locales (cada una por separado: en un switch puede haber
+   * declaraciones aún sin inicializar).
+   * @param {object} node  Sentencia
+   */
+  _checkpoint(node) {
+    if (!this._traced()) return;
+    const locals = this._visibleLocals();
+    const id = this._checkpoints.length;
+    this._checkpoints.push({ loc: node.loc, locals: locals.map(({ name, ctype }) => ({ name, ctype })) });
+    const readers = locals.map((local) => `() => ${local.jsName}`).join(", ");
+    this._emit(`if (__dbg.hit(${id})) await __dbg.suspend(${id}, () => [${readers}]);`, node.loc);
+  }
+
+  /**
+   * Variables locales visibles en este punto (parámetros primero; una
+   * variable oculta por otra interior no aparece) y this en métodos.
+   * @returns {Array<{name: string, jsName: string, ctype: object}>}
+   */
+  _visibleLocals() {
+    const scopes = [];
+    for (let scope = this._scope; scope && scope !== this._functionScope.parent; scope = scope.parent) {
+      scopes.push(scope);
+    }
+    const seen = new Set();
+    const locals = [];
+    scopes.forEach((scope) => {
+      const declared = [];
+      scope.symbols.forEach((symbol, name) => {
+        if (symbol.kind !== "var" || seen.has(name)) return;
+        seen.add(name);
+        declared.push({ name, jsName: symbol.jsName, ctype: symbol.ctype || UNKNOWN });
+      });
+      locals.unshift(...declared);
+    });
+    if (this._class) locals.push({ name: "this", jsName: "this", ctype: this._class.ctype });
+    return locals;
+  }
+
+  // ── Clases y enums ───────────────────────────────────────────────
+
+  /**
+   * Emite un struct/class como clase JS:
+   *   constructor()  → campos a cero o con su inicializador por defecto
+   *   __init(…)      → cada constructor C++ (retorna this)
+   *   métodos        → async si pueden bloquear
+   * "Led led(2)" se traduce a "new Led().__init(2)".
+   * @param {object} node  ClassDecl
+   */
+  _classDecl(node) {
+    const info = this._classes.get(node.name);
+
+    node.fields.forEach((declaration) => {
+      declaration.declarators.forEach((decl) => {
+        if (declaration.declType.isStatic) {
+          throw syntaxError(`Miembros static no soportados: ${node.name}::${decl.name}`, decl.loc);
+        }
+        const field = {
+          name: decl.name,
+          jsName: mangle(decl.name),
+          ctype: this._typeOf({ ...decl.type, loc: decl.loc }, decl.init),
+          access: declaration.access,
+          isConst: declaration.declType.isConst,
+          decl,
+        };
+        info.fields.set(decl.name, field);
+        info.ctype.fields.push({ name: field.name, type: field.ctype });
+      });
+    });
+
+    this._emit(`class ${info.jsName} {`, node.loc);
+    this._indent++;
+    this._emit("constructor() {", node.loc);
+    this._indent++;
+    this._withClassScope(info, () => {
+      info.fields.forEach((field) => {
+        const value = field.decl.init
+          ? this._initValue(field.ctype, field.decl.init)
+          : this._defaultValue(field.ctype);
+        this._emit(`this.${field.jsName} = ${value};`, field.decl.loc);
+      });
+    });
+    this._indent--;
+    this._emit("}", node.loc);
+
+    this._withClassScope(info, () => {
+      [...info.ctors, ...info.methods.values()].forEach((symbol) => {
+        if (!symbol.node.body || symbol.node.className) return;
+        const name = symbol.isConstructor ? symbol.initName : symbol.methodName;
+        this._emitFunction(symbol, `${symbol.async ? "async " : ""}${name}`, "}");
+      });
+    });
+    this._indent--;
+    this._emit("}", node.loc);
+  }
+
+  /** Emite un método definido fuera de la clase (Clase::método) */
+  _methodDefinition(node) {
+    const symbol = node.symbol;
+    const info = symbol.info;
+    const name = symbol.isConstructor ? symbol.initName : symbol.methodName;
+    this._withClassScope(info, () => {
+      const prefix = symbol.async ? "async function" : "function";
+      this._emitFunction(symbol, `${info.jsName}.prototype.${name} = ${prefix} `, "};");
+    });
+  }
+
+  /** Asignaciones de la lista de inicialización de un constructor */
+  _memberInitializers(info, node) {
+    node.initializers.forEach((init) => {
+      const field = info.fields.get(init.name);
+      if (!field) {
+        throw syntaxError(`${info.name} no tiene un miembro "${init.name}"`, init.loc);
+      }
+      let value;
+      if (field.ctype.kind === "struct") {
+        value = this._construct(field.ctype.info, init.args, init.loc).code;
+      } else if (init.args.length === 0) {
+        value = this._defaultValue(field.ctype);
+      } else {
+        value = this._initValue(field.ctype, init.args[0]);
+      }
+      this._emit(`this.${field.jsName} = ${value};`, init.loc);
+    });
+  }
+
+  /**
+   * Ejecuta fn con los miembros de la clase en el ámbito: dentro de
+   * los métodos "pin" y "on()" equivalen a this.pin y this.on().
+   */
+  _withClassScope(info, fn) {
+    const previousClass = this._class;
+    this._class = info;
+    this._withScope(() => {
+      info.fields.forEach((field) => {
+        this._scope.declare(field.name, {
+          kind: "var",
+          jsName: `this.${field.jsName}`,
+          ctype: field.ctype,
+          isConst: field.isConst,
+        });
+      });
+      info.methods.forEach((symbol, name) => this._scope.declare(name, symbol));
+      fn();
+    });
+    this._class = previousClass;
+  }
+
+  /**
+   * enum → constantes enteras. Los valores de un enum class sólo son
+   * accesibles como Tipo::VALOR y se emiten como literales.
+   * @param {object} node  EnumDecl
+   */
+  _enumDecl(node) {
+    const ctype = this._types.get(node.name);
+    let next = 0;
+    node.values.forEach((entry) => {
+      let value = next;
+      if (entry.value) {
+        value = this._constantValue(entry.value);
+        if (value === null) {
+          throw syntaxError(`El valor de ${entry.name} debe ser una constante entera`, entry.value.loc);
+        }
+      }
+      value = foldInteger(value, ctype);
+      ctype.values.set(entry.name, value);
+      next = value + 1;
+
+      if (!node.scoped) {
+        const jsName = mangle(entry.name);
+        this._scope.declare(entry.name, { kind: "var", jsName, ctype, isConst: true, constValue: value });
+        this._emit(`const ${jsName} = ${value};`, entry.loc);
+      }
+    });
+  }
+
+  /**
+   * Construcción de un objeto: elige el constructor por número de
+   * argumentos (teniendo en cuenta los valores por defecto).
+   * @param {object} info  Clase
+   * @param {Array<object>} argNodes
+   * @param {object} loc
+   */
+  _construct(info, argNodes, loc) {
+    if (info.ctors.length === 0) {
+      if (argNodes.length > 0) {
+        throw syntaxError(`${info.name} no tiene un constructor con ${argNodes.length} argumento(s)`, loc);
+      }
+      return atom(`new ${info.jsName}()`, info.ctype);
+    }
+
+    const ctor = info.ctors.find((c) => {
+      const params = c.node.params;
+      const required = params.filter((p, i) => !p.defaultValue
+        && !c.prototypes.some((proto) => proto.params[i]?.defaultValue)).length;
+      return argNodes.length >= required && argNodes.length <= params.length;
+    });
+    if (!ctor) {
+      throw syntaxError(`${info.name} no tiene un constructor con ${argNodes.length} argumento(s)`, loc);
+    }
+    if (ctor.access !== "public" && this._class !== info) {
+      throw syntaxError(`El constructor de ${info.name} es privado`, loc);
+    }
+    const args = this._arguments(ctor, argNodes.map((a) => this._gen(a)), argNodes);
+    return atom(`new ${info.jsName}().${ctor.initName}(${args})`, info.ctype);
+  }
+
+  /**
+   * Argumentos de una llamada convertidos a los tipos de los parámetros
+   * (los parámetros por referencia reciben el objeto sin copiar o una
+   * celda que apunta a la variable, ver _cell).
+   * @param {object} symbol  Función o método
+   * @param {Array<object>} args  Resultados de _gen
+   * @param {Array<object>} nodes  Nodos de los argumentos
+   * @returns {string}
+   */
+  _arguments(symbol, args, nodes) {
+    const params = symbol.node.params;
+    return args.map((arg, i) => {
+      if (!params[i]) return arg.code;
+      const ctype = this._typeOf(params[i].type);
+      if (this._boxedReference(params[i].type, ctype)) return this._cell(nodes[i]);
+      if (params[i].type.reference && OBJECT_KINDS.has(ctype.kind)) return arg.code;
+      return this._convert(arg, ctype).code;
+    }).join(", ");
+  }
+
+  /**
+   * ¿Es una referencia que se representa como celda? Las referencias a
+   * objetos son el propio objeto y las const a un valor primitivo se
+   * comportan como una copia.
+   * @param {object} spec  Especificación de tipo
+   * @param {object} ctype  Su tipo C
+   * @returns {boolean}
+   */
+  _boxedReference(spec, ctype) {
+    return Boolean(spec.reference) && !spec.isConst && !OBJECT_KINDS.has(ctype.kind);
+  }
+
+  /**
+   * Celda que enlaza una referencia no const a una variable, un
+   * elemento de array o un campo.
+   * @param {object} node  Expresión a la que se enlaza
+   * @returns {string}
+   */
+  _cell(node) {
+    if (!["Identifier", "Index", "Member"].includes(node.kind)) {
+      throw syntaxError("Una referencia no const debe enlazarse a una variable, no a un valor temporal", node.loc);
+    }
+    const symbol = node.kind === "Identifier" ? this._scope.lookup(node.name) : null;
+    if (symbol?.cell) return symbol.cell;
+    if (node.kind === "Index" && this._gen(node.object).type.kind === "string") {
+      throw syntaxError("No se puede enlazar una referencia a un carácter de String", node.loc);
+    }
+    const target = this._lvalue(node);
+    if (node.kind === "Identifier") return `__c.ref(() => ${target}, (__v) => { ${target} = __v; })`;
+    const element = this._gen(node);
+    if (element.key === undefined) {
+      throw syntaxError("No se puede enlazar una referencia a esta expresión", node.loc);
+    }
+    return `__c.refAt(${element.object}, ${element.key})`;
+  }
+
+  // ── Declaraciones de variables ───────────────────────────────────
+
+  /**
+   * Tipo C de una especificación, resolviendo las dimensiones de array
+   * (expresiones constantes) y el decaimiento de parámetros array.
+   * @param {object} spec
+   * @param {object} [init]  Inicializador (para inferir "[]")
+   */
+  _typeOf(spec, init = null) {
+    let type = this._types.get(spec.base) || typeFromName(spec.base);
+    for (let i = 0; i < (spec.pointer || 0); i++) type = pointerTo(type);
+    const dimensions = spec.dimensions || [];
+
+    for (let i = dimensions.length - 1; i >= 0; i--) {
+      let length = null;
+      if (dimensions[i]) {
+        length = this._constantValue(dimensions[i]);
+        if (length === null && !spec.decayed) {
+          throw syntaxError("El tamaño del array debe ser una constante", dimensions[i].loc);
+        }
+      } else if (i === 0 && init) {
+        length = init.kind === "InitList" ? init.elements.length : null;
+        if (init.kind === "StringLiteral") length = init.value.length + 1;
+      }
+      if (length === null && i === 0 && !spec.decayed) {
+        throw syntaxError("Falta el tamaño del array", spec.loc || init?.loc || dimensions[i]?.loc);
+      }
+      type = arrayOf(type, length);
+    }
+    return spec.decayed ? pointerTo(type) : type;
+  }
+
+  /**
+   * Valor de una expresión constante entera, o null si no lo es.
+   * @param {object} node
+   * @returns {number|null}
+   */
+  _constantValue(node) {
+    switch (node.kind) {
+      case "NumberLiteral":
+        return node.isFloat ? null : node.value;
+      case "CharLiteral":
+        return node.value;
+      case "ScopeRef":
+        return this._types.get(node.scope)?.values?.get(node.name) ?? null;
+      case "Identifier": {
+        const symbol = this._scope.lookup(node.name);
+        if (symbol) return symbol.constValue ?? null;
+        const builtin = lookupBuiltin(node.name);
+        return builtin?.kind === "const" && builtin.type === "int" ? Number(builtin.js) : null;
+      }
+      case "Sizeof":
+        return this._sizeof(node);
+      case "Unary": {
+        const value = this._constantValue(node.argument);
+        if (value === null) return null;
+        if (node.operator === "-") return -value;
+        if (node.operator === "+") return value;
+        if (node.operator === "~") return ~value;
+        return null;
+      }
+      case "Binary": {
+        const a = this._constantValue(node.left);
+        const b = this._constantValue(node.right);
+        if (a === null || b === null) return null;
+        switch (node.operator) {
+          case "+": return a + b;
+          case "-": return a - b;
+          case "*": return a * b;
+          case "/": return b ? Math.trunc(a / b) : null;
+          case "%": return b ? a % b : null;
+          case "<<": return a << b;
+          case ">>": return a >> b;
+          case "&": return a & b;
+          case "|": return a | b;
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  /** Valor inicial de una variable sin inicializador (C pone a cero) */
+  _defaultValue(ctype) {
+    switch (ctype.kind) {
+      case "pointer": return "null";
+      case "string": return "new __String()";
+      case "bool": return "false";
+      case "array": return this._arrayValue(ctype, null);
+      case "struct": return this._construct(ctype.info, [], ctype.info.node.loc).code;
+      case "library": return `new ${ctype.info.js}()`;
+      default: return "0";
+    }
+  }
+
+  /**
+   * Emite una declaración de variables (una línea por declarador).
+   * @param {object} node  VarDecl
+   * @param {boolean} [inline]  true dentro del init de un for
+   * @returns {string|undefined} código si inline
+   */
+  _varDecl(node, inline = false) {
+    const keyword = node.declType.isConst ? "const" : "let";
+    const parts = [];
+
+    node.declarators.forEach((decl) => {
+      let ctype = this._typeOf({ ...decl.type, loc: decl.loc }, decl.init);
+      let init;
+      let constValue = null;
+      if (decl.ctorArgs) {
+        // Led led(2); / int x(5);
+        init = ctype.kind === "struct"
+          ? this._construct(ctype.info, decl.ctorArgs, decl.loc).code
+          : this._initValue(ctype, decl.ctorArgs[0] || { kind: "InitList", elements: [], loc: decl.loc });
+      } else if (decl.type.reference) {
+        if (!decl.init) throw syntaxError(`La referencia "${decl.name}" debe inicializarse`, decl.loc);
+        const value = this._gen(decl.init);
+        if (decl.type.base === "auto") ctype = value.type;
+        // Referencia: alias del objeto, sin copia; a un valor primitivo, una celda
+        if (this._boxedReference(decl.type, ctype)) init = this._cell(decl.init);
+        else init = OBJECT_KINDS.has(ctype.kind) ? value.code : this._convert(value, ctype).code;
+      } else if (ctype.kind === "array" || (decl.init && decl.init.kind === "InitList")) {
+        init = this._initValue(ctype, decl.init);
+      } else if (decl.init) {
+        const value = this._gen(decl.init);
+        if (decl.type.base === "auto") ctype = value.type;
+        init = this._convert(value, ctype).code;
+        if (node.declType.isConst && isInteger(ctype)) {
+          constValue = this._constantValue(decl.init);
+          if (constValue !== null) {
+            constValue = foldInteger(constValue, ctype);
+            init = String(constValue);
+          }
+        }
+      } else {
+        init = this._defaultValue(ctype);
+      }
+
+      const symbol = { kind: "var", type: decl.type, ctype, isConst: node.declType.isConst, constValue };
+      const hoisted = node.declType.isStatic && this._function && !inline;
+      // static local → variable de módulo con nombre único
+      const owner = hoisted && (this._function.staticName || this._function.jsName.replace(/\$/g, ""));
+      const jsName = hoisted ? `__static_${owner}_${decl.name}` : mangle(decl.name);
+      symbol.jsName = jsName;
+      if (this._boxedReference(decl.type, ctype)) {
+        symbol.cell = jsName;
+        symbol.jsName = `${jsName}.value`;
+      }
+      this._scope.declare(decl.name, symbol);
+
+      if (hoisted) {
+        this._hoisted.push({ text: `let ${jsName} = ${init};`, loc: decl.loc });
+      } else if (inline) {
+        parts.push(`${jsName} = ${init}`);
+      } else {
+        this._emit(`${keyword} ${jsName} = ${init};`, decl.loc);
+      }
+    });
+
+    if (inline) return `${keyword} ${parts.join(", ")}`;
+    return undefined;
+  }
+
+  /**
+   * Código que crea un array C: typed arrays para elementos numéricos
+   * (el desbordamiento al escribir se trunca como en C) y Array para
+   * el resto. Los arrays sin inicializador quedan a cero.
+   * @param {object} ctype  Tipo array
+   * @param {object|null} init  InitList, StringLiteral o null
+   */
+  _arrayValue(ctype, init) {
+    const dims = [];
+    let element = ctype;
+    while (element.kind === "array") {
+      dims.push(element.length);
+      element = element.of;
+    }
+
+    const typed = typedArrayName(element);
+    const args = [typed || "Array", `[${dims.join(", ")}]`];
+    if (init) args.push(this._arrayInit(init, dims, element));
+    if (!typed) {
+      if (!init) args.push("[]");
+      // Los objetos se crean uno por elemento
+      const fill = this._defaultValue(element);
+      args.push(["struct", "string", "library"].includes(element.kind) ? `() => ${fill}` : fill);
+    }
+    return `__c.array(${args.join(", ")})`;
+  }
+
+  /**
+   * Valor inicial de un objeto de tipo conocido a partir de su
+   * inicializador: arrays, structs con llaves o una expresión.
+   * @param {object} ctype
+   * @param {object} init
+   * @returns {string}
+   */
+  _initValue(ctype, init) {
+    if (ctype.kind === "array") return this._arrayValue(ctype, init);
+    if (init.kind === "InitList") {
+      if (ctype.kind === "struct") return this._aggregate(ctype.info, init);
+      // int x = {5}; / int x{};
+      if (init.elements.length === 0) return this._defaultValue(ctype);
+      return this._initValue(ctype, init.elements[0]);
+    }
+    return this._convert(this._gen(init), ctype).code;
+  }
+
+  /**
+   * Inicialización con llaves de un struct: por constructor si lo
+   * tiene, o campo a campo en orden de declaración.
+   * @param {object} info
+   * @param {object} init  InitList
+   */
+  _aggregate(info, init) {
+    if (info.ctors.length > 0) return this._construct(info, init.elements, init.loc).code;
+    const fields = [...info.fields.values()];
+    if (init.elements.length > fields.length) {
+      throw syntaxError(`Demasiados valores para inicializar ${info.name}`, init.loc);
+    }
+    if (init.elements.length === 0) return `new ${info.jsName}()`;
+    const values = init.elements.map((e, i) => `${fields[i].jsName}: ${this._initValue(fields[i].ctype, e)}`);
+    return `Object.assign(new ${info.jsName}(), { ${values.join(", ")} })`;
+  }
+
+  /**
+   * Inicializador de un array como array JS anidado. Admite la
+   * elisión de llaves de C ({1, 2, 3, 4} para int[2][2]) y cadenas
+   * para arrays de char.
+   * @param {object} init
+   * @param {number[]} dims  Dimensiones restantes
+   * @param {object} element  Tipo del elemento escalar
+   */
+  _arrayInit(init, dims, element) {
+    const depth = dims.length;
+    if (init.kind === "StringLiteral" && depth === 1 && isInteger(element) && element.bits === 8) {
+      return `__c.bytes(${JSON.stringify(init.value)})`;
+    }
+    if (init.kind !== "InitList") {
+      throw syntaxError("Se esperaba una lista de inicialización { … }", init.loc);
+    }
+
+    let elements = init.elements;
+    if (depth > 1 && elements.length > 0 && elements.every((e) => e.kind !== "InitList" && e.kind !== "StringLiteral")) {
+      // Elisión de llaves: repartir los valores por filas
+      const rowSize = dims.slice(1).reduce((a, b) => a * b, 1);
+      const rows = [];
+      for (let i = 0; i < elements.length; i += rowSize) {
+        rows.push({ kind: "InitList", elements: elements.slice(i, i + rowSize), loc: init.loc });
+      }
+      elements = rows;
+    }
+
+    const values = elements.map((e) => (depth > 1
+      ? this._arrayInit(e, dims.slice(1), element)
+      : this._initValue(element, e)));
+    return `[${values.join(", ")}]`;
+  }
+
+  // ── Sentencias ───────────────────────────────────────────────────
+
+  _statement(node) {
+    if (node.kind !== "Block" && node.kind !== "Empty") this._checkpoint(node);
+    switch (node.kind) {
+      case "Block":
+        this._emit("{", node.loc);
+        this._indent++;
+        this._withScope(() => node.body.forEach((s) => this._statement(s)));
+        this._indent--;
+        this._emit("}", node.loc);
+        return;
+
+      case "VarDecl":
+        this._varDecl(node);
+        return;
+
+      case "ExpressionStatement":
+        this._emit(`${this._gen(node.expression, true).code};`, node.loc);
+        return;
+
+      case "If":
+        this._if(node);
+        return;
+
+      case "For":
+        this._withScope(() => {
+          let init = "";
+          if (node.init) {
+            init = node.init.kind === "VarDecl"
+              ? this._varDecl(node.init, true)
+              : this._gen(node.init.expression, true).code;
+          }
+          const test = node.test ? this._expr(node.test) : "";
+          const update = node.update ? this._gen(node.update, true).code : "";
+          this._emit(`for (${init}; ${test}; ${update}) {`, node.loc);
+          this._body(node.body, true);
+          this._emit("}", node.loc);
+        });
+        return;
+
+      case "While":
+        this._emit(`while (${this._expr(node.test)}) {`, node.loc);
+        this._body(node.body, true);
+        this._emit("}", node.loc);
+        return;
+
+      case "DoWhile":
+        this._emit("do {", node.loc);
+        this._body(node.body, true);
+        this._emit(`} while (${this._expr(node.test)});`, node.loc);
+        return;
+
+      case "Switch": {
+        // switch compara con ===: un bool debe pasar a entero
+        const discriminant = this._gen(node.discriminant);
+        const code = discriminant.type.kind === "bool"
+          ? this._convert(discriminant, INT).code
+          : discriminant.code;
+        this._emit(`switch (${code}) {`, node.loc);
+        this._indent++;
+        this._withScope(() => {
+          node.cases.forEach((c) => {
+            this._emit(c.test ? `case ${this._expr(c.test)}:` : "default:", c.loc);
+            this._indent++;
+            c.body.forEach((s) => this._statement(s));
+            this._indent--;
+          });
+        });
+        this._indent--;
+        this._emit("}", node.loc);
+        return;
+      }
+
+      case "Break":
+        this._emit("break;", node.loc);
+        return;
+
+      case "Continue":
+        this._emit("continue;", node.loc);
+        return;
+
+      case "Return": {
+        if (!node.argument) {
+          this._emit(this._function?.isConstructor ? "return this;" : "return;", node.loc);
+          return;
+        }
+        if (this._function?.isConstructor) {
+          throw syntaxError("Un constructor no puede retornar un valor", node.loc);
+        }
+        const returnType = this._function?.returnType ?? UNKNOWN;
+        const value = this._convert(this._gen(node.argument), returnType);
+        this._emit(`return ${value.code};`, node.loc);
+        return;
+      }
+
+      case "Empty":
+        return;
+
+      default:
+        throw syntaxError(`Sentencia no soportada: ${node.kind}`, node.loc);
+    }
+  }
+
+  /**
+   * Emite el cuerpo de una estructura de control en su propio ámbito.
+   * Cada iteración de un bucle pasa por el watchdog (ver watchdog.js).
+   * @param {object} node
+   * @param {boolean} [loop]
+   */
+  _body(node, loop = false) {
+    this._indent++;
+    if (loop) this._emit("__wdt();", node.loc);
+    this._withScope(() => {
+      if (node.kind === "Block") node.body.forEach((s) => this._statement(s));
+      else this._statement(node);
+    });
+    this._indent--;
+  }
+
+  _if(node) {
+    this._emit(`if (${this._expr(node.test)}) {`, node.loc);
+    this._body(node.consequent);
+
+    // Cadenas else if planas en lugar de anidadas
+    let alternate = node.alternate;
+    while (alternate && alternate.kind === "If") {
+      this._emit(`} else if (${this._expr(alternate.test)}) {`, alternate.loc);
+      this._body(alternate.consequent);
+      alternate = alternate.alternate;
+    }
+    if (alternate) {
+      this._emit("} else {", alternate.loc);
+      this._body(alternate);
+    }
+    this._emit("}", node.loc);
+  }
+
+  // ── Expresiones ──────────────────────────────────────────────────
+  //
+  // _gen(node) devuelve { code, type, atomic }:
+  //   code   → JavaScript generado
+  //   type   → tipo C del resultado (cTypes.js)
+  //   atomic → false si necesita paréntesis al usarse como operando
+
+  /** Código JS de una expresión (sin información de tipo) */
+  _expr(node) {
+    return this._gen(node).code;
+  }
+
+  /**
+   * @param {object} node
+   * @param {boolean} [discard]  true si el valor del resultado no se usa
+   * @returns {{code: string, type: object, atomic: boolean}}
+   */
+  _gen(node, discard = false) {
+    switch (node.kind) {
+      case "NumberLiteral": {
+        const type = literalType(node);
+        const value = type === FLOAT ? Math.fround(node.value) : node.value;
+        return atom(String(value), type);
+      }
+
+      case "StringLiteral":
+        return atom(JSON.stringify(node.value), CONST_CHAR_PTR);
+
+      case "CharLiteral":
+        return atom(String(node.value), CHAR);
+
+      case "BoolLiteral":
+        return atom(node.value ? "true" : "false", BOOL);
+
+      case "NullLiteral":
+        return atom("null", UNKNOWN);
+
+      case "Identifier":
+        return this._identifier(node);
+
+      case "Binary":
+        return this._binary(node.operator, this._gen(node.left), this._gen(node.right), node);
+
+      case "Assign":
+        return this._assign(node, discard);
+
+      case "Conditional":
+        return this._conditional(node);
+
+      case "Comma": {
+        const parts = node.expressions.map((e, i) =>
+          this._gen(e, discard || i < node.expressions.length - 1));
+        // Entre paréntesis: dentro de argumentos o inicializadores la coma
+        // separaría valores
+        return atom(`(${parts.map(operand).join(", ")})`, parts[parts.length - 1].type);
+      }
+
+      case "Unary":
+        return this._unary(node);
+
+      case "Update":
+        return this._update(node, discard);
+
+      case "Cast":
+        return this._cast(node);
+
+      case "Sizeof":
+        return atom(String(this._sizeof(node)), UINT);
+
+      case "Call":
+        return this._call(node);
+
+      case "Member":
+        return this._member(node);
+
+      case "ScopeRef":
+        return this._scopeRef(node);
+
+      case "Index":
+        return this._index(node);
+
+      default:
+        throw syntaxError(`Expresión no soportada: ${node.kind}`, node.loc);
+    }
+  }
+
+  /**
+   * Acceso a un elemento de array. Los índices que no se pueden probar
+   * dentro de rango se verifican en ejecución con __index(), que avisa
+   * por el monitor serie de los accesos fuera de rango.
+   */
+  _index(node) {
+    const object = this._gen(node.object);
+    const index = this._gen(node.index);
+    const { kind } = object.type;
+    // s[i] en un String: charAt() devuelve 0 fuera de rango
+    if (kind === "string") return atom(`${operand(object)}.charAt(${index.code})`, CHAR);
+    const element = kind === "array" ? object.type.of : kind === "pointer" ? object.type.to : UNKNOWN;
+
+    let indexCode = index.code;
+    const constant = this._constantValue(node.index);
+    const provenInRange = kind === "array" && object.type.length !== null
+      && constant !== null && constant >= 0 && constant < object.type.length;
+    if ((kind === "array" || kind === "pointer") && !provenInRange && isSimpleLvalue(node.object)) {
+      indexCode = `__index(${object.code}, ${operand(index)}, ${JSON.stringify(rootName(node.object))})`;
+    }
+    return { ...atom(`${operand(object)}[${indexCode}]`, element), lvalue: true, object: operand(object), key: indexCode };
+  }
+
+  /**
+   * Acceso a un miembro: campos de structs/clases con control de
+   * acceso; para otros objetos se emite tal cual.
+   */
+  _member(node) {
+    const object = this._gen(node.object);
+    const type = object.type.kind === "pointer" ? object.type.to : object.type;
+    if (type.kind !== "struct") {
+      return atom(`${operand(object)}.${node.property}`, UNKNOWN);
+    }
+
+    const info = type.info;
+    const field = info.fields.get(node.property);
+    if (!field) {
+      const what = info.methods.has(node.property) ? "un método y debe llamarse" : "un miembro";
+      throw syntaxError(`"${node.property}" no es ${what} de ${info.name}`, node.loc);
+    }
+    this._checkAccess(info, field, node);
+    return {
+      ...atom(`${operand(object)}.${field.jsName}`, field.ctype),
+      lvalue: true,
+      object: operand(object),
+      key: JSON.stringify(field.jsName),
+    };
+  }
+
+  _checkAccess(info, member, node) {
+    if (member.access !== "public" && this._class !== info) {
+      throw syntaxError(`"${node.property}" es ${member.access === "protected" ? "protegido" : "privado"} en ${info.name}`, node.loc);
+    }
+  }
+
+  /** Tipo::VALOR de un enum (los valores se emiten como literales) */
+  _scopeRef(node) {
+    const type = this._types.get(node.scope);
+    if (!type || !type.isEnum) {
+      throw syntaxError(`Ámbito no soportado: ${node.scope}::${node.name}`, node.loc);
+    }
+    if (!type.values.has(node.name)) {
+      throw syntaxError(`${node.scope} no tiene un valor "${node.name}"`, node.loc);
+    }
+    return atom(String(type.values.get(node.name)), type);
+  }
+
+  _identifier(node) {
+    if (node.name === "this" && this._class) {
+      return atom("this", pointerTo(this._class.ctype));
+    }
+    const symbol = this._scope.lookup(node.name);
+    if (symbol) {
+      const result = atom(symbol.jsName, symbol.ctype || UNKNOWN);
+      return symbol.kind === "var" ? { ...result, lvalue: true } : result;
+    }
+
+    const builtin = lookupBuiltin(node.name);
+    if (builtin) {
+      return atom(builtin.js, builtin.type ? typeFromName(builtin.type) : UNKNOWN);
+    }
+
+    return atom(mangle(node.name), UNKNOWN);
+  }
+
+  // ── Conversiones ─────────────────────────────────────────────────
+
+  /**
+   * Convierte un resultado al tipo destino con la semántica de C:
+   * truncamiento de ancho, signo, float de 32 bits y bool.
+   * @param {{code: string, type: object, atomic: boolean}} value
+   * @param {object} to
+   */
+  _convert(value, to) {
+    const from = value.type;
+    // Semántica de valor: copiar structs/objetos que vienen de una variable
+    if (to && to.kind === "struct") {
+      return value.lvalue ? atom(`__c.clone(${value.code})`, to) : { ...value, type: to };
+    }
+    if (to && to.kind === "string") return this._toArduinoString(value);
+    if (!to || to.kind === "unknown" || to.kind === "void" || from === to) return value;
+
+    if (to.kind === "bool") {
+      if (from.kind === "bool" || !(isArithmetic(from) || from.kind === "unknown")) {
+        return { ...value, type: to };
+      }
+      return compound(`!!${operand(value)}`, to);
+    }
+
+    if (isInteger(to)) {
+      if (isInteger(from) && fitsIn(from, to)) return { ...value, type: to };
+      if (!isArithmetic(from) && from.kind !== "unknown") return { ...value, type: to };
+      // Literales: conversión en tiempo de compilación
+      if (NUMERIC_LITERAL.test(value.code)) return atom(String(foldInteger(Number(value.code), to)), to);
+      return compound(wrapInteger(operand(value), to), to);
+    }
+
+    if (to.kind === "float") {
+      if (to.bits === 32) {
+        if (isFloating(from) && from.bits === 32) return { ...value, type: to };
+        // Enteros de hasta 16 bits son exactos en float
+        if (isInteger(from) && from.bits <= 16) return { ...value, type: to };
+        if (!isArithmetic(from) && from.kind !== "unknown") return { ...value, type: to };
+        if (NUMERIC_LITERAL.test(value.code)) return atom(String(Math.fround(Number(value.code))), to);
+        return atom(`__c.f32(${value.code})`, to);
+      }
+      if (from.kind === "bool") return compound(`+${operand(value)}`, to);
+      return { ...value, type: to };
+    }
+
+    return { ...value, type: to };
+  }
+
+  /**
+   * Construye un String a partir de un valor según su tipo C, como los
+   * constructores sobrecargados de WString: String(65) → "65",
+   * String('A') → "A", String(3.14159) → "3.14". Un String que viene
+   * de una variable se copia (semántica de valor).
+   * @param {object} value  Resultado de _gen
+   * @param {object|null} [extra]  Base o decimales: String(x, HEX)
+   */
+  _toArduinoString(value, extra = null) {
+    const { type } = value;
+    const rest = extra ? `, ${extra.code}` : "";
+    if (type.kind === "string") {
+      return value.lvalue ? atom(`new __String(${value.code})`, STRING) : { ...value, type: STRING };
+    }
+    if (isInteger(type)) {
+      if (type.isChar && !extra) return atom(`__String.fromChar(${value.code})`, STRING);
+      return atom(`__String.${type.signed ? "fromInt" : "fromUnsigned"}(${value.code}${rest})`, STRING);
+    }
+    if (isFloating(type)) return atom(`__String.fromFloat(${value.code}${rest})`, STRING);
+    if (type.kind === "bool") return atom(`__String.fromInt(+${operand(value)})`, STRING);
+    if (type.kind === "unknown") return atom(`__String.fromValue(${value.code})`, STRING);
+    return atom(`new __String(${value.code})`, STRING);
+  }
+
+  /**
+   * Operando de una concatenación o comparación de String: las cadenas
+   * pasan tal cual y los números y char se formatean con _toArduinoString.
+   */
+  _stringOperand(value) {
+    const { kind } = value.type;
+    if (kind === "string" || kind === "pointer" || kind === "array") return value;
+    return this._toArduinoString(value);
+  }
+
+  /**
+   * Convierte ambos operandos al tipo común y emite la operación.
+   * @param {string} op
+   * @param {object} left   Resultado de _gen
+   * @param {object} right  Resultado de _gen
+   * @param {object} node   Nodo (para errores)
+   */
+  _binary(op, left, right, node) {
+    if (op === "&&" || op === "||") {
+      return compound(`${operand(left)} ${op} ${operand(right)}`, BOOL);
+    }
+
+    const comparison = ["==", "!=", "<", ">", "<=", ">="].includes(op);
+
+    if (left.type.kind === "string" || right.type.kind === "string") {
+      return this._stringBinary(op, left, right, node);
+    }
+
+    const shift = op === "<<" || op === ">>";
+    const common = shift ? null : usualArithmeticConversion(left.type, right.type);
+
+    // Operandos no aritméticos o desconocidos: semántica JS nativa
+    if (!shift && !common || shift && !(isInteger(promote(left.type)) && isArithmetic(right.type))) {
+      return compound(`${operand(left)} ${op} ${operand(right)}`, comparison ? BOOL : UNKNOWN);
+    }
+
+    const type = shift ? promote(left.type) : common;
+    const a = operand(this._convert(left, type));
+    const b = operand(shift ? this._convert(right, promote(right.type)) : this._convert(right, type));
+
+    if (comparison) return compound(`${a} ${op} ${b}`, BOOL);
+
+    if (isFloating(type)) {
+      if (op === "%") throw syntaxError("El operador % requiere operandos enteros (use fmod())", node.loc);
+      if (["&", "|", "^"].includes(op)) {
+        throw syntaxError(`El operador ${op} requiere operandos enteros`, node.loc);
+      }
+      return type.bits === 32
+        ? atom(`__c.f32(${a} ${op} ${b})`, type)
+        : compound(`${a} ${op} ${b}`, type);
+    }
+
+    if (type.bits === 64) {
+      return atom(`__c.op64("${op}", ${a}, ${b}, ${!type.signed})`, type);
+    }
+
+    // Enteros de 32 bits
+    const unsigned = !type.signed;
+    switch (op) {
+      case "+":
+      case "-":
+        return compound(`(${a} ${op} ${b}) ${unsigned ? ">>> 0" : "| 0"}`, type);
+      case "*":
+        return unsigned ? compound(`__c.imul(${a}, ${b}) >>> 0`, type) : atom(`__c.imul(${a}, ${b})`, type);
+      case "/":
+        return compound(`__c.idiv(${a}, ${b}) ${unsigned ? ">>> 0" : "| 0"}`, type);
+      case "%":
+        return atom(`__c.imod(${a}, ${b})`, type);
+      case "&":
+      case "|":
+      case "^":
+      case "<<":
+        return unsigned ? compound(`(${a} ${op} ${b}) >>> 0`, type) : compound(`${a} ${op} ${b}`, type);
+      case ">>":
+        return compound(`${a} ${unsigned ? ">>>" : ">>"} ${b}`, type);
+      default:
+        return compound(`${a} ${op} ${b}`, type);
+    }
+  }
+
+  /**
+   * Operadores de String: + crea un String nuevo; las comparaciones usan
+   * equals()/compareTo() (también con el String a la derecha).
+   */
+  _stringBinary(op, left, right, node) {
+    if (op === "+") {
+      const a = this._stringOperand(left).code;
+      const b = this._stringOperand(right).code;
+      return atom(`__String.concat(${a}, ${b})`, STRING);
+    }
+    const swapped = left.type.kind !== "string";
+    const [self, other] = swapped ? [right, left] : [left, right];
+    const argument = this._stringOperand(other).code;
+    if (op === "==") return atom(`${operand(self)}.equals(${argument})`, BOOL);
+    if (op === "!=") return compound(`!${operand(self)}.equals(${argument})`, BOOL);
+    const relational = { "<": ">", ">": "<", "<=": ">=", ">=": "<=" };
+    if (!relational[op]) throw syntaxError(`El operador ${op} no se aplica a String`, node.loc);
+    return compound(`${operand(self)}.compareTo(${argument}) ${swapped ? relational[op] : op} 0`, BOOL);
+  }
+
+  /** Representación textual de un valor para Serial.print() */
+  _asText(value) {
+    const { type } = value;
+    if (isInteger(type) && type.isChar) return atom(`__c.chr(${value.code})`, CONST_CHAR_PTR);
+    if (type.kind === "array" && isInteger(type.of) && type.of.bits === 8) {
+      return atom(`__c.cstr(${value.code})`, CONST_CHAR_PTR);
+    }
+    // char* devuelto por strcpy()/itoa()… o apuntando a un array
+    if (type.kind === "pointer" && isInteger(type.to) && type.to.bits === 8 && !value.code.startsWith('"')) {
+      return atom(`__cstr.text(${value.code})`, CONST_CHAR_PTR);
+    }
+    if (value.type.kind === "bool") return compound(`+${operand(value)}`, INT);
+    return value;
+  }
+
+  /**
+   * Argumentos de Serial.print()/println(): el texto se decide aquí
+   * porque depende del tipo C (un char se imprime como carácter, un
+   * float con 2 decimales y print(x, HEX) según el ancho del entero).
+   */
+  _printArguments(args) {
+    if (args.length === 0) return args;
+    const [value, format] = args;
+    const extra = format ? `, ${format.code}` : "";
+    if (isFloating(value.type)) return [atom(`__c.printFloat(${value.code}${extra})`, CONST_CHAR_PTR)];
+    if (format && (isInteger(value.type) || value.type.kind === "bool")) {
+      return [atom(`__c.printInt(${value.code}${extra})`, CONST_CHAR_PTR)];
+    }
+    return [this._asText(value), ...args.slice(1)];
+  }
+
+  _unary(node) {
+    const op = node.operator;
+    // &isr: el puntero a función es la propia función
+    if (op === "&" && node.argument.kind === "Identifier"
+      && this._scope.lookup(node.argument.name)?.kind === "function") {
+      return this._gen(node.argument);
+    }
+    if (op === "&" || op === "*") {
+      throw syntaxError(`Punteros no soportados: operador "${op}"`, node.loc);
+    }
+
+    const argument = this._gen(node.argument);
+    if (op === "!") return compound(`!${operand(argument)}`, BOOL);
+
+    if (!isArithmetic(argument.type)) {
+      return compound(`${op}${operand(argument)}`, UNKNOWN);
+    }
+
+    const type = promote(argument.type);
+    const value = operand(this._convert(argument, type));
+
+    if (op === "+") return { ...this._convert(argument, type), atomic: false };
+    if (isFloating(type)) {
+      if (op === "~") throw syntaxError("El operador ~ requiere un operando entero", node.loc);
+      return compound(`-${value}`, type);
+    }
+    if (type.bits === 64) {
+      return op === "-"
+        ? atom(`__c.op64("-", 0, ${value}, ${!type.signed})`, type)
+        : atom(`__c.op64("^", ${value}, -1, ${!type.signed})`, type);
+    }
+    if (op === "-" && NUMERIC_LITERAL.test(value)) {
+      return atom(String(foldInteger(-Number(value), type)), type);
+    }
+    const expression = `${op}${value}`;
+    return compound(type.signed ? (op === "-" ? `${expression} | 0` : expression) : `${expression} >>> 0`, type);
+  }
+
+  _update(node, discard) {
+    const target = node.argument;
+    const type = this._lvalueType(target);
+    const lvalue = this._lvalue(target);
+    const delta = node.operator === "++" ? "+" : "-";
+
+    // Flotantes, bool y tipos desconocidos: operador nativo
+    if (!isInteger(type) || !isSimpleLvalue(target)) {
+      return node.prefix
+        ? compound(`${node.operator}${lvalue}`, type)
+        : compound(`${lvalue}${node.operator}`, type);
+    }
+
+    const next = this._binary(delta, atom(lvalue, type), atom("1", INT), node);
+    const assigned = `${lvalue} = ${this._convert(next, type).code}`;
+    if (node.prefix || discard) return compound(assigned, type);
+
+    // Postfijo con valor usado: el valor previo se recupera del nuevo
+    // (la aritmética modular hace la inversa exacta).
+    const inverse = node.operator === "++" ? "-" : "+";
+    const previous = this._convert(this._binary(inverse, atom(lvalue, type), atom("1", INT), node), type);
+    return compound(`${assigned}, ${previous.code}`, type);
+  }
+
+  _assign(node, discard) {
+    const target = node.target;
+    if (target.kind === "Index" && this._gen(target.object).type.kind === "string") {
+      if (node.operator !== "=") {
+        throw syntaxError(`Operador ${node.operator} no soportado sobre un carácter de String`, node.loc);
+      }
+      const object = this._gen(target.object);
+      const value = this._convert(this._gen(node.value), CHAR);
+      return atom(`${operand(object)}.setCharAt(${this._gen(target.index).code}, ${value.code})`, VOID);
+    }
+
+    const type = this._lvalueType(node.target);
+    const lvalue = this._lvalue(node.target);
+
+    if (node.operator === "=") {
+      const value = this._convert(this._gen(node.value), type);
+      // A través de una referencia se copia en el objeto referido
+      if (OBJECT_KINDS.has(type.kind) && node.target.kind === "Identifier"
+        && this._scope.lookup(node.target.name)?.type?.reference) {
+        return atom(`Object.assign(${lvalue}, ${value.code})`, type);
+      }
+      return compound(`${lvalue} = ${value.code}`, type);
+    }
+
+    const op = node.operator.slice(0, -1);
+    const value = this._gen(node.value);
+
+    // s += x modifica el String; como expresión devuelve el propio String
+    if (type.kind === "string" && op === "+") {
+      const call = `${lvalue}.concat(${this._stringOperand(value).code})`;
+      return discard ? atom(call, BOOL) : compound(`${call}, ${lvalue}`, type);
+    }
+
+    if (!isArithmetic(type) || !isSimpleLvalue(node.target)) {
+      return compound(`${lvalue} ${node.operator} ${operand(value)}`, type);
+    }
+
+    const result = this._binary(op, atom(lvalue, type), value, node);
+    return compound(`${lvalue} = ${this._convert(result, type).code}`, type);
+  }
+
+  _conditional(node) {
+    const test = this._gen(node.test);
+    let consequent = this._gen(node.consequent);
+    let alternate = this._gen(node.alternate);
+    const common = usualArithmeticConversion(consequent.type, alternate.type);
+    if (common) {
+      consequent = this._convert(consequent, common);
+      alternate = this._convert(alternate, common);
+    }
+    return compound(
+      `${operand(test)} ? ${operand(consequent)} : ${operand(alternate)}`,
+      common || consequent.type
+    );
+  }
+
+  _cast(node) {
+    const extra = (node.args || []).map((a) => this._gen(a));
+    if (node.type.base === "String" && node.type.pointer === 0) {
+      if (!node.argument) return atom("new __String()", STRING);
+      if (extra.length > 1) throw syntaxError("String() admite como máximo dos argumentos", node.loc);
+      return this._toArduinoString(this._gen(node.argument), extra[0] || null);
+    }
+    const type = this._typeOf(node.type);
+    if (extra.length > 0) throw syntaxError(`${node.type.base}() espera un argumento`, node.loc);
+    // int() → 0
+    if (!node.argument) return atom(this._defaultValue(type), type);
+    return this._convert(this._gen(node.argument), type);
+  }
+
+  _lvalue(node) {
+    if (node.kind === "Identifier") {
+      const symbol = this._scope.lookup(node.name);
+      if (symbol && symbol.isConst) {
+        throw syntaxError(`No se puede modificar la constante "${node.name}"`, node.loc);
+      }
+      if (!symbol && lookupBuiltin(node.name)) {
+        throw syntaxError(`"${node.name}" no es asignable`, node.loc);
+      }
+    } else if (node.kind === "Index") {
+      // const int pins[] = {…}: los elementos tampoco son modificables
+      const symbol = this._scope.lookup(rootName(node));
+      if (this._gen(node.object).type.kind === "string") {
+        throw syntaxError("Solo se puede asignar un carácter de String con =", node.loc);
+      }
+      if (symbol && symbol.isConst && symbol.ctype?.kind === "array" && this._gen(node).type.kind !== "pointer") {
+        throw syntaxError(`No se puede modificar el array constante "${rootName(node)}"`, node.loc);
+      }
+    } else if (node.kind !== "Member") {
+      throw syntaxError("Expresión no asignable", node.loc);
+    }
+    return this._expr(node);
+  }
+
+  _lvalueType(node) {
+    if (node.kind === "Identifier") {
+      return this._scope.lookup(node.name)?.ctype || UNKNOWN;
+    }
+    if (node.kind === "Index" || node.kind === "Member") return this._gen(node).type;
+    return UNKNOWN;
+  }
+
+  // ── Llamadas ─────────────────────────────────────────────────────
+
+  _call(node) {
+    const callee = node.callee;
+    const args = node.args.map((a) => this._gen(a));
+    const argList = (values) => values.map((a) => a.code).join(", ");
+
+    if (callee.kind === "Identifier") {
+      const symbol = this._scope.lookup(callee.name);
+
+      // Función del usuario (o método de la clase actual)
+      if (symbol && symbol.kind === "function") {
+        return this._userCall(symbol, `${symbol.jsName}(${this._arguments(symbol, args, node.args)})`, callee);
+      }
+
+      if (!symbol) {
+        // Tipo(…): construcción de objetos o cast funcional
+        const type = this._types.get(callee.name);
+        if (type && type.kind === "struct") return this._construct(type.info, node.args, node.loc);
+        if (type) {
+          if (args.length !== 1) throw syntaxError(`${callee.name}() espera un argumento`, node.loc);
+          return this._convert(args[0], type);
+        }
+
+        const builtin = lookupBuiltin(callee.name);
+        if (builtin && builtin.kind === "function") {
+          const { values, returns } = this._builtinArguments(builtin, args);
+          const call = `${builtin.js}(${argList(values)})`;
+          if (builtin.async) return compound(this._await(call, callee), returns);
+          return atom(call, returns);
+        }
+      }
+    }
+
+    if (callee.kind === "Member") {
+      // Métodos de structs/clases del usuario
+      const object = this._gen(callee.object);
+      const type = object.type.kind === "pointer" ? object.type.to : object.type;
+      if (type.kind === "struct") {
+        const method = type.info.methods.get(callee.property);
+        if (!method) {
+          throw syntaxError(`${type.info.name} no tiene un método "${callee.property}"`, callee.loc);
+        }
+        this._checkAccess(type.info, method, callee);
+        const call = `${operand(object)}.${method.methodName}(${this._arguments(method, args, node.args)})`;
+        return this._userCall(method, call, { name: callee.property, loc: callee.loc });
+      }
+
+      // Métodos de String (arduinoString.js)
+      if (type.kind === "string") {
+        const returns = STRING_METHODS[callee.property];
+        if (!returns) throw syntaxError(`String no tiene un método "${callee.property}"`, callee.loc);
+        const values = callee.property === "concat" ? args.map((a) => this._stringOperand(a)) : args;
+        return atom(`${operand(object)}.${callee.property}(${argList(values)})`, typeFromName(returns));
+      }
+
+      // Métodos de clases de librería (ticker.attach…)
+      if (type.kind === "library") {
+        const returns = type.info.methods[callee.property];
+        if (!returns) throw syntaxError(`${type.name} no tiene un método "${callee.property}"`, callee.loc);
+        return atom(`${operand(object)}.${callee.property}(${argList(args)})`, typeFromName(returns));
+      }
+
+      // Métodos de objetos de la API (Serial.print…)
+      if (callee.object.kind === "Identifier" && !this._scope.lookup(callee.object.name)) {
+        const builtin = lookupBuiltin(callee.object.name);
+        if (builtin && builtin.kind === "object") {
+          const returns = builtin.methods?.[callee.property];
+          const returnType = returns ? typeFromName(returns) : UNKNOWN;
+          const printed = ["print", "println"].includes(callee.property) ? this._printArguments(args) : args;
+          return atom(`${builtin.js}.${callee.property}(${argList(printed)})`, returnType);
+        }
+      }
+    }
+
+    return atom(`${operand(this._gen(callee))}(${argList(args)})`, UNKNOWN);
+  }
+
+  /**
+   * Argumentos de una función de la API convertidos como en una
+   * llamada C: a los tipos de "params" o, en las genéricas (min, max,
+   * abs), al tipo común de todos ellos, que es también el de retorno.
+   */
+  _builtinArguments(builtin, args) {
+    if (builtin.generic) {
+      const common = args.reduce(
+        (type, a) => usualArithmeticConversion(type, a.type) || UNKNOWN,
+        args[0]?.type || UNKNOWN,
+      );
+      return { values: args.map((a) => this._convert(a, common)), returns: common };
+    }
+    const params = builtin.params || [];
+    return {
+      values: args.map((a, i) => (params[i] ? this._convert(a, typeFromName(params[i])) : a)),
+      returns: builtin.returns ? typeFromName(builtin.returns) : UNKNOWN,
+    };
+  }
+
+  /** Llamada a una función o método del usuario (con await si bloquea) */
+  _userCall(symbol, call, callee) {
+    if (symbol.async) return compound(this._await(call, callee), symbol.returnType);
+    return atom(call, symbol.returnType);
+  }
+
+  _await(code, node) {
+    // Dentro de una función, _markBlockingFunctions ya la marcó async
+    if (!this._function) {
+      throw syntaxError(`${node.name}() no puede llamarse fuera de una función`, node.loc);
+    }
+    return `await ${code}`;
+  }
+
+  _sizeof(node) {
+    if (node.type) return sizeOf(this._typeOf(node.type));
+    if (node.argument.kind === "Identifier" && this._types.has(node.argument.name)
+      && !this._scope.lookup(node.argument.name)) {
+      // sizeof(Reading) se parsea como expresión
+      return sizeOf(this._types.get(node.argument.name));
+    }
+    if (node.argument.kind === "StringLiteral") return node.argument.value.length + 1;
+    return sizeOf(this._gen(node.argument).type);
+  }
+}
+
+// ── Utilidades de emisión ──────────────────────────────────────────
+
+const atom = (code, type) => ({ code, type, atomic: true });
+const compound = (code, type) => ({ code, type, atomic: false });
+
+/** Código de un resultado listo para usarse como operando */
+function operand(value) {
+  return value.atomic ? value.code : `(${value.code})`;
+}
+
+/**
+ * Trunca un valor JS al ancho y signo de un tipo entero.
+ * @param {string} code  Operando ya parentizado
+ * @param {object} type  Tipo entero destino
+ */
+function wrapInteger(code, type) {
+  if (type.bits === 64) return `__c.${type.signed ? "wrap64" : "wrapU64"}(${code})`;
+  if (type.bits === 32) return type.signed ? `${code} | 0` : `${code} >>> 0`;
+  const shift = 32 - type.bits;
+  if (type.signed) return `${code} << ${shift} >> ${shift}`;
+  return `${code} & ${2 ** type.bits - 1}`;
+}
+
+const NUMERIC_LITERAL = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Valor de una constante numérica convertida a un tipo entero.
+ * @param {number} value
+ * @param {object} type  Tipo entero destino
+ */
+function foldInteger(value, type) {
+  const bits = BigInt.asIntN(64, BigInt(Math.trunc(value)));
+  return Number(type.signed ? BigInt.asIntN(type.bits, bits) : BigInt.asUintN(type.bits, bits));
+}
+
+/** Nombre de la variable raíz de un acceso (leds[i][j] → "leds") */
+function rootName(node) {
+  while (node.kind === "Index" || node.kind === "Member") node = node.object;
+  return node.kind === "Identifier" ? node.name : "?";
+}
+
+/**
+ * ¿Se puede evaluar el lvalue dos veces sin efectos secundarios?
+ * (necesario para reescribir x++ como x = wrap(x + 1))
+ */
+function isSimpleLvalue(node) {
+  switch (node.kind) {
+    case "Identifier":
+      return true;
+    case "Member":
+      return isSimpleLvalue(node.object);
+    case "Index":
+      return isSimpleLvalue(node.object)
+        && ["Identifier", "NumberLiteral"].includes(node.index.kind);
+    default:
+      return false;
+  }
+}
+
+// ── API pública ────────────────────────────────────────────────────
+
+/**
+ * Genera código JavaScript a partir del AST de un sketch.
+ * @param {object} ast  Nodo Program
+ * @param {{debug?: boolean}} [options]  debug: checkpoints para el depurador
+ * @returns {{js: string, sourceMap: SourceMap, checkpoints: Array<{loc: object, locals: Array}>}}
+ */
+export function generateJs(ast, options) {
+  return new CodeGenerator(options).generate(ast);
+}
+
+export default { generateJs };
@@ -0,0 +1,1177 @@
+/**
+ * CppParser — Analizador sintáctico del subconjunto C/C++ de Arduino
+ *
+ * Rol: Consume los tokens del lexer y construye un AST. No transforma
+ * ni ejecuta nada: el AST es la representación común que usan tanto
+ * la validación estática (parser.validateCode) como la generación de
+ * código JavaScript (codegen.js).
+ *
+ * Gramática soportada:
+ *   - Declaraciones globales y locales con tipos y calificadores
+ *     (const, static, volatile, unsigned, long long…) y los atributos
+ *     IRAM_ATTR / ICACHE_RAM_ATTR de las ISR (type.isIram)
+ *   - Arrays de una o más dimensiones e inicializadores con llaves
+ *     (las dimensiones quedan en type.dimensions del declarador)
+ *   - struct, class (campos, constructores con lista de inicialización,
+ *     métodos, public/private, definiciones Clase::método fuera de la
+ *     clase), enum y enum class, typedef
+ *   - Definiciones de funciones y prototipos
+ *   - Sentencias: bloques, if/else, for, while, do/while, switch,
+ *     break, continue, return, expresiones
+ *   - Expresiones con la precedencia completa de C (coma, asignación,
+ *     ternario, lógicos, bit a bit, relacionales, desplazamientos,
+ *     aritméticos, casts, unarios, llamadas, índices y miembros)
+ *   - Directiva #include (el resto las resuelve preprocessor.js)
+ *
+ * Cada nodo tiene la forma { kind: "NodeKind", loc: {line, column}, ... }.
+ */
+
+import { tokenize, syntaxError } from "./lexer.js";
+import { preprocess } from "./preprocessor.js";
+import { sketchFiles, compilationOrder, findProjectFile } from "./sketchFiles.js";
+import { ARDUINO_CLASSES } from "./builtins.js";
+
+// ── Vocabulario de tipos ───────────────────────────────────────────
+
+/** Palabras que forman un tipo base */
+export const TYPE_WORDS = new Set([
+  "void", "bool", "boolean", "char", "short", "int", "long", "float", "double",
+  "signed", "unsigned", "byte", "word", "String", "size_t", "auto",
+  "uint8_t", "uint16_t", "uint32_t", "uint64_t",
+  "int8_t", "int16_t", "int32_t", "int64_t",
+]);
+
+/** Calificadores y especificadores de almacenamiento */
+export const QUALIFIERS = new Set([
+  "const", "static", "volatile", "extern", "inline", "constexpr", "register",
+  // Atributos de sección del core ESP8266 (ISR en IRAM)
+  "IRAM_ATTR", "ICACHE_RAM_ATTR",
+]);
+
+/** Palabras reservadas que nunca son identificadores de usuario */
+const RESERVED = new Set([
+  "if", "else", "for", "while", "do", "switch", "case", "default", "break",
+  "continue", "return", "sizeof", "true", "false", "nullptr",
+  "struct", "class", "enum", "typedef", "public", "private", "protected",
+]);
+
+/** Palabras que introducen un tipo compuesto */
+const TAG_WORDS = new Set(["struct", "class", "enum"]);
+
+// ── Precedencia de operadores binarios ─────────────────────────────
+
+const BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "|": 3,
+  "^": 4,
+  "&": 5,
+  "==": 6, "!=": 6,
+  "<": 7, ">": 7, "<=": 7, ">=": 7,
+  "<<": 8, ">>": 8,
+  "+": 9, "-": 9,
+  "*": 10, "/": 10, "%": 10,
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  "=", "+=", "-=", "*=", "/=", "%=", "<<=", ">>=", "&=", "|=", "^=",
+]);
+
+// ── Parser ─────────────────────────────────────────────────────────
+
+class Parser {
+  /**
+   * @param {Array} tokens  Tokens producidos por tokenize()
+   */
+  constructor(tokens) {
+    this._tokens = tokens;
+    this._pos = 0;
+    /** Nombres de struct/class/enum/typedef declarados hasta ahora (y Ticker…) */
+    this._userTypes = new Set(Object.keys(ARDUINO_CLASSES));
+    /** Contador para nombrar structs anónimos */
+    this._anonymousCount = 0;
+  }
+
+  // ── Utilidades de tokens ─────────────────────────────────────────
+
+  _peek(offset = 0) {
+    return this._tokens[Math.min(this._pos + offset, this._tokens.length - 1)];
+  }
+
+  _next() {
+    const token = this._tokens[this._pos];
+    if (this._pos < this._tokens.length - 1) this._pos++;
+    return token;
+  }
+
+  _is(value, offset = 0) {
+    const token = this._peek(offset);
+    return (token.type === "punct" || token.type === "identifier") && token.value === value;
+  }
+
+  _accept(value) {
+    if (this._is(value)) return this._next();
+    return null;
+  }
+
+  _expect(value, context) {
+    if (this._is(value)) return this._next();
+    const token = this._peek();
+    const found = token.type === "eof" ? "fin de archivo" : `"${token.value}"`;
+    // Un ";" faltante se reporta en la línea del token anterior
+    const previous = this._tokens[this._pos - 1];
+    const at = value === ";" && previous && previous.line < token.line ? previous : token;
+    throw syntaxError(
+      `Se esperaba "${value}"${context ? ` ${context}` : ""} pero se encontró ${found}`,
+      at
+    );
+  }
+
+  _expectIdentifier(context) {
+    const token = this._peek();
+    if (token.type !== "identifier" || RESERVED.has(token.value)) {
+      const found = token.type === "eof" ? "fin de archivo" : `"${token.value}"`;
+      throw syntaxError(`Se esperaba un identificador ${context} pero se encontró ${found}`, token);
+    }
+    return this._next();
+  }
+
+  _loc(token) {
+    const loc = { line: token.line, column: token.column };
+    if (token.file) loc.file = token.file;
+    return loc;
+  }
+
+  // ── Detección de tipos ───────────────────────────────────────────
+
+  /**
+   * ¿Comienza una declaración en la posición actual?
+   * Acepta tipos conocidos, calificadores y el patrón "Tipo nombre"
+   * para tipos definidos por el usuario.
+   */
+  _isDeclarationStart() {
+    const token = this._peek();
+    if (token.type !== "identifier") return false;
+    if (TYPE_WORDS.has(token.value) || QUALIFIERS.has(token.value)) return true;
+    if (TAG_WORDS.has(token.value)) return true;
+    if (RESERVED.has(token.value)) return false;
+    // "Reading& r" / "Led* p" con tipos del usuario ya declarados
+    if (this._userTypes.has(token.value) && (this._is("&", 1) || this._is("*", 1))) return true;
+    // "MiTipo variable" o "MiTipo* variable"
+    const next = this._peek(1);
+    if (next.type === "identifier" && !RESERVED.has(next.value)) return true;
+    return false;
+  }
+
+  /** ¿Hay un nombre de tipo (sin ambigüedad) en la posición indicada? */
+  _isTypeName(offset = 0) {
+    const token = this._peek(offset);
+    if (token.type !== "identifier") return false;
+    if (TYPE_WORDS.has(token.value) || QUALIFIERS.has(token.value) || TAG_WORDS.has(token.value)) return true;
+    // Un tipo del usuario, salvo que se use como ámbito (State::RUN)
+    return this._userTypes.has(token.value) && !this._is("::", offset + 1);
+  }
+
+  /**
+   * Parsea especificadores de tipo: calificadores + tipo base.
+   * @returns {{base: string, isConst: boolean, isStatic: boolean, isVolatile: boolean, isIram: boolean, pointer: number, reference: boolean}}
+   */
+  _parseTypeSpec() {
+    const start = this._peek();
+    const spec = emptySpec();
+    const words = [];
+
+    for (;;) {
+      const token = this._peek();
+      if (token.type !== "identifier") break;
+      const word = token.value;
+
+      if (QUALIFIERS.has(word)) {
+        this._next();
+        if (word === "const" || word === "constexpr") spec.isConst = true;
+        if (word === "static") spec.isStatic = true;
+        if (word === "volatile") spec.isVolatile = true;
+        if (word === "extern") spec.isExtern = true;
+        if (word === "IRAM_ATTR" || word === "ICACHE_RAM_ATTR") spec.isIram = true;
+        continue;
+      }
+
+      if (TYPE_WORDS.has(word)) {
+        this._next();
+        words.push(word);
+        continue;
+      }
+
+      // Especificador elaborado: struct Reading, enum State…
+      if (TAG_WORDS.has(word) && words.length === 0 && this._peek(1).type === "identifier") {
+        this._next();
+        words.push(this._next().value);
+        continue;
+      }
+
+      // Tipo de usuario: sólo si aún no hay tipo base
+      if (words.length === 0 && !RESERVED.has(word)) {
+        this._next();
+        words.push(word);
+        continue;
+      }
+      break;
+    }
+
+    if (words.length === 0) {
+      throw syntaxError(`Se esperaba un tipo pero se encontró "${start.value}"`, start);
+    }
+
+    spec.base = canonicalTypeName(words, start);
+    return spec;
+  }
+
+  /**
+   * Parsea los modificadores de un declarador (*, &, const).
+   * @param {object} spec  Especificador base (no se modifica)
+   */
+  _parsePointerModifiers(spec) {
+    const type = { ...spec };
+    for (;;) {
+      if (this._accept("*")) {
+        type.pointer++;
+        continue;
+      }
+      if (this._accept("&")) {
+        type.reference = true;
+        continue;
+      }
+      if (this._is("const") && type.pointer > 0) {
+        this._next();
+        continue;
+      }
+      break;
+    }
+    return type;
+  }
+
+  // ── Programa ─────────────────────────────────────────────────────
+
+  parseProgram() {
+    const body = [];
+    while (this._peek().type !== "eof") {
+      if (this._accept(";")) continue;
+      if (this._peek().type === "directive") {
+        const directive = this._parseDirective();
+        if (directive) body.push(directive);
+        continue;
+      }
+      body.push(...this._parseExternalDeclaration());
+    }
+    return { kind: "Program", body, loc: { line: 1, column: 1 } };
+  }
+
+  /**
+   * Directivas que llegan al parser: sólo #include (preprocessor.js
+   * consume las demás).
+   */
+  _parseDirective() {
+    const token = this._next();
+    const loc = this._loc(token);
+    const text = token.value;
+
+    const include = /^#\s*include\s*([<"])([^>"]+)[>"]/.exec(text);
+    if (include) {
+      return { kind: "Include", path: include[2], system: include[1] === "<", loc };
+    }
+
+    throw syntaxError(`Directiva de preprocesador no soportada: ${text}`, token);
+  }
+
+  /**
+   * Declaración de nivel superior: función (definición o prototipo)
+   * o variables globales.
+   */
+  _parseExternalDeclaration() {
+    const startToken = this._peek();
+
+    if (this._is("typedef")) return this._parseTypedef();
+    if (this._isTypeDefinition()) return this._parseTypeDefinition();
+
+    // Constructor o destructor fuera de la clase: Led::Led(…) / Led::~Led()
+    if (startToken.type === "identifier" && this._is("::", 1)
+      && (this._peek(2).value === startToken.value || this._is("~", 2))) {
+      return this._parseOutOfLineSpecial();
+    }
+
+    const spec = this._parseTypeSpec();
+    const type = this._parsePointerModifiers(spec);
+    let nameToken = this._expectIdentifier("en la declaración");
+
+    // Método definido fuera de la clase: void Led::on() { … }
+    if (this._accept("::")) {
+      const className = nameToken.value;
+      nameToken = this._expectIdentifier("después de ::");
+      return [this._parseFunction(type, nameToken, startToken, { className })];
+    }
+
+    if (this._is("(") && !this._isConstructorCall(spec)) {
+      return [this._parseFunction(type, nameToken, startToken)];
+    }
+
+    const declaration = this._parseDeclaratorList(spec, type, nameToken, startToken);
+    this._expect(";", "al final de la declaración");
+    return [declaration];
+  }
+
+  /**
+   * ¿"Tipo nombre(" declara un objeto con argumentos del constructor
+   * (Led led(2);) en lugar de un prototipo de función?
+   * @param {object} spec
+   */
+  _isConstructorCall(spec) {
+    if (!this._userTypes.has(spec.base)) return false;
+    return !this._is(")", 1) && !this._isTypeName(1);
+  }
+
+  _parseFunction(returnType, nameToken, startToken, extra = {}) {
+    const loc = this._loc(startToken);
+    this._expect("(");
+    const params = [];
+
+    // f(void) equivale a f()
+    if (this._is("void") && this._is(")", 1)) this._next();
+
+    while (!this._is(")")) {
+      const paramStart = this._peek();
+      const spec = this._parseTypeSpec();
+      const type = this._parsePointerModifiers(spec);
+      let name = null;
+      if (this._peek().type === "identifier" && !RESERVED.has(this._peek().value)) {
+        name = this._next().value;
+      }
+      // int a[] / int a[][8]: el parámetro es un puntero al elemento
+      const dimensions = this._parseDimensions();
+      const paramType = dimensions.length
+        ? { ...type, dimensions: dimensions.slice(1), decayed: true }
+        : type;
+      let defaultValue = null;
+      if (this._accept("=")) defaultValue = this.parseAssignment();
+      params.push({ name, type: paramType, defaultValue, loc: this._loc(paramStart) });
+      if (!this._accept(",")) break;
+    }
+    this._expect(")", "al cerrar los parámetros");
+
+    // Calificador const en métodos: void f() const { … }
+    this._accept("const");
+
+    // Lista de inicialización del constructor: Led(int p) : pin(p) { … }
+    const initializers = [];
+    if (extra.isConstructor && this._accept(":")) {
+      do {
+        const member = this._expectIdentifier("en la lista de inicialización");
+        const open = this._is("{") ? "{" : "(";
+        this._expect(open, `después de ${member.value}`);
+        const close = open === "{" ? "}" : ")";
+        const args = [];
+        while (!this._is(close)) {
+          args.push(this.parseAssignment());
+          if (!this._accept(",")) break;
+        }
+        this._expect(close, "al cerrar la inicialización");
+        initializers.push({ name: member.value, args, loc: this._loc(member) });
+      } while (this._accept(","));
+    }
+
+    let body = null;
+    if (this._is("{")) {
+      body = this._parseBlock();
+    } else {
+      this._expect(";", `después del prototipo de ${nameToken.value}()`);
+    }
+
+    return {
+      kind: "FunctionDecl",
+      name: nameToken.value,
+      returnType,
+      params,
+      body,
+      loc,
+      nameLoc: this._loc(nameToken),
+      ...extra,
+      ...(extra.isConstructor ? { initializers } : {}),
+    };
+  }
+
+  // ── Tipos compuestos ─────────────────────────────────────────────
+
+  /** ¿Empieza aquí la definición de un struct, class o enum? */
+  _isTypeDefinition() {
+    const token = this._peek();
+    if (token.type !== "identifier") return false;
+    if (token.value === "enum") {
+      let offset = 1;
+      if (this._is("class", offset) || this._is("struct", offset)) offset++;
+      if (this._peek(offset).type === "identifier") offset++;
+      return this._is("{", offset) || this._is(":", offset);
+    }
+    if (token.value === "struct" || token.value === "class") {
+      if (this._is("{", 1)) return true;
+      // Declaración adelantada: class Led;
+      return this._peek(1).type === "identifier" && ["{", ":", ";"].some((p) => this._is(p, 2));
+    }
+    return false;
+  }
+
+  /**
+   * struct/class/enum con sus declaradores opcionales:
+   * "struct P { int x; } a, b;"
+   * @returns {Array<object>} Nodos de nivel superior
+   */
+  _parseTypeDefinition() {
+    const startToken = this._peek();
+    const nodes = this._is("enum") ? [this._parseEnum()] : this._parseClass();
+    const definition = nodes[nodes.length - 1];
+    if (!definition) {
+      this._expect(";", "después de la declaración adelantada");
+      return [];
+    }
+
+    if (this._peek().type === "identifier") {
+      const spec = { ...emptySpec(), base: definition.name };
+      const type = this._parsePointerModifiers(spec);
+      const nameToken = this._expectIdentifier("en la declaración");
+      nodes.push(this._parseDeclaratorList(spec, type, nameToken, startToken));
+    }
+    this._expect(";", `al final de la definición de ${definition.name}`);
+    return nodes;
+  }
+
+  /**
+   * enum [class] Nombre [: tipo] { A, B = 5, C }
+   */
+  _parseEnum(name = null) {
+    const loc = this._loc(this._next());
+    const scoped = Boolean(this._accept("class") || this._accept("struct"));
+    if (this._peek().type === "identifier" && !this._is("{")) name = this._next().value;
+    if (!name) name = `__enum${++this._anonymousCount}`;
+    this._userTypes.add(name);
+
+    const baseType = this._accept(":") ? this._parseTypeSpec() : null;
+    this._expect("{", `en la definición de enum ${name}`);
+    const values = [];
+    while (!this._is("}")) {
+      const valueToken = this._expectIdentifier("en el enum");
+      const value = this._accept("=") ? this.parseAssignment() : null;
+      values.push({ name: valueToken.value, value, loc: this._loc(valueToken) });
+      if (!this._accept(",")) break;
+    }
+    this._expect("}", `al cerrar el enum ${name}`);
+    return { kind: "EnumDecl", name, scoped, baseType, values, loc };
+  }
+
+  /**
+   * struct/class con campos, constructores y métodos. Los enum
+   * anidados se devuelven antes que la clase.
+   * @returns {Array<object>} [...enums, ClassDecl] o [] si es adelantada
+   */
+  _parseClass(name = null) {
+    const keyword = this._next();
+    const loc = this._loc(keyword);
+    const isStruct = keyword.value === "struct";
+    if (this._peek().type === "identifier") name = this._next().value;
+    if (!name) name = `__struct${++this._anonymousCount}`;
+    this._userTypes.add(name);
+
+    if (this._is(";")) return [];
+    if (this._is(":")) {
+      throw syntaxError(`Herencia no soportada en ${name}`, this._peek());
+    }
+
+    this._expect("{", `en la definición de ${name}`);
+    const nested = [];
+    const fields = [];
+    const methods = [];
+    let access = isStruct ? "public" : "private";
+
+    while (!this._is("}")) {
+      const memberStart = this._peek();
+      if (memberStart.type === "eof") {
+        throw syntaxError(`Falta "}" para cerrar ${name}`, memberStart);
+      }
+      if (this._accept(";")) continue;
+      if (["public", "private", "protected"].includes(memberStart.value) && this._is(":", 1)) {
+        access = this._next().value;
+        this._next();
+        continue;
+      }
+      if (memberStart.type === "directive") {
+        throw syntaxError(`Directiva de preprocesador dentro de ${name}: ${memberStart.value}`, memberStart);
+      }
+      if (this._is("enum")) {
+        nested.push(this._parseEnum());
+        this._expect(";", "al final del enum");
+        continue;
+      }
+      this._accept("explicit");
+      this._accept("virtual");
+
+      // Constructor: Nombre(…)
+      if (this._is(name) && this._is("(", 1)) {
+        const nameToken = this._next();
+        const returnType = { ...emptySpec(), base: "void" };
+        methods.push({
+          ...this._parseFunction(returnType, nameToken, memberStart, { isConstructor: true }),
+          access,
+        });
+        continue;
+      }
+
+      // Destructor: no tiene efecto en la simulación
+      if (this._accept("~")) {
+        const nameToken = this._expectIdentifier("en el destructor");
+        this._parseFunction({ ...emptySpec(), base: "void" }, nameToken, memberStart);
+        continue;
+      }
+
+      const spec = this._parseTypeSpec();
+      const type = this._parsePointerModifiers(spec);
+      const nameToken = this._expectIdentifier(`en la definición de ${name}`);
+      if (this._is("(")) {
+        methods.push({ ...this._parseFunction(type, nameToken, memberStart), access });
+        continue;
+      }
+      const declaration = this._parseDeclaratorList(spec, type, nameToken, memberStart);
+      this._expect(";", `al final del miembro de ${name}`);
+      fields.push({ ...declaration, access });
+    }
+    this._expect("}", `al cerrar ${name}`);
+
+    return [...nested, { kind: "ClassDecl", name, isStruct, fields, methods, loc }];
+  }
+
+  /**
+   * typedef tipo Nombre; / typedef struct { … } Nombre;
+   */
+  _parseTypedef() {
+    const startToken = this._next();
+    const loc = this._loc(startToken);
+    let nodes;
+
+    if (this._isTypeDefinition()) {
+      // typedef struct [Etiqueta] { … } Nombre;
+      const tagged = this._peek(1).type === "identifier" && !this._is("class", 1) && !this._is("struct", 1);
+      nodes = this._is("enum") ? [this._parseEnum()] : this._parseClass();
+      const definition = nodes[nodes.length - 1];
+      const alias = this._expectIdentifier("en el typedef");
+      this._userTypes.add(alias.value);
+      if (definition && !tagged && definition.name.startsWith("__")) {
+        // Struct anónimo: toma directamente el nombre del typedef
+        this._userTypes.delete(definition.name);
+        definition.name = alias.value;
+      } else {
+        nodes.push({ kind: "Typedef", name: alias.value, type: { ...emptySpec(), base: definition.name }, loc });
+      }
+    } else {
+      const spec = this._parseTypeSpec();
+      const type = this._parsePointerModifiers(spec);
+      const alias = this._expectIdentifier("en el typedef");
+      this._userTypes.add(alias.value);
+      nodes = [{ kind: "Typedef", name: alias.value, type, loc }];
+    }
+
+    this._expect(";", "al final del typedef");
+    return nodes;
+  }
+
+  /**
+   * Led::Led(…) : … { … } o Led::~Led() { … } fuera de la clase.
+   */
+  _parseOutOfLineSpecial() {
+    const startToken = this._next();
+    const className = startToken.value;
+    this._expect("::");
+    const isDestructor = Boolean(this._accept("~"));
+    const nameToken = this._expectIdentifier("después de ::");
+    const returnType = { ...emptySpec(), base: "void" };
+    const fn = this._parseFunction(returnType, nameToken, startToken, { className, isConstructor: !isDestructor });
+    return isDestructor ? [] : [fn];
+  }
+
+  /**
+   * Parsea "a = 1, *b, c = 2" tras el primer nombre.
+   */
+  _parseDeclaratorList(spec, firstType, firstName, startToken) {
+    const declarators = [];
+    let type = firstType;
+    let nameToken = firstName;
+
+    for (;;) {
+      const dimensions = this._parseDimensions();
+      let init = null;
+      let ctorArgs = null;
+      if (this._accept("=")) {
+        init = this._parseInitializer();
+      } else if (this._is("{")) {
+        init = this._parseInitializer();
+      } else if (this._accept("(")) {
+        // Inicialización directa: Led led(2); int x(5);
+        ctorArgs = [];
+        while (!this._is(")")) {
+          ctorArgs.push(this.parseAssignment());
+          if (!this._accept(",")) break;
+        }
+        this._expect(")", "al cerrar los argumentos del constructor");
+      }
+      declarators.push({
+        name: nameToken.value,
+        type: dimensions.length ? { ...type, dimensions } : type,
+        init,
+        ctorArgs,
+        loc: this._loc(nameToken),
+      });
+
+      if (!this._accept(",")) break;
+      type = this._parsePointerModifiers(spec);
+      nameToken = this._expectIdentifier("en la declaración");
+    }
+
+    return {
+      kind: "VarDecl",
+      declType: spec,
+      declarators,
+      loc: this._loc(startToken),
+    };
+  }
+
+  /**
+   * Dimensiones de un array: "[3][N]" → [expr, expr]; "[]" → null.
+   * @returns {Array<object|null>}
+   */
+  _parseDimensions() {
+    const dimensions = [];
+    while (this._accept("[")) {
+      if (this._accept("]")) {
+        dimensions.push(null);
+        continue;
+      }
+      dimensions.push(this.parseExpression());
+      this._expect("]", "al cerrar la dimensión del array");
+    }
+    return dimensions;
+  }
+
+  _parseInitializer() {
+    if (this._is("{")) {
+      const open = this._next();
+      const elements = [];
+      while (!this._is("}")) {
+        elements.push(this._parseInitializer());
+        if (!this._accept(",")) break;
+      }
+      this._expect("}", "al cerrar la lista de inicialización");
+      return { kind: "InitList", elements, loc: this._loc(open) };
+    }
+    return this.parseAssignment();
+  }
+
+  // ── Sentencias ───────────────────────────────────────────────────
+
+  _parseBlock() {
+    const open = this._expect("{");
+    const body = [];
+    while (!this._is("}")) {
+      if (this._peek().type === "eof") {
+        throw syntaxError(`Falta "}" para cerrar el bloque abierto en la línea ${open.line}`, this._peek());
+      }
+      body.push(this._parseStatement());
+    }
+    this._next();
+    return { kind: "Block", body, loc: this._loc(open) };
+  }
+
+  _parseStatement() {
+    const token = this._peek();
+    const loc = this._loc(token);
+
+    if (token.type === "directive") {
+      throw syntaxError(`Directiva de preprocesador dentro de una función: ${token.value}`, token);
+    }
+
+    if (token.type === "punct") {
+      if (token.value === "{") return this._parseBlock();
+      if (token.value === ";") {
+        this._next();
+        return { kind: "Empty", loc };
+      }
+    }
+
+    if (token.type === "identifier") {
+      switch (token.value) {
+        case "if": return this._parseIf();
+        case "for": return this._parseFor();
+        case "while": return this._parseWhile();
+        case "do": return this._parseDoWhile();
+        case "switch": return this._parseSwitch();
+        case "break":
+          this._next();
+          this._expect(";", "después de break");
+          return { kind: "Break", loc };
+        case "continue":
+          this._next();
+          this._expect(";", "después de continue");
+          return { kind: "Continue", loc };
+        case "return": {
+          this._next();
+          const argument = this._is(";") ? null : this.parseExpression();
+          this._expect(";", "después de return");
+          return { kind: "Return", argument, loc };
+        }
+        default:
+          break;
+      }
+
+      if (this._isDeclarationStart()) {
+        const declaration = this._parseLocalDeclaration();
+        this._expect(";", "al final de la declaración");
+        return declaration;
+      }
+    }
+
+    const expression = this.parseExpression();
+    this._expect(";", "al final de la sentencia");
+    return { kind: "ExpressionStatement", expression, loc };
+  }
+
+  _parseLocalDeclaration() {
+    const startToken = this._peek();
+    const spec = this._parseTypeSpec();
+    const type = this._parsePointerModifiers(spec);
+    const nameToken = this._expectIdentifier("en la declaración");
+    return this._parseDeclaratorList(spec, type, nameToken, startToken);
+  }
+
+  _parseIf() {
+    const loc = this._loc(this._next());
+    this._expect("(", "después de if");
+    const test = this.parseExpression();
+    this._expect(")", "al cerrar la condición del if");
+    const consequent = this._parseStatement();
+    let alternate = null;
+    if (this._accept("else")) alternate = this._parseStatement();
+    return { kind: "If", test, consequent, alternate, loc };
+  }
+
+  _parseFor() {
+    const loc = this._loc(this._next());
+    this._expect("(", "después de for");
+
+    let init = null;
+    if (!this._is(";")) {
+      if (this._isDeclarationStart() && this._isRangeFor()) {
+        throw syntaxError(
+          "El for basado en rango (for (x : lista)) no está soportado: recorre el array con un índice",
+          this._peek()
+        );
+      }
+      if (this._isDeclarationStart()) {
+        init = this._parseLocalDeclaration();
+      } else {
+        const initToken = this._peek();
+        init = { kind: "ExpressionStatement", expression: this.parseExpression(), loc: this._loc(initToken) };
+      }
+    }
+    this._expect(";", "en el for");
+
+    const test = this._is(";") ? null : this.parseExpression();
+    this._expect(";", "en el for");
+
+    const update = this._is(")") ? null : this.parseExpression();
+    this._expect(")", "al cerrar el for");
+
+    const body = this._parseStatement();
+    return { kind: "For", init, test, update, body, loc };
+  }
+
+  /** for (auto x : arr): un ":" antes del primer ";" de la cabecera */
+  _isRangeFor() {
+    let depth = 0;
+    for (let offset = 0; this._peek(offset).type !== "eof"; offset++) {
+      const token = this._peek(offset);
+      if (token.type !== "punct") continue;
+      if (["(", "[", "{"].includes(token.value)) depth++;
+      else if ([")", "]", "}"].includes(token.value) && --depth < 0) return false;
+      else if (token.value === ";" || token.value === "?") return false;
+      else if (token.value === ":" && depth === 0) return true;
+    }
+    return false;
+  }
+
+  _parseWhile() {
+    const loc = this._loc(this._next());
+    this._expect("(", "después de while");
+    const test = this.parseExpression();
+    this._expect(")", "al cerrar la condición del while");
+    const body = this._parseStatement();
+    return { kind: "While", test, body, loc };
+  }
+
+  _parseDoWhile() {
+    const loc = this._loc(this._next());
+    const body = this._parseStatement();
+    this._expect("while", "después del bloque do");
+    this._expect("(");
+    const test = this.parseExpression();
+    this._expect(")");
+    this._expect(";", "después de do/while");
+    return { kind: "DoWhile", test, body, loc };
+  }
+
+  _parseSwitch() {
+    const loc = this._loc(this._next());
+    this._expect("(", "después de switch");
+    const discriminant = this.parseExpression();
+    this._expect(")");
+    this._expect("{", "en el switch");
+
+    const cases = [];
+    let current = null;
+    while (!this._is("}")) {
+      const token = this._peek();
+      if (token.type === "eof") throw syntaxError("Falta \"}\" al cerrar el switch", token);
+
+      if (this._accept("case")) {
+        const test = this._parseConditional();
+        this._expect(":", "después de case");
+        current = { test, body: [], loc: this._loc(token) };
+        cases.push(current);
+        continue;
+      }
+      if (this._accept("default")) {
+        this._expect(":", "después de default");
+        current = { test: null, body: [], loc: this._loc(token) };
+        cases.push(current);
+        continue;
+      }
+      if (!current) throw syntaxError("Sentencia fuera de un case en el switch", token);
+      current.body.push(this._parseStatement());
+    }
+    this._next();
+    return { kind: "Switch", discriminant, cases, loc };
+  }
+
+  // ── Expresiones ──────────────────────────────────────────────────
+
+  parseExpression() {
+    const start = this._peek();
+    const first = this.parseAssignment();
+    if (!this._is(",")) return first;
+
+    const expressions = [first];
+    while (this._accept(",")) expressions.push(this.parseAssignment());
+    return { kind: "Comma", expressions, loc: this._loc(start) };
+  }
+
+  parseAssignment() {
+    const start = this._peek();
+    const target = this._parseConditional();
+    const op = this._peek();
+    if (op.type === "punct" && ASSIGNMENT_OPERATORS.has(op.value)) {
+      this._next();
+      const value = this.parseAssignment();
+      return { kind: "Assign", operator: op.value, target, value, loc: this._loc(start) };
+    }
+    return target;
+  }
+
+  _parseConditional() {
+    const start = this._peek();
+    const test = this._parseBinary(1);
+    if (!this._accept("?")) return test;
+    const consequent = this.parseExpression();
+    this._expect(":", "en el operador ternario");
+    const alternate = this.parseAssignment();
+    return { kind: "Conditional", test, consequent, alternate, loc: this._loc(start) };
+  }
+
+  _parseBinary(minPrecedence) {
+    const start = this._peek();
+    let left = this._parseUnary();
+
+    for (;;) {
+      const token = this._peek();
+      const precedence = token.type === "punct" ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) break;
+      this._next();
+      const right = this._parseBinary(precedence + 1);
+      left = { kind: "Binary", operator: token.value, left, right, loc: this._loc(start) };
+    }
+    return left;
+  }
+
+  _parseUnary() {
+    const token = this._peek();
+    const loc = this._loc(token);
+
+    if (token.type === "punct") {
+      if (token.value === "++" || token.value === "--") {
+        this._next();
+        const argument = this._parseUnary();
+        return { kind: "Update", operator: token.value, prefix: true, argument, loc };
+      }
+      if (["!", "~", "-", "+", "*", "&"].includes(token.value)) {
+        this._next();
+        const argument = this._parseUnary();
+        return { kind: "Unary", operator: token.value, argument, loc };
+      }
+      // Cast: (tipo) expresión
+      if (token.value === "(" && this._isTypeName(1)) {
+        this._next();
+        const spec = this._parseTypeSpec();
+        const type = this._parsePointerModifiers(spec);
+        this._expect(")", "al cerrar el cast");
+        const argument = this._parseUnary();
+        return { kind: "Cast", type, argument, loc };
+      }
+    }
+
+    if (token.type === "identifier" && token.value === "sizeof") {
+      this._next();
+      if (this._is("(") && this._isTypeName(1)) {
+        this._next();
+        const spec = this._parseTypeSpec();
+        const type = this._parsePointerModifiers(spec);
+        this._expect(")", "al cerrar sizeof");
+        return { kind: "Sizeof", type, argument: null, loc };
+      }
+      const argument = this._parseUnary();
+      return { kind: "Sizeof", type: null, argument, loc };
+    }
+
+    return this._parsePostfix();
+  }
+
+  _parsePostfix() {
+    let expression = this._parsePrimary();
+
+    for (;;) {
+      const token = this._peek();
+      if (token.type !== "punct") break;
+      const loc = this._loc(token);
+
+      if (token.value === "(") {
+        this._next();
+        const args = [];
+        while (!this._is(")")) {
+          args.push(this.parseAssignment());
+          if (!this._accept(",")) break;
+        }
+        this._expect(")", "al cerrar la llamada");
+        expression = { kind: "Call", callee: expression, args, loc: expression.loc };
+        continue;
+      }
+      if (token.value === "[") {
+        this._next();
+        const index = this.parseExpression();
+        this._expect("]", "al cerrar el índice");
+        expression = { kind: "Index", object: expression, index, loc: expression.loc };
+        continue;
+      }
+      if (token.value === "." || token.value === "->") {
+        this._next();
+        const property = this._expectIdentifier(`después de "${token.value}"`);
+        expression = {
+          kind: "Member",
+          object: expression,
+          property: property.value,
+          arrow: token.value === "->",
+          loc,
+        };
+        continue;
+      }
+      if (token.value === "++" || token.value === "--") {
+        this._next();
+        expression = { kind: "Update", operator: token.value, prefix: false, argument: expression, loc: expression.loc };
+        continue;
+      }
+      break;
+    }
+    return expression;
+  }
+
+  _parsePrimary() {
+    const token = this._peek();
+    const loc = this._loc(token);
+
+    switch (token.type) {
+      case "number":
+        this._next();
+        return {
+          kind: "NumberLiteral",
+          value: token.value,
+          raw: token.raw,
+          isFloat: token.isFloat,
+          unsigned: token.unsigned,
+          long: token.long,
+          float: token.float,
+          radix: token.radix,
+          loc,
+        };
+      case "string": {
+        // Concatenación de literales adyacentes: "a" "b" → "ab"
+        let value = "";
+        while (this._peek().type === "string") value += this._next().value;
+        return { kind: "StringLiteral", value, loc };
+      }
+      case "char":
+        this._next();
+        return { kind: "CharLiteral", value: token.value, loc };
+      case "identifier": {
+        if (token.value === "true" || token.value === "false") {
+          this._next();
+          return { kind: "BoolLiteral", value: token.value === "true", loc };
+        }
+        if (token.value === "nullptr") {
+          this._next();
+          return { kind: "NullLiteral", loc };
+        }
+        // Cast funcional: int(x), byte(x), float(x)…
+        // String(x, HEX) / String(): args guarda los argumentos extra
+        if (TYPE_WORDS.has(token.value) && this._is("(", 1)) {
+          this._next();
+          this._next();
+          const args = [];
+          while (!this._is(")")) {
+            args.push(this.parseAssignment());
+            if (!this._accept(",")) break;
+          }
+          this._expect(")", "al cerrar la conversión");
+          // Arduino.h: word(h, l) es makeWord(h, l), no una conversión
+          if (token.value === "word" && args.length === 2) {
+            return { kind: "Call", callee: { kind: "Identifier", name: "makeWord", loc }, args, loc };
+          }
+          const type = { ...emptySpec(), base: token.value };
+          return { kind: "Cast", type, argument: args[0] || null, args: args.slice(1), functional: true, loc };
+        }
+        if (RESERVED.has(token.value) || TYPE_WORDS.has(token.value)) {
+          throw syntaxError(`Uso inesperado de "${token.value}"`, token);
+        }
+        this._next();
+        // Nombre calificado: State::RUN
+        if (this._accept("::")) {
+          const name = this._expectIdentifier("después de ::");
+          return { kind: "ScopeRef", scope: token.value, name: name.value, loc };
+        }
+        return { kind: "Identifier", name: token.value, loc };
+      }
+      case "punct":
+        if (token.value === "(") {
+          this._next();
+          const expression = this.parseExpression();
+          this._expect(")", "al cerrar el paréntesis");
+          return expression;
+        }
+        break;
+      default:
+        break;
+    }
+
+    const found = token.type === "eof" ? "fin de archivo" : `"${token.value}"`;
+    throw syntaxError(`Expresión inválida: se encontró ${found}`, token);
+  }
+}
+
+// ── Normalización de nombres de tipo ───────────────────────────────
+
+/** Especificador de tipo sin calificadores */
+function emptySpec() {
+  return {
+    base: null,
+    isConst: false,
+    isStatic: false,
+    isVolatile: false,
+    isExtern: false,
+    isIram: false,
+    pointer: 0,
+    reference: false,
+  };
+}
+
+/**
+ * Convierte una secuencia de palabras de tipo en un nombre canónico.
+ * Ej: ["unsigned"] → "unsigned int", ["long", "int"] → "long",
+ *     ["unsigned", "long", "long"] → "unsigned long long".
+ */
+function canonicalTypeName(words, token) {
+  if (words.length === 1) {
+    if (words[0] === "unsigned") return "unsigned int";
+    if (words[0] === "signed") return "int";
+    return words[0];
+  }
+
+  const unsigned = words.includes("unsigned");
+  const signed = words.includes("signed");
+  const longs = words.filter((w) => w === "long").length;
+  const rest = words.filter((w) => !["unsigned", "signed", "long", "int"].includes(w));
+
+  if (rest.length > 1 || (rest.length === 1 && !["char", "short", "double"].includes(rest[0]))) {
+    throw syntaxError(`Combinación de tipos inválida: "${words.join(" ")}"`, token);
+  }
+
+  let base;
+  if (rest[0] === "double") base = "double";
+  else if (rest[0] === "char") base = signed ? "signed char" : "char";
+  else if (rest[0] === "short") base = "short";
+  else if (longs >= 2) base = "long long";
+  else if (longs === 1) base = "long";
+  else base = "int";
+
+  if (unsigned && base !== "double") {
+    return base === "signed char" ? "unsigned char" : `unsigned ${base}`;
+  }
+  return base;
+}
+
+// ── API pública ────────────────────────────────────────────────────
+
+/**
+ * Parsea un sketch: el código de una pestaña o los archivos de un
+ * proyecto (ver sketchFiles.js para el orden de concatenación).
+ * Lanza un Error con .line/.column (y .file fuera del .ino principal)
+ * si hay errores de sintaxis.
+ * @param {string|Array<{name: string, content: string}>} sketch
+ * @returns {object} Nodo Program
+ */
+export function parseProgram(sketch) {
+  const files = sketchFiles(sketch);
+  const units = compilationOrder(files);
+  if (units.length === 0) throw syntaxError("El proyecto no tiene ningún archivo .ino", { line: 1, column: 1 });
+
+  // Los .ino y .cpp forman un único flujo de tokens (un solo eof)
+  const tokens = units.flatMap((unit, i) => {
+    const unitTokens = tokenize(unit.content, unit.main ? undefined : unit.name);
+    return i < units.length - 1 ? unitTokens.slice(0, -1) : unitTokens;
+  });
+  const resolveInclude = (path) => findProjectFile(files, path);
+  return new Parser(preprocess(tokens, { resolveInclude })).parseProgram();
+}
+
+/**
+ * Recorre el AST en profundidad llamando a visit(node, parent)
+ * para cada nodo. Si visit retorna false no se visitan sus hijos.
+ * @param {object} node
+ * @param {Function} visit
+ * @param {object|null} [parent]
+ */
+export function walkAst(node, visit, parent = null) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => walkAst(child, visit, parent));
+    return;
+  }
+  if (node.kind && visit(node, parent) === false) return;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "loc" || key === "type" || key === "declType" || key === "returnType") continue;
+    if (value && typeof value === "object") {
+      walkAst(value, visit, node.kind ? node : parent);
+    }
+  }
+}
+
+export default { parseProgram, walkAst };
@@ -0,0 +1,163 @@
+/**
+ * CrashDump — Excepciones del ESP8266 y su decodificador
+ *
+ * Rol: Traduce los errores de C que el sketch comete en ejecución a
+ * la excepción de la CPU Xtensa que produciría en la placa, escribe
+ * el volcado que imprime el core antes de reiniciar y lo decodifica
+ * contra el sketch, como el ESP Exception Decoder del IDE:
+ *
+ *   división entera por cero → Exception (0)  IllegalInstruction (el
+ *                              lx106 no divide: libgcc ejecuta "ill")
+ *   leer de un puntero NULL  → Exception (28) LoadProhibited
+ *   escribir en un puntero NULL → Exception (29) StoreProhibited
+ *   recursión sin fin        → "Stack overflow detected" + Exception (5)
+ *   usar un pin de la flash  → Exception (0): la CPU deja de leer
+ *   (GPIO6-11)                 instrucciones válidas de la flash
+ *
+ * Direcciones: cada línea del código generado ocupa LINE_BYTES bytes a
+ * partir de SKETCH_TEXT_BASE (flash mapeada, IROM), de modo que epc1
+ * y las direcciones de retorno de la pila (>>>stack>>>) identifican la
+ * línea y la función del sketch (ver SourceMap.functionAt). El resto
+ * de palabras de la pila son relleno con el aspecto del real.
+ *
+ * SimulatorEngine imprime el volcado y su decodificación y reinicia
+ * la placa con REASON_EXCEPTION_RST.
+ */
+
+/** Dirección de la primera línea del sketch compilado */
+const SKETCH_TEXT_BASE = 0x40201010;
+
+/** Bytes de código por línea generada */
+const LINE_BYTES = 8;
+
+/** Fin de la pila de loop() (ctx: cont) */
+const CONT_STACK_END = 0x3fffffc0;
+
+/** Desplazamiento desde sp hasta el primer marco volcado */
+const STACK_DUMP_OFFSET = 0x190;
+
+/** Marcos de la pila que se vuelcan como mucho */
+const MAX_STACK_FRAMES = 16;
+
+/** Línea que rodea el volcado para copiarlo al decodificador */
+const CUT_HERE = "--------------- CUT HERE FOR EXCEPTION DECODER ---------------";
+
+/** Causas de excepción (EXCCAUSE) y su texto en el decodificador */
+const EXCEPTION_CAUSES = {
+  0: "IllegalInstruction: Illegal instruction",
+  5: "Alloca: MOVSP instruction, if caller's registers are not in the register file",
+  28: "LoadProhibited: A load referenced a page mapped with an attribute that does not permit loads",
+  29: "StoreProhibited: A store referenced a page mapped with an attribute that does not permit stores",
+};
+
+const NULL_ACCESS = /Cannot (read|set) properties of (null|undefined)|\bis (null|undefined)\b|\b(null|undefined) (is not an object|has no properties)/;
+const NULL_STORE = /Cannot set|setting/;
+const STACK_OVERFLOW = /call stack|too much recursion/i;
+
+const hex = (value, digits = 8) => value.toString(16).padStart(digits, "0");
+
+/**
+ * Excepción del ESP8266 que corresponde a un error de ejecución, o
+ * null si el error no es un fallo de la CPU (un error del motor o
+ * una función no soportada).
+ * @param {Error} error
+ * @returns {{cause: number, excvaddr: number, stackOverflow: boolean, description: string}|null}
+ */
+export function exceptionOf(error) {
+  if (error.cause === "IntegerDivideByZero") {
+    return { cause: 0, excvaddr: 0, stackOverflow: false, description: "división entera por cero" };
+  }
+  if (error.cause === "FlashPinAccess") {
+    return { cause: 0, excvaddr: 0, stackOverflow: false, description: error.message };
+  }
+  if (STACK_OVERFLOW.test(error.message) && (error instanceof RangeError || error.name === "InternalError")) {
+    return { cause: 5, excvaddr: 0, stackOverflow: true, description: "desbordamiento de pila (¿recursión sin fin?)" };
+  }
+  if (error instanceof TypeError && NULL_ACCESS.test(error.message)) {
+    return NULL_STORE.test(error.message)
+      ? { cause: 29, excvaddr: 0, stackOverflow: false, description: "escritura a través de un puntero NULL" }
+      : { cause: 28, excvaddr: 0, stackOverflow: false, description: "lectura a través de un puntero NULL" };
+  }
+  return null;
+}
+
+/**
+ * Dirección de código de una línea generada.
+ * @param {number} generatedLine  1-based
+ * @returns {number}
+ */
+function lineAddress(generatedLine) {
+  return SKETCH_TEXT_BASE + (generatedLine - 1) * LINE_BYTES;
+}
+
+/**
+ * Volcado que el core imprime por el puerto serie antes de reiniciar.
+ * @param {{cause: number, excvaddr: number, stackOverflow: boolean}} exception
+ * @param {number[]} stackLines  Líneas generadas de la pila, la que
+ *        falló primero (ver SourceMap.stackLines)
+ * @returns {string[]}
+ */
+export function crashDump(exception, stackLines) {
+  const [pc, ...callers] = stackLines.slice(0, MAX_STACK_FRAMES).map(lineAddress);
+  // Un marco por fila: sp guardado, a2, a3 y la dirección de retorno
+  const rows = callers.map((address, i) => [0x3ffee4d0 + i * 0x20, 0, 0x3ffe8800 + i * 0x10, address]);
+  rows.push([0xfeefeffe, 0xfeefeffe, 0x3ffee5a0, 0x40100459]);
+  const first = CONT_STACK_END - rows.length * 16;
+
+  return [
+    "",
+    CUT_HERE,
+    "",
+    ...(exception.stackOverflow ? ["Stack overflow detected.", ""] : []),
+    `Exception (${exception.cause}):`,
+    `epc1=0x${hex(pc ?? 0)} epc2=0x00000000 epc3=0x00000000 excvaddr=0x${hex(exception.excvaddr)} depc=0x00000000`,
+    "",
+    ">>>stack>>>",
+    "",
+    "ctx: cont",
+    `sp: ${hex(first - STACK_DUMP_OFFSET)} end: ${hex(CONT_STACK_END)} offset: ${hex(STACK_DUMP_OFFSET, 4)}`,
+    ...rows.map((row, i) => `${hex(first + i * 16)}:  ${row.map((word) => hex(word)).join(" ")}  `),
+    "<<<stack<<<",
+    "",
+    CUT_HERE,
+    "",
+  ];
+}
+
+/**
+ * Decodificador de excepciones: traduce las direcciones de un volcado
+ * (el del motor o uno pegado a mano) a funciones y líneas del sketch.
+ * Las direcciones que no son del sketch (ROM, core) se omiten.
+ * @param {string[]} dump  Líneas del volcado
+ * @param {import("./sourceMap.js").SourceMap} sourceMap  Del sketch compilado
+ * @param {string} mainFile  Nombre del .ino principal
+ * @returns {string[]}
+ */
+export function decodeCrash(dump, sourceMap, mainFile) {
+  const text = dump.join("\n");
+  const describe = (address) => {
+    const offset = address - SKETCH_TEXT_BASE;
+    const generatedLine = offset / LINE_BYTES + 1;
+    if (offset < 0 || !Number.isInteger(generatedLine) || generatedLine > sourceMap.length) return null;
+    const position = sourceMap.originalPosition(generatedLine);
+    const fn = sourceMap.functionAt(generatedLine) ?? "??";
+    return `0x${hex(address)}: ${fn}${position ? ` at ${position.file || mainFile} line ${position.line}` : ""}`;
+  };
+
+  const lines = [];
+  const cause = /Exception \((\d+)\):/.exec(text);
+  if (cause) lines.push(`Exception ${cause[1]}: ${EXCEPTION_CAUSES[cause[1]] ?? "Unknown"}`);
+  const epc1 = /epc1=0x([0-9a-f]{8})/i.exec(text);
+  const pc = epc1 && describe(parseInt(epc1[1], 16));
+  if (pc) lines.push(`PC: ${pc}`);
+  const excvaddr = /excvaddr=0x([0-9a-f]{8})/i.exec(text);
+  if (excvaddr) lines.push(`EXCVADDR: 0x${excvaddr[1]}`);
+
+  const stack = /^>>>stack>>>$([\s\S]*?)^<<<stack<<<$/m.exec(text);
+  if (stack) {
+    const words = stack[1].split("\n").flatMap((line) => line.split(":  ")[1]?.trim().split(/\s+/) ?? []);
+    const frames = words.map((word) => describe(parseInt(word, 16))).filter(Boolean);
+    lines.push("", "Decoding stack results", ...frames);
+  }
+  return lines;
+}
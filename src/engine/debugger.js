@@ -0,0 +1,356 @@
+/**
+ * Debugger — Depurador a nivel de código fuente del sketch
+ *
+ * Rol: Decide en qué checkpoint se detiene el sketch y expone la pila
+ * de llamadas y las variables locales mientras está detenido. El
+ * codegen en modo depuración emite antes de cada sentencia:
+ *
+ *   if (__dbg.hit(id)) await __dbg.suspend(id, () => [...locales]);
+ *
+ * y cada función registra su marco con enter()/exit(). hit() es
+ * síncrono y barato: sin breakpoints ni pasos pendientes sólo anota
+ * la posición del marco actual.
+ *
+ * Motivos de parada:
+ *   breakpoint → línea marcada en el gutter del editor
+ *   step       → step over / into / out
+ *   cursor     → run to cursor
+ *   pause      → pausa pedida por el motor
+ *
+ * Un breakpoint o cursor en una línea sin código se ajusta a la
+ * siguiente línea ejecutable del mismo archivo, como en gdb.
+ *
+ * Mientras está detenido el sketch espera una promesa: el reloj
+ * virtual no avanza. SimulatorEngine recibe las paradas por los
+ * handlers (setHandlers) y la UI por EventBus:
+ *   "debug-paused"  → { reason, location, callStack, locals }
+ *   "debug-resumed" → {}
+ */
+
+import eventBus from "./eventBus.js";
+import { textOf } from "./cString.js";
+
+/** Elementos de un array que se muestran antes de "…" */
+const MAX_ARRAY_ITEMS = 16;
+
+/**
+ * Texto de un valor del sketch según su tipo C.
+ * @param {*} value
+ * @param {object} ctype  Tipo (ver cTypes.js)
+ * @returns {string}
+ */
+export function describeValue(value, ctype) {
+  if (value === undefined || value === null) return value === null ? "NULL" : "?";
+  switch (ctype.kind) {
+    case "bool":
+      return value ? "true" : "false";
+    case "int":
+      if (ctype.isChar && value >= 32 && value < 127) return `${value} '${String.fromCharCode(value)}'`;
+      return String(value);
+    case "string":
+      return JSON.stringify(String(value));
+    case "pointer":
+      return typeof value === "string" || value instanceof Uint8Array ? JSON.stringify(textOf(value)) : String(value);
+    case "array": {
+      if (ctype.of.kind === "int" && ctype.of.isChar) return JSON.stringify(textOf(value));
+      const items = Array.from(value).slice(0, MAX_ARRAY_ITEMS).map((item) => describeValue(item, ctype.of));
+      return `{${items.join(", ")}${value.length > MAX_ARRAY_ITEMS ? ", …" : ""}}`;
+    }
+    case "struct": {
+      const fields = [...ctype.info.fields.values()]
+        .map((field) => `${field.name} = ${describeValue(value[field.jsName], field.ctype)}`);
+      return `{${fields.join(", ")}}`;
+    }
+    case "library":
+      return `${ctype.name}${value.active?.() ? " (activo)" : ""}`;
+    default:
+      return String(value);
+  }
+}
+
+class SketchDebugger {
+  constructor() {
+    /** Checkpoints del programa cargado (índice = id): { loc, locals } */
+    this._checkpoints = [];
+
+    /** Nombre del .ino principal (las posiciones sin file son suyas) */
+    this._mainFile = "";
+
+    /** Breakpoints por archivo: nombre → líneas */
+    this._breakpoints = new Map();
+
+    /** Ids de checkpoint con breakpoint */
+    this._breakIds = new Set();
+
+    /** Ids de checkpoint del run to cursor pendiente */
+    this._cursorIds = null;
+
+    /** Pila de llamadas: { name, id } (id = último checkpoint alcanzado) */
+    this._frames = [];
+
+    /** Paso pendiente: null | "pause" | "into" | "over" | "out" */
+    this._step = null;
+
+    /** Profundidad de la pila al pedir el paso */
+    this._stepDepth = 0;
+
+    /**
+     * Ejecución de la línea de la que se acaba de salir: { frame, line,
+     * seen }. Sus demás breakpoints no paran; volver a un checkpoint ya
+     * visto (otra vuelta de un bucle) es una ejecución nueva.
+     */
+    this._skip = null;
+
+    /** true si hit() tiene que comprobar algo más que la posición */
+    this._armed = false;
+
+    /** Parada actual: { id, reason, readers, resolve, reject } */
+    this._suspended = null;
+
+    this._handlers = { onSuspend: () => {} };
+  }
+
+  /**
+   * Callbacks del motor.
+   * @param {{onSuspend: Function}} handlers
+   */
+  setHandlers(handlers) {
+    this._handlers = { ...this._handlers, ...handlers };
+  }
+
+  /**
+   * Prepara una ejecución con los checkpoints del programa compilado.
+   * @param {Array<{loc: object, locals: Array}>} checkpoints
+   * @param {string} mainFile  Nombre del .ino principal
+   */
+  load(checkpoints, mainFile) {
+    this._checkpoints = checkpoints;
+    this._mainFile = mainFile;
+    this._frames = [];
+    this._step = null;
+    this._cursorIds = null;
+    this._skip = null;
+    this._suspended = null;
+    this._resolveBreakpoints();
+  }
+
+  /**
+   * Reemplaza los breakpoints (se aplican también en plena ejecución).
+   * @param {Object<string, number[]>} breakpoints  archivo → líneas
+   */
+  setBreakpoints(breakpoints) {
+    this._breakpoints = new Map(Object.entries(breakpoints));
+    this._resolveBreakpoints();
+  }
+
+  // ── Llamadas desde el código generado ────────────────────────────
+
+  /**
+   * Entrada a una función del sketch.
+   * @param {string} name
+   * @returns {object} Marco, para exit()
+   */
+  enter(name) {
+    const frame = { name, id: null };
+    this._frames.push(frame);
+    return frame;
+  }
+
+  /**
+   * Salida de una función. Se busca el marco porque el finally de una
+   * ejecución ya detenida puede llegar después de load().
+   * @param {object} frame
+   */
+  exit(frame) {
+    const index = this._frames.lastIndexOf(frame);
+    if (index !== -1) this._frames.splice(index);
+  }
+
+  /**
+   * ¿Debe detenerse el sketch en este checkpoint?
+   * @param {number} id
+   * @returns {boolean}
+   */
+  hit(id) {
+    const frame = this._frames[this._frames.length - 1];
+    if (frame) frame.id = id;
+    if (!this._armed) return false;
+    return this._stopReason(id, frame) !== null;
+  }
+
+  /**
+   * Detiene el sketch hasta el siguiente comando (continue/step…).
+   * @param {number} id
+   * @param {Function} locals  Devuelve un lector por variable local
+   * @returns {Promise<void>}
+   */
+  suspend(id, locals) {
+    const reason = this._stopReason(id, this._frames[this._frames.length - 1]);
+    this._step = null;
+    this._cursorIds = null;
+    this._arm();
+
+    return new Promise((resolve, reject) => {
+      this._suspended = { id, reason, readers: locals(), resolve, reject };
+      this._handlers.onSuspend(this.snapshot());
+      eventBus.emit("debug-paused", this.snapshot());
+    });
+  }
+
+  // ── Comandos ─────────────────────────────────────────────────────
+
+  /** ¿Está el sketch detenido en un checkpoint? */
+  isSuspended() {
+    return this._suspended !== null;
+  }
+
+  /** Detenerse en el siguiente checkpoint que se alcance */
+  requestPause() {
+    this._step = "pause";
+    this._arm();
+  }
+
+  /** Continúa hasta el siguiente breakpoint */
+  continue() {
+    this._step = null;
+    this._cursorIds = null;
+    this._resume();
+  }
+
+  /**
+   * Avanza una sentencia: "over" sin entrar en llamadas, "into"
+   * entrando y "out" hasta volver a la función que llamó.
+   * @param {"over"|"into"|"out"} kind
+   */
+  step(kind) {
+    // Fuera de toda función (entre dos loop()) sólo cabe entrar
+    this._step = this._frames.length === 0 ? "into" : kind;
+    this._stepDepth = this._frames.length;
+    this._resume();
+  }
+
+  /**
+   * Continúa hasta una línea (o la siguiente con código).
+   * @param {string} file  Pestaña
+   * @param {number} line
+   */
+  runToCursor(file, line) {
+    this._step = null;
+    this._cursorIds = this._idsAtLine(file, line);
+    this._resume();
+  }
+
+  /** Fin de la ejecución: una parada en curso termina con __STOP__ */
+  abort() {
+    const suspended = this._suspended;
+    this._frames = [];
+    this._step = null;
+    this._cursorIds = null;
+    this._suspended = null;
+    this._arm();
+    if (suspended) {
+      eventBus.emit("debug-resumed", {});
+      suspended.reject(new Error("__STOP__"));
+    }
+  }
+
+  /**
+   * Estado de la parada actual para la UI: posición, pila (la función
+   * en curso primero) y variables locales formateadas.
+   * @returns {{reason: string, location: object, callStack: Array, locals: Array}|null}
+   */
+  snapshot() {
+    if (!this._suspended) return null;
+    const { id, reason, readers } = this._suspended;
+    const locals = this._checkpoints[id].locals.map((local, i) => {
+      let value;
+      try {
+        value = describeValue(readers[i](), local.ctype);
+      } catch {
+        value = "<sin inicializar>";
+      }
+      return { name: local.name, type: local.ctype.name || "", value };
+    });
+    const callStack = this._frames.map((frame) => ({
+      name: frame.name,
+      location: frame.id === null ? null : { ...this._checkpoints[frame.id].loc },
+    })).reverse();
+    return { reason, location: { ...this._checkpoints[id].loc }, callStack, locals };
+  }
+
+  // ── Internos ─────────────────────────────────────────────────────
+
+  /**
+   * Motivo por el que hay que parar en un checkpoint, o null.
+   * @param {number} id
+   * @param {object|undefined} frame  Marco actual
+   * @returns {string|null}
+   */
+  _stopReason(id, frame) {
+    const depth = this._frames.length;
+    const line = this._lineKey(id);
+    if (this._skip && (this._skip.frame !== frame || this._skip.line !== line || this._skip.seen.has(id))) {
+      this._skip = null;
+      this._arm();
+    }
+    this._skip?.seen.add(id);
+
+    if (this._step === "pause") return "pause";
+    if (this._step === "into") return "step";
+    if (this._step === "over" && depth <= this._stepDepth) return "step";
+    if (this._step === "out" && depth < this._stepDepth) return "step";
+    if (this._cursorIds?.has(id)) return "cursor";
+    if (this._breakIds.has(id) && !this._skip) return "breakpoint";
+    return null;
+  }
+
+  /** Reanuda una parada (si la hay) recordando la ejecución de la que sale */
+  _resume() {
+    const suspended = this._suspended;
+    if (suspended) {
+      const frame = this._frames[this._frames.length - 1];
+      this._skip = { frame, line: this._lineKey(suspended.id), seen: new Set([suspended.id]) };
+      this._suspended = null;
+    }
+    this._arm();
+    if (suspended) {
+      eventBus.emit("debug-resumed", {});
+      suspended.resolve();
+    }
+  }
+
+  _arm() {
+    this._armed = this._step !== null || this._cursorIds !== null || this._breakIds.size > 0 || this._skip !== null;
+  }
+
+  /** "archivo:línea" de un checkpoint */
+  _lineKey(id) {
+    const { loc } = this._checkpoints[id];
+    return `${loc.file || this._mainFile}:${loc.line}`;
+  }
+
+  /**
+   * Checkpoints de una línea o, si no tiene código, de la siguiente
+   * línea con código del mismo archivo.
+   * @returns {Set<number>}
+   */
+  _idsAtLine(file, line) {
+    const inFile = this._checkpoints
+      .map((checkpoint, id) => ({ id, loc: checkpoint.loc }))
+      .filter(({ loc }) => (loc.file || this._mainFile) === file && loc.line >= line);
+    if (inFile.length === 0) return new Set();
+    const target = Math.min(...inFile.map(({ loc }) => loc.line));
+    return new Set(inFile.filter(({ loc }) => loc.line === target).map(({ id }) => id));
+  }
+
+  _resolveBreakpoints() {
+    this._breakIds = new Set();
+    this._breakpoints.forEach((lines, file) => {
+      lines.forEach((line) => this._idsAtLine(file, line).forEach((id) => this._breakIds.add(id)));
+    });
+    this._arm();
+  }
+}
+
+const sketchDebugger = new SketchDebugger();
+export default sketchDebugger;
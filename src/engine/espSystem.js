@@ -0,0 +1,226 @@
+/**
+ * EspSystem — Objeto ESP del core ESP8266 (EspClass)
+ *
+ * Rol: Datos del chip y motivo del último reinicio que consultan los
+ * sketches (ESP.getChipId(), ESP.getFreeHeap(), ESP.getResetReason(),
+ * ESP.getCycleCount()…) y el banner que la ROM imprime por el puerto
+ * serie al arrancar tras un reinicio.
+ *
+ * Motivos de reinicio (rst_info.reason del SDK) y su "rst cause" de
+ * la ROM:
+ *
+ *   0 Power On                 → 1  (arranque de la simulación)
+ *   1 Hardware Watchdog        → 4
+ *   2 Exception                → 2
+ *   3 Software Watchdog        → 2
+ *   4 Software/System restart  → 2  (ESP.restart())
+ *   5 Deep-Sleep Wake          → 5  (GPIO16 → RST al final del deepSleep)
+ *   6 External System          → 2  (botón RST)
+ *
+ * Al salir de reset, la ROM lee los pines de arranque (bootMode()):
+ *
+ *   GPIO15  GPIO0  GPIO2
+ *    LOW    HIGH   HIGH   → 3 flash: carga el sketch
+ *    LOW    LOW    HIGH   → 1 UART: espera un firmware (botón FLASH)
+ *    HIGH    x      x     → 4-7 tarjeta SD: el sketch no arranca
+ *    LOW     x     LOW    → 0 o 2: el sketch no arranca
+ *
+ * Sus mensajes salen a 74880 baudios: en una placa real, con el
+ * monitor a 115200, se ven como basura antes de la salida del sketch.
+ *
+ * Los valores del chip son los de un ESP-12E típico y se pueden
+ * cambiar con configure(). ESP.restart() y ESP.deepSleep() detienen
+ * el sketch: los implementa SimulatorEngine (_buildEspAPI), que
+ * reinicia la placa a través de este módulo.
+ */
+
+import virtualClock, { CLOCK_READ_US } from "./virtualClock.js";
+
+export const REASON_DEFAULT_RST = 0;
+export const REASON_WDT_RST = 1;
+export const REASON_EXCEPTION_RST = 2;
+export const REASON_SOFT_WDT_RST = 3;
+export const REASON_SOFT_RESTART = 4;
+export const REASON_DEEP_SLEEP_AWAKE = 5;
+export const REASON_EXT_SYS_RST = 6;
+
+/** Motivo de reinicio → texto de getResetReason() y rst cause de la ROM */
+const RESET_REASONS = {
+  [REASON_DEFAULT_RST]: { name: "Power On", rstCause: 1 },
+  [REASON_WDT_RST]: { name: "Hardware Watchdog", rstCause: 4 },
+  [REASON_EXCEPTION_RST]: { name: "Exception", rstCause: 2 },
+  [REASON_SOFT_WDT_RST]: { name: "Software Watchdog", rstCause: 2 },
+  [REASON_SOFT_RESTART]: { name: "Software/System restart", rstCause: 2 },
+  [REASON_DEEP_SLEEP_AWAKE]: { name: "Deep-Sleep Wake", rstCause: 5 },
+  [REASON_EXT_SYS_RST]: { name: "External System", rstCause: 2 },
+};
+
+/** Mensaje del Error con el que ESP.restart() y ESP.deepSleep() detienen el sketch */
+export const SYSTEM_RESET = "__RESET__";
+
+/** Mayor duración de ESP.deepSleep(): el RTC cuenta ~3,5 h (µs) */
+const DEEP_SLEEP_MAX_US = 3.5 * 3600 * 1000 * 1000;
+
+/** Configuración por defecto: ESP-12E (NodeMCU v2/v3) */
+export const ESP_DEFAULTS = {
+  /** ESP.getChipId(): últimos 3 bytes de la MAC */
+  chipId: 0x00a1b2c3,
+  /** ESP.getFlashChipId(): fabricante y modelo (Winbond W25Q32) */
+  flashChipId: 0x001640ef,
+  /** ESP.getFlashChipSize() (bytes) */
+  flashChipSize: 4 * 1024 * 1024,
+  /** ESP.getCpuFreqMHz(): 80 o 160 */
+  cpuFreqMHz: 80,
+  /** ESP.getFreeHeap() con el WiFi apagado (bytes) */
+  freeHeap: 51896,
+  /** GPIO16 (D0) unido a RST: el final de un deepSleep() reinicia la placa */
+  deepSleepWake: true,
+};
+
+/** Modos de arranque de la ROM (primer número de "boot mode:(x,y)") */
+export const BOOT_MODE_FLASH = 3;
+export const BOOT_MODE_UART = 1;
+
+/**
+ * Modo de arranque según el nivel de los pines de arranque.
+ * @param {number} gpio15  MTDO (bit 2)
+ * @param {number} gpio0   (bit 1)
+ * @param {number} gpio2   (bit 0)
+ * @returns {number} BOOT_MODE_FLASH, BOOT_MODE_UART u otro modo en el que el sketch no arranca
+ */
+export function bootMode(gpio15, gpio0, gpio2) {
+  return (gpio15 << 2) | (gpio0 << 1) | gpio2;
+}
+
+/**
+ * Líneas que el ESP8266 imprime por el puerto serie al arrancar: el
+ * aviso del core (soft WDT), el motivo de reset de la ROM y la carga
+ * del bootloader. En modo UART (GPIO0 a LOW) la ROM espera al
+ * programador en lugar de cargar el sketch; en los demás modos se
+ * queda tras la primera línea.
+ * @param {number} reason  Motivo (REASON_*)
+ * @param {number} [mode]  Modo de arranque (ver bootMode())
+ * @returns {string[]}
+ */
+export function resetBanner(reason, mode = BOOT_MODE_FLASH) {
+  const { rstCause } = RESET_REASONS[reason];
+  const header = [
+    ...(reason === REASON_SOFT_WDT_RST ? ["Soft WDT reset", ""] : []),
+    ` ets Jan  8 2013,rst cause:${rstCause}, boot mode:(${mode},6)`,
+    "",
+  ];
+  if (mode === BOOT_MODE_UART) return [...header, "waiting for host"];
+  if (mode !== BOOT_MODE_FLASH) return header;
+  return [
+    ...header,
+    ...(reason === REASON_WDT_RST ? ["wdt reset"] : []),
+    "load 0x4010f000, len 3460, room 16",
+    "tail 4",
+    "chksum 0xcc",
+    "load 0x3fff20b8, len 40, room 4",
+    "tail 4",
+    "chksum 0xc9",
+    "csum 0xc9",
+    "v00041ab0",
+    "~ld",
+  ];
+}
+
+class EspSystem {
+  constructor() {
+    /** Valores del chip (ver ESP_DEFAULTS) */
+    this._config = { ...ESP_DEFAULTS };
+
+    /** Motivo del último arranque (REASON_*) */
+    this._resetReason = REASON_DEFAULT_RST;
+  }
+
+  /**
+   * Cambia los valores del chip simulado.
+   * @param {Partial<typeof ESP_DEFAULTS>} options
+   */
+  configure(options) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(ESP_DEFAULTS, key)) {
+        throw new Error(`Opción de ESP desconocida: "${key}"`);
+      }
+      if (typeof value !== typeof ESP_DEFAULTS[key]) {
+        throw new Error(`ESP.${key} debe ser de tipo ${typeof ESP_DEFAULTS[key]}`);
+      }
+    });
+    if (options.cpuFreqMHz !== undefined && ![80, 160].includes(options.cpuFreqMHz)) {
+      throw new Error(`Frecuencia de CPU no válida: ${options.cpuFreqMHz} MHz (80 o 160)`);
+    }
+    Object.assign(this._config, options);
+  }
+
+  /**
+   * Configuración actual.
+   * @returns {typeof ESP_DEFAULTS}
+   */
+  getConfig() {
+    return { ...this._config };
+  }
+
+  /**
+   * Motivo del arranque en curso (lo fija el motor antes de setup()).
+   * @param {number} reason  REASON_*
+   */
+  setResetReason(reason) {
+    this._resetReason = reason;
+  }
+
+  /**
+   * Tiempo virtual que duerme un ESP.deepSleep(us): 0 es "sin despertador".
+   * @param {number} us
+   * @returns {number} µs, o Infinity si sólo despierta con RST
+   */
+  sleepDuration(us) {
+    if (us === 0 || !this._config.deepSleepWake) return Infinity;
+    return Math.min(us, DEEP_SLEEP_MAX_US);
+  }
+
+  // ── API Arduino ──────────────────────────────────────────────────
+
+  getResetReason() {
+    return RESET_REASONS[this._resetReason].name;
+  }
+
+  getChipId() {
+    return this._config.chipId;
+  }
+
+  getFlashChipId() {
+    return this._config.flashChipId;
+  }
+
+  getFlashChipSize() {
+    return this._config.flashChipSize;
+  }
+
+  getCpuFreqMHz() {
+    return this._config.cpuFreqMHz;
+  }
+
+  getFreeHeap() {
+    return this._config.freeHeap;
+  }
+
+  deepSleepMax() {
+    return DEEP_SLEEP_MAX_US;
+  }
+
+  /**
+   * ESP.getCycleCount(): ciclos de CPU del reloj virtual (desborda a
+   * 32 bits, ~53 s a 80 MHz). Leerlo cuesta tiempo, como millis(), de
+   * modo que una espera activa sobre él termina.
+   * @returns {number}
+   */
+  getCycleCount() {
+    virtualClock.advance(CLOCK_READ_US);
+    return (virtualClock.now() * this._config.cpuFreqMHz) % 2 ** 32;
+  }
+}
+
+const espSystem = new EspSystem();
+export default espSystem;
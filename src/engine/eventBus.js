@@ -8,13 +8,18 @@
  * Eventos principales:
  *   "pin-change"       → { pin, value: 0|1, mode, pwmValue?, brightness? }
  *   "pwm-change"       → { pin, value: 0-1023, brightness: 0.0-1.0 }
- *   "serial-log"       → { message: String, type: "info"|"warn"|"error" }
+ *   "serial-log"       → { message: String, type: "info"|"warn"|"error", location?: {line, column} }
  *   "engine-state"     → { state: "running"|"stopped"|"paused"|"error" }
  *   "component-update" → { id: String, type: String, ...data }
+ *   "debug-paused"     → { reason, location, callStack, locals } (ver debugger.js)
+ *   "debug-resumed"    → {}
  * 
  * Diseño: Singleton exportado para que todos los módulos compartan
  * la misma instancia. Preparado para ser reemplazado por WebSocket
  * cuando se escale a backend.
+ *
+ * El motor corre en un Web Worker con su propia instancia: los eventos
+ * del motor llegan a la de la UI a través de simulatorBridge.js.
  */
 
 class EventBus {
@@ -12,8 +12,16 @@
  *   D3 = GPIO0     D8 = GPIO15
  *   D4 = GPIO2     A0 = ADC (analog)
  *
+ * Cada GPIO tiene sus capacidades (PIN_CAPABILITIES): PWM,
+ * interrupciones, pull-up o pull-down, ADC, arranque, UART y los pines
+ * de la flash SPI (GPIO6-11), que cuelgan el chip si se tocan.
+ * pinMode, digitalWrite, analogWrite y attachInterrupt (interruptPin)
+ * las consultan en ejecución y el análisis semántico al validar.
+ *
  * Los componentes externos (LEDs, Botones, Sensores) se registran
- * asociados a un pin y reaccionan a sus cambios.
+ * asociados a un pin y reaccionan a sus cambios. Al arrancar, los
+ * que tiran de un pin de arranque (GPIO0, GPIO2, GPIO15) deciden el
+ * modo de arranque de la ROM (getBootLevel).
  */
 
 import eventBus from "./eventBus.js";
@@ -23,6 +31,7 @@ export const PIN_MODE = {
   INPUT: "INPUT",
   OUTPUT: "OUTPUT",
   INPUT_PULLUP: "INPUT_PULLUP",
+  INPUT_PULLDOWN_16: "INPUT_PULLDOWN_16",
 };
 
 export const PIN_VALUE = {
@@ -47,8 +56,78 @@ export const ESP8266_PIN_MAP = {
   A0: 17, // ADC (analog)
 };
 
-/** GPIO válidos del ESP8266 */
-export const VALID_GPIOS = [0, 1, 2, 3, 4, 5, 12, 13, 14, 15, 16, 17];
+/** GPIO de propósito general: PWM, interrupciones y pull-up */
+const GENERAL_PURPOSE = {
+  digital: true, pwm: true, interrupt: true, pullup: true, pulldown: false,
+  adc: false, boot: null, uart: null, flash: null,
+};
+
+/** Pines de la flash SPI: no se pueden usar */
+const FLASH_PIN = { ...GENERAL_PURPOSE, digital: false, pwm: false, interrupt: false, pullup: false };
+
+/**
+ * Capacidades de cada pin del ESP8266:
+ *   digital    pinMode / digitalWrite / digitalRead
+ *   pwm        analogWrite (PWM por software)
+ *   interrupt  attachInterrupt
+ *   pullup     INPUT_PULLUP; pulldown: INPUT_PULLDOWN_16 (sólo GPIO16)
+ *   adc        analogRead (A0, 0-1 V)
+ *   boot       nivel que necesita al arrancar (ver BOOT_STRAP_PINS)
+ *   uart       "TX" o "RX": los usa Serial tras Serial.begin()
+ *   flash      señal de la flash SPI: usar el pin cuelga el chip
+ */
+export const PIN_CAPABILITIES = {
+  0: { ...GENERAL_PURPOSE, boot: "HIGH" },
+  1: { ...GENERAL_PURPOSE, uart: "TX" },
+  2: { ...GENERAL_PURPOSE, boot: "HIGH" },
+  3: { ...GENERAL_PURPOSE, uart: "RX" },
+  4: { ...GENERAL_PURPOSE },
+  5: { ...GENERAL_PURPOSE },
+  6: { ...FLASH_PIN, flash: "CLK" },
+  7: { ...FLASH_PIN, flash: "SD0" },
+  8: { ...FLASH_PIN, flash: "SD1" },
+  9: { ...FLASH_PIN, flash: "SD2" },
+  10: { ...FLASH_PIN, flash: "SD3" },
+  11: { ...FLASH_PIN, flash: "CMD" },
+  12: { ...GENERAL_PURPOSE },
+  13: { ...GENERAL_PURPOSE },
+  14: { ...GENERAL_PURPOSE },
+  15: { ...GENERAL_PURPOSE, boot: "LOW" },
+  // En el bloque RTC: sin PWM ni interrupciones, pull-down en lugar de
+  // pull-up; despierta del deep sleep unido a RST
+  16: { ...GENERAL_PURPOSE, pwm: false, interrupt: false, pullup: false, pulldown: true },
+  17: { ...GENERAL_PURPOSE, pwm: false, interrupt: false, pullup: false, adc: true },
+};
+
+/** GPIO que el sketch puede usar (los de la flash no) */
+export const VALID_GPIOS = Object.keys(PIN_CAPABILITIES)
+  .map(Number)
+  .filter((gpio) => !PIN_CAPABILITIES[gpio].flash);
+
+/**
+ * Error con el que se cuelga el chip al usar un pin de la flash
+ * (SimulatorEngine lo trata como una excepción, ver crashDump.js).
+ * @param {number} gpio
+ * @returns {Error}
+ */
+function flashPinAccess(gpio) {
+  const error = new Error(`GPIO${gpio} es la señal ${PIN_CAPABILITIES[gpio].flash} de la flash SPI: el chip deja de leer su programa`);
+  error.cause = "FlashPinAccess";
+  return error;
+}
+
+/**
+ * Pines de arranque y su nivel sin nada conectado: la NodeMCU lleva
+ * pull-up en GPIO0 y GPIO2 y pull-down en GPIO15.
+ */
+export const BOOT_STRAP_PINS = { 0: PIN_VALUE.HIGH, 2: PIN_VALUE.HIGH, 15: PIN_VALUE.LOW };
+
+/**
+ * Hacia dónde tira de su pin cada tipo de componente si su config no
+ * indica pull ("up" o "down"): un LED entre el pin y GND lo lleva a
+ * LOW; uno entre 3V3 y el pin (activo a LOW) necesita pull: "up".
+ */
+const COMPONENT_PULLS = { LED: "down" };
 
 // ── Clase GPIOManager ──────────────────────────────────────────────
 
@@ -66,9 +145,72 @@ class GPIOManager {
      */
     this._components = new Map();
 
+    /**
+     * Proveedor de la posición actual en el sketch (lo instala el
+     * motor de simulación). Retorna {line, column} o null.
+     * @type {Function|null}
+     */
+    this._locator = null;
+
+    /**
+     * Receptor de los flancos externos (interrupciones; lo instala el
+     * motor de simulación). Recibe (gpio, nuevoValor).
+     * @type {Function|null}
+     */
+    this._edgeListener = null;
+
+    /**
+     * Niveles impuestos desde fuera (botones, clics en un Pin): siguen
+     * ahí aunque el sketch reconfigure el pin o la placa se reinicie.
+     * @type {Map<number, number>}
+     */
+    this._externalLevels = new Map();
+
+    /** Serial.begin() ocupa GPIO1 (TX) y GPIO3 (RX) */
+    this._uartActive = false;
+
     this._initializePins();
   }
 
+  /**
+   * Instala la función que localiza la línea del sketch en ejecución,
+   * usada para anotar los warnings con su posición original.
+   * @param {Function|null} locator
+   */
+  setLocator(locator) {
+    this._locator = locator;
+  }
+
+  /**
+   * Instala la función que recibe los cambios de nivel externos.
+   * @param {Function|null} listener
+   */
+  setEdgeListener(listener) {
+    this._edgeListener = listener;
+  }
+
+  /**
+   * Serial.begin() (o el arranque de la placa, con false): GPIO1 y
+   * GPIO3 pasan a ser TX y RX de la UART.
+   * @param {boolean} active
+   */
+  setUartActive(active) {
+    this._uartActive = active;
+  }
+
+  /**
+   * Emite un warning al Serial Monitor con la posición del sketch.
+   * @param {string} message
+   */
+  _warn(message) {
+    const location = this._locator ? this._locator() : null;
+    eventBus.emit("serial-log", {
+      message: location ? `${message} (línea ${location.line})` : message,
+      type: "warn",
+      location,
+    });
+  }
+
   /**
    * Inicializa todos los GPIO con estado por defecto.
    */
@@ -115,15 +257,28 @@ class GPIOManager {
   }
 
   /**
-   * Valida que un GPIO existe en el ESP8266.
+   * Valida que un GPIO existe en el ESP8266 y que no es de la flash.
    * @param {number} gpio
    */
   _validateGpio(gpio) {
+    if (PIN_CAPABILITIES[gpio]?.flash) throw flashPinAccess(gpio);
     if (!VALID_GPIOS.includes(gpio)) {
       throw new Error(`GPIO ${gpio} no es válido para ESP8266`);
     }
   }
 
+  /**
+   * Avisa si el sketch reconfigura un pin de la UART con Serial activo.
+   * @param {number} gpio
+   * @param {string} what  Llamada que lo usa
+   */
+  _checkUart(gpio, what) {
+    const uart = PIN_CAPABILITIES[gpio].uart;
+    if (uart && this._uartActive) {
+      this._warn(`⚠ ${what} sobre GPIO${gpio} (${uart}) con Serial activo: el pin deja de ser ${uart} de la UART`);
+    }
+  }
+
   // ── API Arduino ────────────────────────────────────────────────
 
   /**
@@ -135,17 +290,34 @@ class GPIOManager {
     const gpio = this.resolvePin(pin);
     this._validateGpio(gpio);
 
-    const normalizedMode = mode.toUpperCase();
+    let normalizedMode = mode.toUpperCase();
     if (!Object.values(PIN_MODE).includes(normalizedMode)) {
-      throw new Error(`Modo inválido: "${mode}". Use INPUT, OUTPUT o INPUT_PULLUP`);
+      throw new Error(`Modo inválido: "${mode}". Use INPUT, OUTPUT, INPUT_PULLUP o INPUT_PULLDOWN_16`);
+    }
+
+    const capabilities = PIN_CAPABILITIES[gpio];
+    this._checkUart(gpio, `pinMode(${normalizedMode})`);
+    if (capabilities.adc && normalizedMode !== PIN_MODE.INPUT) {
+      this._warn(`⚠ A0 es sólo una entrada analógica: pinMode(${normalizedMode}) no tiene efecto; use analogRead(A0)`);
+      normalizedMode = PIN_MODE.INPUT;
+    } else if (normalizedMode === PIN_MODE.INPUT_PULLUP && !capabilities.pullup) {
+      this._warn(`⚠ GPIO${gpio} no tiene pull-up interno: queda como INPUT; use INPUT_PULLDOWN_16 o una resistencia externa`);
+      normalizedMode = PIN_MODE.INPUT;
+    } else if (normalizedMode === PIN_MODE.INPUT_PULLDOWN_16 && !capabilities.pulldown) {
+      this._warn(`⚠ INPUT_PULLDOWN_16 sólo existe en GPIO16: GPIO${gpio} queda como INPUT`);
+      normalizedMode = PIN_MODE.INPUT;
     }
 
     const pinState = this._pins.get(gpio);
     pinState.mode = normalizedMode;
 
-    // Si es INPUT_PULLUP, inicializar en HIGH
+    // Si es INPUT_PULLUP, inicializar en HIGH (salvo que algo lo
+    // mantenga a LOW desde fuera, como un botón pulsado); con
+    // INPUT_PULLDOWN_16, en LOW
     if (normalizedMode === PIN_MODE.INPUT_PULLUP) {
-      pinState.value = PIN_VALUE.HIGH;
+      pinState.value = this._externalLevels.get(gpio) ?? PIN_VALUE.HIGH;
+    } else if (normalizedMode === PIN_MODE.INPUT_PULLDOWN_16) {
+      pinState.value = this._externalLevels.get(gpio) ?? PIN_VALUE.LOW;
     }
 
     eventBus.emit("pin-change", {
@@ -168,10 +340,7 @@ class GPIOManager {
     const pinState = this._pins.get(gpio);
 
     if (pinState.mode !== PIN_MODE.OUTPUT) {
-      eventBus.emit("serial-log", {
-        message: `⚠ digitalWrite en GPIO${gpio} sin pinMode(OUTPUT)`,
-        type: "warn",
-      });
+      this._warn(`⚠ digitalWrite en GPIO${gpio} sin pinMode(OUTPUT)`);
     }
 
     const normalizedValue = value ? PIN_VALUE.HIGH : PIN_VALUE.LOW;
@@ -215,10 +384,7 @@ class GPIOManager {
     const pinState = this._pins.get(gpio);
 
     if (!pinState.mode) {
-      eventBus.emit("serial-log", {
-        message: `⚠ digitalRead en GPIO${gpio} sin configurar modo`,
-        type: "warn",
-      });
+      this._warn(`⚠ digitalRead en GPIO${gpio} sin configurar modo`);
     }
 
     return pinState.value;
@@ -251,31 +417,28 @@ class GPIOManager {
     const gpio = this.resolvePin(pin);
     this._validateGpio(gpio);
 
+    // A0 no es una salida
+    if (PIN_CAPABILITIES[gpio].adc) {
+      this._warn(`⚠ analogWrite(A0): A0 es sólo una entrada analógica, la llamada no tiene efecto`);
+      return;
+    }
+
     const pinState = this._pins.get(gpio);
 
     // ── Validación de rango ──────────────────────────────────────
     if (value < 0 || value > 1023) {
-      eventBus.emit("serial-log", {
-        message: `⚠ analogWrite(${gpio}, ${value}): valor fuera de rango 0-1023, clamped`,
-        type: "warn",
-      });
+      this._warn(`⚠ analogWrite(${gpio}, ${value}): valor fuera de rango 0-1023, clamped`);
     }
     const clampedValue = Math.max(0, Math.min(1023, Math.round(value)));
 
     // ── Validación de modo ───────────────────────────────────────
     if (pinState.mode !== PIN_MODE.OUTPUT && pinState.mode !== null) {
-      eventBus.emit("serial-log", {
-        message: `⚠ analogWrite en GPIO${gpio} sin pinMode(OUTPUT)`,
-        type: "warn",
-      });
+      this._warn(`⚠ analogWrite en GPIO${gpio} sin pinMode(OUTPUT)`);
     }
 
     // GPIO16 no soporta PWM en ESP8266 real
-    if (gpio === 16) {
-      eventBus.emit("serial-log", {
-        message: `⚠ GPIO16 no soporta PWM hardware; simulando por software`,
-        type: "warn",
-      });
+    if (!PIN_CAPABILITIES[gpio].pwm) {
+      this._warn(`⚠ GPIO${gpio} no soporta PWM hardware; simulando por software`);
     }
 
     // ── Actualizar estado del pin ────────────────────────────────
@@ -314,7 +477,9 @@ class GPIOManager {
   setExternalValue(gpio, value) {
     this._validateGpio(gpio);
     const pinState = this._pins.get(gpio);
+    const previous = pinState.value;
     pinState.value = value ? PIN_VALUE.HIGH : PIN_VALUE.LOW;
+    this._externalLevels.set(gpio, pinState.value);
 
     eventBus.emit("pin-change", {
       pin: gpio,
@@ -322,6 +487,28 @@ class GPIOManager {
       mode: pinState.mode,
       value: pinState.value,
     });
+
+    // Un flanco puede disparar la ISR del pin
+    if (pinState.value !== previous && this._edgeListener) {
+      this._edgeListener(gpio, pinState.value);
+    }
+  }
+
+  /**
+   * Pin de attachInterrupt(): lo resuelve y comprueba que admite
+   * interrupciones (GPIO16 y A0 no; el core ignora la llamada).
+   * @param {number|string} pin
+   * @returns {number|null} GPIO, o null si la interrupción no tendrá efecto
+   */
+  interruptPin(pin) {
+    const gpio = this.resolvePin(pin);
+    this._validateGpio(gpio);
+    if (!PIN_CAPABILITIES[gpio].interrupt) {
+      this._warn(`⚠ GPIO${gpio} no admite interrupciones: attachInterrupt no tiene efecto`);
+      return null;
+    }
+    this._checkUart(gpio, "attachInterrupt");
+    return gpio;
   }
 
   // ── Componentes ────────────────────────────────────────────────
@@ -434,13 +621,57 @@ class GPIOManager {
     return result;
   }
 
+  /**
+   * Nivel impuesto desde fuera a un pin.
+   * @param {number} gpio
+   * @returns {number|null} 0, 1 o null si nada lo fija
+   */
+  getExternalValue(gpio) {
+    return this._externalLevels.get(gpio) ?? null;
+  }
+
+  /**
+   * Nivel de un pin de arranque al salir de reset, antes de que el
+   * sketch lo configure: el impuesto desde fuera (botón FLASH), si no
+   * el de un componente que tira de él y si no el de la placa.
+   * @param {number} gpio  0, 2 o 15
+   * @returns {{level: number, external: boolean, component: string|null}}
+   *          component: el que fija el nivel ("LED \"x\""), si lo hay
+   */
+  getBootLevel(gpio) {
+    const external = this._externalLevels.get(gpio);
+    if (external !== undefined) return { level: external, external: true, component: null };
+
+    for (const comp of this._components.get(gpio) || []) {
+      const pull = comp.config.pull ?? COMPONENT_PULLS[comp.type];
+      if (pull) {
+        return {
+          level: pull === "up" ? PIN_VALUE.HIGH : PIN_VALUE.LOW,
+          external: false,
+          component: `${comp.type} "${comp.config.label || comp.id}"`,
+        };
+      }
+    }
+    return { level: BOOT_STRAP_PINS[gpio], external: false, component: null };
+  }
+
   /**
    * Resetea todos los pines a su estado inicial.
+   * @param {boolean} [keepExternal]  Reinicio de la placa: los botones
+   *        que siguen pulsados mantienen su nivel
    */
-  reset() {
+  reset(keepExternal = false) {
     this._initializePins();
+    this._uartActive = false;
+    if (!keepExternal) this._externalLevels.clear();
     // No eliminar componentes en reset, solo resetear estado
     eventBus.emit("gpio-reset", {});
+
+    this._externalLevels.forEach((value, gpio) => {
+      const pinState = this._pins.get(gpio);
+      pinState.value = value;
+      eventBus.emit("pin-change", { pin: gpio, alias: pinState.alias, mode: pinState.mode, value });
+    });
   }
 }
 
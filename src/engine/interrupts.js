@@ -0,0 +1,137 @@
+/**
+ * Interrupts — Interrupciones GPIO del ESP8266
+ *
+ * Rol: Tabla de attachInterrupt() y máscara de noInterrupts(). El
+ * GPIOManager avisa de cada flanco que llega desde fuera (clic en un
+ * Pin, BoardButton…) y aquí se decide si dispara la ISR del pin según
+ * su modo:
+ *
+ *   RISING  (1) → LOW → HIGH
+ *   FALLING (2) → HIGH → LOW
+ *   CHANGE  (3) → cualquier flanco
+ *   ONLOW   (4) → al pasar a LOW
+ *   ONHIGH  (5) → al pasar a HIGH
+ *
+ * Con las interrupciones desactivadas el flanco queda pendiente (uno
+ * por fuente, como el bit de estado del GPIO) y la ISR se ejecuta al
+ * llamar a interrupts(). Otras fuentes (timer1, ver timers.js) pasan
+ * por raise() y respetan la misma máscara.
+ *
+ * GPIO16 y A0 no tienen interrupciones: como en el core, attach() no
+ * hace nada en ellos (GPIOManager.interruptPin avisa).
+ *
+ * Las ISR las ejecuta SimulatorEngine (setRunner) con el sketch
+ * detenido en un await: delay(), yield() o entre dos loop(). Un bucle
+ * de espera activa que no cede el hilo no las ve hasta que termina.
+ */
+
+import gpioManager from "./gpioManager.js";
+
+/** Modos de attachInterrupt → ¿dispara con este nuevo nivel? */
+const TRIGGERS = {
+  1: (value) => value === 1,
+  2: (value) => value === 0,
+  3: () => true,
+  4: (value) => value === 0,
+  5: (value) => value === 1,
+};
+
+class InterruptController {
+  constructor() {
+    /** ISR por GPIO: { isr, mode } */
+    this._handlers = new Map();
+
+    /** false entre noInterrupts() e interrupts() */
+    this._enabled = true;
+
+    /** Interrupciones pendientes mientras están desactivadas: fuente → ISR */
+    this._pending = new Map();
+
+    /** Ejecuta una ISR (lo instala el motor de simulación) */
+    this._runner = () => {};
+  }
+
+  /**
+   * Instala la función que ejecuta las ISR.
+   * @param {Function} runner  (isr) => void
+   */
+  setRunner(runner) {
+    this._runner = runner;
+  }
+
+  /** Sin ISR y con interrupciones activas (al arrancar) */
+  reset() {
+    this._handlers.clear();
+    this._pending.clear();
+    this._enabled = true;
+  }
+
+  // ── API Arduino ──────────────────────────────────────────────────
+
+  /**
+   * attachInterrupt(pin, isr, mode)
+   * @param {number} pin  GPIO (digitalPinToInterrupt)
+   * @param {Function} isr
+   * @param {number} mode  RISING, FALLING, CHANGE, ONLOW u ONHIGH
+   */
+  attach(pin, isr, mode) {
+    if (typeof isr !== "function") throw new Error("attachInterrupt: la ISR no es una función");
+    if (!TRIGGERS[mode]) throw new Error(`attachInterrupt: modo no válido (${mode}). Use RISING, FALLING o CHANGE`);
+    const gpio = gpioManager.interruptPin(pin);
+    if (gpio === null) return;
+    this._handlers.set(gpio, { isr, mode });
+    this._pending.delete(gpio);
+  }
+
+  /**
+   * detachInterrupt(pin)
+   * @param {number} pin
+   */
+  detach(pin) {
+    const gpio = gpioManager.resolvePin(pin);
+    this._handlers.delete(gpio);
+    this._pending.delete(gpio);
+  }
+
+  /** noInterrupts() */
+  disable() {
+    this._enabled = false;
+  }
+
+  /** interrupts(): ejecuta las que llegaron mientras tanto */
+  enable() {
+    this._enabled = true;
+    const pending = [...this._pending.values()];
+    this._pending.clear();
+    pending.forEach((isr) => this._runner(isr));
+  }
+
+  // ── Flancos ──────────────────────────────────────────────────────
+
+  /**
+   * Un pin cambió de nivel desde fuera del sketch.
+   * @param {number} gpio
+   * @param {number} value  Nuevo nivel (0 o 1)
+   */
+  edge(gpio, value) {
+    const handler = this._handlers.get(gpio);
+    if (handler && TRIGGERS[handler.mode](value)) this.raise(gpio, handler.isr);
+  }
+
+  /**
+   * Solicita una interrupción: se ejecuta ya o, con las interrupciones
+   * desactivadas, al llamar a interrupts().
+   * @param {number|string} source  GPIO o "timer1"
+   * @param {Function} isr
+   */
+  raise(source, isr) {
+    if (this._enabled) {
+      this._runner(isr);
+    } else {
+      this._pending.set(source, isr);
+    }
+  }
+}
+
+const interruptController = new InterruptController();
+export default interruptController;
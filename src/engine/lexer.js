@@ -0,0 +1,288 @@
+/**
+ * Lexer — Analizador léxico para el subconjunto C/C++ de Arduino
+ *
+ * Rol: Convierte el código fuente en una lista de tokens con su
+ * posición original (línea/columna). Es la primera etapa del
+ * pipeline de compilación:
+ *
+ *   código → lexer → tokens → preprocessor → cppParser → AST → codegen → JS
+ *
+ * Garantías:
+ *   - Los literales de cadena y carácter se decodifican aquí y nunca
+ *     vuelven a ser inspeccionados por etapas posteriores.
+ *   - Los comentarios se descartan por completo.
+ *   - Cada token conserva línea y columna para reportar errores.
+ *
+ * Tipos de token:
+ *   "identifier" → nombres y palabras clave (el parser decide)
+ *   "number"     → { value, isFloat, unsigned, long, float }
+ *   "string"     → value: contenido decodificado
+ *   "char"       → value: código numérico del carácter
+ *   "punct"      → operadores y separadores
+ *   "directive"  → línea completa de preprocesador (#define, #include…)
+ *   "eof"        → fin de archivo
+ *
+ * Cada token indica además si le precede espacio en blanco (spaced) y
+ * los literales conservan su texto original (raw); el preprocesador
+ * los usa para #x y a ## b.
+ */
+
+// ── Puntuadores (ordenados de mayor a menor longitud) ─────────────
+
+const PUNCTUATORS = [
+  "<<=", ">>=", "...", "->*",
+  "->", "++", "--", "<<", ">>", "<=", ">=", "==", "!=", "&&", "||",
+  "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "::", "##",
+  "+", "-", "*", "/", "%", "<", ">", "=", "!", "~", "&", "|", "^",
+  "?", ":", ";", ",", ".", "(", ")", "[", "]", "{", "}", "#",
+];
+
+const SIMPLE_ESCAPES = {
+  n: 10, t: 9, r: 13, "0": 0, a: 7, b: 8, f: 12, v: 11,
+  "\\": 92, "'": 39, '"': 34, "?": 63,
+};
+
+/**
+ * Crea un Error con información de posición en el código fuente.
+ * @param {string} message
+ * @param {{line: number, column: number, file?: string}} pos
+ * @returns {Error}
+ */
+export function syntaxError(message, pos) {
+  const error = new Error(message);
+  error.line = pos?.line ?? 0;
+  error.column = pos?.column ?? 0;
+  if (pos?.file) error.file = pos.file;
+  return error;
+}
+
+/**
+ * Convierte código fuente en tokens.
+ * @param {string} source  Código Arduino/C++
+ * @param {string} [file]  Nombre de archivo (para mensajes de error)
+ * @param {{directives?: boolean}} [options]  directives: false lee "#"
+ *        como puntuador también a inicio de línea (cuerpos de #define)
+ * @returns {Array<{type: string, value: any, line: number, column: number}>}
+ */
+export function tokenize(source, file, { directives = true } = {}) {
+  const tokens = [];
+  let src = source;
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+  // true mientras sólo haya espacios desde el inicio de la línea
+  let atLineStart = true;
+  // true si hubo espacio, salto de línea o comentario antes del token
+  let spaced = false;
+
+  const pos = () => ({ line, column: i - lineStart + 1, file });
+
+  const push = (type, value, start, extra) => {
+    tokens.push({ type, value, ...start, ...extra, spaced });
+    atLineStart = false;
+    spaced = false;
+  };
+
+  const newline = () => {
+    line++;
+    lineStart = i + 1;
+    atLineStart = true;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    // ── Espacios y saltos de línea ──────────────────────────────
+    if (ch === "\n") {
+      newline();
+      i++;
+      spaced = true;
+      continue;
+    }
+    if (ch === " " || ch === "\t" || ch === "\r" || ch === "\f" || ch === "\v") {
+      i++;
+      spaced = true;
+      continue;
+    }
+
+    // ── Comentarios ─────────────────────────────────────────────
+    if (ch === "/" && src[i + 1] === "/") {
+      while (i < src.length && src[i] !== "\n") i++;
+      spaced = true;
+      continue;
+    }
+    if (ch === "/" && src[i + 1] === "*") {
+      const start = pos();
+      i += 2;
+      while (i < src.length && !(src[i] === "*" && src[i + 1] === "/")) {
+        if (src[i] === "\n") newline();
+        i++;
+      }
+      if (i >= src.length) throw syntaxError("Comentario /* sin cerrar", start);
+      i += 2;
+      spaced = true;
+      continue;
+    }
+
+    // ── Placeholders de snippets Monaco ($0, ${1:texto}) ────────
+    if (ch === "$") {
+      const placeholder = /^\$\{\d+(?::([^}]*))?\}|^\$\d+/.exec(src.slice(i));
+      if (placeholder) {
+        src = src.slice(0, i) + (placeholder[1] ?? "") + src.slice(i + placeholder[0].length);
+        continue;
+      }
+    }
+
+    // ── Directivas de preprocesador ─────────────────────────────
+    if (ch === "#" && atLineStart && directives) {
+      const start = pos();
+      let text = "";
+      while (i < src.length && src[i] !== "\n") {
+        // Continuación de línea con "\"
+        if (src[i] === "\\" && src[i + 1] === "\n") {
+          i += 2;
+          newline();
+          lineStart = i;
+          atLineStart = false;
+          continue;
+        }
+        if (src[i] === "/" && src[i + 1] === "/") {
+          while (i < src.length && src[i] !== "\n") i++;
+          break;
+        }
+        if (src[i] === "/" && src[i + 1] === "*") {
+          i += 2;
+          while (i < src.length && !(src[i] === "*" && src[i + 1] === "/")) {
+            if (src[i] === "\n") newline();
+            i++;
+          }
+          i += 2;
+          text += " ";
+          continue;
+        }
+        text += src[i];
+        i++;
+      }
+      push("directive", text.trim(), start);
+      continue;
+    }
+
+    // ── Identificadores ─────────────────────────────────────────
+    if (/[A-Za-z_]/.test(ch)) {
+      const start = pos();
+      let j = i + 1;
+      while (j < src.length && /[A-Za-z0-9_]/.test(src[j])) j++;
+      const word = src.slice(i, j);
+      i = j;
+      push("identifier", word, start);
+      continue;
+    }
+
+    // ── Números ─────────────────────────────────────────────────
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(src[i + 1]))) {
+      const start = pos();
+      const match =
+        /^0[xX][0-9a-fA-F']+|^0[bB][01']+|^(?:[0-9][0-9']*\.?[0-9']*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(src.slice(i));
+      let raw = match[0];
+      i += raw.length;
+      const suffixMatch = /^[uUlLfF]*/.exec(src.slice(i));
+      const suffix = suffixMatch[0].toLowerCase();
+      i += suffixMatch[0].length;
+      if (/[A-Za-z0-9_]/.test(src[i] || "")) {
+        throw syntaxError(`Literal numérico inválido: "${raw}${suffixMatch[0]}${src[i]}"`, start);
+      }
+      raw = raw.replace(/'/g, "");
+
+      const isHex = /^0[xX]/.test(raw);
+      const isBin = /^0[bB]/.test(raw);
+      const isFloat = !isHex && !isBin && (/[.eE]/.test(raw) || suffix.includes("f"));
+      let value;
+      if (isHex) value = parseInt(raw.slice(2), 16);
+      else if (isBin) value = parseInt(raw.slice(2), 2);
+      else if (isFloat) value = parseFloat(raw);
+      else if (/^0[0-7]+$/.test(raw)) value = parseInt(raw, 8);
+      else value = parseInt(raw, 10);
+
+      push("number", value, start, {
+        raw: raw + suffixMatch[0],
+        isFloat,
+        radix: isHex ? 16 : isBin ? 2 : /^0[0-7]+$/.test(raw) ? 8 : 10,
+        unsigned: suffix.includes("u"),
+        long: (suffix.match(/l/g) || []).length,
+        float: isFloat && suffix.includes("f"),
+      });
+      continue;
+    }
+
+    // ── Cadenas y caracteres ────────────────────────────────────
+    if (ch === '"' || ch === "'") {
+      const start = pos();
+      const startIndex = i;
+      const quote = ch;
+      const codes = [];
+      i++;
+      while (i < src.length && src[i] !== quote) {
+        if (src[i] === "\n") {
+          throw syntaxError(`Literal ${quote === '"' ? "de cadena" : "de carácter"} sin cerrar`, start);
+        }
+        if (src[i] === "\\") {
+          const next = src[i + 1];
+          if (next === "\n") {
+            i += 2;
+            newline();
+            lineStart = i;
+            continue;
+          }
+          if (SIMPLE_ESCAPES[next] !== undefined && !(next === "0" && /[0-7]/.test(src[i + 2] || ""))) {
+            codes.push(SIMPLE_ESCAPES[next]);
+            i += 2;
+          } else if (next === "x") {
+            const hex = /^[0-9a-fA-F]+/.exec(src.slice(i + 2));
+            if (!hex) throw syntaxError("Secuencia de escape \\x inválida", pos());
+            codes.push(parseInt(hex[0], 16) & 0xff);
+            i += 2 + hex[0].length;
+          } else if (/[0-7]/.test(next)) {
+            const oct = /^[0-7]{1,3}/.exec(src.slice(i + 1));
+            codes.push(parseInt(oct[0], 8) & 0xff);
+            i += 1 + oct[0].length;
+          } else {
+            codes.push(next.charCodeAt(0));
+            i += 2;
+          }
+          continue;
+        }
+        codes.push(src.charCodeAt(i));
+        i++;
+      }
+      if (i >= src.length) {
+        throw syntaxError(`Literal ${quote === '"' ? "de cadena" : "de carácter"} sin cerrar`, start);
+      }
+      i++;
+
+      const raw = src.slice(startIndex, i);
+      if (quote === '"') {
+        push("string", String.fromCharCode(...codes), start, { raw });
+      } else {
+        if (codes.length === 0) throw syntaxError("Literal de carácter vacío", start);
+        push("char", codes[codes.length - 1], start, { raw });
+      }
+      continue;
+    }
+
+    // ── Puntuadores ─────────────────────────────────────────────
+    const punct = PUNCTUATORS.find((p) => src.startsWith(p, i));
+    if (punct) {
+      const start = pos();
+      i += punct.length;
+      push("punct", punct, start);
+      continue;
+    }
+
+    throw syntaxError(`Carácter inesperado: "${ch}"`, pos());
+  }
+
+  tokens.push({ type: "eof", value: null, line, column: i - lineStart + 1, file });
+  return tokens;
+}
+
+export default { tokenize, syntaxError };
@@ -3,7 +3,14 @@
  *
  * Rol: Recibe el código Arduino/C++ del editor, lo transforma en
  * instrucciones JavaScript que el simulatorEngine puede ejecutar.
- * NO ejecuta nada, solo produce un AST simplificado o código JS.
+ * NO ejecuta nada, solo produce un AST y código JS.
+ *
+ * Pipeline:
+ *   código → lexer.js (tokens) → preprocessor.js → cppParser.js (AST) → codegen.js (JS)
+ *
+ * validateCode, parseArduinoCode y compileFunctions trabajan sobre el
+ * mismo AST: los literales y comentarios nunca se reescriben y cada
+ * transformación respeta el ámbito de los identificadores.
  *
  * Funciones soportadas:
  *   - void setup() { ... }
@@ -12,57 +19,110 @@
  *   - digitalWrite(pin, value)
  *   - digitalRead(pin)
  *   - analogRead(pin)
- *   - delay(ms)
+ *   - delay(ms), delayMicroseconds(us), millis(), micros() sobre el
+ *     reloj virtual (ver virtualClock.js)
  *   - Serial.begin(baud)
  *   - Serial.println(msg) / Serial.print(msg)
- *   - Variables y constantes (int, const, #define)
- *   - Estructuras de control (if, else, for, while)
+ *   - Variables y constantes (int, const, static)
+ *   - Preprocesador: #define (también macros con argumentos), #undef,
+ *     #if/#ifdef/#ifndef/#elif/#else/#endif y los símbolos de la placa
+ *     (ESP8266, ARDUINO, ARDUINO_ESP8266_NODEMCU…), ver preprocessor.js
+ *   - Tipos enteros y flotantes con semántica de C (ver cTypes.js)
+ *   - Arrays (también 2D) con inicializadores { … } sobre typed arrays,
+ *     sizeof y aviso de accesos fuera de rango
+ *   - struct (semántica de valor), enum / enum class y clases con
+ *     campos, constructores, métodos y this
+ *   - Funciones del core: map, constrain, min/max, random/randomSeed,
+ *     math.h, bitRead/bitSet…, isDigit/isAlpha… (ver arduinoCore.js)
+ *   - String (concatenación, comparación, substring, indexOf, toInt…)
+ *     y funciones de cadenas C (strcpy, strcmp, atoi, itoa, dtostrf…)
+ *   - Funciones del usuario con tipo de retorno, parámetros tipados,
+ *     argumentos por defecto y prototipos; las que pueden bloquear
+ *     (llaman a delay directa o indirectamente) se esperan con await
+ *   - Estructuras de control (if, else, for, while, do, switch)
+ *   - Proyectos de varios archivos: pestañas .ino concatenadas, .cpp y
+ *     #include "archivo.h" de las pestañas (ver sketchFiles.js)
  *
  * Validaciones:
  *   - Error si setup() o loop() no están definidos
+ *   - Análisis semántico (semanticAnalyzer.js): identificadores no
+ *     declarados, número de argumentos, asignación a const, return
+ *     en funciones no void, variables sin usar y pines inexistentes
+ *     (también a través de constantes y #define)
  *   - Warning si se usa digitalWrite sin previo pinMode
- *   - Error si se usa un pin inexistente
  *
  * Diseño: Stateless, funciones puras. Fácil de testear y reemplazar
  * por un compilador WASM real en el futuro.
  */
 
-import { VALID_GPIOS, ESP8266_PIN_MAP } from "./gpioManager.js";
+import { parseProgram } from "./cppParser.js";
+import { analyzeProgram } from "./semanticAnalyzer.js";
+import { generateJs } from "./codegen.js";
+import cRuntime from "./cRuntime.js";
+import arduinoCore from "./arduinoCore.js";
+import ArduinoString from "./arduinoString.js";
+import { SKETCH_URL } from "./sourceMap.js";
 
-// ── Constantes Arduino → JavaScript ────────────────────────────────
+// ── AST ────────────────────────────────────────────────────────────
 
-const ARDUINO_CONSTANTS = {
-  HIGH: 1,
-  LOW: 0,
-  OUTPUT: '"OUTPUT"',
-  INPUT: '"INPUT"',
-  INPUT_PULLUP: '"INPUT_PULLUP"',
-  LED_BUILTIN: 2,
-  true: "true",
-  false: "false",
-  // Pines D#
-  D0: 16, D1: 5, D2: 4, D3: 0, D4: 2,
-  D5: 14, D6: 12, D7: 13, D8: 15,
-  A0: 17,
-};
+/**
+ * Parsea el sketch y devuelve su AST.
+ * Lanza un Error con .line/.column (y .file) si hay errores de sintaxis.
+ * @param {string|Array<{name: string, content: string}>} sketch
+ *        Código de una pestaña o archivos del proyecto (ver sketchFiles.js)
+ * @returns {object} Nodo Program
+ */
+export function parseSketch(sketch) {
+  return parseProgram(sketch);
+}
+
+/**
+ * Acepta código fuente, los archivos del proyecto o un AST ya parseado.
+ * @param {string|Array|object} codeOrAst
+ * @returns {object}
+ */
+function toAst(codeOrAst) {
+  return typeof codeOrAst === "string" || Array.isArray(codeOrAst) ? parseSketch(codeOrAst) : codeOrAst;
+}
+
+/**
+ * Busca la definición (con cuerpo) de una función global.
+ * @param {object} ast
+ * @param {string} name
+ * @returns {object|null}
+ */
+function findFunction(ast, name) {
+  return ast.body.find((n) => n.kind === "FunctionDecl" && n.name === name && n.body && !n.className) || null;
+}
 
 // ── Validación estática ────────────────────────────────────────────
 
 /**
- * Realiza validación estática del código Arduino.
- * @param {string} code  Código fuente Arduino
- * @returns {{errors: Array<{line: number, message: string, severity: string}>, warnings: Array}}
+ * Realiza validación estática del código Arduino sobre su AST.
+ * Los diagnósticos fuera del .ino principal llevan file (nombre de la pestaña).
+ * @param {string|Array|object} codeOrAst  Código, archivos del proyecto o AST de parseSketch()
+ * @returns {{errors: Array<{line: number, column?: number, file?: string, message: string, severity: string}>, warnings: Array}}
  */
-export function validateCode(code) {
+export function validateCode(codeOrAst) {
   const errors = [];
   const warnings = [];
-  const lines = code.split("\n");
 
-  // Verificar que existen setup() y loop()
-  const hasSetup = /void\s+setup\s*\(\s*\)/.test(code);
-  const hasLoop = /void\s+loop\s*\(\s*\)/.test(code);
+  let ast;
+  try {
+    ast = toAst(codeOrAst);
+  } catch (error) {
+    errors.push({
+      line: error.line || 1,
+      column: error.column || 1,
+      file: error.file,
+      message: error.message,
+      severity: "error",
+    });
+    return { errors, warnings };
+  }
 
-  if (!hasSetup) {
+  // Verificar que existen setup() y loop()
+  if (!findFunction(ast, "setup")) {
     errors.push({
       line: 1,
       message: "Falta la función void setup() — obligatoria en Arduino",
@@ -70,7 +130,7 @@ export function validateCode(code) {
     });
   }
 
-  if (!hasLoop) {
+  if (!findFunction(ast, "loop")) {
     errors.push({
       line: 1,
       message: "Falta la función void loop() — obligatoria en Arduino",
@@ -78,58 +138,10 @@ export function validateCode(code) {
     });
   }
 
-  // Recolectar pines configurados con pinMode
-  const configuredPins = new Set();
-  const pinModeRegex = /pinMode\s*\(\s*(\w+)\s*,/g;
-  let match;
-  while ((match = pinModeRegex.exec(code)) !== null) {
-    configuredPins.add(match[1]);
-  }
-
-  // Analizar línea por línea
-  lines.forEach((line, index) => {
-    const lineNum = index + 1;
-    const trimmed = line.trim();
-
-    // Ignorar comentarios
-    if (trimmed.startsWith("//") || trimmed.startsWith("/*")) return;
-
-    // Verificar digitalWrite sin pinMode
-    const dwMatch = trimmed.match(/digitalWrite\s*\(\s*(\w+)\s*,/);
-    if (dwMatch) {
-      const pin = dwMatch[1];
-      if (!configuredPins.has(pin) && pin !== "LED_BUILTIN") {
-        warnings.push({
-          line: lineNum,
-          message: `digitalWrite usa pin "${pin}" sin previo pinMode()`,
-          severity: "warning",
-        });
-      }
-    }
-
-    // Verificar pines numéricos inválidos
-    const pinNumMatch = trimmed.match(/(?:pinMode|digitalWrite|digitalRead)\s*\(\s*(\d+)\s*[,)]/);
-    if (pinNumMatch) {
-      const gpio = parseInt(pinNumMatch[1], 10);
-      if (!VALID_GPIOS.includes(gpio)) {
-        errors.push({
-          line: lineNum,
-          message: `GPIO ${gpio} no existe en ESP8266. Válidos: ${VALID_GPIOS.join(", ")}`,
-          severity: "error",
-        });
-      }
-    }
-
-    // Verificar delay con valor negativo
-    const delayMatch = trimmed.match(/delay\s*\(\s*(-\d+)\s*\)/);
-    if (delayMatch) {
-      errors.push({
-        line: lineNum,
-        message: "delay() no acepta valores negativos",
-        severity: "error",
-      });
-    }
-  });
+  // Análisis semántico: símbolos, llamadas, const, return y pines
+  const semantic = analyzeProgram(ast);
+  errors.push(...semantic.errors);
+  warnings.push(...semantic.warnings);
 
   return { errors, warnings };
 }
@@ -137,124 +149,61 @@ export function validateCode(code) {
 // ── Transformación Arduino → JavaScript ────────────────────────────
 
 /**
- * Transforma código Arduino en funciones JavaScript ejecutables.
- * Retorna un objeto con { setup: AsyncFunction, loop: AsyncFunction }
+ * Transforma código Arduino en JavaScript ejecutable.
+ * Pipeline: código → tokens → preprocesado → AST → JS (ver lexer, preprocessor, cppParser, codegen).
  *
- * @param {string} code  Código Arduino
- * @param {{gpio: object, serial: object}} context  API disponible para el código
- * @returns {{ setup: Function, loop: Function, globals: string }}
+ * @param {string|Array|object} codeOrAst  Código, archivos del proyecto o AST de parseSketch()
+ * @param {{debug?: boolean}} [options]  debug: checkpoints por sentencia (ver debugger.js)
+ * @returns {{ js: string, ast: object, sourceMap: SourceMap, checkpoints: Array }}
  */
-export function parseArduinoCode(code) {
-  let jsCode = code;
-
-  // 0. Sanitize: strip Monaco snippet placeholders ($0, ${1:text}, etc.)
-  jsCode = jsCode.replace(/\$\{\d+(?::([^}]*))?\}/g, '$1');  // ${1:text} → text
-  jsCode = jsCode.replace(/\$\d+/g, '');                       // bare $0, $1 → removed
-
-  // 1. Eliminar includes
-  jsCode = jsCode.replace(/#include\s*<[^>]+>/g, "// [include removed]");
-  jsCode = jsCode.replace(/#include\s*"[^"]+"/g, "// [include removed]");
-
-  // 2. Procesar #define como constantes
-  jsCode = jsCode.replace(
-    /#define\s+(\w+)\s+(.+)/g,
-    (_, name, value) => `const ${name} = ${value.trim()};`
-  );
-
-  // 3. Reemplazar tipos C++ → let/const
-  jsCode = jsCode.replace(/\b(unsigned\s+)?(int|long|short|byte|char|float|double|boolean)\s+/g, "let ");
-  jsCode = jsCode.replace(/\b(uint8_t|uint16_t|uint32_t|int8_t|int16_t|int32_t|size_t)\s+/g, "let ");
-  jsCode = jsCode.replace(/\bString\s+/g, "let ");
-  jsCode = jsCode.replace(/\bbool\s+/g, "let ");
-
-  // 4. Reemplazar void → async function (setup/loop first, then user-defined)
-  jsCode = jsCode.replace(/void\s+setup\s*\(\s*\)/g, "async function __setup()");
-  jsCode = jsCode.replace(/void\s+loop\s*\(\s*\)/g, "async function __loop()");
-  jsCode = jsCode.replace(/void\s+(\w+)\s*\(([^)]*)\)/g, "async function $1($2)");
-
-  // 5. Reemplazar delay → await __delay
-  jsCode = jsCode.replace(/\bdelay\s*\(/g, "await __delay(");
-
-  // 6. Reemplazar funciones Arduino → API del contexto
-  jsCode = jsCode.replace(/\bpinMode\s*\(/g, "__gpio.pinMode(");
-  jsCode = jsCode.replace(/\bdigitalWrite\s*\(/g, "__gpio.digitalWrite(");
-  jsCode = jsCode.replace(/\bdigitalRead\s*\(/g, "__gpio.digitalRead(");
-  jsCode = jsCode.replace(/\banalogRead\s*\(/g, "__gpio.analogRead(");
-
-  // 7. Reemplazar Serial
-  jsCode = jsCode.replace(/\bSerial\.begin\s*\(/g, "__serial.begin(");
-  jsCode = jsCode.replace(/\bSerial\.println\s*\(/g, "__serial.println(");
-  jsCode = jsCode.replace(/\bSerial\.print\s*\(/g, "__serial.print(");
-  jsCode = jsCode.replace(/\bSerial\.available\s*\(/g, "__serial.available(");
-  jsCode = jsCode.replace(/\bSerial\.read\s*\(/g, "__serial.read(");
-
-  // 8. Reemplazar millis() y micros()
-  jsCode = jsCode.replace(/\bmillis\s*\(\s*\)/g, "__millis()");
-  jsCode = jsCode.replace(/\bmicros\s*\(\s*\)/g, "__micros()");
-
-  // 9. Reemplazar analogWrite
-  jsCode = jsCode.replace(/\banalogWrite\s*\(/g, "__gpio.analogWrite(");
-
-  // 10. Reemplazar constantes Arduino
-  Object.entries(ARDUINO_CONSTANTS).forEach(([key, value]) => {
-    // Solo reemplazar como palabra completa, no dentro de strings
-    const regex = new RegExp(`\\b${key}\\b`, "g");
-    jsCode = jsCode.replace(regex, String(value));
-  });
-
-  return jsCode;
+export function parseArduinoCode(codeOrAst, options) {
+  const ast = toAst(codeOrAst);
+  const { js, sourceMap, checkpoints } = generateJs(ast, options);
+  return { js, ast, sourceMap, checkpoints };
 }
 
 /**
- * Extrae las funciones setup y loop del código transformado y
- * las compila en funciones ejecutables con acceso al contexto.
+ * Compila el programa transformado en funciones ejecutables con
+ * acceso al contexto. setup() y loop() se localizan en el AST.
+ *
+ * El código se marca con sourceURL para que los stack traces de
+ * errores en tiempo de ejecución puedan traducirse con program.sourceMap.
+ * Los helpers de semántica C (__c, ver cRuntime.js), la clase String
+ * (__String, ver arduinoString.js) y las funciones del core Arduino
+ * (__core, ver arduinoCore.js) se inyectan aquí: no dependen del
+ * motor. Las funciones de cadenas C (__cstr) llegan en el contexto
+ * porque avisan de desbordamientos con la línea en curso.
  *
- * @param {string} jsCode  Código JavaScript transformado
- * @param {object} context  { __gpio, __serial, __delay, __millis, __checkRunning }
- * @returns {{ setup: Function, loop: Function }}
+ * @param {{js: string, ast: object, sourceMap: SourceMap, checkpoints: Array}} program  Resultado de parseArduinoCode()
+ * @param {object} context  { __gpio, __serial, __delay, __delayMicroseconds, __millis, __micros, __micros64, __yield, __wdt, __esp, __interrupts, __Ticker, __timer1, __checkRunning, __index, __cstr, __dbg }
+ * @returns {{ setup: Function, loop: Function, sourceMap: SourceMap, checkpoints: Array }}
  */
-export function compileFunctions(jsCode, context) {
-  const {
-    __gpio,
-    __serial,
-    __delay,
-    __millis,
-    __micros,
-    __checkRunning,
-  } = context;
+export function compileFunctions(program, context) {
+  const entryPoints = ["setup", "loop"].map((name) => {
+    if (!findFunction(program.ast, name)) {
+      throw new Error(`Error de compilación: falta la función void ${name}()`);
+    }
+    return name;
+  });
 
   // Envolver en una función que expone el contexto y retorna setup/loop
-  const wrappedCode = `
-    ${jsCode}
+  // El código generado empieza en la primera línea del cuerpo
+  const wrappedCode = `${program.js}
+return { ${entryPoints.join(", ")} };
+//# sourceURL=${SKETCH_URL}`;
 
-    return { __setup, __loop };
-  `;
+  const scope = { __c: cRuntime, __String: ArduinoString, __core: arduinoCore, ...context };
+  const names = Object.keys(scope);
 
   try {
-    const factory = new Function(
-      "__gpio",
-      "__serial",
-      "__delay",
-      "__millis",
-      "__micros",
-      "__checkRunning",
-      "HIGH", "LOW", "OUTPUT", "INPUT", "INPUT_PULLUP",
-      wrappedCode
-    );
-
-    const result = factory(
-      __gpio,
-      __serial,
-      __delay,
-      __millis,
-      __micros,
-      __checkRunning,
-      1, 0, "OUTPUT", "INPUT", "INPUT_PULLUP"
-    );
+    const factory = new Function(...names, wrappedCode);
+    const result = factory(...names.map((name) => scope[name]));
 
     return {
-      setup: result.__setup,
-      loop: result.__loop,
+      setup: result.setup,
+      loop: result.loop,
+      sourceMap: program.sourceMap,
+      checkpoints: program.checkpoints || [],
     };
   } catch (error) {
     throw new Error(`Error de compilación: ${error.message}`);
@@ -262,6 +211,7 @@ export function compileFunctions(jsCode, context) {
 }
 
 export default {
+  parseSketch,
   validateCode,
   parseArduinoCode,
   compileFunctions,
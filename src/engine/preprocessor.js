@@ -0,0 +1,617 @@
+/**
+ * Preprocessor — Preprocesador C sobre los tokens del lexer
+ *
+ * Rol: Resuelve las directivas antes de que el parser vea el código:
+ *
+ *   código → lexer → preprocessor → cppParser → AST → codegen → JS
+ *
+ * Soporta:
+ *   - #define / #undef de macros objeto y macros función, con
+ *     stringificación (#x), pegado de tokens (a ## b) y __VA_ARGS__
+ *   - #if / #ifdef / #ifndef / #elif / #else / #endif, con defined()
+ *     y aritmética entera en las condiciones
+ *   - Las macros de Arduino.h (PI, constrain, bitSet, lowByte…)
+ *     están predefinidas, como si el sketch incluyera Arduino.h
+ *   - #error detiene la compilación; #warning y el resto de #pragma
+ *     se ignoran
+ *   - #include "archivo.h" inserta la pestaña del proyecto con ese
+ *     nombre (ver sketchFiles.js); #pragma once y las guardas
+ *     #ifndef evitan incluirla dos veces. Los #include de bibliotecas
+ *     pasan al parser como directiva (nodo Include)
+ *
+ * Trabajar sobre tokens y no sobre texto conserva la posición
+ * original: los tokens de una expansión llevan la línea y columna de
+ * la invocación, de modo que los errores y el SourceMap apuntan a la
+ * línea del sketch que usa la macro.
+ *
+ * Cada token expandido lleva el conjunto de macros que lo produjeron
+ * (hidden) para no volver a expandirlas: "#define X X + 1" termina.
+ */
+
+import { tokenize, syntaxError } from "./lexer.js";
+
+/** Profundidad máxima de #include anidados (include recursivo sin guardas) */
+const MAX_INCLUDE_DEPTH = 32;
+
+/**
+ * Símbolos que define el core ESP8266 al compilar para una NodeMCU
+ * (placa "NodeMCU 1.0 (ESP-12E Module)" del IDE de Arduino).
+ */
+export const PREDEFINED_MACROS = {
+  ARDUINO: "10819",
+  ESP8266: "1",
+  ARDUINO_ARCH_ESP8266: "1",
+  ARDUINO_ESP8266_NODEMCU: "1",
+  F_CPU: "80000000L",
+  __cplusplus: "201103L",
+};
+
+/**
+ * Macros de Arduino.h (el IDE lo incluye en todo sketch). Las que
+ * asignan a su argumento (bitSet…) o dependen de su tipo (constrain,
+ * sq) sólo pueden ser macros; las funciones están en arduinoCore.js.
+ */
+export const ARDUINO_MACROS = {
+  PI: "3.1415926535897932384626433832795",
+  HALF_PI: "1.5707963267948966192313216916398",
+  TWO_PI: "6.283185307179586476925286766559",
+  DEG_TO_RAD: "0.017453292519943295769236907684886",
+  RAD_TO_DEG: "57.295779513082320876798154814105",
+  EULER: "2.718281828459045235360287471352",
+  "constrain(amt, low, high)": "((amt) < (low) ? (low) : ((amt) > (high) ? (high) : (amt)))",
+  "sq(x)": "((x) * (x))",
+  "radians(deg)": "((deg) * DEG_TO_RAD)",
+  "degrees(rad)": "((rad) * RAD_TO_DEG)",
+  "lowByte(w)": "((uint8_t) ((w) & 0xff))",
+  "highByte(w)": "((uint8_t) ((w) >> 8))",
+  "bit(b)": "(1UL << (b))",
+  "bitRead(value, bit)": "(((value) >> (bit)) & 0x01)",
+  "bitSet(value, bit)": "((value) |= (1UL << (bit)))",
+  "bitClear(value, bit)": "((value) &= ~(1UL << (bit)))",
+  "bitToggle(value, bit)": "((value) ^= (1UL << (bit)))",
+  "bitWrite(value, bit, bitvalue)": "((bitvalue) ? bitSet(value, bit) : bitClear(value, bit))",
+  // En el ESP8266 el número de interrupción es el propio GPIO
+  "digitalPinToInterrupt(p)": "(p)",
+  // WString.h: en la placa deja el literal en la flash; aquí es el propio literal
+  "F(string_literal)": "(string_literal)",
+  // pgmspace.h: atributo de sección; los datos se leen igual que en RAM
+  PROGMEM: "",
+};
+
+/** Precedencia de los operadores binarios en las condiciones de #if */
+const BINARY_PRECEDENCE = {
+  "*": 10, "/": 10, "%": 10,
+  "+": 9, "-": 9,
+  "<<": 8, ">>": 8,
+  "<": 7, ">": 7, "<=": 7, ">=": 7,
+  "==": 6, "!=": 6,
+  "&": 5, "^": 4, "|": 3, "&&": 2, "||": 1,
+};
+
+// ── Utilidades de tokens ───────────────────────────────────────────
+
+const isPunct = (token, value) => token?.type === "punct" && token.value === value;
+
+/**
+ * Texto fuente de un token (para #x y a ## b).
+ * @param {object} token
+ * @returns {string}
+ */
+function spell(token) {
+  if (token.raw !== undefined) return token.raw;
+  return token.type === "eof" ? "" : String(token.value);
+}
+
+/**
+ * Token de cadena con el texto de una lista de tokens (#x).
+ * @param {Array<object>} tokens
+ * @param {object} site  Token de la invocación (posición)
+ */
+function stringify(tokens, site) {
+  const text = tokens.map((t, i) => (i > 0 && t.spaced ? " " : "") + spell(t)).join("");
+  const raw = `"${text.replace(/[\\"]/g, "\\$&")}"`;
+  return { type: "string", value: text, raw, line: site.line, column: site.column, file: site.file, spaced: site.spaced };
+}
+
+/**
+ * Tokeniza un fragmento de una directiva con la posición de la línea
+ * original.
+ * @param {string} text
+ * @param {object} directive  Token de la directiva
+ * @param {number} offset     Columna del fragmento dentro de la directiva
+ */
+function lexFragment(text, directive, offset) {
+  return tokenize(text, directive.file, { directives: false })
+    .filter((t) => t.type !== "eof")
+    .map((t) => ({ ...t, line: directive.line, column: directive.column + offset + t.column - 1 }));
+}
+
+// ── Preprocesador ──────────────────────────────────────────────────
+
+class Preprocessor {
+  /**
+   * @param {Function|null} resolveInclude  (ruta) => {name, content}|null
+   */
+  constructor(resolveInclude) {
+    this._resolveInclude = resolveInclude;
+    /** Archivos con #pragma once ya incluidos */
+    this._once = new Set();
+    /** Nivel de #include en curso */
+    this._depth = 0;
+    /** Macros definidas: nombre → { params: string[]|null, variadic, body } */
+    this._macros = new Map();
+    const origin = { line: 0, column: 0 };
+    Object.entries({ ...PREDEFINED_MACROS, ...ARDUINO_MACROS }).forEach(([head, body]) => {
+      this._define(`${head} ${body}`, origin, 0);
+    });
+  }
+
+  /**
+   * Procesa la lista de tokens de un archivo.
+   * @param {Array<object>} tokens  Salida de tokenize() (termina en eof)
+   * @returns {Array<object>} Tokens expandidos, sin directivas salvo #include
+   */
+  run(tokens) {
+    const output = [];
+    /** Pila de condicionales: { active, taken, hasElse, parentActive, token } */
+    const conditions = [];
+    let pending = [];
+    const active = () => conditions.length === 0 || conditions[conditions.length - 1].active;
+    const flush = () => {
+      output.push(...this._expand(pending));
+      pending = [];
+    };
+
+    for (const token of tokens) {
+      if (token.type === "eof") {
+        flush();
+        if (conditions.length > 0) {
+          const open = conditions[conditions.length - 1].token;
+          throw syntaxError(`Falta #endif para ${open.value.split(/\s+/)[0]}`, open);
+        }
+        output.push(token);
+        break;
+      }
+      if (token.type !== "directive") {
+        if (active()) pending.push(token);
+        continue;
+      }
+      flush();
+      this._directive(token, conditions, active(), output);
+    }
+    return output;
+  }
+
+  /**
+   * Ejecuta una directiva.
+   * @param {object} token       Token "directive"
+   * @param {Array<object>} conditions  Pila de condicionales
+   * @param {boolean} active     ¿Está activa la región actual?
+   * @param {Array<object>} output
+   */
+  _directive(token, conditions, active, output) {
+    const match = /^#\s*([A-Za-z_]\w*)?\s*([\s\S]*)$/.exec(token.value);
+    const name = match[1] || "";
+    const rest = match[2].trim();
+    const offset = token.value.lastIndexOf(rest) >= 0 ? token.value.lastIndexOf(rest) : 0;
+    const top = conditions[conditions.length - 1];
+
+    switch (name) {
+      case "if":
+      case "ifdef":
+      case "ifndef": {
+        let taken = false;
+        if (active) {
+          if (name === "if") {
+            taken = this._evaluate(lexFragment(rest, token, offset), token) !== 0;
+          } else {
+            const macro = /^[A-Za-z_]\w*/.exec(rest);
+            if (!macro) throw syntaxError(`#${name} requiere un nombre de macro`, token);
+            taken = this._macros.has(macro[0]) === (name === "ifdef");
+          }
+        }
+        conditions.push({ active: active && taken, taken, hasElse: false, parentActive: active, token });
+        return;
+      }
+      case "elif":
+        if (!top) throw syntaxError("#elif sin #if", token);
+        if (top.hasElse) throw syntaxError("#elif después de #else", token);
+        top.active = top.parentActive && !top.taken && this._evaluate(lexFragment(rest, token, offset), token) !== 0;
+        top.taken = top.taken || top.active;
+        return;
+      case "else":
+        if (!top) throw syntaxError("#else sin #if", token);
+        if (top.hasElse) throw syntaxError("#else repetido", token);
+        top.active = top.parentActive && !top.taken;
+        top.taken = true;
+        top.hasElse = true;
+        return;
+      case "endif":
+        if (!top) throw syntaxError("#endif sin #if", token);
+        conditions.pop();
+        return;
+      default:
+        break;
+    }
+
+    // El resto de directivas sólo cuentan en regiones activas
+    if (!active) return;
+
+    switch (name) {
+      case "define":
+        this._define(rest, token, offset);
+        return;
+      case "undef": {
+        const macro = /^[A-Za-z_]\w*/.exec(rest);
+        if (!macro) throw syntaxError("#undef requiere un nombre de macro", token);
+        this._macros.delete(macro[0]);
+        return;
+      }
+      case "include":
+        this._include(rest, token, output);
+        return;
+      case "error":
+        throw syntaxError(`#error ${rest}`.trim(), token);
+      case "pragma":
+        if (rest === "once") this._once.add(token.file);
+        return;
+      case "warning":
+      case "":
+        return;
+      default:
+        throw syntaxError(`Directiva de preprocesador no soportada: ${token.value}`, token);
+    }
+  }
+
+  /**
+   * #include "archivo": inserta los tokens preprocesados de la pestaña.
+   * Lo que no es un archivo del proyecto queda para el parser.
+   */
+  _include(text, token, output) {
+    const match = /^"([^"]+)"/.exec(text);
+    const file = match && this._resolveInclude ? this._resolveInclude(match[1]) : null;
+    if (!file) {
+      output.push(token);
+      return;
+    }
+    if (this._once.has(file.name)) return;
+    if (this._depth >= MAX_INCLUDE_DEPTH) {
+      throw syntaxError(`#include anidado demasiado profundo (¿falta una guarda en ${file.name}?)`, token);
+    }
+    this._depth++;
+    try {
+      // run() termina con el eof del archivo incluido: se descarta
+      output.push(...this.run(tokenize(file.content, file.name)).slice(0, -1));
+    } finally {
+      this._depth--;
+    }
+  }
+
+  /**
+   * #define NOMBRE cuerpo / #define NOMBRE(a, b, ...) cuerpo
+   */
+  _define(text, token, offset) {
+    const match = /^([A-Za-z_]\w*)(\(([^)]*)\))?/.exec(text);
+    if (!match) throw syntaxError("#define requiere un nombre de macro", token);
+    const [head, name, paramList, paramText] = match;
+    if (name === "defined") throw syntaxError('"defined" no puede usarse como nombre de macro', token);
+
+    let params = null;
+    let variadic = false;
+    if (paramList !== undefined) {
+      params = paramText.trim() === "" ? [] : paramText.split(",").map((p) => p.trim());
+      if (params[params.length - 1] === "...") {
+        variadic = true;
+        params[params.length - 1] = "__VA_ARGS__";
+      }
+      params.forEach((param) => {
+        if (!/^[A-Za-z_]\w*$/.test(param)) {
+          throw syntaxError(`#define ${name}: parámetro inválido "${param}"`, token);
+        }
+      });
+    }
+
+    const bodyText = text.slice(head.length);
+    const body = lexFragment(bodyText, token, offset + head.length)
+      .map((t) => (isPunct(t, "##") ? { ...t, paste: true } : t));
+    if (isPunct(body[0], "##") || isPunct(body[body.length - 1], "##")) {
+      throw syntaxError(`#define ${name}: "##" no puede ir al principio ni al final`, token);
+    }
+    if (params) {
+      body.forEach((t, i) => {
+        if (isPunct(t, "#") && !(body[i + 1]?.type === "identifier" && params.includes(body[i + 1].value))) {
+          throw syntaxError(`#define ${name}: "#" debe ir seguido de un parámetro`, token);
+        }
+      });
+    }
+    this._macros.set(name, { params, variadic, body });
+  }
+
+  // ── Expansión ────────────────────────────────────────────────────
+
+  /**
+   * Expande las macros de una lista de tokens, volviendo a examinar
+   * el resultado de cada expansión.
+   * @param {Array<object>} tokens
+   * @returns {Array<object>}
+   */
+  _expand(tokens) {
+    const input = tokens.slice();
+    const output = [];
+    let i = 0;
+    while (i < input.length) {
+      const token = input[i];
+      if (token.type !== "identifier" || token.hidden?.has(token.value)) {
+        output.push(token);
+        i++;
+        continue;
+      }
+      if (token.value === "__LINE__" || token.value === "__FILE__") {
+        output.push(token.value === "__LINE__"
+          ? { ...token, type: "number", value: token.line, raw: String(token.line), isFloat: false, radix: 10 }
+          : stringify([{ raw: token.file || "sketch.ino" }], token));
+        i++;
+        continue;
+      }
+
+      const macro = this._macros.get(token.value);
+      if (!macro || (macro.params && !isPunct(input[i + 1], "("))) {
+        output.push(token);
+        i++;
+        continue;
+      }
+      if (macro.params) {
+        const { args, end } = this._arguments(input, i + 1, token, macro);
+        input.splice(i, end - i + 1, ...this._substitute(token, macro, args));
+      } else {
+        input.splice(i, 1, ...this._substitute(token, macro, null));
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Argumentos de una invocación de macro función.
+   * @param {Array<object>} input
+   * @param {number} open  Índice del "("
+   * @param {object} site  Token del nombre de la macro
+   * @param {object} macro
+   * @returns {{args: Array<Array<object>>, end: number}} end = índice del ")"
+   */
+  _arguments(input, open, site, macro) {
+    const args = [[]];
+    let depth = 0;
+    for (let j = open + 1; j < input.length; j++) {
+      const t = input[j];
+      if (isPunct(t, "(")) depth++;
+      if (isPunct(t, ")")) {
+        if (depth === 0) {
+          const count = macro.params.length;
+          // F() con cero parámetros; en una variádica el resto puede faltar
+          if (count === 0 && args.length === 1 && args[0].length === 0) args.pop();
+          if (macro.variadic && args.length === count - 1) args.push([]);
+          if (args.length !== count) {
+            throw syntaxError(
+              `La macro ${site.value} espera ${count} argumento(s) y recibió ${args.length}`,
+              site
+            );
+          }
+          return { args, end: j };
+        }
+        depth--;
+      }
+      const inVariadic = macro.variadic && args.length === macro.params.length;
+      if (isPunct(t, ",") && depth === 0 && !inVariadic) {
+        args.push([]);
+        continue;
+      }
+      args[args.length - 1].push(t);
+    }
+    throw syntaxError(`Falta ")" en la invocación de la macro ${site.value}`, site);
+  }
+
+  /**
+   * Cuerpo de una macro con los parámetros sustituidos, #x y a ## b
+   * resueltos y la posición de la invocación.
+   * @param {object} site   Token del nombre de la macro
+   * @param {object} macro
+   * @param {Array<Array<object>>|null} args
+   * @returns {Array<object>}
+   */
+  _substitute(site, macro, args) {
+    const hidden = new Set(site.hidden || []).add(site.value);
+    const relocate = (t) => ({ ...t, line: site.line, column: site.column, file: site.file, hidden });
+    const paramIndex = (t) => (t?.type === "identifier" && macro.params ? macro.params.indexOf(t.value) : -1);
+    const expanded = new Map();
+    const body = macro.body;
+    const result = [];
+
+    for (let k = 0; k < body.length; k++) {
+      const t = body[k];
+      if (macro.params && isPunct(t, "#")) {
+        result.push({ ...stringify(args[paramIndex(body[k + 1])], site), hidden });
+        k++;
+        continue;
+      }
+      const index = paramIndex(t);
+      if (index < 0) {
+        result.push({ ...relocate(t), spaced: k === 0 ? site.spaced : t.spaced });
+        continue;
+      }
+      // Junto a ## el argumento se usa sin expandir (vacío → marcador)
+      if (body[k - 1]?.paste || body[k + 1]?.paste) {
+        const raw = args[index].map((a) => ({ ...a, hidden }));
+        result.push(...(raw.length > 0 ? raw : [{ type: "placeholder" }]));
+        continue;
+      }
+      if (!expanded.has(index)) expanded.set(index, this._expand(args[index]));
+      result.push(...expanded.get(index).map((a) => ({ ...a, hidden: new Set([...(a.hidden || []), ...hidden]) })));
+    }
+    return this._paste(result, site);
+  }
+
+  /**
+   * Resuelve los operadores ## de un cuerpo ya sustituido. Un argumento
+   * vacío llega como marcador y el pegado devuelve el otro operando.
+   */
+  _paste(tokens, site) {
+    const result = [];
+    for (let k = 0; k < tokens.length; k++) {
+      const t = tokens[k];
+      if (!t.paste) {
+        result.push(t);
+        continue;
+      }
+      const left = result.pop();
+      const right = tokens[++k];
+      if (left.type === "placeholder" || right.type === "placeholder") {
+        result.push(left.type === "placeholder" ? right : left);
+        continue;
+      }
+      const text = spell(left) + spell(right);
+      const pasted = tokenize(text, site.file, { directives: false }).filter((p) => p.type !== "eof");
+      if (pasted.length !== 1) throw syntaxError(`"##" no forma un token válido: ${text}`, site);
+      result.push({ ...pasted[0], line: left.line, column: left.column, file: site.file, spaced: left.spaced, hidden: left.hidden });
+    }
+    return result.filter((t) => t.type !== "placeholder");
+  }
+
+  // ── Condiciones de #if ───────────────────────────────────────────
+
+  /**
+   * Valor entero de la condición de un #if / #elif.
+   * @param {Array<object>} tokens
+   * @param {object} directive  Token de la directiva (para errores)
+   * @returns {number}
+   */
+  _evaluate(tokens, directive) {
+    // defined X / defined(X) se resuelve antes de expandir macros
+    const resolved = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.type !== "identifier" || t.value !== "defined") {
+        resolved.push(t);
+        continue;
+      }
+      const parens = isPunct(tokens[i + 1], "(");
+      const name = tokens[i + (parens ? 2 : 1)];
+      if (name?.type !== "identifier" || (parens && !isPunct(tokens[i + 3], ")"))) {
+        throw syntaxError("defined requiere un nombre de macro", directive);
+      }
+      const value = this._macros.has(name.value) ? 1 : 0;
+      resolved.push({ ...t, type: "number", value, raw: String(value), isFloat: false });
+      i += parens ? 3 : 1;
+    }
+    if (resolved.length === 0) throw syntaxError("Falta la condición de la directiva", directive);
+    return evaluateCondition(this._expand(resolved), directive);
+  }
+}
+
+/**
+ * Evalúa una expresión entera de preprocesador. Los identificadores
+ * que quedan tras expandir macros valen 0 (salvo true).
+ * @param {Array<object>} tokens
+ * @param {object} directive
+ * @returns {number}
+ */
+function evaluateCondition(tokens, directive) {
+  let i = 0;
+  const fail = (message) => {
+    throw syntaxError(`${directive.value.split(/\s+/)[0]}: ${message}`, tokens[i] || directive);
+  };
+  const expect = (value) => {
+    if (!isPunct(tokens[i], value)) fail(`se esperaba "${value}"`);
+    i++;
+  };
+
+  const unary = () => {
+    const t = tokens[i++];
+    if (!t) fail("expresión incompleta");
+    if (t.type === "number") {
+      if (t.isFloat) fail("la condición debe ser entera");
+      return t.value;
+    }
+    if (t.type === "char") return t.value;
+    if (t.type === "identifier") return t.value === "true" ? 1 : 0;
+    if (isPunct(t, "(")) {
+      const value = conditional();
+      expect(")");
+      return value;
+    }
+    if (t.type === "punct") {
+      switch (t.value) {
+        case "!": return unary() === 0 ? 1 : 0;
+        case "-": return -unary();
+        case "+": return unary();
+        case "~": return ~unary();
+        default: break;
+      }
+    }
+    i--;
+    return fail(`token inesperado "${spell(t)}"`);
+  };
+
+  const binary = (minPrecedence) => {
+    let left = unary();
+    for (;;) {
+      const t = tokens[i];
+      const precedence = t?.type === "punct" ? BINARY_PRECEDENCE[t.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      i++;
+      const right = binary(precedence + 1);
+      switch (t.value) {
+        case "*": left *= right; break;
+        case "/":
+        case "%":
+          if (right === 0) fail("división por cero");
+          left = t.value === "/" ? Math.trunc(left / right) : left % right;
+          break;
+        case "+": left += right; break;
+        case "-": left -= right; break;
+        case "<<": left <<= right; break;
+        case ">>": left >>= right; break;
+        case "<": left = +(left < right); break;
+        case ">": left = +(left > right); break;
+        case "<=": left = +(left <= right); break;
+        case ">=": left = +(left >= right); break;
+        case "==": left = +(left === right); break;
+        case "!=": left = +(left !== right); break;
+        case "&": left &= right; break;
+        case "^": left ^= right; break;
+        case "|": left |= right; break;
+        case "&&": left = +(left !== 0 && right !== 0); break;
+        case "||": left = +(left !== 0 || right !== 0); break;
+        default: break;
+      }
+    }
+  };
+
+  const conditional = () => {
+    const test = binary(1);
+    if (!isPunct(tokens[i], "?")) return test;
+    i++;
+    const consequent = conditional();
+    expect(":");
+    const alternate = conditional();
+    return test !== 0 ? consequent : alternate;
+  };
+
+  const value = conditional();
+  if (i < tokens.length) fail(`token inesperado "${spell(tokens[i])}"`);
+  return value;
+}
+
+// ── API pública ────────────────────────────────────────────────────
+
+/**
+ * Preprocesa los tokens de un sketch.
+ * @param {Array<object>} tokens  Salida de tokenize()
+ * @param {{resolveInclude?: Function}} [options]
+ *        resolveInclude(ruta) → {name, content} de la pestaña, o null
+ * @returns {Array<object>}
+ */
+export function preprocess(tokens, { resolveInclude = null } = {}) {
+  return new Preprocessor(resolveInclude).run(tokens);
+}
+
+export default { preprocess, PREDEFINED_MACROS, ARDUINO_MACROS };
@@ -0,0 +1,829 @@
+/**
+ * SemanticAnalyzer — Análisis semántico del sketch sobre el AST
+ *
+ * Rol: Segunda fase de validateCode(), después del parseo. Recorre el
+ * AST con tablas de símbolos por ámbito (globales → clase → función →
+ * bloque), igual que codegen, y detecta lo que el compilador de la
+ * placa rechazaría o avisaría:
+ *
+ *   - Identificadores y funciones no declarados (error)
+ *   - Llamadas con un número de argumentos incorrecto: funciones y
+ *     métodos del usuario (con argumentos por defecto y sobrecargas),
+ *     constructores y funciones de la API (error)
+ *   - Asignaciones a variables const (error)
+ *   - Funciones no void que pueden terminar sin return (warning)
+ *   - Variables locales y globales declaradas y no usadas (warning)
+ *   - Miembros que el objeto no tiene: métodos de Serial, ESP, String
+ *     y clases de librería, campos y métodos del usuario (error)
+ *   - Punteros: operadores & y * (error, codegen no los soporta);
+ *     &función sí, es la propia función (attachInterrupt, Ticker)
+ *   - Pines que, resueltos a través de constantes o #define, no son
+ *     GPIO del ESP8266 o son de la flash SPI (error); usos que el pin
+ *     no admite según PIN_CAPABILITIES (PWM, interrupción, pull-up o
+ *     INPUT_PULLDOWN_16, A0) y GPIO1/GPIO3 con Serial activo
+ *     (warning); digitalWrite sin pinMode y delay negativo
+ *   - ISR de attachInterrupt y timer1_attachInterrupt: modo no válido
+ *     (error); sin IRAM_ATTR, que llaman a delay() o que modifican
+ *     globales no volatile (warning)
+ *   - Clases de librería (Ticker) sin su #include (error)
+ *
+ * Las globales, funciones y tipos se registran antes de recorrer los
+ * cuerpos, así que el orden de las pestañas no produce falsos errores
+ * (el IDE genera los prototipos de las funciones del .ino).
+ *
+ * Los diagnósticos tienen la forma de validateCode():
+ * { line, column, file?, message, severity }.
+ */
+
+import { VALID_GPIOS, PIN_CAPABILITIES } from "./gpioManager.js";
+import { lookupBuiltin, builtinArity, STRING_METHODS } from "./builtins.js";
+import { TYPE_WORDS } from "./cppParser.js";
+
+/** Funciones de la API cuyo primer argumento es un pin */
+const PIN_FUNCTIONS = new Set(["pinMode", "digitalWrite", "digitalRead", "analogWrite", "attachInterrupt", "detachInterrupt"]);
+
+/** Llamadas que reconfiguran un pin y lo quitan de la UART */
+const UART_CONFLICTS = new Set(["pinMode", "digitalWrite", "analogWrite", "attachInterrupt"]);
+
+/** Modos válidos de attachInterrupt: RISING, FALLING, CHANGE, ONLOW, ONHIGH */
+const INTERRUPT_MODES = new Set([1, 2, 3, 4, 5]);
+
+/** Funciones de la API que no pueden llamarse desde una ISR */
+const BLOCKING_IN_ISR = new Set(["delay", "yield"]);
+
+/** Profundidad máxima al resolver constantes que dependen de otras */
+const MAX_CONSTANT_DEPTH = 16;
+
+// ── Ámbitos ────────────────────────────────────────────────────────
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    /** @type {Map<string, object>} */
+    this.symbols = new Map();
+  }
+
+  declare(name, symbol) {
+    this.symbols.set(name, symbol);
+    return symbol;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.symbols.has(name)) return scope.symbols.get(name);
+    }
+    return null;
+  }
+}
+
+// ── Utilidades ─────────────────────────────────────────────────────
+
+/** Texto "n argumentos" / "entre a y b argumentos" de una aridad */
+function describeArity([min, max]) {
+  if (min === max) return `${min} argumento${min === 1 ? "" : "s"}`;
+  if (max === Infinity) return `al menos ${min} argumento${min === 1 ? "" : "s"}`;
+  return `entre ${min} y ${max} argumentos`;
+}
+
+/** Aridad [mín, máx] de una lista de parámetros con valores por defecto */
+function paramsArity(params) {
+  return [params.filter((p) => !p.defaultValue).length, params.length];
+}
+
+/** ¿Acepta alguna de las firmas n argumentos? */
+function acceptsCount(signatures, count) {
+  return signatures.some((params) => {
+    const [min, max] = paramsArity(params);
+    return count >= min && count <= max;
+  });
+}
+
+/** Aridad combinada de varias firmas (para el mensaje de error) */
+function signaturesArity(signatures) {
+  const arities = signatures.map(paramsArity);
+  return [Math.min(...arities.map((a) => a[0])), Math.max(...arities.map((a) => a[1]))];
+}
+
+/** Clave legible de un argumento de pin: nombre o número */
+function pinKey(node) {
+  if (node.kind === "Identifier") return node.name;
+  if (node.kind === "NumberLiteral") return String(node.value);
+  return "?";
+}
+
+/** ¿Es void (y no un puntero) el tipo de retorno? */
+function isVoid(spec) {
+  return !spec || (spec.base === "void" && !spec.pointer);
+}
+
+/** Variable raíz de un lvalue: a, a[i], a.campo (no a través de ->) */
+function rootIdentifier(node) {
+  if (node.kind === "Identifier") return node;
+  if (node.kind === "Index") return rootIdentifier(node.object);
+  if (node.kind === "Member" && !node.arrow) return rootIdentifier(node.object);
+  return null;
+}
+
+/** Nodos hijos de una expresión (para recorrer las no tratadas aparte) */
+function childNodes(node) {
+  const children = [];
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === "loc" || key === "type") return;
+    if (Array.isArray(value)) children.push(...value.filter((v) => v && v.kind));
+    else if (value && typeof value === "object" && value.kind) children.push(value);
+  });
+  return children;
+}
+
+// ── Analizador ─────────────────────────────────────────────────────
+
+class SemanticAnalyzer {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+    this._global = new Scope();
+    this._scope = this._global;
+    /** Tipos del usuario: nombre → info de clase (o true si no es clase) */
+    this._types = new Map();
+    /** Llamadas a funciones de pines, para revisar pinMode al final */
+    this._pinCalls = [];
+    /** Diagnósticos ya emitidos (evita repetir el mismo en una línea) */
+    this._reported = new Set();
+    /** Función libre que se está recorriendo (nombre) */
+    this._functionName = null;
+    /** ISR de attachInterrupt y timer1_attachInterrupt: { name, loc } */
+    this._isrs = [];
+    /** Cabeceras incluidas con #include */
+    this._includes = new Set();
+    /** Por función libre: escrituras a globales y llamadas bloqueantes */
+    this._effects = new Map();
+    /** ¿Llama el sketch a Serial.begin()? (GPIO1 y GPIO3 son la UART) */
+    this._serialBegin = false;
+  }
+
+  analyze(ast) {
+    ast.body.forEach((node) => this._register(node));
+    ast.body.forEach((node) => this._topLevel(node));
+    this._checkUnusedGlobals();
+    this._checkPinModes();
+    this._checkUartPins();
+    this._checkInterrupts();
+    return { errors: this.errors, warnings: this.warnings };
+  }
+
+  // ── Diagnósticos ─────────────────────────────────────────────────
+
+  _report(list, severity, loc, message) {
+    const key = `${loc.file}:${loc.line}:${message}`;
+    if (this._reported.has(key)) return;
+    this._reported.add(key);
+    list.push({ line: loc.line, column: loc.column, file: loc.file, message, severity });
+  }
+
+  _error(loc, message) {
+    this._report(this.errors, "error", loc, message);
+  }
+
+  _warning(loc, message) {
+    this._report(this.warnings, "warning", loc, message);
+  }
+
+  // ── Registro de declaraciones globales ───────────────────────────
+
+  _register(node) {
+    switch (node.kind) {
+      case "VarDecl":
+        node.declarators.forEach((d) => this._declareVar(this._global, node, d, { global: true }));
+        return;
+      case "FunctionDecl":
+        if (node.className) return;
+        this._declareFunction(this._global, node);
+        return;
+      case "ClassDecl":
+        this._registerClass(node);
+        return;
+      case "EnumDecl":
+        this._types.set(node.name, true);
+        if (!node.scoped) this._declareEnumValues(node);
+        return;
+      case "Typedef":
+        this._types.set(node.name, this._types.get(node.type.base) || true);
+        return;
+      case "Include":
+        this._includes.add(node.path);
+        return;
+      default:
+    }
+  }
+
+  _registerClass(node) {
+    const info = { name: node.name, scope: new Scope(this._global), ctors: [] };
+    info.scope.declare("this", { kind: "this" });
+    node.fields.forEach((field) => {
+      field.declarators.forEach((d) => this._declareVar(info.scope, field, d, { global: true }));
+    });
+    node.methods.forEach((method) => {
+      if (method.isConstructor) info.ctors.push(method.params);
+      else this._declareFunction(info.scope, method);
+    });
+    this._types.set(node.name, info);
+  }
+
+  _declareVar(scope, decl, declarator, extra = {}) {
+    return scope.declare(declarator.name, {
+      kind: "var",
+      name: declarator.name,
+      spec: decl.declType,
+      isConst: decl.declType.isConst && !declarator.type.pointer,
+      init: declarator.init,
+      loc: declarator.loc,
+      used: false,
+      ...extra,
+    });
+  }
+
+  /** Prototipos, definiciones y sobrecargas comparten símbolo */
+  _declareFunction(scope, node) {
+    const existing = scope.symbols.get(node.name);
+    if (existing && existing.kind === "function") {
+      existing.signatures.push(node.params);
+      existing.iram ||= node.returnType.isIram;
+      return;
+    }
+    scope.declare(node.name, { kind: "function", name: node.name, signatures: [node.params], iram: node.returnType.isIram });
+  }
+
+  _declareEnumValues(node) {
+    let next = 0;
+    node.values.forEach((entry) => {
+      const value = entry.value ? this._constantValue(entry.value) : next;
+      this._global.declare(entry.name, { kind: "enum", name: entry.name, value, isConst: true });
+      next = value === null ? null : value + 1;
+    });
+  }
+
+  // ── Nivel superior ───────────────────────────────────────────────
+
+  _topLevel(node) {
+    switch (node.kind) {
+      case "VarDecl":
+        this._varDeclExpressions(node);
+        return;
+      case "FunctionDecl":
+        if (node.body) this._function(node);
+        node.params.forEach((p) => p.defaultValue && this._expr(p.defaultValue));
+        return;
+      case "ClassDecl": {
+        const info = this._types.get(node.name);
+        this._withScope(info.scope, () => {
+          node.fields.forEach((field) => this._varDeclExpressions(field));
+        });
+        node.methods.forEach((method) => method.body && this._function(method, info));
+        return;
+      }
+      case "EnumDecl":
+        node.values.forEach((entry) => entry.value && this._expr(entry.value));
+        return;
+      default:
+    }
+  }
+
+  /** Inicializadores, dimensiones y argumentos de constructor de un VarDecl */
+  _varDeclExpressions(node) {
+    const { base } = node.declType;
+    const library = this._types.has(base) ? null : lookupBuiltin(base);
+    if (library?.kind === "class" && !this._includes.has(library.header)) {
+      this._error(node.loc, `"${base}" no está declarado en este ámbito; falta #include <${library.header}>`);
+    }
+    node.declarators.forEach((d) => {
+      (d.type.dimensions || []).forEach((dim) => dim && this._expr(dim));
+      if (d.init) this._expr(d.init);
+      (d.ctorArgs || []).forEach((arg) => this._expr(arg));
+      const info = this._types.get(node.declType.base);
+      if (d.ctorArgs?.length && info?.ctors?.length && !node.declType.pointer) {
+        this._checkCount(d.loc, `El constructor de ${info.name}`, info.ctors, d.ctorArgs.length);
+      }
+    });
+  }
+
+  // ── Funciones ────────────────────────────────────────────────────
+
+  _function(node, ownerInfo = null) {
+    const info = ownerInfo || (node.className ? this._types.get(node.className) : null);
+    if (node.className && !(info && info.scope)) {
+      this._error(node.loc, `"${node.className}" no está declarado en este ámbito`);
+      return;
+    }
+
+    const parent = info ? info.scope : this._global;
+    this._functionName = info ? null : node.name;
+    this._withScope(new Scope(parent), () => {
+      node.params.forEach((param) => {
+        if (param.name) {
+          this._scope.declare(param.name, {
+            kind: "var", name: param.name, spec: param.type, isConst: param.type.isConst && !param.type.pointer, param: true,
+          });
+        }
+      });
+      (node.initializers || []).forEach((init) => init.args.forEach((arg) => this._expr(arg)));
+      this._block(node.body.body);
+    });
+    this._functionName = null;
+
+    if (!node.isConstructor && !isVoid(node.returnType) && !this._alwaysReturns(node.body)) {
+      const name = node.className ? `${node.className}::${node.name}` : node.name;
+      this._warning(node.loc, `La función ${name}() no es void y puede terminar sin return`);
+    }
+  }
+
+  _withScope(scope, fn) {
+    const previous = this._scope;
+    this._scope = scope;
+    try {
+      fn();
+    } finally {
+      this._scope = previous;
+    }
+  }
+
+  /** Sentencias en un ámbito nuevo; al cerrarlo avisa de las locales sin usar */
+  _block(statements) {
+    const scope = new Scope(this._scope);
+    this._withScope(scope, () => statements.forEach((s) => this._statement(s)));
+    scope.symbols.forEach((symbol) => {
+      if (symbol.kind !== "var" || symbol.param || symbol.global) return;
+      this._checkUnused(symbol, "Variable");
+    });
+  }
+
+  /** Variables globales que ninguna función ni inicializador usa */
+  _checkUnusedGlobals() {
+    this._global.symbols.forEach((symbol) => {
+      if (symbol.kind !== "var" || symbol.spec.isExtern) return;
+      this._checkUnused(symbol, "Variable global");
+    });
+  }
+
+  _checkUnused(symbol, what) {
+    if (symbol.used) return;
+    // Objetos con constructor y String: declararlos ya tiene efecto
+    if (symbol.spec.base === "String" || this._types.get(symbol.spec.base)?.scope) return;
+    this._warning(symbol.loc, `${what} "${symbol.name}" declarada pero no usada`);
+  }
+
+  // ── Sentencias ───────────────────────────────────────────────────
+
+  _statement(node) {
+    switch (node.kind) {
+      case "Block":
+        this._block(node.body);
+        return;
+      case "VarDecl":
+        this._varDeclExpressions(node);
+        node.declarators.forEach((d) => this._declareVar(this._scope, node, d));
+        return;
+      case "For":
+        this._block([
+          ...(node.init ? [node.init] : []),
+          { kind: "ExpressionStatement", expression: node.test },
+          { kind: "ExpressionStatement", expression: node.update },
+          node.body,
+        ]);
+        return;
+      case "Switch":
+        this._expr(node.discriminant);
+        this._block(node.cases.flatMap((c) => [{ kind: "ExpressionStatement", expression: c.test }, ...c.body]));
+        return;
+      case "If":
+        this._expr(node.test);
+        this._substatement(node.consequent);
+        this._substatement(node.alternate);
+        return;
+      case "While":
+      case "DoWhile":
+        this._expr(node.test);
+        this._substatement(node.body);
+        return;
+      case "ExpressionStatement":
+        this._expr(node.expression);
+        return;
+      case "Return":
+        this._expr(node.argument);
+        return;
+      default:
+    }
+  }
+
+  /** Cuerpo de if/while: tiene su propio ámbito aunque no lleve llaves */
+  _substatement(node) {
+    if (node) this._block(node.kind === "Block" ? node.body : [node]);
+  }
+
+  // ── Expresiones ──────────────────────────────────────────────────
+
+  _expr(node) {
+    if (!node) return;
+    switch (node.kind) {
+      case "Identifier":
+        this._identifier(node);
+        return;
+      case "Call":
+        this._call(node);
+        return;
+      case "Assign":
+      case "Update":
+        this._checkConstTarget(node.kind === "Assign" ? node.target : node.argument, node.loc);
+        this._recordGlobalWrite(node.kind === "Assign" ? node.target : node.argument, node.loc);
+        childNodes(node).forEach((child) => this._expr(child));
+        return;
+      case "Member":
+        this._expr(node.object);
+        this._checkMember(node);
+        return;
+      case "ScopeRef":
+        return;
+      case "Unary":
+        if (node.operator === "&" && this._isFunctionName(node.argument)) {
+          this._expr(node.argument);
+          return;
+        }
+        if (node.operator === "&" || node.operator === "*") {
+          this._error(node.loc, `Punteros no soportados: operador "${node.operator}"`);
+        }
+        this._expr(node.argument);
+        return;
+      default:
+        childNodes(node).forEach((child) => this._expr(child));
+    }
+  }
+
+  /**
+   * Resuelve un identificador: ámbitos del usuario, tipos y API.
+   * @returns {object|null} Símbolo del usuario, si lo es
+   */
+  _identifier(node) {
+    const symbol = this._scope.lookup(node.name);
+    if (symbol) {
+      symbol.used = true;
+      return symbol;
+    }
+    if (!this._isKnownName(node.name)) {
+      this._error(node.loc, `"${node.name}" no está declarado en este ámbito`);
+    }
+    return null;
+  }
+
+  _isKnownName(name) {
+    return this._types.has(name) || TYPE_WORDS.has(name) || Boolean(lookupBuiltin(name));
+  }
+
+  _checkConstTarget(target, loc) {
+    const root = rootIdentifier(target);
+    if (!root) return;
+    const symbol = this._scope.lookup(root.name);
+    if (symbol && symbol.isConst) {
+      this._error(loc, `No se puede asignar a "${root.name}": es ${symbol.kind === "enum" ? "un valor de enum" : "const"}`);
+    }
+  }
+
+  _call(node) {
+    const { callee, args } = node;
+    args.forEach((arg) => this._expr(arg));
+    if (callee.kind === "Identifier" && BLOCKING_IN_ISR.has(callee.name) && !this._scope.lookup(callee.name)) {
+      this._effectsOf()?.blocking.push({ name: callee.name, loc: node.loc });
+    }
+
+    if (callee.kind === "Identifier") {
+      const symbol = this._identifier(callee);
+      if (symbol?.kind === "function") {
+        this._checkCount(node.loc, `${callee.name}()`, symbol.signatures, args.length);
+      } else if (!symbol && this._types.get(callee.name)?.ctors?.length) {
+        const info = this._types.get(callee.name);
+        this._checkCount(node.loc, `El constructor de ${info.name}`, info.ctors, args.length);
+      } else if (!symbol) {
+        this._checkBuiltinCall(callee.name, node);
+      }
+      return;
+    }
+
+    if (callee.kind === "Member") {
+      this._expr(callee.object);
+      this._checkMember(callee);
+      if (callee.object.kind === "Identifier" && callee.object.name === "Serial" && callee.property === "begin") {
+        this._serialBegin = true;
+      }
+      const info = this._classOf(callee.object);
+      const method = info?.scope.symbols.get(callee.property);
+      if (method?.kind === "function") {
+        this._checkCount(node.loc, `${info.name}::${callee.property}()`, method.signatures, args.length);
+      }
+      return;
+    }
+
+    this._expr(callee);
+  }
+
+  /** ¿Nombra la expresión una función libre del usuario? (&isr) */
+  _isFunctionName(node) {
+    return node.kind === "Identifier" && this._scope.lookup(node.name)?.kind === "function";
+  }
+
+  _checkMember(node) {
+    const members = this._membersOf(node.object);
+    if (members && !members.names.includes(node.property)) {
+      this._error(node.loc, `${members.owner} no tiene ningún miembro llamado "${node.property}"`);
+    }
+  }
+
+  /**
+   * Miembros conocidos de un objeto: { owner, names }, o null si su
+   * tipo no se puede saber sin evaluar la expresión (a[i].x, f().x…).
+   */
+  _membersOf(object) {
+    const info = this._classOf(object);
+    if (info) return { owner: info.name, names: [...info.scope.symbols.keys()] };
+    if (object.kind !== "Identifier") return null;
+    const symbol = this._scope.lookup(object.name);
+    if (!symbol) {
+      const builtin = lookupBuiltin(object.name);
+      return builtin?.kind === "object" ? { owner: object.name, names: Object.keys(builtin.methods) } : null;
+    }
+    if (symbol.kind !== "var" || symbol.spec.pointer) return null;
+    if (symbol.spec.base === "String") return { owner: "String", names: Object.keys(STRING_METHODS) };
+    const library = this._types.has(symbol.spec.base) ? null : lookupBuiltin(symbol.spec.base);
+    return library?.kind === "class" ? { owner: symbol.spec.base, names: Object.keys(library.methods) } : null;
+  }
+
+  /** Clase del usuario a la que pertenece un objeto (variable o this) */
+  _classOf(object) {
+    if (object.kind !== "Identifier") return null;
+    const symbol = this._scope.lookup(object.name);
+    if (!symbol) return null;
+    if (symbol.kind === "this") {
+      for (const info of this._types.values()) {
+        if (info.scope && info.scope.lookup("this") === symbol) return info;
+      }
+      return null;
+    }
+    const info = symbol.spec && this._types.get(symbol.spec.base);
+    return info?.scope ? info : null;
+  }
+
+  _checkCount(loc, what, signatures, count) {
+    if (acceptsCount(signatures, count)) return;
+    this._error(loc, `${what} espera ${describeArity(signaturesArity(signatures))} y recibe ${count}`);
+  }
+
+  _checkBuiltinCall(name, node) {
+    const builtin = lookupBuiltin(name);
+    if (!builtin || builtin.kind !== "function") return;
+
+    const arity = builtinArity(builtin);
+    const count = node.args.length;
+    if (arity && (count < arity[0] || count > arity[1])) {
+      this._error(node.loc, `${name}() espera ${describeArity(arity)} y recibe ${count}`);
+      return;
+    }
+
+    const [first] = node.args;
+    if (PIN_FUNCTIONS.has(name) && first) {
+      const gpio = this._constantValue(first);
+      const via = first.kind === "NumberLiteral" ? "" : ` ("${pinKey(first)}")`;
+      if (gpio !== null && PIN_CAPABILITIES[gpio]?.flash) {
+        this._error(node.loc, `GPIO ${gpio}${via} es la señal ${PIN_CAPABILITIES[gpio].flash} de la flash SPI: usarlo cuelga el ESP8266`);
+      } else if (gpio !== null && !VALID_GPIOS.includes(gpio)) {
+        this._error(node.loc, `GPIO ${gpio}${via} no existe en ESP8266. Válidos: ${VALID_GPIOS.join(", ")}`);
+      } else if (gpio !== null) {
+        this._checkPinCapabilities(name, node, gpio);
+      }
+      this._pinCalls.push({ name, loc: node.loc, arg: first, gpio });
+    }
+
+    if (name === "timer1_attachInterrupt" && first.kind === "Identifier") {
+      this._isrs.push({ name: first.name, loc: node.loc });
+    }
+
+    if (name === "attachInterrupt") {
+      const [, isr, mode] = node.args;
+      if (isr.kind === "Identifier") this._isrs.push({ name: isr.name, loc: node.loc });
+      const value = this._constantValue(mode);
+      if (value !== null && !INTERRUPT_MODES.has(value)) {
+        this._error(node.loc, "attachInterrupt(): modo no válido. Use RISING, FALLING o CHANGE");
+      }
+    }
+
+    if (name === "delay" && first) {
+      const ms = this._constantValue(first);
+      if (ms !== null && ms < 0) this._error(node.loc, "delay() no acepta valores negativos");
+    }
+  }
+
+  /**
+   * Usos que un GPIO no admite (ver PIN_CAPABILITIES en gpioManager.js).
+   * @param {string} name  Función de pines
+   * @param {object} node  Llamada
+   * @param {number} gpio
+   */
+  _checkPinCapabilities(name, node, gpio) {
+    const capabilities = PIN_CAPABILITIES[gpio];
+    const pin = capabilities.adc ? "A0" : `GPIO${gpio}`;
+    if (name === "analogWrite" && !capabilities.pwm) {
+      this._warning(node.loc, capabilities.adc
+        ? "A0 es sólo una entrada analógica: analogWrite() no tiene efecto"
+        : `${pin} no soporta PWM hardware`);
+    }
+    if (name === "attachInterrupt" && !capabilities.interrupt) {
+      this._warning(node.loc, `${pin} no admite interrupciones: attachInterrupt() no tiene efecto`);
+    }
+    const mode = name === "pinMode" && node.args[1]?.kind === "Identifier" ? node.args[1].name : null;
+    if (mode && capabilities.adc && mode !== "INPUT") {
+      this._warning(node.loc, `A0 es sólo una entrada analógica: pinMode(${mode}) no tiene efecto; use analogRead(A0)`);
+    } else if (mode === "INPUT_PULLUP" && !capabilities.pullup) {
+      this._warning(node.loc, `${pin} no tiene pull-up interno; use INPUT_PULLDOWN_16 o una resistencia externa`);
+    } else if (mode === "INPUT_PULLDOWN_16" && !capabilities.pulldown) {
+      this._warning(node.loc, `INPUT_PULLDOWN_16 sólo existe en GPIO16, no en ${pin}`);
+    }
+  }
+
+  /** GPIO1 (TX) y GPIO3 (RX) reconfigurados en un sketch que usa Serial */
+  _checkUartPins() {
+    if (!this._serialBegin) return;
+    this._pinCalls
+      .filter((c) => UART_CONFLICTS.has(c.name) && PIN_CAPABILITIES[c.gpio]?.uart)
+      .forEach((c) => {
+        const uart = PIN_CAPABILITIES[c.gpio].uart;
+        this._warning(c.loc, `GPIO${c.gpio} es ${uart} de Serial: ${c.name}() lo desconecta de la UART y ${uart === "TX" ? "la salida" : "la entrada"} de Serial se pierde`);
+      });
+  }
+
+  /** digitalWrite sobre un pin que ningún pinMode configura */
+  _checkPinModes() {
+    const keyOf = (call) => (call.gpio !== null ? String(call.gpio) : pinKey(call.arg));
+    const configured = new Set(this._pinCalls.filter((c) => c.name === "pinMode").map(keyOf));
+    this._pinCalls
+      .filter((c) => c.name === "digitalWrite" && !configured.has(keyOf(c)) && pinKey(c.arg) !== "LED_BUILTIN")
+      .forEach((c) => this._warning(c.loc, `digitalWrite usa pin "${pinKey(c.arg)}" sin previo pinMode()`));
+  }
+
+  // ── Interrupciones ───────────────────────────────────────────────
+
+  /** Escrituras y llamadas de la función libre en curso (o null) */
+  _effectsOf() {
+    if (!this._functionName) return null;
+    if (!this._effects.has(this._functionName)) this._effects.set(this._functionName, { writes: [], blocking: [] });
+    return this._effects.get(this._functionName);
+  }
+
+  _recordGlobalWrite(target, loc) {
+    const root = rootIdentifier(target);
+    if (!root) return;
+    const symbol = this._scope.lookup(root.name);
+    if (symbol && symbol.kind === "var" && this._global.symbols.get(root.name) === symbol) {
+      this._effectsOf()?.writes.push({ symbol, loc });
+    }
+  }
+
+  /**
+   * Las ISR se ejecutan desde IRAM en cualquier punto del sketch: el
+   * core exige IRAM_ATTR, no pueden esperar y las globales que
+   * comparten con loop() deben ser volatile.
+   */
+  _checkInterrupts() {
+    const checked = new Set();
+    this._isrs.forEach(({ name, loc }) => {
+      const symbol = this._global.symbols.get(name);
+      if (symbol?.kind !== "function" || checked.has(name)) return;
+      checked.add(name);
+
+      if (!symbol.iram) {
+        this._warning(loc, `La ISR ${name}() debe declararse IRAM_ATTR (el core ESP8266 aborta con "ISR not in IRAM!")`);
+      }
+      const effects = this._effects.get(name);
+      if (!effects) return;
+      effects.blocking.forEach((call) => {
+        this._warning(call.loc, `La ISR ${name}() no puede llamar a ${call.name}()`);
+      });
+      effects.writes
+        .filter(({ symbol: variable }) => !variable.spec.isVolatile)
+        .forEach(({ symbol: variable, loc: writeLoc }) => {
+          this._warning(writeLoc, `"${variable.name}" se modifica en la ISR ${name}() y debería ser volatile`);
+        });
+    });
+  }
+
+  // ── Constantes ───────────────────────────────────────────────────
+
+  /**
+   * Valor entero de una expresión constante: literales, constantes
+   * const/enum del usuario, constantes de la API (D1, LED_BUILTIN…) y
+   * aritmética entre ellas. null si no se conoce en compilación.
+   * @param {object} node
+   * @param {number} [depth]
+   * @returns {number|null}
+   */
+  _constantValue(node, depth = 0) {
+    if (!node || depth > MAX_CONSTANT_DEPTH) return null;
+    const value = (n) => this._constantValue(n, depth + 1);
+    switch (node.kind) {
+      case "NumberLiteral":
+        return node.isFloat ? null : node.value;
+      case "CharLiteral":
+        return node.value;
+      case "BoolLiteral":
+        return node.value ? 1 : 0;
+      case "Cast":
+        return value(node.argument);
+      case "Identifier": {
+        const symbol = this._scope.lookup(node.name);
+        if (symbol) {
+          if (symbol.kind === "enum") return symbol.value;
+          return symbol.kind === "var" && symbol.isConst && symbol.init && symbol.init.kind !== "InitList"
+            ? value(symbol.init)
+            : null;
+        }
+        const builtin = lookupBuiltin(node.name);
+        return builtin?.kind === "const" && builtin.type === "int" ? Number(builtin.js) : null;
+      }
+      case "Unary": {
+        const operand = value(node.argument);
+        if (operand === null) return null;
+        if (node.operator === "-") return -operand;
+        if (node.operator === "+") return operand;
+        if (node.operator === "~") return ~operand;
+        if (node.operator === "!") return operand ? 0 : 1;
+        return null;
+      }
+      case "Binary": {
+        const a = value(node.left);
+        const b = value(node.right);
+        if (a === null || b === null) return null;
+        switch (node.operator) {
+          case "+": return a + b;
+          case "-": return a - b;
+          case "*": return a * b;
+          case "/": return b ? Math.trunc(a / b) : null;
+          case "%": return b ? a % b : null;
+          case "<<": return a << b;
+          case ">>": return a >> b;
+          case "&": return a & b;
+          case "|": return a | b;
+          case "^": return a ^ b;
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ── Flujo de control ─────────────────────────────────────────────
+
+  /** ¿Termina siempre la sentencia con return (o en un bucle infinito)? */
+  _alwaysReturns(node) {
+    if (!node) return false;
+    switch (node.kind) {
+      case "Return":
+        return true;
+      case "Block":
+        return node.body.some((s) => this._alwaysReturns(s));
+      case "If":
+        return Boolean(node.alternate) && this._alwaysReturns(node.consequent) && this._alwaysReturns(node.alternate);
+      case "While":
+      case "For":
+        // while (true) / for (;;) sin break no termina nunca
+        return (!node.test || Boolean(this._constantValue(node.test))) && !hasBreak(node.body);
+      case "DoWhile":
+        return this._alwaysReturns(node.body)
+          || (Boolean(this._constantValue(node.test)) && !hasBreak(node.body));
+      case "Switch": {
+        // Sin break, cada case cae hasta los siguientes: basta con que
+        // alguno posterior termine con return
+        if (!node.cases.some((c) => !c.test) || node.cases.some((c) => c.body.some(hasBreak))) return false;
+        return node.cases.every((_, i) => node.cases.slice(i).some((c) => this._alwaysReturns({ kind: "Block", body: c.body })));
+      }
+      default:
+        return false;
+    }
+  }
+}
+
+/** ¿Contiene la sentencia un break que sale de ella (no de un bucle o switch anidado)? */
+function hasBreak(node) {
+  if (!node || typeof node !== "object") return false;
+  if (node.kind === "Break") return true;
+  if (["While", "For", "DoWhile", "Switch"].includes(node.kind)) return false;
+  if (node.kind === "Block") return node.body.some(hasBreak);
+  if (node.kind === "If") return hasBreak(node.consequent) || hasBreak(node.alternate);
+  return false;
+}
+
+/**
+ * Analiza el AST del sketch.
+ * @param {object} ast  Nodo Program
+ * @returns {{errors: Array<object>, warnings: Array<object>}}
+ */
+export function analyzeProgram(ast) {
+  return new SemanticAnalyzer().analyze(ast);
+}
+
+export default { analyzeProgram };
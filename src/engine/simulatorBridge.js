@@ -0,0 +1,254 @@
+/**
+ * SimulatorBridge — Acceso desde la UI al motor en su Web Worker
+ *
+ * Rol: Sustituye a SimulatorEngine en el hilo principal con la misma
+ * API (run, stop, pause, resume, step, runToCursor, reset, setSpeed,
+ * setBreakpoints, configureEsp…). Cada llamada se envía como mensaje al worker
+ * (simulatorWorker.js) y los eventos que éste reenvía se vuelven a
+ * emitir en el EventBus de la UI, de modo que los componentes siguen
+ * escuchando "pin-change", "pwm-change", "serial-log", "engine-state"…
+ * como antes.
+ *
+ * Así un sketch pesado nunca bloquea Monaco ni el dibujo de la placa.
+ * Si el sketch no responde a stop() (un bucle síncrono que no termina),
+ * el worker se termina y se crea uno nuevo: la simulación se puede
+ * detener siempre.
+ *
+ * Los pines de entrada (clic en un Pin, BoardButton, botón FLASH)
+ * también pasan por aquí: setExternalValue() llega al GPIOManager del
+ * worker; el botón RST de la placa usa setResetButton(). Los
+ * componentes conectados (registerComponent) se repiten a cada worker
+ * nuevo: la ROM simulada mira cómo tiran de los pines de arranque.
+ */
+
+import eventBus from "./eventBus.js";
+
+/** Velocidades que ofrece la UI (Infinity = lo más rápido posible) */
+export const SIMULATION_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 10, 100, Infinity];
+
+/** Espera a que el worker confirme un stop() antes de terminarlo (ms) */
+const STOP_TIMEOUT_MS = 1000;
+
+class SimulatorBridge {
+  constructor() {
+    /** @type {Worker|null} Se crea con la primera orden */
+    this._worker = null;
+
+    /** Último estado recibido del motor */
+    this._state = "idle";
+
+    /** Velocidad, breakpoints y chip actuales: se repiten a un worker nuevo */
+    this._speed = 1;
+    this._breakpoints = {};
+    this._espConfig = {};
+
+    /** Componentes conectados a la placa: id → componente */
+    this._components = new Map();
+
+    /** Temporizador que termina el worker si no confirma un stop() */
+    this._stopTimeout = null;
+  }
+
+  // ── API Pública (la de SimulatorEngine) ──────────────────────────
+
+  /**
+   * Compila y ejecuta en un solo paso (botón Run).
+   * @param {string|Array<{name: string, content: string}>} code
+   */
+  run(code) {
+    this._post("run", code);
+  }
+
+  /** Detiene la ejecución; termina el worker si no responde */
+  stop() {
+    this._post("stop");
+    this._expectStop();
+  }
+
+  /** Pausa conservando el estado del sketch y el reloj virtual */
+  pause() {
+    this._post("pause");
+  }
+
+  /** Reanuda una simulación en pausa */
+  resume() {
+    this._post("resume");
+  }
+
+  /**
+   * En pausa, avanza una sentencia.
+   * @param {"over"|"into"|"out"} kind
+   */
+  step(kind) {
+    this._post("step", kind);
+  }
+
+  /**
+   * Ejecuta hasta una línea y pausa.
+   * @param {string} file  Pestaña
+   * @param {number} line
+   */
+  runToCursor(file, line) {
+    this._post("runToCursor", file, line);
+  }
+
+  /** Reset completo: detiene, limpia GPIO y descarta el sketch */
+  reset() {
+    this._post("reset");
+    this._expectStop();
+  }
+
+  /**
+   * Estado del motor según el último "engine-state".
+   * @returns {string}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Cambia la velocidad de simulación.
+   * @param {number} speed  Multiplicador (> 0) o Infinity para la máxima
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) throw new Error(`Velocidad de simulación no válida: ${speed}`);
+    this._speed = speed;
+    this._post("setSpeed", speed);
+  }
+
+  /**
+   * Velocidad de simulación actual.
+   * @returns {number}
+   */
+  getSpeed() {
+    return this._speed;
+  }
+
+  /**
+   * Breakpoints del editor.
+   * @param {Object<string, number[]>} breakpoints  pestaña → líneas
+   */
+  setBreakpoints(breakpoints) {
+    this._breakpoints = breakpoints;
+    this._post("setBreakpoints", breakpoints);
+  }
+
+  /**
+   * Valores del chip simulado (ver espSystem.js).
+   * @param {object} options  chipId, freeHeap, deepSleepWake…
+   */
+  configureEsp(options) {
+    this._espConfig = { ...this._espConfig, ...options };
+    this._post("configureEsp", options);
+  }
+
+  /**
+   * Nivel impuesto desde fuera a un pin de entrada (clic, botón).
+   * @param {number} pin  GPIO
+   * @param {number} value  0 o 1
+   */
+  setExternalValue(pin, value) {
+    this._post("setExternalValue", pin, value);
+  }
+
+  /**
+   * Botón RST de la placa.
+   * @param {boolean} pressed
+   */
+  setResetButton(pressed) {
+    this._post("setResetButton", pressed);
+  }
+
+  /**
+   * Conecta un componente a un pin (ver GPIOManager.registerComponent).
+   * Sin worker sólo se guarda: se envía al crearlo.
+   * @param {{id: string, type: string, pin: number, config?: object}} component
+   */
+  registerComponent(component) {
+    this._components.set(component.id, component);
+    if (this._worker) this._post("registerComponent", component);
+  }
+
+  /**
+   * Desconecta un componente.
+   * @param {string} id
+   */
+  unregisterComponent(id) {
+    this._components.delete(id);
+    if (this._worker) this._post("unregisterComponent", id);
+  }
+
+  // ── Internos ─────────────────────────────────────────────────────
+
+  /**
+   * Envía una orden al worker (creándolo si hace falta).
+   * @param {string} method
+   * @param {...*} args
+   */
+  _post(method, ...args) {
+    if (!this._worker) this._spawn();
+    this._worker.postMessage({ method, args });
+  }
+
+  /** Crea el worker y le repite velocidad, breakpoints, chip y componentes */
+  _spawn() {
+    this._worker = new Worker(new URL("./simulatorWorker.js", import.meta.url), { type: "module" });
+    this._worker.onmessage = ({ data }) => this._receive(data.events);
+    this._worker.onerror = (event) => {
+      console.error("[SimulatorBridge] Worker error:", event.message);
+    };
+    this._worker.postMessage({ method: "setSpeed", args: [this._speed] });
+    this._worker.postMessage({ method: "setBreakpoints", args: [this._breakpoints] });
+    this._worker.postMessage({ method: "configureEsp", args: [this._espConfig] });
+    this._components.forEach((component) => {
+      this._worker.postMessage({ method: "registerComponent", args: [component] });
+    });
+  }
+
+  /**
+   * Re-emite en el EventBus de la UI los eventos del worker.
+   * @param {Array<{event: string, data: any}>} events
+   */
+  _receive(events) {
+    events.forEach(({ event, data }) => {
+      if (event === "engine-state") {
+        this._state = data.state;
+        if (this._stopTimeout && data.state !== "running" && data.state !== "paused") {
+          clearTimeout(this._stopTimeout);
+          this._stopTimeout = null;
+        }
+      }
+      eventBus.emit(event, data);
+    });
+  }
+
+  /** Si el stop() no se confirma a tiempo, el sketch está colgado */
+  _expectStop() {
+    if (this._stopTimeout) return;
+    this._stopTimeout = setTimeout(() => {
+      this._stopTimeout = null;
+      this._terminate();
+    }, STOP_TIMEOUT_MS);
+  }
+
+  /**
+   * Termina el worker con el sketch colgado. El siguiente comando crea
+   * uno nuevo con los pines en su estado inicial.
+   */
+  _terminate() {
+    this._worker.terminate();
+    this._worker = null;
+    this._state = "stopped";
+
+    eventBus.emit("serial-log", {
+      message: "⛔ El sketch no respondía: simulación terminada",
+      type: "warn",
+    });
+    eventBus.emit("gpio-reset", {});
+    eventBus.emit("engine-state", { state: "stopped" });
+  }
+}
+
+// Singleton
+const simulatorBridge = new SimulatorBridge();
+export default simulatorBridge;
@@ -5,14 +5,70 @@
  * Independiente de React. Se comunica SOLO vía EventBus.
  *
  * Ciclo de vida:
- *   1. load(code)   → Parsea y compila el código
+ *   1. load(code)   → Parsea y compila el código (una pestaña o
+ *                     todos los archivos del proyecto)
  *   2. start()      → Ejecuta setup() y luego loop() en bucle infinito
  *   3. stop()       → Detiene la ejecución del loop
+ *      pause()      → Congela la ejecución y el reloj virtual;
+ *      resume()       resume() sigue exactamente donde se quedó
+ *      step(kind)   → En pausa: avanza una sentencia (over/into/out)
  *   4. reset()      → Detiene + limpia estado GPIO + limpia logs
+ *   setSpeed(x)     → Velocidad: tiempo virtual por segundo real
  *
- * El loop() se ejecuta de forma asíncrona usando setTimeout recursivo
- * para no bloquear el hilo principal del navegador y permitir que
- * la UI se actualice entre iteraciones.
+ * El motor corre en un Web Worker (simulatorWorker.js); la UI lo
+ * maneja a través de simulatorBridge.js y recibe sus eventos
+ * reenviados. El loop() se ejecuta de forma asíncrona usando setTimeout
+ * recursivo para que el worker atienda órdenes (stop, pause, entradas
+ * de pines) entre iteraciones.
+ *
+ * Tiempo: millis(), micros(), delay() y delayMicroseconds() usan el
+ * reloj virtual (virtualClock.js), no el reloj del navegador. delay()
+ * avanza el reloj exactamente lo pedido mientras espera ese tiempo
+ * dividido por la velocidad (0.1× = cámara lenta, 10× = avance
+ * rápido); una iteración de loop() sin esperas cuenta como 1 ms y la
+ * siguiente espera lo que corresponde al tiempo virtual consumido. A
+ * velocidad máxima (Infinity) el tiempo ocioso no se espera: delay()
+ * salta directamente al final, sólo cede el hilo al navegador.
+ * yield() y delay(0) cuestan unos µs virtuales y sólo ceden el hilo
+ * cuando agotan un presupuesto de tiempo real (ver _yield), de modo
+ * que una espera activa con yield() avanza al ritmo de la velocidad.
+ * La velocidad cambia el ritmo real, nunca los valores de millis().
+ *
+ * Watchdog: un bucle que no cede el control (sin delay() ni yield())
+ * durante ~3,2 s de tiempo virtual dispara el soft WDT (watchdog.js):
+ * el motor imprime el banner de reinicio del ESP8266, vuelve a
+ * compilar (variables globales como al arrancar) y repite setup().
+ * ESP.restart() y el final de un ESP.deepSleep() reinician igual, con
+ * su propio motivo en ESP.getResetReason() (espSystem.js).
+ *
+ * Excepciones: un puntero NULL, una división entera por cero o una
+ * recursión sin fin no detienen la simulación: como el core, el motor
+ * imprime el volcado "Exception (N):" / ">>>stack>>>", lo decodifica
+ * a funciones y líneas del sketch (crashDump.js) y reinicia la placa.
+ *
+ * Arranque: como la ROM del ESP8266, start() y cada reinicio leen los
+ * pines de arranque (GPIO0, GPIO2, GPIO15) e imprimen su banner antes
+ * de setup(). Un componente que tira mal de ellos (un LED que lleva
+ * GPIO15 a HIGH) o el botón FLASH pulsado dejan la placa en la ROM y
+ * el sketch no se ejecuta (_romBoot).
+ *
+ * Botones de la placa: RST (setResetButton) mantiene el chip en reset
+ * mientras está pulsado y lo reinicia al soltarlo; FLASH pone GPIO0 a
+ * LOW como un botón más y, pulsado durante un reinicio, deja la placa
+ * en modo de carga por UART.
+ *
+ * Interrupciones: un flanco externo en un pin con attachInterrupt()
+ * ejecuta su ISR en cuanto el sketch cede el hilo (ver interrupts.js).
+ *
+ * Temporizadores: Ticker y timer1 programan sus disparos en el reloj
+ * virtual (timers.js). La ISR de timer1 corre en el instante exacto,
+ * aunque el sketch esté en mitad de una espera activa; los callbacks
+ * de Ticker, como las tareas del SDK, esperan a que el sketch ceda el
+ * control (delay(), yield() o fin de loop()).
+ *
+ * Depuración: el sketch se compila con checkpoints por sentencia (ver
+ * debugger.js). Un breakpoint, un paso o run to cursor dejan el motor
+ * en pausa con el sketch detenido en esa sentencia.
  *
  * Arquitectura:
  *   - Parser transforma Arduino → JS
@@ -23,16 +79,74 @@
 
 import eventBus from "./eventBus.js";
 import gpioManager from "./gpioManager.js";
-import { validateCode, parseArduinoCode, compileFunctions } from "./parser.js";
+import cString, { formatPrintf, textOf } from "./cString.js";
+import cRuntime from "./cRuntime.js";
+import arduinoCore from "./arduinoCore.js";
+import virtualClock from "./virtualClock.js";
+import sketchDebugger from "./debugger.js";
+import interruptController from "./interrupts.js";
+import timers, { Ticker } from "./timers.js";
+import watchdog, { WDT_RESET, SOFT_WDT_US } from "./watchdog.js";
+import espSystem, {
+  SYSTEM_RESET, REASON_DEFAULT_RST, REASON_SOFT_WDT_RST, REASON_SOFT_RESTART, REASON_DEEP_SLEEP_AWAKE,
+  REASON_EXT_SYS_RST, REASON_EXCEPTION_RST, BOOT_MODE_FLASH, BOOT_MODE_UART, bootMode, resetBanner,
+} from "./espSystem.js";
+import { exceptionOf, crashDump, decodeCrash } from "./crashDump.js";
+import { ArduinoString } from "./arduinoString.js";
+import { sketchFiles } from "./sketchFiles.js";
+import { parseSketch, validateCode, parseArduinoCode, compileFunctions } from "./parser.js";
 
 // ── Estados del motor ──────────────────────────────────────────────
 const ENGINE_STATE = {
   IDLE: "idle",
   RUNNING: "running",
+  PAUSED: "paused",
   STOPPED: "stopped",
   ERROR: "error",
 };
 
+/** Tiempo virtual mínimo de una iteración de loop() (µs) */
+const LOOP_TICK_US = 1000;
+
+/** Espera real máxima de un delay() entre comprobaciones de STOP (ms) */
+const DELAY_CHUNK_MS = 50;
+
+/** Tiempo virtual de un yield(): el cambio de contexto de esp_yield() (µs) */
+const YIELD_US = 5;
+
+/** Tiempo real que los yield() encadenan sin devolver el hilo al navegador (ms) */
+const YIELD_BUDGET_MS = 10;
+
+/**
+ * Texto que Serial.print produce para un valor (bool → 1/0 como en C).
+ * El codegen ya formatea los valores de tipo conocido; aquí sólo
+ * llegan sin formatear los de tipo desconocido.
+ * @param {*} value
+ * @param {number} [format]  Base (enteros) o decimales (float)
+ * @returns {string}
+ */
+function formatSerialValue(value, format) {
+  if (value === undefined) return "";
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return cRuntime.printFloat(value, format);
+    if (format !== undefined) return cRuntime.printInt(value, format);
+  }
+  return String(value);
+}
+
+/**
+ * Texto de una posición para el Serial Monitor: "Línea 12" en el .ino
+ * principal y "config.h, línea 12" en otra pestaña del proyecto.
+ * @param {{line: number, file?: string}} location
+ * @param {boolean} [capitalized]
+ * @returns {string}
+ */
+function describeLine(location, capitalized = true) {
+  if (location.file) return `${location.file}, línea ${location.line}`;
+  return `${capitalized ? "Línea" : "línea"} ${location.line}`;
+}
+
 class SimulatorEngine {
   constructor() {
     /** Estado actual del motor */
@@ -41,43 +155,99 @@ class SimulatorEngine {
     /** Flag para detener el loop */
     this._running = false;
 
+    /** Flag de pausa: delay() y loop() esperan a resume() */
+    this._paused = false;
+
+    /** Continuaciones retenidas durante la pausa */
+    this._resumeWaiters = [];
+
     /** Referencia al timeout del loop (para cancelar) */
     this._loopTimeout = null;
 
+    /** Arranque en curso: los await de uno anterior terminan con __STOP__ */
+    this._bootId = 0;
+
+    /** true mientras el sketch cede el control (delay, fin de loop()) */
+    this._yielding = false;
+
+    /** Callbacks de Ticker vencidos en mitad del código del sketch */
+    this._deferredTasks = [];
+
+    /** Última vez que el hilo volvió del navegador: { real (ms), virtual (µs) } */
+    this._yieldMark = { real: 0, virtual: 0 };
+
+    /** En ESP.deepSleep(): el botón RST la despierta */
+    this._sleeping = false;
+
+    /** Botón RST pulsado: motivo del reinicio al soltarlo, o null */
+    this._resetWake = null;
+
+    /** Programa generado del sketch actual (se recompila al reiniciar) */
+    this._program = null;
+
     /** Funciones compiladas del sketch actual */
     this._compiled = null;
 
     /** Código fuente actual */
     this._sourceCode = "";
 
-    /** Timestamp de inicio (para millis()) */
-    this._startTime = 0;
-
     /** Contador de iteraciones del loop */
     this._loopCount = 0;
 
-    /** Velocidad de simulación (ms entre iteraciones, 0 = máxima) */
-    this._loopDelay = 1;
+    /** Accesos fuera de rango ya avisados ("nombre:línea") */
+    this._boundsWarnings = new Set();
+
+    /** Velocidad de simulación: µs virtuales por µs real (Infinity = máxima) */
+    this._speed = 1;
+
+    // Los warnings de GPIO se anotan con la línea del sketch en curso
+    gpioManager.setLocator(() => this._currentLocation());
+    cString.setLocator(() => this._currentLocation());
+    // Los flancos externos llegan a las ISR de attachInterrupt()
+    gpioManager.setEdgeListener((gpio, value) => interruptController.edge(gpio, value));
+    interruptController.setRunner((isr) => this._runIsr(isr));
+    timers.setTaskRunner((task) => this._runTask(task));
+    sketchDebugger.setHandlers({ onSuspend: (snapshot) => this._onDebugSuspend(snapshot) });
   }
 
   // ── API Pública ──────────────────────────────────────────────────
 
   /**
    * Carga y compila código Arduino.
-   * @param {string} code  Código fuente Arduino/C++
+   * @param {string|Array<{name: string, content: string}>} code
+   *        Código de una pestaña o archivos del proyecto
    * @returns {{success: boolean, errors: Array, warnings: Array}}
    */
   load(code) {
     this._sourceCode = code;
 
-    // 1. Validación estática
-    const validation = validateCode(code);
+    // 1. Parsear una sola vez: validación y codegen comparten el AST
+    let ast;
+    try {
+      ast = parseSketch(code);
+    } catch (error) {
+      const location = { line: error.line || 1, column: error.column || 1, file: error.file };
+      eventBus.emit("serial-log", {
+        message: `❌ ${describeLine(location)}: ${error.message}`,
+        type: "error",
+        location,
+      });
+      return {
+        success: false,
+        errors: [{ line: location.line, file: error.file, message: error.message, severity: "error" }],
+        warnings: [],
+      };
+    }
+
+    // 2. Validación estática
+    const validation = validateCode(ast);
 
     if (validation.errors.length > 0) {
       validation.errors.forEach((err) => {
         eventBus.emit("serial-log", {
-          message: `❌ Línea ${err.line}: ${err.message}`,
+          message: `❌ ${describeLine(err)}: ${err.message}`,
           type: "error",
+          location: { line: err.line, column: err.column || 1, file: err.file },
         });
       });
       return { success: false, ...validation };
@@ -86,18 +256,22 @@ class SimulatorEngine {
     // Emitir warnings
     validation.warnings.forEach((warn) => {
       eventBus.emit("serial-log", {
-        message: `⚠ Línea ${warn.line}: ${warn.message}`,
+        message: `⚠ ${describeLine(warn)}: ${warn.message}`,
         type: "warn",
+        location: { line: warn.line, column: warn.column || 1, file: warn.file },
       });
     });
 
-    // 2. Transformar Arduino → JS
+    // 3. Transformar Arduino → JS
     try {
-      const jsCode = parseArduinoCode(code);
+      const program = parseArduinoCode(ast, { debug: true });
 
-      // 3. Compilar funciones con contexto
+      // 4. Compilar funciones con contexto (los inicializadores globales
+      // ya pasan por el watchdog)
       const context = this._buildContext();
-      this._compiled = compileFunctions(jsCode, context);
+      watchdog.reset();
+      this._compiled = compileFunctions(program, context);
+      this._program = program;
 
       eventBus.emit("serial-log", {
         message: "✅ Compilación exitosa",
@@ -106,15 +280,17 @@ class SimulatorEngine {
 
       return { success: true, ...validation };
     } catch (error) {
+      const location = error.line ? { line: error.line, column: error.column || 1, file: error.file } : null;
       eventBus.emit("serial-log", {
-        message: `❌ ${error.message}`,
+        message: location ? `❌ ${describeLine(location)}: ${error.message}` : `❌ ${error.message}`,
         type: "error",
+        location,
       });
 
       this._setState(ENGINE_STATE.ERROR);
       return {
         success: false,
-        errors: [{ line: 0, message: error.message, severity: "error" }],
+        errors: [{ line: error.line || 0, file: error.file, message: error.message, severity: "error" }],
         warnings: validation.warnings,
       };
     }
@@ -132,7 +308,7 @@ class SimulatorEngine {
       return;
     }
 
-    if (this._state === ENGINE_STATE.RUNNING) {
+    if (this._state === ENGINE_STATE.RUNNING || this._state === ENGINE_STATE.PAUSED) {
       eventBus.emit("serial-log", {
         message: "⚠ El simulador ya está en ejecución",
         type: "warn",
@@ -141,33 +317,17 @@ class SimulatorEngine {
     }
 
     this._running = true;
-    this._startTime = Date.now();
     this._loopCount = 0;
     this._setState(ENGINE_STATE.RUNNING);
+    espSystem.setResetReason(REASON_DEFAULT_RST);
 
     eventBus.emit("serial-log", {
       message: "🚀 Iniciando simulación ESP8266...",
       type: "info",
     });
 
-    try {
-      // Ejecutar setup() una vez
-      await this._compiled.setup();
-
-      eventBus.emit("serial-log", {
-        message: "✅ setup() completado",
-        type: "info",
-      });
-
-      // Ejecutar loop() de forma asíncrona infinita
-      this._runLoop();
-    } catch (error) {
-      if (error.message === "__STOP__") {
-        // Detención controlada
-        return;
-      }
-      this._handleError(error);
-    }
+    if (!this._romBoot(REASON_DEFAULT_RST)) return;
+    await this._boot();
   }
 
   /**
@@ -175,6 +335,9 @@ class SimulatorEngine {
    */
   stop() {
     this._running = false;
+    // Las continuaciones en pausa terminan con __STOP__ al ver _running
+    this._releasePause();
+    sketchDebugger.abort();
 
     if (this._loopTimeout) {
       clearTimeout(this._loopTimeout);
@@ -189,6 +352,72 @@ class SimulatorEngine {
     });
   }
 
+  /**
+   * Pausa la simulación. El reloj virtual se congela y delay() o la
+   * siguiente iteración de loop() esperan a resume(); el código
+   * síncrono en curso termina hasta su siguiente espera. Variables,
+   * pines y el delay() pendiente se conservan.
+   */
+  pause() {
+    if (this._state !== ENGINE_STATE.RUNNING) return;
+    this._paused = true;
+    sketchDebugger.requestPause();
+    this._setState(ENGINE_STATE.PAUSED);
+
+    eventBus.emit("serial-log", {
+      message: `⏸ Simulación en pausa (millis() = ${Math.floor(virtualClock.now() / 1000)})`,
+      type: "info",
+    });
+  }
+
+  /**
+   * Reanuda una simulación en pausa desde el punto exacto en que se
+   * detuvo (mitad de un delay() incluida).
+   */
+  resume() {
+    if (this._state !== ENGINE_STATE.PAUSED) return;
+    this._setState(ENGINE_STATE.RUNNING);
+
+    eventBus.emit("serial-log", {
+      message: "▶ Simulación reanudada",
+      type: "info",
+    });
+    sketchDebugger.continue();
+    this._releasePause();
+  }
+
+  /**
+   * En pausa, avanza una sentencia y vuelve a pausar.
+   * @param {"over"|"into"|"out"} kind  over: sin entrar en llamadas;
+   *        into: entrando; out: hasta volver a la función llamante
+   */
+  step(kind) {
+    if (this._state !== ENGINE_STATE.PAUSED) return;
+    this._setState(ENGINE_STATE.RUNNING);
+    sketchDebugger.step(kind);
+    this._releasePause();
+  }
+
+  /**
+   * Ejecuta hasta una línea (o la siguiente con código) y pausa.
+   * @param {string} file  Pestaña
+   * @param {number} line
+   */
+  runToCursor(file, line) {
+    if (this._state !== ENGINE_STATE.PAUSED && this._state !== ENGINE_STATE.RUNNING) return;
+    this._setState(ENGINE_STATE.RUNNING);
+    sketchDebugger.runToCursor(file, line);
+    this._releasePause();
+  }
+
+  /**
+   * Breakpoints del editor; se aplican también en plena ejecución.
+   * @param {Object<string, number[]>} breakpoints  pestaña → líneas
+   */
+  setBreakpoints(breakpoints) {
+    sketchDebugger.setBreakpoints(breakpoints);
+  }
+
   /**
    * Reset completo: detiene ejecución + limpia GPIO + limpia logs.
    */
@@ -215,13 +444,66 @@ class SimulatorEngine {
     return this._state;
   }
 
+  /**
+   * Cambia la velocidad de simulación; se aplica también a un delay()
+   * en curso y se conserva entre ejecuciones.
+   * @param {number} speed  Multiplicador (> 0) o Infinity para la máxima
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) throw new Error(`Velocidad de simulación no válida: ${speed}`);
+    this._speed = speed;
+  }
+
+  /**
+   * Velocidad de simulación actual.
+   * @returns {number}
+   */
+  getSpeed() {
+    return this._speed;
+  }
+
+  /**
+   * Botón RST de la placa: mientras está pulsado el chip queda en
+   * reset (sketch detenido, pines sueltos); al soltarlo arranca de
+   * nuevo con "External System" (o "Deep-Sleep Wake" si dormía). Sin
+   * simulación en marcha no hace nada.
+   * @param {boolean} pressed
+   */
+  setResetButton(pressed) {
+    if (this._state !== ENGINE_STATE.RUNNING && this._state !== ENGINE_STATE.PAUSED) return;
+
+    if (pressed) {
+      if (this._resetWake !== null) return;
+      this._resetWake = this._sleeping ? REASON_DEEP_SLEEP_AWAKE : REASON_EXT_SYS_RST;
+      this._haltSketch();
+      // Las continuaciones en pausa terminan con __STOP__ al ver el nuevo arranque
+      if (this._paused) {
+        this._setState(ENGINE_STATE.RUNNING);
+        this._releasePause();
+      }
+    } else if (this._resetWake !== null) {
+      const reason = this._resetWake;
+      this._resetWake = null;
+      this._reboot(reason);
+    }
+  }
+
+  /**
+   * Valores del chip simulado (ESP.getChipId(), getFreeHeap()…) y si
+   * GPIO16 despierta la placa tras ESP.deepSleep(). Ver espSystem.js.
+   * @param {object} options
+   */
+  configureEsp(options) {
+    espSystem.configure(options);
+  }
+
   /**
    * Compila y ejecuta en un solo paso (botón Run).
-   * @param {string} code
+   * @param {string|Array<{name: string, content: string}>} code
    */
   async run(code) {
     // Detener ejecución previa si existe
-    if (this._state === ENGINE_STATE.RUNNING) {
+    if (this._state === ENGINE_STATE.RUNNING || this._state === ENGINE_STATE.PAUSED) {
       this.stop();
       // Pequeña pausa para que el loop anterior termine
       await new Promise((r) => setTimeout(r, 50));
@@ -237,28 +519,71 @@ class SimulatorEngine {
 
   // ── Internos ─────────────────────────────────────────────────────
 
+  /**
+   * Arranque de la placa con el sketch ya compilado: reloj a 0,
+   * setup() y después loop() en bucle. Lo usan start() y el reinicio
+   * por watchdog.
+   */
+  async _boot() {
+    this._bootId++;
+    this._deferredTasks = [];
+    this._sleeping = false;
+    this._resetWake = null;
+    virtualClock.reset();
+    this._markHandoff();
+    watchdog.reset();
+    sketchDebugger.load(this._compiled.checkpoints, sketchFiles(this._sourceCode)[0].name);
+    this._boundsWarnings.clear();
+    cString.reset();
+    interruptController.reset();
+    timers.reset();
+    // random() repite la misma secuencia en cada simulación
+    arduinoCore.reset();
+
+    try {
+      // Ejecutar setup() una vez
+      await this._compiled.setup();
+
+      eventBus.emit("serial-log", {
+        message: "✅ setup() completado",
+        type: "info",
+      });
+
+      // Ejecutar loop() de forma asíncrona infinita
+      this._runLoop();
+    } catch (error) {
+      this._sketchError(error);
+    }
+  }
+
   /**
    * Ejecuta loop() de forma asíncrona e infinita sin bloquear el hilo.
    * Usa setTimeout recursivo para ceder control al browser entre ciclos.
    */
   _runLoop() {
     if (!this._running) return;
+    const bootId = this._bootId;
 
-    this._loopTimeout = setTimeout(async () => {
-      if (!this._running) return;
+    this._loopTimeout = setTimeout(() => this._whenResumed(async () => {
+      if (!this._running || bootId !== this._bootId) return;
+      this._markHandoff();
 
       try {
+        const iterationStart = virtualClock.now();
         await this._compiled.loop();
         this._loopCount++;
+        // Una iteración sin delay() también consume tiempo: millis()
+        // avanza aunque el sketch sólo lo consulte
+        this._yieldUntil(iterationStart + LOOP_TICK_US);
+        // Un Ticker o una ISR pueden haber reiniciado la placa
+        if (bootId !== this._bootId) return;
         // Continuar el loop
+        watchdog.feed();
         this._runLoop();
       } catch (error) {
-        if (error.message === "__STOP__") {
-          return;
-        }
-        this._handleError(error);
+        this._sketchError(error);
       }
-    }, this._loopDelay);
+    }), this._pacedDelay());
   }
 
   /**
@@ -270,87 +595,449 @@ class SimulatorEngine {
       __gpio: gpioManager,
       __serial: this._buildSerialAPI(),
       __delay: this._delay.bind(this),
-      __millis: () => Date.now() - this._startTime,
-      __micros: () => (Date.now() - this._startTime) * 1000,
+      __delayMicroseconds: (us) => virtualClock.advance(us),
+      __millis: () => virtualClock.millis(),
+      __micros: () => virtualClock.micros(),
+      __micros64: () => virtualClock.micros64(),
+      __yield: () => this._yield(),
+      __wdt: () => watchdog.check(),
+      __esp: this._buildEspAPI(),
+      __interrupts: interruptController,
+      __Ticker: Ticker,
+      __timer1: timers.timer1,
       __checkRunning: () => {
         if (!this._running) throw new Error("__STOP__");
       },
+      __index: this._checkIndex.bind(this),
+      __cstr: cString,
+      __dbg: sketchDebugger,
     };
   }
 
   /**
-   * Construye la API Serial simulada.
+   * Verifica un índice de array antes del acceso. En C un acceso fuera
+   * de rango es comportamiento indefinido: aquí se avisa una vez por
+   * array y línea, y la lectura devuelve undefined sin escribir nada.
+   * @param {ArrayLike} array
+   * @param {number} index
+   * @param {string} name  Nombre del array en el sketch
+   * @returns {number} El mismo índice
+   */
+  _checkIndex(array, index, name) {
+    if (array == null || (Number.isInteger(index) && index >= 0 && index < array.length)) {
+      return index;
+    }
+    const location = this._currentLocation();
+    const key = `${name}:${location?.line}`;
+    if (!this._boundsWarnings.has(key)) {
+      this._boundsWarnings.add(key);
+      eventBus.emit("serial-log", {
+        message: `⚠ Acceso fuera de rango: ${name}[${index}] (tamaño ${array.length})${location ? ` (línea ${location.line})` : ""}`,
+        type: "warn",
+        location,
+      });
+    }
+    return index;
+  }
+
+  /**
+   * Construye la API Serial simulada. Cada llamada es una línea del
+   * Serial Monitor; printf() parte su texto en los saltos de línea.
+   * Como en Print, las funciones devuelven los bytes escritos.
    */
   _buildSerialAPI() {
+    const write = (text) => {
+      eventBus.emit("serial-log", { message: text, type: "info" });
+    };
+
     return {
       begin: (baud) => {
+        gpioManager.setUartActive(true);
         eventBus.emit("serial-log", {
           message: `Serial iniciado a ${baud} baud`,
           type: "info",
         });
       },
-      println: (msg) => {
-        eventBus.emit("serial-log", {
-          message: String(msg),
-          type: "info",
-        });
+      println: (msg, format) => {
+        const text = formatSerialValue(msg, format);
+        write(text);
+        return text.length + 2;
       },
-      print: (msg) => {
-        eventBus.emit("serial-log", {
-          message: String(msg),
-          type: "info",
-        });
+      print: (msg, format) => {
+        const text = formatSerialValue(msg, format);
+        write(text);
+        return text.length;
       },
+      printf: (format, ...args) => {
+        const text = formatPrintf(format, args);
+        if (text.length > 0) text.replace(/\r?\n$/, "").split(/\r?\n/).forEach(write);
+        return text.length;
+      },
+      /** write(byte), write(str) o write(buf, len): bytes tal cual, sin formatear */
+      write: (data, length) => {
+        let text;
+        if (typeof data === "number") text = String.fromCharCode(data & 0xff);
+        else if (length === undefined) text = textOf(data);
+        else if (typeof data === "string") text = data.slice(0, length);
+        else text = String.fromCharCode(...data.slice(0, length));
+        if (text.length > 0) write(text);
+        return text.length;
+      },
+      // La salida no tiene búfer: no hay nada que esperar
+      flush: () => {},
       available: () => 0,
       read: () => -1,
     };
   }
 
   /**
-   * Implementación de delay() que:
-   * 1. Pausa la ejecución (await)
-   * 2. Verifica si el motor sigue corriendo (para permitir STOP durante delay)
-   * 3. Escala el delay para simulación rápida
+   * Ejecuta una ISR en cuanto el sketch cede el hilo (en pausa, al
+   * reanudar). Interrumpe al sketch en su await en curso: delay(),
+   * yield() o entre dos iteraciones de loop().
+   * @param {Function} isr
+   */
+  _runIsr(isr) {
+    const bootId = this._bootId;
+    this._whenResumed(() => {
+      if (!this._running || bootId !== this._bootId) return;
+      try {
+        // Una ISR que llama a delay() es async: sus errores llegan después
+        Promise.resolve(isr()).catch((error) => this._sketchError(error));
+      } catch (error) {
+        this._sketchError(error);
+      }
+    });
+  }
+
+  /**
+   * Ejecuta un callback de Ticker: ya, si el sketch está cediendo el
+   * control, o en cuanto lo ceda. Los errores (watchdog incluido) van
+   * a _sketchError como los de loop().
+   * @param {Function} task
+   */
+  _runTask(task) {
+    if (!this._yielding) {
+      this._deferredTasks.push(task);
+      return;
+    }
+    // El callback es código del sketch: lo que venza mientras corre
+    // (millis() también avanza el reloj) espera a que termine
+    this._yielding = false;
+    try {
+      Promise.resolve(task()).catch((error) => this._sketchError(error));
+    } catch (error) {
+      this._sketchError(error);
+    } finally {
+      this._yielding = true;
+    }
+    this._runDeferredTasks();
+  }
+
+  /** Ejecuta los callbacks de Ticker que esperaban turno */
+  _runDeferredTasks() {
+    const pending = this._deferredTasks;
+    this._deferredTasks = [];
+    pending.forEach((task) => this._runTask(task));
+  }
+
+  /**
+   * El sketch cede el control hasta un instante virtual: corren los
+   * callbacks de Ticker pendientes y los que vencen por el camino.
+   * @param {number} time  Instante virtual en µs
+   */
+  _yieldUntil(time) {
+    this._yielding = true;
+    try {
+      this._runDeferredTasks();
+      virtualClock.advanceTo(time);
+    } finally {
+      this._yielding = false;
+    }
+  }
+
+  /**
+   * Construye el objeto ESP (EspClass del core): watchdog, reinicio,
+   * deep sleep y datos del chip (espSystem.js).
+   */
+  _buildEspAPI() {
+    return {
+      wdtFeed: () => watchdog.feed(),
+      wdtDisable: () => watchdog.disableSoft(),
+      wdtEnable: () => watchdog.enableSoft(),
+      restart: () => {
+        const error = new Error(SYSTEM_RESET);
+        error.reason = REASON_SOFT_RESTART;
+        throw error;
+      },
+      deepSleep: (us = 0) => {
+        const error = new Error(SYSTEM_RESET);
+        error.sleepUs = Math.max(0, Math.round(Number(us)));
+        throw error;
+      },
+      deepSleepMax: () => espSystem.deepSleepMax(),
+      getResetReason: () => new ArduinoString(espSystem.getResetReason()),
+      getChipId: () => espSystem.getChipId(),
+      getFlashChipId: () => espSystem.getFlashChipId(),
+      getFlashChipSize: () => espSystem.getFlashChipSize(),
+      getCpuFreqMHz: () => espSystem.getCpuFreqMHz(),
+      getFreeHeap: () => espSystem.getFreeHeap(),
+      getCycleCount: () => espSystem.getCycleCount(),
+    };
+  }
+
+  /**
+   * Reinicio por watchdog: avisa de la línea en la que se quedó el
+   * sketch y reinicia la placa.
+   * @param {Error} error  Error(WDT_RESET) con reason REASON_SOFT_WDT_RST o REASON_WDT_RST
+   */
+  _watchdogReset(error) {
+    const location = this._compiled.sourceMap.locateStack(error.stack);
+    const seconds = (SOFT_WDT_US / 1e6).toLocaleString("es-ES");
+    eventBus.emit("serial-log", {
+      message: error.reason === REASON_SOFT_WDT_RST
+        ? `⚠ Watchdog: el sketch no cedió el control en ${seconds} s${location ? ` (${describeLine(location, false)})` : ""}; use delay() o yield() en los bucles largos`
+        : `⚠ Watchdog hardware: el sketch se bloqueó con el soft WDT desactivado${location ? ` (${describeLine(location, false)})` : ""}`,
+      type: "warn",
+      location,
+    });
+    this._reboot(error.reason);
+  }
+
+  /**
+   * ESP.deepSleep(us): la CPU se apaga (pines en alta impedancia, sin
+   * Ticker ni ISR) y el reloj virtual sigue corriendo. Al vencer, el
+   * RTC pone GPIO16 a LOW y, si está unido a RST, la placa se reinicia
+   * con "Deep-Sleep Wake". deepSleep(0) no despierta nunca sola.
+   * @param {number} us
+   */
+  _deepSleep(us) {
+    const duration = espSystem.sleepDuration(us);
+    const seconds = (duration / 1e6).toLocaleString("es-ES");
+    eventBus.emit("serial-log", {
+      message: duration === Infinity
+        ? "💤 Deep sleep sin despertador: la placa sólo se reinicia con el botón RST"
+        : `💤 Deep sleep durante ${seconds} s: GPIO16 → RST despertará la placa`,
+      type: "info",
+    });
+    this._haltSketch();
+    this._sleeping = true;
+    if (duration === Infinity) return;
+
+    this._delay(duration / 1000).then(
+      () => this._reboot(REASON_DEEP_SLEEP_AWAKE),
+      (error) => this._sketchError(error),
+    );
+  }
+
+  /**
+   * Reinicia la placa: la ROM vuelve a leer los pines de arranque y,
+   * si cargan el sketch, se ejecuta de nuevo setup() con los pines y
+   * las variables globales en su estado inicial.
+   * @param {number} reason  Motivo de reinicio (REASON_* de espSystem.js)
+   */
+  _reboot(reason) {
+    this._haltSketch();
+    espSystem.setResetReason(reason);
+    if (!this._romBoot(reason)) return;
+    this._compiled = compileFunctions(this._program, this._buildContext());
+
+    this._loopTimeout = setTimeout(() => this._whenResumed(() => {
+      if (this._running) this._boot();
+    }), 0);
+  }
+
+  /**
+   * Etapa de la ROM al salir de reset: lee GPIO15, GPIO0 y GPIO2
+   * (botón FLASH, componentes conectados o resistencias de la placa),
+   * imprime lo que el ESP8266 saca por el puerto serie y decide si
+   * carga el sketch. Con los pines mal, la placa se queda en la ROM
+   * (el motor sigue en marcha: RST lo vuelve a intentar).
+   * @param {number} reason  Motivo de reinicio (REASON_*)
+   * @returns {boolean} true si el sketch arranca
+   */
+  _romBoot(reason) {
+    const [gpio15, gpio0, gpio2] = [15, 0, 2].map((gpio) => gpioManager.getBootLevel(gpio));
+    const mode = bootMode(gpio15.level, gpio0.level, gpio2.level);
+    resetBanner(reason, mode).forEach((line) => {
+      eventBus.emit("serial-log", { message: line, type: "info" });
+    });
+    if (mode === BOOT_MODE_FLASH) return true;
+
+    const by = (strap) => (strap.component ? ` (${strap.component})` : "");
+    let message;
+    if (gpio15.level === 1) {
+      message = `⛔ GPIO15 (D8) a HIGH al arrancar${by(gpio15)}: la ROM intenta arrancar desde una tarjeta SD y el sketch no se ejecuta. GPIO15 debe estar a LOW al reiniciar`;
+    } else if (gpio2.level === 0) {
+      message = `⛔ GPIO2 (D4) a LOW al arrancar${by(gpio2)}: el ESP8266 no carga el sketch de la flash. GPIO2 debe estar a HIGH al reiniciar`;
+    } else if (mode === BOOT_MODE_UART && gpio0.external) {
+      message = "🔧 FLASH pulsado al reiniciar: el ESP8266 espera un firmware por UART. Pulse RST sin FLASH para ejecutar el sketch";
+    } else {
+      message = `🔧 GPIO0 (D3) a LOW al arrancar${by(gpio0)}: el ESP8266 espera un firmware por UART y el sketch no se ejecuta`;
+    }
+    eventBus.emit("serial-log", { message, type: "warn" });
+    return false;
+  }
+
+  /**
+   * Abandona el sketch en curso sin detener el motor. El reinicio puede
+   * venir de una ISR o de un Ticker con loop() en marcha: sus await
+   * pendientes terminan con __STOP__. Sale también del deep sleep: quien
+   * despierta la placa ya leyó _sleeping para el motivo del reinicio.
+   */
+  _haltSketch() {
+    this._bootId++;
+    this._sleeping = false;
+    clearTimeout(this._loopTimeout);
+    virtualClock.reset();
+    this._deferredTasks = [];
+    sketchDebugger.abort();
+    gpioManager.reset(true);
+  }
+
+  /**
+   * El sketch se detuvo en un checkpoint: pausa el motor (el reloj
+   * virtual queda congelado) y avisa de los breakpoints.
+   * @param {{reason: string, location: object}} snapshot
+   */
+  _onDebugSuspend({ reason, location }) {
+    this._paused = true;
+    this._setState(ENGINE_STATE.PAUSED);
+    if (reason === "breakpoint") {
+      eventBus.emit("serial-log", {
+        message: `🔴 Breakpoint: ${describeLine(location, false)}`,
+        type: "info",
+      });
+    }
+  }
+
+  /**
+   * Ejecuta una continuación ahora o, en pausa, al llamar a resume().
+   * @param {Function} continuation
+   */
+  _whenResumed(continuation) {
+    if (this._paused) {
+      this._resumeWaiters.push(continuation);
+    } else {
+      continuation();
+    }
+  }
+
+  /** Sale de la pausa y ejecuta las continuaciones retenidas */
+  _releasePause() {
+    this._paused = false;
+    const waiters = this._resumeWaiters;
+    this._resumeWaiters = [];
+    waiters.forEach((continuation) => continuation());
+  }
+
+  /**
+   * Milisegundos reales que corresponden a un tramo de tiempo virtual
+   * a la velocidad actual (0 a velocidad máxima).
+   * @param {number} us  Microsegundos virtuales
+   * @returns {number}
+   */
+  _realDelay(us) {
+    return Number.isFinite(this._speed) ? us / 1000 / this._speed : 0;
+  }
+
+  /**
+   * Implementación de delay(): avanza el reloj virtual exactamente
+   * ms milisegundos, en tramos de como mucho 50 ms reales (a velocidad
+   * máxima, de una vez). Entre tramos cede el hilo y comprueba si el
+   * motor sigue corriendo (para permitir STOP durante delay); en
+   * pausa, el tramo pendiente espera a resume() sin avanzar el reloj.
+   *
+   * El valor de millis() al terminar no depende de lo que tarde el
+   * navegador: sólo de los ms pedidos.
+   * Como en el core, delay() alimenta el watchdog y deja correr los
+   * callbacks de Ticker; delay(0) es un yield().
    *
-   * @param {number} ms  Milisegundos a esperar
+   * @param {number} ms  Milisegundos (unsigned long)
    * @returns {Promise<void>}
    */
   _delay(ms) {
+    if (ms === 0) return this._yield();
+    watchdog.feed();
+    const target = virtualClock.now() + ms * 1000;
+    const bootId = this._bootId;
+
     return new Promise((resolve, reject) => {
-      // Escalar delay: máximo 2 segundos reales para no hacer la sim lenta
-      const realDelay = Math.min(ms, 2000);
+      const step = () => {
+        const chunk = Math.max(0, Math.min(target - virtualClock.now(), DELAY_CHUNK_MS * 1000 * this._speed));
+        setTimeout(() => {
+          // Un tramo que vence en pausa no corre al reanudar: se vuelve a
+          // medir con el reloj y la velocidad de ese momento
+          const held = this._paused;
+          this._whenResumed(() => {
+            if (!this._running || bootId !== this._bootId) {
+              reject(new Error("__STOP__"));
+              return;
+            }
+            if (held) {
+              step();
+              return;
+            }
+            this._yieldUntil(Math.min(target, virtualClock.now() + chunk));
+            this._markHandoff();
+            if (bootId !== this._bootId) {
+              reject(new Error("__STOP__"));
+            } else if (virtualClock.now() >= target) {
+              resolve();
+            } else {
+              step();
+            }
+          });
+        }, this._realDelay(chunk));
+      };
+      step();
+    });
+  }
 
-      // Dividir delays largos en chunks para poder detener
-      const chunkSize = 50; // Verificar cada 50ms si sigue corriendo
-      let elapsed = 0;
+  /**
+   * Implementación de yield() y delay(0): alimenta el watchdog, avanza
+   * el reloj YIELD_US y deja correr los callbacks de Ticker. Un
+   * setTimeout en cada llamada costaría 1-4 ms reales por yield(), así
+   * que el hilo sólo vuelve al navegador cuando se agota
+   * YIELD_BUDGET_MS de tiempo real; entonces espera lo que la
+   * velocidad pide para el tiempo virtual consumido desde la última
+   * vez (nada a velocidad máxima).
+   * @returns {Promise<void>}
+   */
+  _yield() {
+    watchdog.feed();
+    const bootId = this._bootId;
+    this._yieldUntil(virtualClock.now() + YIELD_US);
+    if (!this._running || bootId !== this._bootId) return Promise.reject(new Error("__STOP__"));
 
-      const tick = () => {
-        if (!this._running) {
+    if (performance.now() - this._yieldMark.real < YIELD_BUDGET_MS) return Promise.resolve();
+    const wait = this._pacedDelay();
+    return new Promise((resolve, reject) => {
+      setTimeout(() => this._whenResumed(() => {
+        if (!this._running || bootId !== this._bootId) {
           reject(new Error("__STOP__"));
           return;
         }
-        elapsed += chunkSize;
-        if (elapsed >= realDelay) {
-          resolve();
-        } else {
-          setTimeout(tick, chunkSize);
-        }
-      };
-
-      if (realDelay <= chunkSize) {
-        setTimeout(() => {
-          if (!this._running) {
-            reject(new Error("__STOP__"));
-            return;
-          }
-          resolve();
-        }, realDelay);
-      } else {
-        setTimeout(tick, chunkSize);
-      }
+        this._markHandoff();
+        resolve();
+      }), wait);
     });
   }
 
+  /** El hilo vuelve del navegador: _yield() cuenta su presupuesto desde aquí */
+  _markHandoff() {
+    this._yieldMark = { real: performance.now(), virtual: virtualClock.now() };
+  }
+
+  /**
+   * Espera real que pide la velocidad para el tiempo virtual consumido
+   * desde la última cesión, descontando lo que ya tardó el sketch.
+   * @returns {number} ms
+   */
+  _pacedDelay() {
+    const elapsed = performance.now() - this._yieldMark.real;
+    return Math.max(0, this._realDelay(virtualClock.now() - this._yieldMark.virtual) - elapsed);
+  }
+
   /**
    * Actualiza el estado y emite evento.
    * @param {string} newState
@@ -360,6 +1047,70 @@ class SimulatorEngine {
     eventBus.emit("engine-state", { state: newState });
   }
 
+  /**
+   * Posición actual en el sketch según el stack de llamadas.
+   * Sólo tiene sentido durante una llamada síncrona desde el sketch.
+   * @returns {{line: number, column: number}|null}
+   */
+  _currentLocation() {
+    if (!this._compiled) return null;
+    return this._compiled.sourceMap.locateStack(new Error().stack);
+  }
+
+  /**
+   * Fin anómalo de setup(), loop() o una ISR: detención controlada
+   * (__STOP__), reinicio por watchdog, ESP.restart(), ESP.deepSleep(),
+   * excepción de la CPU o error de ejecución.
+   * @param {Error} error
+   */
+  _sketchError(error) {
+    if (error.message === "__STOP__") return;
+    if (error.message === WDT_RESET) {
+      this._watchdogReset(error);
+      return;
+    }
+    if (error.message === SYSTEM_RESET) {
+      if (error.sleepUs !== undefined) this._deepSleep(error.sleepUs);
+      else this._reboot(error.reason);
+      return;
+    }
+    const exception = exceptionOf(error);
+    if (exception) {
+      this._exception(error, exception);
+      return;
+    }
+    this._handleError(error);
+  }
+
+  /**
+   * Excepción de la CPU: avisa de la línea que falló, imprime el
+   * volcado del core y su decodificación y reinicia la placa con
+   * "Exception" (si falla en setup(), en bucle, como la placa real).
+   * @param {Error} error
+   * @param {{cause: number, description: string}} exception  Ver exceptionOf()
+   */
+  _exception(error, exception) {
+    const { sourceMap } = this._compiled;
+    const stackLines = sourceMap.stackLines(error.stack);
+    const location = stackLines.length > 0 ? sourceMap.originalPosition(stackLines[0]) : null;
+    const where = location ? ` en ${sourceMap.functionAt(stackLines[0]) ?? "?"} (${describeLine(location, false)})` : "";
+    eventBus.emit("serial-log", {
+      message: `💥 Exception (${exception.cause}): ${exception.description}${where}; el ESP8266 se reinicia`,
+      type: "error",
+      location,
+    });
+
+    const dump = crashDump(exception, stackLines);
+    dump.forEach((line) => {
+      eventBus.emit("serial-log", { message: line, type: "info" });
+    });
+    eventBus.emit("serial-log", { message: "🔍 Decodificador de excepciones:", type: "info" });
+    decodeCrash(dump, sourceMap, sketchFiles(this._sourceCode)[0].name).forEach((line) => {
+      eventBus.emit("serial-log", { message: line, type: "info" });
+    });
+    this._reboot(REASON_EXCEPTION_RST);
+  }
+
   /**
    * Maneja errores de ejecución.
    * @param {Error} error
@@ -368,18 +1119,13 @@ class SimulatorEngine {
     this._running = false;
     this._setState(ENGINE_STATE.ERROR);
 
-    // Try to extract line info from the stack trace
-    let location = '';
-    if (error.stack) {
-      const evalMatch = error.stack.match(/<anonymous>:(\d+):(\d+)/);
-      if (evalMatch) {
-        location = ` (línea ~${evalMatch[1]})`;
-      }
-    }
+    // Traducir el stack del JS generado a la línea del sketch
+    const location = this._compiled ? this._compiled.sourceMap.locateStack(error.stack) : null;
 
     eventBus.emit("serial-log", {
-      message: `💥 Error de ejecución${location}: ${error.message}`,
+      message: `💥 Error de ejecución${location ? ` (${describeLine(location, false)})` : ""}: ${error.message}`,
       type: "error",
+      location,
     });
 
     console.error("[SimulatorEngine] Runtime error:", error);
@@ -0,0 +1,72 @@
+/**
+ * SimulatorWorker — Punto de entrada del Web Worker del motor
+ *
+ * Rol: Ejecuta SimulatorEngine, GPIOManager y el sketch compilado
+ * fuera del hilo de la UI. Recibe las órdenes de simulatorBridge.js y
+ * le reenvía los eventos del EventBus del worker.
+ *
+ * Mensajes:
+ *   UI → worker: { method, args }  (método de la lista COMMANDS)
+ *   worker → UI: { events: [{ event, data }, ...] }
+ *
+ * Los eventos se agrupan y se envían en un solo mensaje cuando el
+ * sketch cede el hilo: un Serial.println() por iteración a velocidad
+ * máxima no inunda la cola de mensajes de la UI.
+ */
+
+import eventBus from "./eventBus.js";
+import gpioManager from "./gpioManager.js";
+import simulatorEngine from "./simulatorEngine.js";
+
+/** Eventos que la UI escucha (ver eventBus.js) */
+const FORWARDED_EVENTS = [
+  "pin-change", "pwm-change", "serial-log", "engine-state", "engine-reset",
+  "gpio-reset", "component-update", "debug-paused", "debug-resumed",
+];
+
+/** Órdenes aceptadas: nombre → implementación */
+const COMMANDS = {
+  run: (code) => simulatorEngine.run(code),
+  stop: () => simulatorEngine.stop(),
+  pause: () => simulatorEngine.pause(),
+  resume: () => simulatorEngine.resume(),
+  step: (kind) => simulatorEngine.step(kind),
+  runToCursor: (file, line) => simulatorEngine.runToCursor(file, line),
+  reset: () => simulatorEngine.reset(),
+  setSpeed: (speed) => simulatorEngine.setSpeed(speed),
+  setBreakpoints: (breakpoints) => simulatorEngine.setBreakpoints(breakpoints),
+  configureEsp: (options) => simulatorEngine.configureEsp(options),
+  setExternalValue: (pin, value) => gpioManager.setExternalValue(pin, value),
+  setResetButton: (pressed) => simulatorEngine.setResetButton(pressed),
+  registerComponent: (component) => gpioManager.registerComponent(component),
+  unregisterComponent: (id) => gpioManager.unregisterComponent(id),
+};
+
+/** Eventos pendientes de enviar */
+let queue = [];
+
+function flush() {
+  const events = queue;
+  queue = [];
+  self.postMessage({ events });
+}
+
+FORWARDED_EVENTS.forEach((event) => {
+  eventBus.on(event, (data) => {
+    if (queue.length === 0) setTimeout(flush, 0);
+    queue.push({ event, data });
+  });
+});
+
+self.onmessage = ({ data: { method, args } }) => {
+  const command = COMMANDS[method];
+  if (!command) {
+    console.error(`[SimulatorWorker] Orden desconocida: "${method}"`);
+    return;
+  }
+  try {
+    command(...args);
+  } catch (error) {
+    eventBus.emit("serial-log", { message: `❌ ${error.message}`, type: "error" });
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * SketchFiles — Proyectos de varios archivos (.ino, .h, .cpp)
+ *
+ * Rol: Reglas con las que se combinan las pestañas de un proyecto
+ * antes del preprocesado, como hace el IDE de Arduino:
+ *
+ *   - El .ino principal (el primer archivo del proyecto) va primero y
+ *     el resto de .ino se concatenan detrás en orden alfabético.
+ *   - Los .cpp se añaden después de los .ino. A diferencia del IDE,
+ *     aquí comparten unidad de traducción con el sketch: una sola
+ *     pasada de preprocesador y un único ámbito global.
+ *   - Los .h sólo entran en el código mediante #include "archivo.h".
+ *
+ * Las posiciones del .ino principal no llevan nombre de archivo
+ * (location.file ausente), así que un sketch de un solo archivo se
+ * comporta exactamente igual que antes de existir las pestañas.
+ */
+
+/** Nombre del .ino principal de un proyecto nuevo */
+export const MAIN_FILE = "sketch.ino";
+
+/** Extensiones que se pueden abrir como pestaña */
+export const FILE_EXTENSIONS = [".ino", ".h", ".cpp"];
+
+/**
+ * Extensión de un nombre de archivo (".ino", ".h"…), o "".
+ * @param {string} name
+ * @returns {string}
+ */
+export function fileExtension(name) {
+  const match = /\.[^./]+$/.exec(name || "");
+  return match ? match[0].toLowerCase() : "";
+}
+
+/**
+ * ¿Es un nombre válido para una pestaña? Sin rutas ni espacios, como
+ * exige el IDE de Arduino.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidFileName(name) {
+  return /^[A-Za-z_][\w.-]*$/.test(name) && FILE_EXTENSIONS.includes(fileExtension(name));
+}
+
+/**
+ * Normaliza un sketch: el código de una sola pestaña o la lista de
+ * archivos del proyecto.
+ * @param {string|Array<{name: string, content: string}>} sketch
+ * @returns {Array<{name: string, content: string}>}
+ */
+export function sketchFiles(sketch) {
+  return typeof sketch === "string" ? [{ name: MAIN_FILE, content: sketch }] : sketch;
+}
+
+/**
+ * Archivos que se compilan, en orden: .ino principal, resto de .ino
+ * (alfabético) y .cpp (alfabético).
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Array<{name: string, content: string, main: boolean}>}
+ */
+export function compilationOrder(files) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const inos = files.filter((f) => fileExtension(f.name) === ".ino");
+  const [main, ...rest] = inos;
+  const sources = files.filter((f) => fileExtension(f.name) === ".cpp");
+  return [
+    ...(main ? [{ ...main, main: true }] : []),
+    ...rest.sort(byName).map((f) => ({ ...f, main: false })),
+    ...sources.sort(byName).map((f) => ({ ...f, main: false })),
+  ];
+}
+
+/**
+ * Busca el archivo de un #include "ruta" entre las pestañas.
+ * @param {Array<{name: string, content: string}>} files
+ * @param {string} path  Ruta escrita en el #include
+ * @returns {{name: string, content: string}|null}
+ */
+export function findProjectFile(files, path) {
+  const name = path.trim().replace(/^(\.\/)+/, "");
+  return files.find((f) => f.name === name) || null;
+}
+
+export default { MAIN_FILE, FILE_EXTENSIONS, fileExtension, isValidFileName, sketchFiles, compilationOrder, findProjectFile };
@@ -0,0 +1,110 @@
+/**
+ * SourceMap — Mapa de posiciones JS generado → sketch Arduino
+ *
+ * Rol: El codegen emite cada sentencia en su propia línea y registra
+ * la posición original (línea/columna del .ino) de cada línea
+ * generada. Con este mapa, cualquier stack trace del código
+ * compilado se traduce de vuelta al sketch del usuario.
+ *
+ * El código compilado se marca con "//# sourceURL=sketch.js" para que
+ * sus frames sean identificables en el stack, y el desplazamiento que
+ * añade new Function() (cabecera "function anonymous(...) {") se mide
+ * una sola vez en tiempo de ejecución porque varía entre navegadores.
+ *
+ * Cada línea generada recuerda también la función del sketch a la que
+ * pertenece, para el volcado de excepciones (ver crashDump.js).
+ */
+
+/** Nombre con el que aparece el sketch compilado en los stack traces */
+export const SKETCH_URL = "sketch.js";
+
+const FRAME_REGEX = new RegExp(`${SKETCH_URL.replace(".", "\\.")}:(\\d+):(\\d+)`);
+const FRAMES_REGEX = new RegExp(FRAME_REGEX.source, "g");
+
+/** Líneas que new Function() antepone al cuerpo (se calcula una vez) */
+let functionBodyOffset = null;
+
+/**
+ * Mide cuántas líneas añade new Function() antes del cuerpo.
+ * @returns {number}
+ */
+function getFunctionBodyOffset() {
+  if (functionBodyOffset === null) {
+    try {
+      const stack = new Function(`return new Error().stack;\n//# sourceURL=${SKETCH_URL}`)();
+      const match = FRAME_REGEX.exec(stack || "");
+      functionBodyOffset = match ? parseInt(match[1], 10) - 1 : 2;
+    } catch {
+      functionBodyOffset = 2;
+    }
+  }
+  return functionBodyOffset;
+}
+
+export class SourceMap {
+  /**
+   * @param {Array<{line: number, column: number, file?: string}|null>} lines
+   *   Posición original de cada línea generada (índice 0 = línea 1)
+   * @param {Array<string|null>} [functions]  Firma de la función del
+   *   sketch de cada línea generada (null fuera de funciones)
+   */
+  constructor(lines, functions = []) {
+    this._lines = lines;
+    this._functions = functions;
+  }
+
+  /**
+   * Número de líneas del código generado.
+   * @returns {number}
+   */
+  get length() {
+    return this._lines.length;
+  }
+
+  /**
+   * Traduce una posición del código generado a la original.
+   * Si la línea no tiene mapeo usa la última línea mapeada anterior.
+   * @param {number} generatedLine  1-based
+   * @returns {{line: number, column: number, file?: string}|null}
+   */
+  originalPosition(generatedLine) {
+    for (let i = Math.min(generatedLine, this._lines.length) - 1; i >= 0; i--) {
+      if (this._lines[i]) return { ...this._lines[i] };
+    }
+    return null;
+  }
+
+  /**
+   * Función del sketch a la que pertenece una línea generada.
+   * @param {number} generatedLine  1-based
+   * @returns {string|null} Firma, p. ej. "leer(int)"
+   */
+  functionAt(generatedLine) {
+    return this._functions[generatedLine - 1] ?? null;
+  }
+
+  /**
+   * Busca el primer frame del sketch en un stack trace y lo traduce.
+   * @param {string} stack  error.stack
+   * @returns {{line: number, column: number, file?: string}|null}
+   */
+  locateStack(stack) {
+    if (!stack) return null;
+    const match = FRAME_REGEX.exec(stack);
+    if (!match) return null;
+    return this.originalPosition(parseInt(match[1], 10) - getFunctionBodyOffset());
+  }
+
+  /**
+   * Líneas generadas de todos los frames del sketch de un stack trace,
+   * del más reciente (donde se lanzó) al más antiguo.
+   * @param {string} stack  error.stack
+   * @returns {number[]}
+   */
+  stackLines(stack) {
+    const offset = getFunctionBodyOffset();
+    return [...(stack || "").matchAll(FRAMES_REGEX)].map((match) => parseInt(match[1], 10) - offset);
+  }
+}
+
+export default SourceMap;
@@ -0,0 +1,224 @@
+/**
+ * Timers — Ticker y timer1 del core ESP8266
+ *
+ * Rol: Callbacks periódicos sobre el planificador del reloj virtual
+ * (virtualClock.schedule), de modo que disparan en el instante
+ * simulado exacto mientras loop() sigue corriendo:
+ *
+ *   Ticker → clase de Ticker.h (attach, attach_ms, once, once_ms,
+ *            detach, active). En la placa usa os_timer: el callback
+ *            corre como tarea del sistema, sólo cuando el sketch cede
+ *            el control (delay, yield, fin de loop()).
+ *   timer1 → temporizador hardware (timer1_attachInterrupt,
+ *            timer1_enable, timer1_write…). Su callback es una
+ *            interrupción: dispara en mitad del código y respeta
+ *            noInterrupts() (ver interrupts.js).
+ *
+ * SimulatorEngine instala cómo se ejecutan las tareas (setTaskRunner)
+ * y llama a timers.reset() en cada arranque; virtualClock.reset()
+ * descarta los eventos pendientes.
+ */
+
+import virtualClock from "./virtualClock.js";
+import interruptController from "./interrupts.js";
+
+/** Frecuencia base del timer1 (Hz): APB a 80 MHz */
+const TIMER1_CLOCK_HZ = 80 * 1000 * 1000;
+
+/** Divisores de timer1_enable: TIM_DIV1, TIM_DIV16, TIM_DIV256 */
+const TIMER1_DIVIDERS = { 0: 1, 1: 16, 3: 256 };
+
+/** timer1_write() carga un contador de 23 bits */
+const TIMER1_MAX_TICKS = 0x7fffff;
+
+// ── Ticker ─────────────────────────────────────────────────────────
+
+export class Ticker {
+  constructor() {
+    /** Id del evento programado en el reloj virtual, o null */
+    this._event = null;
+
+    /** attach en curso: un disparo aún sin ejecutar de otro se descarta */
+    this._attachment = null;
+  }
+
+  /** attach(segundos, callback[, arg]): periódico */
+  attach(seconds, callback, arg) {
+    this._start(seconds * 1e6, true, callback, arg);
+  }
+
+  /** attach_ms(ms, callback[, arg]): periódico */
+  attach_ms(ms, callback, arg) {
+    this._start(ms * 1000, true, callback, arg);
+  }
+
+  /** once(segundos, callback[, arg]): una sola vez */
+  once(seconds, callback, arg) {
+    this._start(seconds * 1e6, false, callback, arg);
+  }
+
+  /** once_ms(ms, callback[, arg]): una sola vez */
+  once_ms(ms, callback, arg) {
+    this._start(ms * 1000, false, callback, arg);
+  }
+
+  detach() {
+    if (this._event !== null) virtualClock.cancel(this._event);
+    this._event = null;
+    this._attachment = null;
+  }
+
+  active() {
+    return this._event !== null;
+  }
+
+  /**
+   * Programa el callback; un attach sobre un Ticker activo lo sustituye.
+   * @param {number} periodUs
+   * @param {boolean} repeat
+   * @param {Function} callback
+   * @param {*} arg  Argumento opcional del callback
+   */
+  _start(periodUs, repeat, callback, arg) {
+    this.detach();
+    if (typeof callback !== "function") throw new Error("Ticker: el callback no es una función");
+    // Como os_timer, el periodo mínimo es de 1 ms
+    const period = Math.max(1000, Math.round(periodUs));
+    const attachment = {};
+    const run = () => (arg === undefined ? callback() : callback(arg));
+    const fire = (time) => {
+      this._event = repeat ? virtualClock.schedule(time + period, () => fire(time + period)) : null;
+      // Un detach() entre el disparo y la ejecución lo anula
+      timers.runTask(() => (this._attachment === attachment ? run() : undefined));
+    };
+    this._attachment = attachment;
+    const first = virtualClock.now() + period;
+    this._event = virtualClock.schedule(first, () => fire(first));
+  }
+}
+
+// ── timer1 ─────────────────────────────────────────────────────────
+
+class Timer1 {
+  constructor() {
+    this.reset();
+  }
+
+  /** Estado de arranque: desactivado y sin ISR */
+  reset() {
+    this._isr = null;
+    this._enabled = false;
+    this._divider = 1;
+    this._loop = false;
+    this._ticks = 0;
+    this._event = null;
+    this._eventTime = 0;
+  }
+
+  /** timer1_attachInterrupt(isr) */
+  attachInterrupt(isr) {
+    this._isr = isr;
+  }
+
+  /** timer1_detachInterrupt(): también desarma el temporizador */
+  detachInterrupt() {
+    this._isr = null;
+    this._disarm();
+  }
+
+  /**
+   * timer1_enable(divisor, tipo, recarga)
+   * @param {number} divider  TIM_DIV1, TIM_DIV16 o TIM_DIV256
+   * @param {number} intType  TIM_EDGE o TIM_LEVEL (sin efecto aquí)
+   * @param {number} reload   TIM_SINGLE o TIM_LOOP
+   */
+  enable(divider, intType, reload) {
+    if (!TIMER1_DIVIDERS[divider]) throw new Error(`timer1_enable: divisor no válido (${divider}). Use TIM_DIV1, TIM_DIV16 o TIM_DIV256`);
+    this._enabled = true;
+    this._divider = TIMER1_DIVIDERS[divider];
+    this._loop = reload === 1;
+  }
+
+  /** timer1_disable() */
+  disable() {
+    this._enabled = false;
+    this._disarm();
+  }
+
+  /**
+   * timer1_write(ticks): arranca la cuenta atrás.
+   * @param {number} ticks  Ciclos del reloj dividido (23 bits)
+   */
+  write(ticks) {
+    this._ticks = Math.max(1, ticks & TIMER1_MAX_TICKS);
+    this._disarm();
+    if (this._enabled) this._arm(virtualClock.now());
+  }
+
+  /** timer1_read(): ticks que faltan para el disparo */
+  read() {
+    if (this._event === null) return 0;
+    const remaining = (this._eventTime - virtualClock.now()) * TIMER1_CLOCK_HZ / this._divider / 1e6;
+    return Math.max(0, Math.round(remaining));
+  }
+
+  /** timer1_enabled() */
+  enabled() {
+    return this._enabled;
+  }
+
+  /** Microsegundos virtuales de una cuenta */
+  _periodUs() {
+    return Math.max(1, Math.round(this._ticks * this._divider * 1e6 / TIMER1_CLOCK_HZ));
+  }
+
+  _arm(from) {
+    this._eventTime = from + this._periodUs();
+    this._event = virtualClock.schedule(this._eventTime, () => this._fire());
+  }
+
+  _disarm() {
+    if (this._event !== null) virtualClock.cancel(this._event);
+    this._event = null;
+  }
+
+  _fire() {
+    this._event = null;
+    // TIM_LOOP recarga sola; TIM_SINGLE espera otro timer1_write()
+    if (this._loop) this._arm(this._eventTime);
+    if (this._isr) interruptController.raise("timer1", this._isr);
+  }
+}
+
+// ── Servicio ───────────────────────────────────────────────────────
+
+class Timers {
+  constructor() {
+    /** Temporizador hardware (API timer1_*) */
+    this.timer1 = new Timer1();
+
+    /** Ejecuta un callback de Ticker (lo instala el motor de simulación) */
+    this._taskRunner = (callback) => callback();
+  }
+
+  /**
+   * Instala la función que ejecuta los callbacks de Ticker.
+   * @param {Function} runner  (callback) => void
+   */
+  setTaskRunner(runner) {
+    this._taskRunner = runner;
+  }
+
+  /** Un Ticker venció */
+  runTask(callback) {
+    this._taskRunner(callback);
+  }
+
+  /** Estado de arranque (los Ticker son variables del sketch) */
+  reset() {
+    this.timer1.reset();
+  }
+}
+
+const timers = new Timers();
+export default timers;
@@ -0,0 +1,127 @@
+/**
+ * VirtualClock — Reloj simulado del ESP8266
+ *
+ * Rol: Fuente única de tiempo de la simulación. millis(), micros(),
+ * delay() y delayMicroseconds() leen y avanzan este reloj, nunca
+ * Date.now(): el tiempo del sketch sólo depende del propio sketch, así
+ * que dos ejecuciones ven exactamente los mismos valores aunque el
+ * navegador vaya cargado.
+ *
+ * El tiempo se cuenta en microsegundos desde el arranque (entero
+ * exacto hasta 2^53 µs, unos 285 años). millis() y micros() devuelven
+ * unsigned long y desbordan como en la placa: micros() cada ~71 min y
+ * millis() cada ~49,7 días.
+ *
+ * Además es un planificador: schedule() registra callbacks para un
+ * instante virtual y advanceTo() los dispara en orden mientras el
+ * reloj avanza. El motor decide a qué ritmo real avanza (ver
+ * SimulatorEngine._delay).
+ */
+
+/** Coste virtual de leer el reloj: una espera activa con millis() termina */
+export const CLOCK_READ_US = 1;
+
+class VirtualClock {
+  constructor() {
+    /** Microsegundos virtuales desde el arranque */
+    this._now = 0;
+
+    /** Eventos pendientes, ordenados por instante: {id, time, callback} */
+    this._events = [];
+
+    /** Siguiente id de evento */
+    this._nextId = 1;
+  }
+
+  /** Vuelve al instante 0 y descarta los eventos (al iniciar) */
+  reset() {
+    this._now = 0;
+    this._events = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Instante virtual actual en microsegundos (sin desbordar).
+   * @returns {number}
+   */
+  now() {
+    return this._now;
+  }
+
+  // ── API Arduino ──────────────────────────────────────────────────
+
+  /** millis(): milisegundos como unsigned long */
+  millis() {
+    this.advance(CLOCK_READ_US);
+    return Math.floor(this._now / 1000) >>> 0;
+  }
+
+  /** micros(): microsegundos como unsigned long */
+  micros() {
+    this.advance(CLOCK_READ_US);
+    return this._now >>> 0;
+  }
+
+  /** micros64() del core ESP8266: sin desbordamiento */
+  micros64() {
+    this.advance(CLOCK_READ_US);
+    return this._now;
+  }
+
+  // ── Planificador ─────────────────────────────────────────────────
+
+  /**
+   * Avanza el reloj disparando los eventos que vencen por el camino.
+   * @param {number} us  Microsegundos
+   */
+  advance(us) {
+    this.advanceTo(this._now + us);
+  }
+
+  /**
+   * Avanza hasta un instante. Cada evento se ejecuta con el reloj en su
+   * propio instante; un instante pasado no hace retroceder el reloj.
+   * @param {number} time  Instante virtual en µs
+   */
+  advanceTo(time) {
+    while (this._events.length > 0 && this._events[0].time <= time) {
+      const event = this._events.shift();
+      this._now = Math.max(this._now, event.time);
+      event.callback();
+    }
+    this._now = Math.max(this._now, time);
+  }
+
+  /**
+   * Instante del próximo evento pendiente.
+   * @returns {number} µs, o Infinity si no hay ninguno
+   */
+  nextEventTime() {
+    return this._events.length > 0 ? this._events[0].time : Infinity;
+  }
+
+  /**
+   * Programa un callback para un instante virtual. Los eventos del
+   * mismo instante se ejecutan en el orden en que se programaron.
+   * @param {number} time  Instante virtual en µs
+   * @param {Function} callback
+   * @returns {number} id para cancel()
+   */
+  schedule(time, callback) {
+    const event = { id: this._nextId++, time: Math.max(time, this._now), callback };
+    const index = this._events.findIndex((e) => e.time > event.time);
+    this._events.splice(index === -1 ? this._events.length : index, 0, event);
+    return event.id;
+  }
+
+  /**
+   * Cancela un evento programado.
+   * @param {number} id
+   */
+  cancel(id) {
+    this._events = this._events.filter((e) => e.id !== id);
+  }
+}
+
+const virtualClock = new VirtualClock();
+export default virtualClock;
@@ -0,0 +1,85 @@
+/**
+ * Watchdog — WDT software y hardware del ESP8266
+ *
+ * Rol: Detecta código que no cede el control. En la placa, el core
+ * alimenta los watchdogs al volver de loop() y en delay()/yield(); si
+ * pasan ~3,2 s sin hacerlo salta el soft WDT ("Soft WDT reset",
+ * rst cause:2) y, con el soft WDT desactivado (ESP.wdtDisable()), el
+ * WDT hardware (rst cause:4) unos segundos después.
+ *
+ * Aquí el tiempo es el del reloj virtual: el codegen emite __wdt() al
+ * principio de cada iteración de un bucle, que cuenta como 1 µs de
+ * CPU, así que un while (digitalRead(D3)) {} también hace avanzar el
+ * reloj y termina reiniciando la placa en lugar de bloquear la pestaña.
+ * SimulatorEngine aborta el sketch, imprime el banner de arranque
+ * (espSystem.js) y vuelve a ejecutar setup().
+ */
+
+import virtualClock from "./virtualClock.js";
+import { REASON_SOFT_WDT_RST, REASON_WDT_RST } from "./espSystem.js";
+
+/** Tiempo virtual que cuesta una iteración de un bucle (µs) */
+export const LOOP_ITERATION_US = 1;
+
+/** Timeout del soft WDT (µs) */
+export const SOFT_WDT_US = 3200 * 1000;
+
+/** Timeout del WDT hardware (µs) */
+export const HW_WDT_US = 8300 * 1000;
+
+/** Mensaje del Error con el que se aborta el sketch */
+export const WDT_RESET = "__WDT__";
+
+class Watchdog {
+  constructor() {
+    /** Instante virtual de la última alimentación (µs) */
+    this._fedAt = 0;
+
+    /** Soft WDT activo (ESP.wdtDisable() lo desactiva) */
+    this._softEnabled = true;
+  }
+
+  /** Estado de arranque: soft WDT activo y recién alimentado */
+  reset() {
+    this._fedAt = virtualClock.now();
+    this._softEnabled = true;
+  }
+
+  /** delay(), yield(), fin de loop() y ESP.wdtFeed() */
+  feed() {
+    this._fedAt = virtualClock.now();
+  }
+
+  /** ESP.wdtDisable(): sólo queda el WDT hardware */
+  disableSoft() {
+    this._softEnabled = false;
+    this.feed();
+  }
+
+  /** ESP.wdtEnable(timeout): el timeout se ignora, como en el core */
+  enableSoft() {
+    this._softEnabled = true;
+    this.feed();
+  }
+
+  /**
+   * Una iteración de bucle: avanza el reloj y aborta el sketch con un
+   * Error(WDT_RESET) si algún watchdog ha vencido. error.reason es el
+   * motivo de reinicio: REASON_SOFT_WDT_RST o REASON_WDT_RST.
+   */
+  check() {
+    virtualClock.advance(LOOP_ITERATION_US);
+    const starving = virtualClock.now() - this._fedAt;
+    let reason = null;
+    if (this._softEnabled && starving >= SOFT_WDT_US) reason = REASON_SOFT_WDT_RST;
+    else if (starving >= HW_WDT_US) reason = REASON_WDT_RST;
+    if (reason === null) return;
+
+    const error = new Error(WDT_RESET);
+    error.reason = reason;
+    throw error;
+  }
+}
+
+const watchdog = new Watchdog();
+export default watchdog;
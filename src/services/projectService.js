@@ -3,9 +3,10 @@
  *
  * Rol: Maneja la persistencia de proyectos del simulador.
  * Funcionalidades:
- *   - Guardar/cargar proyectos en localStorage
- *   - Exportar como archivo .ino
- *   - Importar archivos .ino
+ *   - Guardar/cargar proyectos en localStorage (todas las pestañas)
+ *   - Exportar como archivo .ino, o como .zip con la carpeta del
+ *     sketch si el proyecto tiene varios archivos
+ *   - Importar archivos .ino/.h/.cpp
  *   - Historial básico de versiones (últimas N versiones)
  *   - Guardado automático (autosave)
  *
@@ -13,11 +14,95 @@
  * Todas las operaciones son async para facilitar esa transición.
  */
 
+import { MAIN_FILE, fileExtension } from "../engine/sketchFiles.js";
+
 const STORAGE_KEY = "esp8266_simulator_projects";
 const CURRENT_PROJECT_KEY = "esp8266_simulator_current";
 const HISTORY_KEY = "esp8266_simulator_history";
 const MAX_HISTORY = 20;
 
+// ── ZIP (sin compresión) para exportar proyectos de varios archivos ──
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Crea un archivo ZIP con los archivos sin comprimir (método "store").
+ * @param {Array<{path: string, content: string}>} entries
+ * @returns {Uint8Array}
+ */
+function createZip(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach((entry) => {
+    const name = encoder.encode(entry.path);
+    const data = encoder.encode(entry.content);
+    const crc = crc32(data);
+
+    // Cabecera local + datos
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // nombres en UTF-8
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    // Entrada del directorio central
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
 class ProjectService {
   constructor() {
     /** Timer de autosave */
@@ -31,7 +116,7 @@ class ProjectService {
 
   /**
    * Guarda el proyecto actual.
-   * @param {{name: string, code: string, components: Array}} project
+   * @param {{name: string, files: Array<{name: string, content: string}>, components: Array}} project
    * @returns {Promise<{success: boolean, savedAt: string}>}
    */
   async saveProject(project) {
@@ -66,6 +151,17 @@ class ProjectService {
     }
   }
 
+  /**
+   * Archivos de un proyecto guardado. Los proyectos anteriores a las
+   * pestañas sólo tienen "code": se cargan como el .ino principal.
+   * @param {object} project
+   * @returns {Array<{name: string, content: string}>}
+   */
+  getFiles(project) {
+    if (Array.isArray(project.files) && project.files.length > 0) return project.files;
+    return [{ name: MAIN_FILE, content: project.code || "" }];
+  }
+
   /**
    * Carga el último proyecto abierto.
    * @returns {Promise<object|null>}
@@ -116,50 +212,62 @@ class ProjectService {
 
   // ── Exportar / Importar ──────────────────────────────────────────
 
+  /**
+   * Exporta el proyecto: un .ino si sólo tiene el archivo principal, o
+   * un .zip con la carpeta del sketch como la espera el IDE de Arduino
+   * (el .ino principal se llama como la carpeta).
+   * @param {string} filename  Nombre del proyecto (sin extensión)
+   * @param {Array<{name: string, content: string}>} files  files[0] = .ino principal
+   */
+  exportProject(filename, files) {
+    if (files.length === 1) {
+      this.exportAsIno(filename, files[0].content);
+      return;
+    }
+    const entries = files.map((file, i) => (i === 0
+      ? { path: `${filename}/${filename}.ino`, content: this._header(filename) + file.content }
+      : { path: `${filename}/${file.name}`, content: file.content }));
+    this._download(`${filename}.zip`, new Blob([createZip(entries)], { type: "application/zip" }));
+  }
+
   /**
    * Exporta el código como archivo .ino descargable.
    * @param {string} filename  Nombre del archivo (sin extensión)
    * @param {string} code  Código Arduino
    */
   exportAsIno(filename, code) {
-    const header = `/**
- * ${filename}.ino
- * Generado por ESP8266 Simulator
- * Fecha: ${new Date().toLocaleDateString()}
- */\n\n`;
-
-    const blob = new Blob([header + code], { type: "text/plain" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${filename}.ino`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const blob = new Blob([this._header(filename) + code], { type: "text/plain" });
+    this._download(`${filename}.ino`, blob);
   }
 
   /**
-   * Importa un archivo .ino seleccionado por el usuario.
-   * @returns {Promise<{name: string, code: string}|null>}
+   * Importa uno o varios archivos seleccionados por el usuario
+   * (.ino, .h, .cpp). Los .ino van primero: el primero de ellos será
+   * el principal si el editor reemplaza el proyecto.
+   * @returns {Promise<Array<{name: string, content: string}>|null>}
    */
-  async importIno() {
+  async importFiles() {
     return new Promise((resolve) => {
       const input = document.createElement("input");
       input.type = "file";
-      input.accept = ".ino,.cpp,.c,.h,.txt";
+      input.accept = ".ino,.cpp,.h,.txt";
+      input.multiple = true;
 
       input.onchange = async (event) => {
-        const file = event.target.files[0];
-        if (!file) {
+        const selected = [...event.target.files];
+        if (selected.length === 0) {
           resolve(null);
           return;
         }
 
         try {
-          const code = await file.text();
-          const name = file.name.replace(/\.\w+$/, "");
-          resolve({ name, code });
+          const files = await Promise.all(selected.map(async (file) => ({
+            // Los .txt se importan como sketch
+            name: file.name.replace(/\.txt$/i, ".ino"),
+            content: await file.text(),
+          })));
+          const isIno = (f) => fileExtension(f.name) === ".ino";
+          resolve([...files.filter(isIno), ...files.filter((f) => !isIno(f))]);
         } catch (error) {
           console.error("[ProjectService] Error importing:", error);
           resolve(null);
@@ -196,7 +304,7 @@ class ProjectService {
 
     history.unshift({
       version: projectData.version,
-      code: projectData.code,
+      files: projectData.files,
       savedAt: projectData.savedAt,
     });
 
@@ -241,6 +349,31 @@ class ProjectService {
 
   // ── Utilidades ───────────────────────────────────────────────────
 
+  /** Comentario de cabecera del .ino exportado */
+  _header(filename) {
+    return `/**
+ * ${filename}.ino
+ * Generado por ESP8266 Simulator
+ * Fecha: ${new Date().toLocaleDateString()}
+ */\n\n`;
+  }
+
+  /**
+   * Descarga un Blob con el nombre indicado.
+   * @param {string} filename
+   * @param {Blob} blob
+   */
+  _download(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Genera un ID único para proyectos.
    * @returns {string}
@@ -6,8 +6,10 @@
  * React escucha eventos del EventBus y actualiza el store.
  *
  * Secciones:
- *   - Editor: código fuente, errores de validación
+ *   - Editor: archivos del proyecto (pestañas), pestaña activa,
+ *     errores de validación
  *   - Engine: estado del motor (running, stopped, etc.)
+ *   - Debugger: breakpoints y parada actual (pila y variables)
  *   - Serial: logs de la consola
  *   - Connection: estado de WebSerial
  *   - Pins: estado visual de los pines
@@ -16,6 +18,7 @@
  */
 
 import { create } from "zustand";
+import { MAIN_FILE } from "../engine/sketchFiles.js";
 
 const DEFAULT_CODE = `// ESP8266 Blink - Ejemplo básico
 // LED integrado en GPIO2 (D4)
@@ -39,20 +42,70 @@ void loop() {
 
 const useSimulatorStore = create((set, get) => ({
   // ── Editor ─────────────────────────────────────────────────────
-  code: DEFAULT_CODE,
+  // files[0] es el .ino principal (ver engine/sketchFiles.js)
+  files: [{ name: MAIN_FILE, content: DEFAULT_CODE }],
+  activeFile: MAIN_FILE,
   validationErrors: [],
   validationWarnings: [],
 
-  setCode: (code) => set({ code }),
+  /** Reemplaza todos los archivos (cargar/importar un proyecto) */
+  setFiles: (files) => set({ files, activeFile: files[0].name }),
+  setActiveFile: (name) => set({ activeFile: name }),
+  setFileContent: (name, content) =>
+    set((state) => ({
+      files: state.files.map((f) => (f.name === name ? { ...f, content } : f)),
+    })),
+  addFile: (name, content = "") =>
+    set((state) => ({
+      files: [...state.files, { name, content }],
+      activeFile: name,
+    })),
+  renameFile: (from, to) =>
+    set((state) => {
+      const { [from]: lines, ...breakpoints } = state.breakpoints;
+      return {
+        files: state.files.map((f) => (f.name === from ? { ...f, name: to } : f)),
+        activeFile: state.activeFile === from ? to : state.activeFile,
+        breakpoints: lines ? { ...breakpoints, [to]: lines } : state.breakpoints,
+      };
+    }),
+  // El .ino principal no se puede eliminar
+  removeFile: (name) =>
+    set((state) => {
+      if (state.files[0].name === name) return {};
+      const { [name]: _removed, ...breakpoints } = state.breakpoints;
+      return {
+        files: state.files.filter((f) => f.name !== name),
+        activeFile: state.activeFile === name ? state.files[0].name : state.activeFile,
+        breakpoints,
+      };
+    }),
   setValidation: (errors, warnings) =>
     set({ validationErrors: errors, validationWarnings: warnings }),
 
   // ── Engine State ───────────────────────────────────────────────
-  engineState: "idle", // idle | running | stopped | error
+  engineState: "idle", // idle | running | paused | stopped | error
   loopCount: 0,
 
   setEngineState: (state) => set({ engineState: state }),
   setLoopCount: (count) => set({ loopCount: count }),
+  // Multiplicador de tiempo (Infinity = máxima), ver simulatorEngine.setSpeed
+  simulationSpeed: 1,
+  setSimulationSpeed: (speed) => set({ simulationSpeed: speed }),
+
+  // ── Debugger ───────────────────────────────────────────────────
+  breakpoints: {}, // pestaña → líneas
+  debugSnapshot: null, // parada actual (ver engine/debugger.js) o null
+
+  toggleBreakpoint: (file, line) =>
+    set((state) => {
+      const lines = state.breakpoints[file] || [];
+      const next = lines.includes(line)
+        ? lines.filter((l) => l !== line)
+        : [...lines, line].sort((a, b) => a - b);
+      return { breakpoints: { ...state.breakpoints, [file]: next } };
+    }),
+  setDebugSnapshot: (snapshot) => set({ debugSnapshot: snapshot }),
 
   // ── Serial / Console Logs ──────────────────────────────────────
   logs: [],
@@ -102,8 +155,11 @@ const useSimulatorStore = create((set, get) => ({
   resetPinStates: () => set({ pinStates: {} }),
 
   // ── Components ─────────────────────────────────────────────────
+  // pull: nivel al que el componente lleva su pin al arrancar ("up" o
+  // "down"; ver BOOT_STRAP_PINS en gpioManager.js). El LED de la placa
+  // va de 3V3 a GPIO2 y lo mantiene a HIGH.
   components: [
-    { id: "led_builtin", type: "LED", pin: 2, label: "LED_BUILTIN", color: "#00ff88" },
+    { id: "led_builtin", type: "LED", pin: 2, label: "LED_BUILTIN", color: "#00ff88", pull: "up" },
   ],
 
   addComponent: (component) =>